@@ -21,8 +21,17 @@ import { existsSync, mkdirSync } from 'fs';
 import crypto from 'crypto';
 
 import { StorageEngine } from './storage/index.js';
-import { SecurityManager } from './security/index.js';
+import { DocumentPager } from './storage/pager.js';
+import { Transaction, TransactionConflictError, VersionConflictError } from './transactions/index.js';
+import { SecurityManager, EncryptedFieldQueryError } from './security/index.js';
 import { IndexManager } from './indexing/index.js';
+import { extractNearQuery, toVector, VECTOR_METRICS, VectorQueryError } from './indexing/vector.js';
+import { matchesQuery, getFieldValue, valuesEqual, compareSortValues } from './query/matcher.js';
+import { applyUpdate, seedFromQuery } from './query/update.js';
+import { assertValid, applyDefaults, checkSchema, SchemaValidationError } from './schema/index.js';
+import AggregationPipeline from './query/aggregation.js';
+import { Cursor, CursorTokenError } from './query/cursor.js';
+import { MigrationManager, MigrationError } from './migrations/index.js';
 import { CacheManager } from './caching/index.js';
 import { PluginManager } from './plugins/index.js';
 import { AuditLogger } from './utils/audit.js';
@@ -30,8 +39,14 @@ import { ConfigManager } from './utils/config.js';
 import { ModularLogger, LoggerPresets } from './utils/logger.js';
 import { AuthManager } from './security/auth.js';
 import { OfflineHSM } from './security/hsm.js';
+import { EncryptionPolicyManager } from './security/policy.js';
+import { ChangeStreamManager, ResumeTokenError } from './changes/index.js';
 import { BackupManager } from './backup/index.js';
 import { SearchEngine } from './search/index.js';
+import { SearchQueryError } from './search/query.js';
+import { AnalyzerError } from './search/analyzers.js';
+import { normalizeFacets, computeFacets } from './search/facets.js';
+import { SearchIndexManager } from './search/maintenance.js';
 import { QueryProfiler } from './profiler/index.js';
 import { ETLEngine } from './etl/index.js';
 import { StreamingEngine } from './streaming/index.js';
@@ -107,6 +122,7 @@ export class BigBaseAlpha extends EventEmitter {
       encryption: options.encryption || false,
       compression: options.compression || false,
       maxMemory: options.maxMemory || '512MB',
+      lazyLoad: options.lazyLoad || false,
       backupInterval: options.backupInterval || 3600000,
       indexing: options.indexing !== false,
       caching: options.caching !== false,
@@ -154,13 +170,19 @@ export class BigBaseAlpha extends EventEmitter {
     this.configManager = new ConfigManager(this.config);
     this.storage = new StorageEngine(this.config);
     this.security = new SecurityManager({ ...this.config, logger: this.logger });
-    this.indexing = new IndexManager(this.config);
+    this.indexing = new IndexManager(this.config, this.storage);
+    this.aggregation = new AggregationPipeline(this);
+    this.migrations = new MigrationManager(this);
+    this.changeStreams = new ChangeStreamManager(this, this.config.changeStreams || {});
     this.cache = new CacheManager(this.config);
+    // One maxMemory budget: with lazy loading, resident documents get half of it and the cache the rest
+    this.documentPager = this.config.lazyLoad ? new DocumentPager(this.cache.reserveMemory(0.5)) : null;
     this.plugins = new PluginManager(this.config);
     this.audit = new AuditLogger(this.config);
     this.auth = new AuthManager({ ...this.config, logger: this.logger });
     this.backupManager = new BackupManager({ ...this.config, logger: this.logger });
-    this.searchEngine = new SearchEngine({ ...this.config, logger: this.logger });
+    this.searchEngine = new SearchEngine({ ...this.config, ...this.config.search, logger: this.logger });
+    this.searchIndex = new SearchIndexManager(this, this.config.search || {});
     this.queryProfiler = new QueryProfiler({ ...this.config, logger: this.logger });
     this.etlEngine = new ETLEngine({ ...this.config, logger: this.logger });
     this.streamingEngine = new StreamingEngine({ ...this.config, logger: this.logger });
@@ -188,6 +210,8 @@ export class BigBaseAlpha extends EventEmitter {
       maxKeyAge: 7776000000, // 90 days
       logger: this.logger // v1.5.1 logger integration
     });
+    this.security.setKeyProvider(this.hsm);
+    this.encryptionPolicies = new EncryptionPolicyManager(this);
 
     // Initialize Terminal UI and Performance Analytics
     this.ui = new TerminalUI({
@@ -220,7 +244,16 @@ export class BigBaseAlpha extends EventEmitter {
     this.performanceEngine = new PerformanceEngine(this, {
       lazyWriteDelay: this.config.performance?.lazyWriteDelay || 5000,
       batchSize: this.config.performance?.batchSize || 100,
-      compressionEnabled: this.config.performance?.compressionEnabled !== false
+      maxPendingOperations: this.config.performance?.maxPendingOperations || 10000,
+      compressionEnabled: this.config.performance?.compressionEnabled !== false,
+      journalPath: join(this.config.path, 'lazywrite'),
+      journalFsync: this.config.performance?.journalFsync !== false,
+      maxRetries: this.config.performance?.maxRetries ?? 3,
+      retryDelay: this.config.performance?.retryDelay || 100,
+      flushOnSignal: this.config.performance?.flushOnSignal !== false
+    });
+    this.performanceEngine.on('writeError', ({ error, failures, retriedOperations }) => {
+      this.logger.warn(`Lazy writes to ${failures} collection(s) failed, ${retriedOperations} operation(s) held for retry:`, error.message);
     });
 
     // Initialize v1.5.0 new features
@@ -291,8 +324,13 @@ export class BigBaseAlpha extends EventEmitter {
       await this.configManager.init(this.config);
       await this.security.init();
       await this.storage.init();
+      if (this.storage.lastRecovery?.replayed > 0) {
+        this.logger.warn(`Replayed ${this.storage.lastRecovery.replayed} uncommitted write(s) from the write-ahead log`);
+        this.emit('recovered', this.storage.lastRecovery);
+      }
       await this.indexing.init();
       await this.cache.init();
+      await this.changeStreams.init();
       await this.audit.init();
       await this.plugins.init();
       
@@ -431,6 +469,15 @@ export class BigBaseAlpha extends EventEmitter {
 
       // Load existing collections
       await this._loadCollections();
+      await this._rebuildStaleIndexes();
+      await this._ensureExpiryIndexes();
+      await this._repairSearchIndex();
+
+      // Write lazy-write operations a previous process queued but never flushed
+      const recoveredWrites = await this.performanceEngine.recover();
+      if (recoveredWrites > 0) {
+        this.logger.warn(`Replayed ${recoveredWrites} queued lazy write(s) from the journal`);
+      }
 
       // Start background tasks
       this._startBackgroundTasks();
@@ -462,11 +509,18 @@ export class BigBaseAlpha extends EventEmitter {
       throw new Error(`Collection '${name}' already exists`);
     }
 
+    if (schema) {
+      const problems = checkSchema(schema);
+      if (problems.length > 0) {
+        throw new Error(`Invalid schema for collection '${name}': ${problems.join('; ')}`);
+      }
+    }
+
     const collection = {
       name,
       schema,
       created: new Date(),
-      documents: new Map(),
+      documents: this._createDocumentMap(name),
       metadata: {
         totalDocuments: 0,
         totalSize: 0,
@@ -497,76 +551,95 @@ export class BigBaseAlpha extends EventEmitter {
    * Insert a document into a collection
    */
   async insert(collectionName, data) {
-    return this._withLock(`insert:${collectionName}`, async () => {
-      this._ensureInitialized();
-      this._ensureCollection(collectionName);
+    return this._withLock(`write:${collectionName}`, () => this._insertDocument(collectionName, data));
+  }
+
+  /**
+   * Insert without taking the collection write lock (callers must hold it)
+   * @private
+   */
+  async _insertDocument(collectionName, data) {
+    this._ensureInitialized();
+    this._ensureCollection(collectionName);
 
     const queryId = this._generateId();
     const profile = this.queryProfiler.startQuery(queryId, {
       collection: collectionName,
       operation: 'insert',
       query: { data: this._sanitizeForProfiling(data) }
-    });      try {
-        // Generate unique ID if not provided
-        if (!data._id) {
-          data._id = this._generateId();
-        }
+    });
 
-        // Add metadata
-        data._created = new Date();
-        data._modified = new Date();
+    try {
+      // Generate unique ID if not provided
+      if (!data._id) {
+        data._id = this._generateId();
+      }
 
-        // Validate against schema if exists
-        if (this.schemas.has(collectionName)) {
-          this._validateSchema(data, this.schemas.get(collectionName));
-        }
+      // Add metadata
+      data._created = new Date();
+      data._modified = new Date();
+      data._version = 1;
+      if (this.migrations.getVersion(collectionName) > 0) {
+        data._schemaVersion = this.migrations.getVersion(collectionName);
+      }
 
-        // Encrypt sensitive fields if needed
-        if (this.config.encryption) {
-          data = await this.security.encryptDocument(data);
-        }
+      // Fill defaults and validate against schema if exists
+      if (this.schemas.has(collectionName)) {
+        applyDefaults(this.schemas.get(collectionName), data);
+        this._validateSchema(data, this.schemas.get(collectionName), collectionName);
+      }
 
-        // Store in collection
-        const collection = this.collections.get(collectionName);
-        collection.documents.set(data._id, data);
-        collection.metadata.totalDocuments++;
-        collection.metadata.lastModified = new Date();
+      // Encrypt sensitive fields if needed
+      data = await this._encryptForStorage(collectionName, data);
 
-        // Persist to storage
-        await this.storage.insert(collectionName, data);
+      // A unique violation must reject the insert before anything is written
+      if (this.config.indexing) {
+        this.indexing.checkConstraints(collectionName, data);
+      }
 
-        // Update indexes
-        if (this.config.indexing) {
-          await this.indexing.addToIndex(collectionName, data);
-        }
+      // Store in collection
+      const collection = this.collections.get(collectionName);
+      collection.documents.set(data._id, data);
+      collection.metadata.totalDocuments++;
+      collection.metadata.lastModified = new Date();
 
-        // Index for search
-        await this.searchEngine.indexDocument(collectionName, data);
+      // Persist to storage
+      await this.storage.insert(collectionName, data);
 
-        // Update cache
-        if (this.config.caching) {
-          this.cache.set(`${collectionName}:${data._id}`, data);
-        }
+      // Update indexes
+      if (this.config.indexing) {
+        await this.indexing.addToIndex(collectionName, data);
+      }
 
-        // Update statistics
-        this.stats.totalOperations++;
-        this.stats.totalInserts++;
+      // Index for search
+      await this.searchEngine.indexDocument(collectionName, data);
+
+      // Update cache
+      if (this.config.caching) {
+        this.cache.invalidate(collectionName, data._id, data);
+        this.cache.setDocument(collectionName, data._id, data);
+      }
 
-        // Emit events
-        this.emit('document:inserted', { collectionName, document: data });
+      await this.changeStreams.record(collectionName, 'insert', data._id, { document: data });
 
-        // Audit log
-        if (this.config.auditLog) {
-          await this.audit.log('INSERT', { collection: collectionName, document: data._id });
-        }
+      // Update statistics
+      this.stats.totalOperations++;
+      this.stats.totalInserts++;
 
-        this.queryProfiler.endQuery(queryId, data);
-        return data;
-      } catch (error) {
-        this.queryProfiler.endQuery(queryId, null, error);
-        throw error;
+      // Emit events
+      this.emit('document:inserted', { collectionName, document: data });
+
+      // Audit log
+      if (this.config.auditLog) {
+        await this.audit.log('INSERT', { collection: collectionName, document: data._id });
       }
-    });
+
+      this.queryProfiler.endQuery(queryId, data);
+      return data;
+    } catch (error) {
+      this.queryProfiler.endQuery(queryId, null, error);
+      throw error;
+    }
   }
 
   /**
@@ -578,25 +651,26 @@ export class BigBaseAlpha extends EventEmitter {
 
     // Check cache first
     if (this.config.caching) {
-      const cached = this.cache.get(`${collectionName}:${id}`);
+      const cached = this.cache.getDocument(collectionName, id);
       if (cached) {
         this.stats.totalReads++;
-        return this._decryptDocument(cached);
+        return this._decryptDocument(await this.migrations.upgradeOnRead(collectionName, cached));
       }
     }
 
     // Check in-memory collection
     const collection = this.collections.get(collectionName);
-    if (collection.documents.has(id)) {
-      const doc = collection.documents.get(id);
+    const resident = collection.documents.get(id);
+    if (resident) {
+      const doc = resident;
       
       // Update cache
       if (this.config.caching) {
-        this.cache.set(`${collectionName}:${id}`, doc);
+        this.cache.setDocument(collectionName, id, doc);
       }
 
       this.stats.totalReads++;
-      return this._decryptDocument(doc);
+      return this._decryptDocument(await this.migrations.upgradeOnRead(collectionName, doc));
     }
 
     // Load from storage
@@ -607,66 +681,152 @@ export class BigBaseAlpha extends EventEmitter {
       
       // Update cache
       if (this.config.caching) {
-        this.cache.set(`${collectionName}:${id}`, doc);
+        this.cache.setDocument(collectionName, id, doc);
       }
 
       this.stats.totalReads++;
-      return this._decryptDocument(doc);
+      return this._decryptDocument(await this.migrations.upgradeOnRead(collectionName, doc));
     }
 
     return null;
   }
 
   /**
-   * Update a document
+   * Update a document by ID.
+   * `updateData` is either plain fields (merged into the document) or update
+   * operators such as `$set`, `$inc` or `$push`; see src/query/update.js.
+   * The read and write happen under the collection write lock, so concurrent
+   * operator updates never lose each other's changes.
+   *
+   * Every write bumps the document's `_version`. Pass `ifVersion` to update
+   * only if the document is still at that version; otherwise a
+   * VersionConflictError is thrown and nothing is written.
+   * @param {Object} options - `ifVersion`; `upsert` inserts the document when missing; `arrayFilters` for `$[name]` paths
    */
-  async update(collectionName, id, updateData) {
+  async updateById(collectionName, id, updateData, options = {}) {
+    return this._withLock(`write:${collectionName}`, async () => {
+      const { document } = await this._updateDocument(collectionName, id, updateData, options);
+      return document;
+    });
+  }
+
+  /**
+   * Update every document matching a query
+   * @param {Object} options - `upsert` inserts a document seeded from the query's equality fields when nothing matches; `arrayFilters`; `limit`
+   * @returns {Promise<Object>} `{ matchedCount, modifiedCount, upsertedId }`
+   */
+  async updateMany(collectionName, where = {}, updateData, options = {}) {
     this._ensureInitialized();
     this._ensureCollection(collectionName);
 
+    return this._withLock(`write:${collectionName}`, async () => {
+      const { results } = await this._executeQuery(collectionName, { where, limit: options.limit });
+      let modifiedCount = 0;
+
+      for (const doc of results) {
+        const { modified } = await this._updateDocument(collectionName, doc._id, updateData, {
+          ...options,
+          upsert: false,
+          query: where
+        });
+        if (modified) modifiedCount++;
+      }
+
+      if (results.length === 0 && options.upsert) {
+        const id = where && typeof where._id === 'string' ? where._id : this._generateId();
+        const { document } = await this._updateDocument(collectionName, id, updateData, { ...options, query: where });
+        return { matchedCount: 0, modifiedCount: 0, upsertedId: document._id };
+      }
+
+      return { matchedCount: results.length, modifiedCount, upsertedId: null };
+    });
+  }
+
+  /**
+   * Apply an update to one document (callers must hold the write lock)
+   * @private
+   */
+  async _updateDocument(collectionName, id, updateData, options = {}) {
+    this._ensureInitialized();
+    this._ensureCollection(collectionName);
+
+    // A document still at an older schema version is rewritten first, so its
+    // old index entries are replaced along with it
+    const stored = await this._getDocument(collectionName, id);
+    if (stored && !this.migrations.isCurrent(collectionName, stored)) {
+      await this._writeMigratedDocument(collectionName, stored);
+    }
+
     const existingDoc = await this.findById(collectionName, id);
     if (!existingDoc) {
-      throw new Error(`Document with id '${id}' not found in collection '${collectionName}'`);
+      if (!options.upsert) {
+        throw new Error(`Document with id '${id}' not found in collection '${collectionName}'`);
+      }
+
+      const seed = { ...seedFromQuery(options.query), _id: id };
+      const newDoc = applyUpdate(seed, updateData, { ...options, isInsert: true });
+      newDoc._id = id;
+      return { document: await this._insertDocument(collectionName, newDoc), modified: true, upserted: true };
     }
 
-    // Merge update data
+    const version = existingDoc._version || 0;
+    if (options.ifVersion !== undefined && options.ifVersion !== version) {
+      throw new VersionConflictError(collectionName, id, options.ifVersion, version);
+    }
+
+    // Apply update data (plain fields merge, operators modify in place)
     const updatedDoc = {
-      ...existingDoc,
-      ...updateData,
+      ...applyUpdate(existingDoc, updateData, options),
       _id: id, // Preserve ID
       _created: existingDoc._created, // Preserve creation date
-      _modified: new Date()
+      _modified: existingDoc._modified,
+      _version: existingDoc._version
     };
+    if (existingDoc._version === undefined) {
+      delete updatedDoc._version; // Written before versioning; gets one on its first real change
+    }
+
+    if (valuesEqual(updatedDoc, existingDoc)) {
+      return { document: existingDoc, modified: false };
+    }
+    updatedDoc._modified = new Date();
+    updatedDoc._version = version + 1;
 
     // Validate against schema if exists
     if (this.schemas.has(collectionName)) {
-      this._validateSchema(updatedDoc, this.schemas.get(collectionName));
+      this._validateSchema(updatedDoc, this.schemas.get(collectionName), collectionName);
     }
 
     // Encrypt if needed
-    let docToStore = updatedDoc;
-    if (this.config.encryption) {
-      docToStore = await this.security.encryptDocument(updatedDoc);
+    const docToStore = await this._encryptForStorage(collectionName, updatedDoc);
+
+    if (this.config.indexing) {
+      this.indexing.checkConstraints(collectionName, docToStore);
     }
 
     // Update in collection
     const collection = this.collections.get(collectionName);
+    const previous = await this._getDocument(collectionName, id);
     collection.documents.set(id, docToStore);
     collection.metadata.lastModified = new Date();
 
     // Persist to storage
     await this.storage.update(collectionName, id, docToStore);
 
-    // Update indexes
+    // Update indexes (they hold stored documents, like the ones queries match)
     if (this.config.indexing) {
-      await this.indexing.updateIndex(collectionName, existingDoc, updatedDoc);
+      await this.indexing.updateIndex(collectionName, previous, docToStore);
     }
 
-    // Update cache
+    // Update cache: cached queries matching the old or new document are stale
     if (this.config.caching) {
-      this.cache.set(`${collectionName}:${id}`, docToStore);
+      this.cache.invalidate(collectionName, id, previous, existingDoc, docToStore);
+      this.cache.setDocument(collectionName, id, docToStore);
     }
 
+    await this._syncSearch(collectionName, id, docToStore);
+    await this.changeStreams.record(collectionName, 'update', id, { document: docToStore, before: existingDoc, after: updatedDoc });
+
     this.stats.totalOperations++;
     this.stats.totalUpdates++;
 
@@ -683,13 +843,21 @@ export class BigBaseAlpha extends EventEmitter {
       changes: updateData
     });
 
-    return updatedDoc;
+    return { document: updatedDoc, modified: true };
   }
 
   /**
    * Delete a document
    */
   async delete(collectionName, id) {
+    return this._withLock(`write:${collectionName}`, () => this._deleteDocument(collectionName, id));
+  }
+
+  /**
+   * Delete without taking the collection write lock (callers must hold it)
+   * @private
+   */
+  async _deleteDocument(collectionName, id) {
     this._ensureInitialized();
     this._ensureCollection(collectionName);
 
@@ -700,6 +868,7 @@ export class BigBaseAlpha extends EventEmitter {
 
     // Remove from collection
     const collection = this.collections.get(collectionName);
+    const stored = await this._getDocument(collectionName, id);
     collection.documents.delete(id);
     collection.metadata.totalDocuments--;
     collection.metadata.lastModified = new Date();
@@ -709,14 +878,17 @@ export class BigBaseAlpha extends EventEmitter {
 
     // Remove from indexes
     if (this.config.indexing) {
-      await this.indexing.removeFromIndex(collectionName, doc);
+      await this.indexing.removeFromIndex(collectionName, stored);
     }
 
     // Remove from cache
     if (this.config.caching) {
-      this.cache.delete(`${collectionName}:${id}`);
+      this.cache.invalidate(collectionName, id, stored, doc);
     }
 
+    await this._syncSearch(collectionName, id, null);
+    await this.changeStreams.record(collectionName, 'delete', id);
+
     this.stats.totalOperations++;
     this.stats.totalDeletes++;
 
@@ -732,33 +904,58 @@ export class BigBaseAlpha extends EventEmitter {
   }
 
   /**
-   * Find one document matching the query
+   * Run several writes as one atomic unit.
+   * The callback receives a Transaction; its writes are committed when the
+   * callback resolves and discarded when it throws. Pass `retries` to re-run
+   * the callback after a TransactionConflictError.
    */
-  async findOne(collectionName, query = {}) {
+  async transaction(callback, options = {}) {
     this._ensureInitialized();
-    this._ensureCollection(collectionName);
-    
-    // Use query with limit 1
-    const results = await this.query(collectionName, {
-      where: query,
-      limit: 1
-    });
+    const { retries = 0 } = options;
+
+    for (let attempt = 0; ; attempt++) {
+      const tx = new Transaction(this);
+      try {
+        const result = await callback(tx);
+        await tx.commit();
+        return result;
+      } catch (error) {
+        tx.rollback();
+        if (error instanceof TransactionConflictError && attempt < retries) {
+          continue;
+        }
+        throw error;
+      }
+    }
+  }
 
+  /**
+   * Find one document matching the query
+   */
+  async findOne(collectionName, query = {}, options = {}) {
+    const results = await this.find(collectionName, query, { ...options, limit: 1 });
     return results.length > 0 ? results[0] : null;
   }
 
   /**
-   * Find multiple documents
+   * Find multiple documents. Takes a document ID in place of a query; lazy
+   * writes still queued are flushed first so the results include them.
+   * @param {Object} options - query() options; `skip` is accepted for `offset`
    */
   async find(collectionName, query = {}, options = {}) {
+    const { skip, ...queryOptions } = options;
+    await this.flushOperations();
     return this.query(collectionName, {
-      where: query,
-      ...options
+      where: this._idQuery(query),
+      ...(skip !== undefined && { offset: skip }),
+      ...queryOptions
     });
   }
 
   /**
-   * Advanced query with filtering, sorting, and pagination
+   * Advanced query with filtering, sorting, and pagination.
+   * Results are cached per normalized where/sort/limit/offset until a write
+   * touches a document the where clause matches; pass `cache: false` to bypass.
    */
   async query(collectionName, options = {}) {
     this._ensureInitialized();
@@ -773,51 +970,21 @@ export class BigBaseAlpha extends EventEmitter {
     });
 
     try {
-      const {
-        where = {},
-        sort = {},
-        limit = null,
-        offset = 0,
-        select = null
-      } = options;
-
-      let results = [];
-
-      // Try to use indexes if available and query has conditions
-      let useIndex = false;
-      if (this.config.indexing && Object.keys(where).length > 0) {
-        const indexResults = await this.indexing.query(collectionName, where);
-        
-        if (indexResults.length > 0) {
-          results = indexResults;
-          useIndex = true;
+      const { select = null } = options;
+      const useCache = this.config.caching && options.cache !== false;
+
+      // Cache under the rewritten where clause so writes of encrypted documents invalidate it
+      options = { ...options, where: await this.security.rewriteQuery(collectionName, options.where || {}) };
+
+      let results = useCache ? this.cache.getQuery(collectionName, options) : null;
+      if (!results) {
+        const generation = this.cache.generation(collectionName);
+        ({ results } = await this._executeQuery(collectionName, options));
+        if (useCache) {
+          this.cache.setQuery(collectionName, options, results, generation);
         }
       }
 
-      // If index query failed or no index available, do full scan
-      if (!useIndex) {
-        const collection = this.collections.get(collectionName);
-        results = Array.from(collection.documents.values());
-      }
-      
-      // Apply where clause (only if not already filtered by index)
-      if (Object.keys(where).length > 0 && !useIndex) {
-        results = results.filter(doc => this._matchesQuery(doc, where));
-      }
-
-      // Apply sorting
-      if (Object.keys(sort).length > 0) {
-        results = this._sortResults(results, sort);
-      }
-
-      // Apply pagination
-      if (offset > 0) {
-        results = results.slice(offset);
-      }
-      if (limit !== null) {
-        results = results.slice(0, limit);
-      }
-
       // Apply field selection
       if (select) {
         results = results.map(doc => this._selectFields(doc, select));
@@ -838,6 +1005,405 @@ export class BigBaseAlpha extends EventEmitter {
     }
   }
 
+  /**
+   * Open a cursor over the documents matching `where`. Documents are read
+   * in batches in sort order (`_id` breaks ties), and
+   * getContinuationToken() lets a later cursor pick up where this one stopped.
+   * @param {Object} options - sort, batchSize, limit, skip, select, after (continuation token)
+   * @returns {Cursor} Async iterable cursor
+   */
+  cursor(collectionName, where = {}, options = {}) {
+    this._ensureInitialized();
+    this._ensureCollection(collectionName);
+    // Cursors resume from a sort position, which nearest-neighbour results do not have
+    if (extractNearQuery(where).near) {
+      throw new VectorQueryError('$near queries cannot be read through a cursor; page them with limit and offset', where);
+    }
+    return new Cursor(this, collectionName, where, options);
+  }
+
+  /**
+   * Watch the changes of a collection (or, with `null`, of every collection).
+   * Each change event carries a resume token in `_id`; a stream opened with
+   * `resumeAfter` set to one continues right after that change, also after a
+   * restart, as long as the change log still holds it.
+   * @param {Object} options - filter, fullDocument ('default', 'updateLookup' or 'whenAvailable'), resumeAfter, batchSize, maxBuffered
+   * @returns {ChangeStream} Async iterable stream of change events
+   */
+  watch(collectionName, options = {}) {
+    this._ensureInitialized();
+    return this.changeStreams.watch(collectionName, options);
+  }
+
+  /**
+   * Run an aggregation pipeline over a collection
+   * ($match, $group, $project, $sort, $limit, $skip, $unwind, $lookup, $bucket, $facet)
+   */
+  async aggregate(collectionName, pipeline = []) {
+    this._ensureInitialized();
+    this._ensureCollection(collectionName);
+
+    const queryId = this._generateId();
+    this.queryProfiler.startQuery(queryId, {
+      collection: collectionName,
+      operation: 'aggregate',
+      query: this._sanitizeForProfiling({ pipeline })
+    });
+
+    try {
+      const results = await this.aggregation.aggregate(collectionName, pipeline);
+
+      this.stats.totalReads++;
+      this.queryProfiler.endQuery(queryId, results);
+      return results;
+    } catch (error) {
+      this.queryProfiler.endQuery(queryId, null, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Register schema migrations for a collection.
+   * Each migration is `{ version, up(doc), down(doc), schema, description }`;
+   * see src/migrations/index.js.
+   */
+  registerMigrations(collectionName, migrations) {
+    this.migrations.register(collectionName, migrations);
+    return this;
+  }
+
+  /**
+   * Move a collection to another schema version (the latest registered one by default).
+   * Reads return documents at the new version as soon as it is recorded;
+   * `eager` mode (the default) also rewrites every stored document in the
+   * background, batch by batch, while `lazy` mode rewrites them as they are read.
+   * @param {Object} options - `to`, `mode` ('eager' or 'lazy'), `batchSize`, `onProgress(progress)`
+   * @returns {Promise<Object>} `{ collection, fromVersion, toVersion, mode, status, processed, migrated, total, percent, duration }`
+   */
+  async migrate(collectionName, options = {}) {
+    this._ensureInitialized();
+    this._ensureCollection(collectionName);
+
+    try {
+      return await this.migrations.migrate(collectionName, options);
+    } finally {
+      // Cached results hold documents at the previous version
+      if (this.config.caching) {
+        this.cache.invalidateCollection(collectionName);
+      }
+    }
+  }
+
+  /**
+   * Schema version, registered migrations and running migration of a collection
+   */
+  getMigrationStatus(collectionName) {
+    this._ensureInitialized();
+    this._ensureCollection(collectionName);
+
+    return this.migrations.getStatus(collectionName);
+  }
+
+  /**
+   * Declare exactly which fields of a collection are encrypted, each
+   * `deterministic` or `randomized`:
+   * `{ fields: { email: 'deterministic', 'profile.notes': 'randomized' } }`.
+   * The collection gets a new key from the HSM and its documents are
+   * re-encrypted in batches while reads and writes go on. `null` removes the
+   * policy (sensitive-looking fields are encrypted with the master key again).
+   * @param {Object} options - `batchSize`, `onProgress(progress)`
+   * @returns {Promise<Object>} `{ collection, action, keyId, status, processed, reencrypted, total, duration }`
+   */
+  async setEncryptionPolicy(collectionName, policy, options = {}) {
+    this._ensureInitialized();
+    this._ensureCollection(collectionName);
+    if (!this.config.encryption) {
+      throw new Error('Encryption policies need `encryption: true` in the database config');
+    }
+
+    try {
+      return await this.encryptionPolicies.setPolicy(collectionName, policy, options);
+    } finally {
+      if (this.config.caching) {
+        this.cache.invalidateCollection(collectionName);
+      }
+    }
+  }
+
+  /**
+   * A collection's encryption policy (`{ fields, keyId, keyVersion, blindKeyId }`), or null
+   */
+  getEncryptionPolicy(collectionName) {
+    this._ensureInitialized();
+    this._ensureCollection(collectionName);
+
+    return this.security.getPolicy(collectionName);
+  }
+
+  /**
+   * Move a collection's encrypted fields to a new HSM key. New writes use the
+   * new key at once; stored documents are re-encrypted in batches and stay
+   * readable under the old key until they are reached.
+   * @param {Object} options - `batchSize`, `onProgress(progress)`
+   */
+  async rotateEncryptionKey(collectionName, options = {}) {
+    this._ensureInitialized();
+    this._ensureCollection(collectionName);
+
+    try {
+      return await this.encryptionPolicies.rotate(collectionName, options);
+    } finally {
+      if (this.config.caching) {
+        this.cache.invalidateCollection(collectionName);
+      }
+    }
+  }
+
+  /**
+   * Encryption policy and running re-encryption of a collection
+   */
+  getEncryptionStatus(collectionName) {
+    this._ensureInitialized();
+    this._ensureCollection(collectionName);
+
+    return this.encryptionPolicies.getStatus(collectionName);
+  }
+
+  /**
+   * Create an index and fill it from the collection's documents.
+   * `fields` is a field name, an array or a `{ field: 1 | -1 }` object.
+   * Deterministically encrypted fields are indexed by their blind index.
+   * @param {Object} options - `unique`, `sparse`, `partialFilterExpression`, `caseInsensitive`, `expireAfterSeconds`
+   */
+  async ensureIndex(collectionName, fields, options = {}) {
+    this._ensureInitialized();
+    this._ensureCollection(collectionName);
+
+    const indexField = field => this.security.indexField(collectionName, field);
+    if (typeof fields === 'string') {
+      fields = indexField(fields);
+    } else if (Array.isArray(fields)) {
+      fields = fields.map(indexField);
+    } else if (fields && typeof fields === 'object') {
+      fields = Object.fromEntries(Object.entries(fields).map(([field, direction]) => [indexField(field), direction]));
+    }
+
+    return this._withLock(`write:${collectionName}`, () => (
+      this.indexing.createCustomIndex(collectionName, fields, options, this._scanDocuments(collectionName))
+    ));
+  }
+
+  /**
+   * Find the documents whose vector field is closest to a query vector.
+   * Same as a `$near` query, but each result carries its similarity:
+   * `score` (cosine similarity, dot product, or 1 / (1 + distance) for
+   * euclidean) and `distance`.
+   * @param {Object} options - `k` (default 10), `filter` (a where clause the
+   *   neighbours must match), `metric`, `maxDistance`, `minScore`, `ef`, `exact`
+   * @returns {Promise<Array<{ document, score, distance }>>} nearest first
+   */
+  async vectorSearch(collectionName, field, vector, options = {}) {
+    this._ensureInitialized();
+    this._ensureCollection(collectionName);
+
+    const { filter = {}, k = 10, ...near } = options;
+    const queryId = this._generateId();
+    this.queryProfiler.startQuery(queryId, {
+      collection: collectionName,
+      operation: 'vectorSearch',
+      query: this._sanitizeForProfiling({ field, k, filter })
+    });
+
+    try {
+      const { hits } = await this._executeQuery(collectionName, {
+        where: { ...filter, [field]: { $near: { ...near, vector, k } } }
+      });
+      const results = await Promise.all(hits.map(async ({ document, score, distance }) => ({
+        document: await this._decryptDocument(document),
+        score,
+        distance
+      })));
+
+      this.stats.totalReads++;
+      this.queryProfiler.endQuery(queryId, results);
+      return results;
+    } catch (error) {
+      this.queryProfiler.endQuery(queryId, null, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Plan and run the where/sort/limit part of a query. Returns the stored
+   * (still encrypted) documents for the requested page, the chosen plan and
+   * execution counters used by explainQuery().
+   * Cursors also pass `after`, a filter dropping the documents up to their
+   * position, and `seek`, the first sort value to start an index walk from.
+   */
+  async _executeQuery(collectionName, options = {}) {
+    const {
+      sort = {},
+      limit = null,
+      offset = 0,
+      after = null,
+      seek
+    } = options;
+    // Stored documents hold ciphertext; compare encrypted fields through their blind index
+    const { near, where } = extractNearQuery(
+      await this.security.rewriteQuery(collectionName, options.where || {}),
+      limit !== null ? offset + limit : undefined
+    );
+    if (near) {
+      return this._executeNearQuery(collectionName, near, where, options);
+    }
+
+    const stats = { docsExamined: 0, keysExamined: 0 };
+    const hasSort = Object.keys(sort).length > 0;
+    let results = [];
+    let plan = null;
+
+    if (this.config.indexing && (Object.keys(where).length > 0 || hasSort)) {
+      const collection = this.collections.get(collectionName);
+      plan = this.indexing.plan(collectionName, where, {
+        sort,
+        limit,
+        offset,
+        seek,
+        totalDocuments: Math.max(collection.metadata.totalDocuments, collection.documents.size)
+      });
+    }
+
+    if (plan && plan.type !== 'collectionScan') {
+      // The index yields ids; page the documents in and check the full where clause.
+      // An empty result is a genuine zero-hit answer, not a reason to scan.
+      const ids = this.indexing.execute(plan, stats);
+      const wanted = (plan.sorted || !hasSort) && limit !== null ? offset + limit : Infinity;
+      
+      for (const id of ids) {
+        const doc = await this.migrations.upgradeOnRead(collectionName, await this._getDocument(collectionName, id));
+        stats.docsExamined++;
+        if (doc && this._matchesQuery(doc, where) && (!after || after(doc))) {
+          results.push(doc);
+          if (results.length >= wanted) break;
+        }
+      }
+    } else {
+      // Without a sort, stop as soon as the requested page is filled
+      const wanted = !hasSort && limit !== null ? offset + limit : Infinity;
+      
+      for await (const stored of this._scanDocuments(collectionName)) {
+        const doc = await this.migrations.upgradeOnRead(collectionName, stored);
+        stats.docsExamined++;
+        if (this._matchesQuery(doc, where) && (!after || after(doc))) {
+          results.push(doc);
+          if (results.length >= wanted) break;
+        }
+      }
+    }
+
+    // Apply sorting
+    if (hasSort && !(plan && plan.sorted)) {
+      results = this._sortResults(results, sort);
+    }
+
+    // Apply pagination
+    if (offset > 0) {
+      results = results.slice(offset);
+    }
+    if (limit !== null) {
+      results = results.slice(0, limit);
+    }
+
+    return { results, plan, stats };
+  }
+
+  /**
+   * The `$near` part of _executeQuery(): the `k` documents closest to the
+   * query vector among those matching the rest of the where clause, nearest
+   * first unless `sort` orders them otherwise. `hits` adds each document's
+   * distance and score.
+   */
+  async _executeNearQuery(collectionName, near, where, options = {}) {
+    const { sort = {}, limit = null, offset = 0 } = options;
+    const collection = this.collections.get(collectionName);
+    const plan = this.indexing.planNearQuery(collectionName, near, where, {
+      totalDocuments: Math.max(collection.metadata.totalDocuments, collection.documents.size)
+    });
+    const metric = VECTOR_METRICS[plan.vector.metric];
+    const query = metric.prepare(near.vector);
+    if (!query) {
+      throw new VectorQueryError('$near cannot compare with a zero vector under the cosine metric', near);
+    }
+
+    // Scores fall as distances grow, so both bounds cut off the tail of the ranking
+    const inRange = distance => (near.maxDistance === null || distance <= near.maxDistance)
+      && (near.minScore === null || metric.score(distance) >= near.minScore);
+    const load = async id => this.migrations.upgradeOnRead(collectionName, await this._getDocument(collectionName, id));
+    const stats = { docsExamined: 0, keysExamined: 0 };
+    let hits = [];
+
+    if (plan.vectorIndex) {
+      // Ask the index for more neighbours until k of them match the rest of the where clause
+      const index = plan.vectorIndex;
+      const seen = new Set();
+      let exhausted = false;
+
+      for (let count = near.k; !exhausted && hits.length < near.k; count *= 4) {
+        const neighbours = index.search(query, count, { ef: Math.max(plan.vector.ef, count), stats });
+        exhausted = neighbours.length < count || count >= index.entryCount;
+
+        for (const { id, distance } of neighbours) {
+          if (seen.has(id)) continue;
+          seen.add(id);
+          if (!inRange(distance)) {
+            exhausted = true;
+            break;
+          }
+
+          const doc = await load(id);
+          stats.docsExamined++;
+          if (doc && this._matchesQuery(doc, where)) {
+            hits.push({ document: doc, distance });
+            if (hits.length >= near.k) break;
+          }
+        }
+      }
+    } else {
+      // Exact: compare with every document the rest of the where clause matches
+      const consider = doc => {
+        stats.docsExamined++;
+        const vector = doc && toVector(getFieldValue(doc, near.field), query.length);
+        const prepared = vector && metric.prepare(vector);
+        if (prepared && this._matchesQuery(doc, where)) {
+          const distance = metric.distance(query, prepared);
+          if (inRange(distance)) {
+            hits.push({ document: doc, distance });
+          }
+        }
+      };
+
+      if (plan.filterPlan) {
+        for (const id of this.indexing.execute(plan.filterPlan, stats)) {
+          consider(await load(id));
+        }
+      } else {
+        for await (const stored of this._scanDocuments(collectionName)) {
+          consider(await this.migrations.upgradeOnRead(collectionName, stored));
+        }
+      }
+      hits = hits.sort((a, b) => a.distance - b.distance).slice(0, near.k);
+    }
+
+    hits = hits.map(hit => ({ ...hit, score: metric.score(hit.distance) }));
+    if (Object.keys(sort).length > 0) {
+      const byDocument = new Map(hits.map(hit => [hit.document, hit]));
+      hits = this._sortResults(hits.map(hit => hit.document), sort).map(doc => byDocument.get(doc));
+    }
+    hits = hits.slice(offset, limit !== null ? offset + limit : undefined);
+
+    return { results: hits.map(hit => hit.document), hits, plan, stats };
+  }
+
   /**
    * Get database statistics
    */
@@ -851,7 +1417,8 @@ export class BigBaseAlpha extends EventEmitter {
       collections: this.collections.size,
       memoryUsage: process.memoryUsage(),
       cacheStats: this.cache.getStats(),
-      storageStats: this.storage.getStats()
+      storageStats: this.storage.getStats(),
+      ...(this.documentPager && { pagerStats: this.documentPager.getStats() })
     };
   }
 
@@ -878,17 +1445,19 @@ export class BigBaseAlpha extends EventEmitter {
       find: (query = {}, options = {}) => this.find(name, query, options),
       findOne: (query = {}) => this.findOne(name, query),
       insert: (data) => this.insert(name, data),
-      update: (id, data) => this.update(name, id, data),
+      update: (id, data, options) => this.updateById(name, id, data, options),
+      updateMany: (query, data, options) => this.updateMany(name, query, data, options),
       delete: (id) => this.delete(name, id),
-      count: (query = {}) => {
+      count: async (query = {}) => {
         const collection = this.collections.get(name);
         if (!query || Object.keys(query).length === 0) {
-          return collection.documents.size;
+          // A lazily loaded collection holds only its resident documents
+          return this.documentPager ? collection.metadata.totalDocuments : collection.documents.size;
         }
         // Count with filter
         let count = 0;
-        for (const doc of collection.documents.values()) {
-          if (this._matchesQuery(doc, query)) count++;
+        for await (const stored of this._scanDocuments(name)) {
+          if (this._matchesQuery(await this.migrations.upgradeOnRead(name, stored), query)) count++;
         }
         return count;
       }
@@ -912,7 +1481,16 @@ export class BigBaseAlpha extends EventEmitter {
   }
 
   /**
-   * Full-text search across collections
+   * Full-text search across collections, ranked by BM25. Supports phrases,
+   * `field:` prefixes, `+`/`-`, AND/OR/NOT and NEAR/n (see search/query.js).
+   *
+   * With a query string, returns the search engine's hits
+   * `{ docId, score, matches }`. With a request object
+   * `{ text, filter, facets, sort, limit, offset, fields, boosts, fuzzy, highlight, minScore }`,
+   * hits are narrowed to the documents matching `filter` (`filter.$text.$search`
+   * may stand in for `text`; without text every matching document is a hit)
+   * and the result is `{ results: [{ document, score, matches, highlights }], total, facets }`.
+   * `sort` defaults to relevance; `_score` sorts by it explicitly.
    */
   async search(collectionName, query, options = {}) {
     this._ensureInitialized();
@@ -925,37 +1503,171 @@ export class BigBaseAlpha extends EventEmitter {
       query: { searchQuery: query, options }
     });
 
-    try {
-      const results = await this.searchEngine.search(collectionName, query, options);
-      
-      this.queryProfiler.endQuery(queryId, results);
-      this.stats.totalReads++;
-      
-      return results;
-    } catch (error) {
-      this.queryProfiler.endQuery(queryId, null, error);
-      throw error;
-    }
+    try {
+      const results = query !== null && typeof query === 'object'
+        ? await this._combinedSearch(collectionName, query)
+        : await this.searchEngine.search(collectionName, query, options);
+      
+      this.queryProfiler.endQuery(queryId, Array.isArray(results) ? results : results.results);
+      this.stats.totalReads++;
+      
+      return results;
+    } catch (error) {
+      this.queryProfiler.endQuery(queryId, null, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Run a search request object (see search()): rank full-text hits, keep
+   * those matching the filter, then sort, count facets and page
+   */
+  async _combinedSearch(collectionName, request) {
+    const { $text, ...filter } = request.filter || {};
+    const text = request.text ?? $text?.$search ?? null;
+    const { sort = null, limit = 50, offset = 0, highlight = false } = request;
+    const facets = request.facets ? normalizeFacets(request.facets) : null;
+
+    if (text !== null && typeof text !== 'string') {
+      throw new SearchQueryError('text must be a string', text);
+    }
+
+    let hits; // [{ doc, score, matches }], stored documents by descending score
+    if (text !== null && text.trim() !== '') {
+      const ranked = await this.searchEngine.search(collectionName, text, {
+        fields: request.fields,
+        boosts: request.boosts,
+        fuzzy: request.fuzzy,
+        minScore: request.minScore,
+        limit: Infinity
+      });
+
+      // An index over part of the filter rules hits out before their documents are read
+      const where = await this.security.rewriteQuery(collectionName, filter);
+      let allowed = null;
+      if (this.config.indexing && Object.keys(where).length > 0) {
+        const collection = this.collections.get(collectionName);
+        const plan = this.indexing.plan(collectionName, where, {
+          totalDocuments: Math.max(collection.metadata.totalDocuments, collection.documents.size)
+        });
+        if (plan && plan.type !== 'collectionScan') {
+          allowed = new Set(this.indexing.execute(plan));
+        }
+      }
+
+      hits = [];
+      for (const { docId, score, matches } of ranked) {
+        if (allowed && !allowed.has(docId)) continue;
+
+        // The search index can outlive a document removed without it
+        const stored = await this._getDocument(collectionName, docId);
+        if (!stored) continue;
+
+        const doc = await this.migrations.upgradeOnRead(collectionName, stored);
+        if (this._matchesQuery(doc, where)) {
+          hits.push({ doc, score, matches });
+        }
+      }
+    } else {
+      const { results } = await this._executeQuery(collectionName, { where: filter });
+      hits = results.map(doc => ({ doc, score: 0, matches: [] }));
+    }
+
+    if (sort) {
+      // Stable, so equal keys stay in relevance order
+      const keys = Object.entries(sort);
+      hits.sort((a, b) => {
+        for (const [field, direction] of keys) {
+          const comparison = field === '_score'
+            ? a.score - b.score
+            : compareSortValues(getFieldValue(a.doc, field), getFieldValue(b.doc, field));
+          if (comparison !== 0) return direction === -1 ? -comparison : comparison;
+        }
+        return 0;
+      });
+    }
+
+    // Facets count every hit, not just the page
+    const facetCounts = facets
+      ? computeFacets(await Promise.all(hits.map(({ doc }) => this._decryptDocument(doc))), facets)
+      : {};
+
+    const results = [];
+    for (const { doc, score, matches } of hits.slice(offset, offset + limit)) {
+      const result = { document: await this._decryptDocument(doc), score, matches };
+      if (highlight) {
+        result.highlights = await this.searchEngine.highlight(collectionName, doc._id, matches);
+      }
+      results.push(result);
+    }
+
+    return { results, total: hits.length, facets: facetCounts };
+  }
+
+  /**
+   * Get search suggestions/autocomplete
+   */
+  async suggest(collectionName, partial, options = {}) {
+    this._ensureInitialized();
+    this._ensureCollection(collectionName);
+    
+    return await this.searchEngine.suggest(collectionName, partial, options);
+  }
+
+  /**
+   * Index a document for full-text search
+   */
+  async indexForSearch(collectionName, document, searchableFields = null) {
+    this._ensureInitialized();
+    this._ensureCollection(collectionName);
+    
+    await this.searchEngine.indexDocument(collectionName, document, searchableFields);
+  }
+
+  /**
+   * Choose the search analyzers of a collection (`{ default, fields: { field: analyzer } }`,
+   * analyzers by name or definition) and re-index its documents with them
+   */
+  async setSearchAnalyzers(collectionName, settings) {
+    this._ensureInitialized();
+    this._ensureCollection(collectionName);
+
+    await this.searchEngine.setAnalyzers(collectionName, settings);
+    this.audit.log('collection', 'search_analyzers', { collection: collectionName });
+  }
+
+  /**
+   * The terms a text is indexed or searched by (see SearchEngine.analyze)
+   */
+  analyzeText(text, options = {}) {
+    this._ensureInitialized();
+    return this.searchEngine.analyze(text, options);
   }
 
   /**
-   * Get search suggestions/autocomplete
+   * Rebuild a collection's full-text index from its stored documents, in
+   * batches while writes go on; `searchIndex` emits `reindexProgress`
+   * @param {Object} options - `batchSize`, `onProgress(progress)`
+   * @returns {Promise<Object>} `{ collection, action, status, processed, indexed, removed, total, percent, duration }`
    */
-  async suggest(collectionName, partial, options = {}) {
+  async reindexSearch(collectionName, options = {}) {
     this._ensureInitialized();
     this._ensureCollection(collectionName);
-    
-    return await this.searchEngine.suggest(collectionName, partial, options);
+
+    const result = await this.searchIndex.reindex(collectionName, options);
+    this.audit.log('collection', 'search_reindex', { collection: collectionName, indexed: result.indexed, removed: result.removed });
+    return result;
   }
 
   /**
-   * Index a document for full-text search
+   * Compare a collection's full-text index with its stored documents
+   * @returns {Promise<Object>} `{ consistent, missing, outdated, stale, ... }` (see SearchIndexManager.verify)
    */
-  async indexForSearch(collectionName, document, searchableFields = null) {
+  async verifySearchIndex(collectionName, options = {}) {
     this._ensureInitialized();
     this._ensureCollection(collectionName);
-    
-    await this.searchEngine.indexDocument(collectionName, document, searchableFields);
+
+    return this.searchIndex.verify(collectionName, options);
   }
 
   /**
@@ -1121,17 +1833,7 @@ export class BigBaseAlpha extends EventEmitter {
       return;
     }
 
-    // Stop background tasks
-    this._stopBackgroundTasks();
-
-    // Close all managers
-    await this.storage.close();
-    await this.cache.close();
-    await this.indexing.close();
-    await this.plugins.close();
-    await this.searchEngine.close();
-    await this.queryProfiler.close();
-    await this.etlEngine.close();
+    await this._closeManagers();
 
     // Stop backup manager
     if (this.backupManager) {
@@ -1162,6 +1864,25 @@ export class BigBaseAlpha extends EventEmitter {
     }
   }
 
+  /**
+   * Stop background tasks and close the core managers, flushing storage and indexes
+   */
+  async _closeManagers() {
+    this._stopBackgroundTasks();
+
+    await this.migrations.close();
+    await this.encryptionPolicies.close();
+    await this.changeStreams.close();
+    await this.searchIndex.close();
+    await this.storage.close();
+    await this.cache.close();
+    await this.indexing.close();
+    await this.plugins.close();
+    await this.searchEngine.close();
+    await this.queryProfiler.close();
+    await this.etlEngine.close();
+  }
+
   _ensureCollection(name) {
     if (!this.collections.has(name)) {
       throw new Error(`Collection '${name}' does not exist. Create it first.`);
@@ -1195,17 +1916,12 @@ export class BigBaseAlpha extends EventEmitter {
     return sanitized;
   }
 
-  _validateSchema(data, schema) {
-    // Basic schema validation
-    for (const [field, rules] of Object.entries(schema)) {
-      if (rules.required && !(field in data)) {
-        throw new Error(`Required field '${field}' is missing`);
-      }
-      
-      if (field in data && rules.type && typeof data[field] !== rules.type) {
-        throw new Error(`Field '${field}' must be of type '${rules.type}'`);
-      }
-    }
+  /**
+   * Validate a document against a collection schema (JSON Schema or legacy
+   * field map); throws SchemaValidationError listing every failing path
+   */
+  _validateSchema(data, schema, collectionName = null) {
+    assertValid(schema, data, collectionName);
   }
 
   async _decryptDocument(doc) {
@@ -1215,81 +1931,26 @@ export class BigBaseAlpha extends EventEmitter {
     return doc;
   }
 
+  /**
+   * The form of a document that goes to storage. Fields of the collection's
+   * encryption policy must never be written in plaintext, whichever path the
+   * write took.
+   */
+  async _encryptForStorage(collectionName, doc) {
+    const stored = this.config.encryption ? await this.security.encryptDocument(doc, collectionName) : doc;
+    this.security.assertEncrypted(collectionName, stored);
+    return stored;
+  }
+
   _matchesQuery(doc, query) {
-    // Handle logical operators first
-    if (query.$and) {
-      return query.$and.every(condition => this._matchesQuery(doc, condition));
-    }
-    
-    if (query.$or) {
-      return query.$or.some(condition => this._matchesQuery(doc, condition));
-    }
-    
-    if (query.$not) {
-      return !this._matchesQuery(doc, query.$not);
-    }
-
-    // Simple query matching - can be extended
-    for (const [field, condition] of Object.entries(query)) {
-      // Skip logical operators (already handled above)
-      if (field.startsWith('$')) continue;
-      
-      if (typeof condition === 'object' && condition !== null) {
-        // Handle operators like $gt, $lt, $eq, etc.
-        for (const [op, value] of Object.entries(condition)) {
-          switch (op) {
-            case '$eq':
-              if (doc[field] !== value) return false;
-              break;
-            case '$gt':
-              if (doc[field] <= value) return false;
-              break;
-            case '$lt':
-              if (doc[field] >= value) return false;
-              break;
-            case '$gte':
-              if (doc[field] < value) return false;
-              break;
-            case '$lte':
-              if (doc[field] > value) return false;
-              break;
-            case '$in':
-              if (!Array.isArray(value) || !value.includes(doc[field])) return false;
-              break;
-            case '$nin':
-              if (Array.isArray(value) && value.includes(doc[field])) return false;
-              break;
-            case '$regex':
-              if (typeof doc[field] !== 'string') return false;
-              const regex = new RegExp(value.source || value, value.flags || 'i');
-              if (!regex.test(doc[field])) return false;
-              break;
-            case '$exists':
-              if ((doc[field] !== undefined) !== value) return false;
-              break;
-            case '$ne':
-              if (doc[field] === value) return false;
-              break;
-            default:
-              throw new Error(`Unknown operator: ${op}`);
-          }
-        }
-      } else {
-        // Direct equality
-        if (doc[field] !== condition) return false;
-      }
-    }
-    return true;
+    return matchesQuery(doc, query);
   }
 
   _sortResults(results, sort) {
     return results.sort((a, b) => {
       for (const [field, direction] of Object.entries(sort)) {
-        const aVal = a[field];
-        const bVal = b[field];
-        
-        if (aVal < bVal) return direction === 1 ? -1 : 1;
-        if (aVal > bVal) return direction === 1 ? 1 : -1;
+        const comparison = compareSortValues(getFieldValue(a, field), getFieldValue(b, field));
+        if (comparison !== 0) return direction === -1 ? -comparison : comparison;
       }
       return 0;
     });
@@ -1315,13 +1976,24 @@ export class BigBaseAlpha extends EventEmitter {
         name: collectionName,
         schema: null,
         created: new Date(),
-        documents: new Map(),
+        documents: this._createDocumentMap(collectionName),
         metadata: {
           totalDocuments: 0,
           totalSize: 0,
           lastModified: new Date()
         }
       };
+
+      const metadata = await this.storage.getMetadata(collectionName);
+      this.collections.set(collectionName, collection);
+      this.migrations.load(collectionName, metadata);
+      this.security.loadPolicy(collectionName, metadata);
+      
+      // Lazy mode: documents are paged in on demand, only metadata is read now
+      if (this.config.lazyLoad) {
+        collection.metadata.totalDocuments = metadata?.documentCount || 0;
+        continue;
+      }
       
       // Load existing documents from storage
       try {
@@ -1334,8 +2006,213 @@ export class BigBaseAlpha extends EventEmitter {
       } catch (error) {
         this.logger.warn(`Could not load documents from '${collectionName}':`, error.message);
       }
-      
-      this.collections.set(collectionName, collection);
+    }
+  }
+
+  /**
+   * Rebuild indexes that failed their checksums or missed changes in a crash
+   */
+  async _rebuildStaleIndexes() {
+    for (const collectionName of this.indexing.getCollectionsNeedingRebuild()) {
+      if (!this.collections.has(collectionName)) {
+        continue;
+      }
+      this.logger.warn(`Rebuilding indexes of '${collectionName}' from its documents`);
+      await this.indexing.rebuildIndexes(collectionName, this._scanDocuments(collectionName));
+      this.emit('indexesRebuilt', { collection: collectionName });
+    }
+  }
+
+  /**
+   * Rewrite a stored document at the collection's schema version and
+   * encryption policy (callers must hold the write lock). `_version` is left
+   * alone: the content is the same, only its shape changed.
+   */
+  async _writeMigratedDocument(collectionName, stored) {
+    const original = await this._decryptDocument(stored);
+    const migrated = await this.migrations.migrateDocument(collectionName, original);
+    const docToStore = await this._encryptForStorage(collectionName, migrated);
+    if (this.config.indexing) {
+      this.indexing.checkConstraints(collectionName, docToStore);
+    }
+
+    this.collections.get(collectionName).documents.set(migrated._id, docToStore);
+    await this.storage.update(collectionName, migrated._id, docToStore);
+
+    if (this.config.indexing) {
+      await this.indexing.updateIndex(collectionName, stored, docToStore);
+    }
+    if (this.config.caching) {
+      this.cache.invalidate(collectionName, migrated._id, stored, docToStore);
+      this.cache.setDocument(collectionName, migrated._id, docToStore);
+    }
+    await this._syncSearch(collectionName, migrated._id, docToStore);
+
+    return migrated;
+  }
+
+  /**
+   * The search log is written after storage, so after a crash the index may
+   * miss writes that reached storage: check every collection and re-index
+   * the ones that drifted
+   */
+  async _repairSearchIndex() {
+    if (!this.searchEngine.uncleanShutdown) {
+      return;
+    }
+
+    for (const collectionName of this.collections.keys()) {
+      const report = await this.searchIndex.verify(collectionName);
+      if (!report.consistent) {
+        this.logger.warn(`Search index of '${collectionName}' was behind its documents after an unclean shutdown ` +
+          `(${report.missing.length} missing, ${report.outdated.length} outdated, ${report.stale.length} stale); re-indexing`);
+        await this.searchIndex.reindex(collectionName);
+      }
+    }
+    this.searchEngine.uncleanShutdown = false;
+  }
+
+  /**
+   * Add the `_ttl` expiry index to collections created before it existed
+   */
+  async _ensureExpiryIndexes() {
+    if (!this.config.indexing) {
+      return;
+    }
+
+    for (const collectionName of this.collections.keys()) {
+      if (!this.indexing.hasIndex(collectionName, '_ttl')) {
+        await this.indexing.createCustomIndex(collectionName, '_ttl', { sparse: true, expireAfterSeconds: 0 }, this._scanDocuments(collectionName));
+      }
+    }
+  }
+
+  _createDocumentMap(collectionName) {
+    return this.documentPager ? this.documentPager.view(collectionName) : new Map();
+  }
+
+  /**
+   * Persist a document written through CollectionManager, which keeps its own
+   * plaintext copy of the collection: encrypt it like any other write and
+   * mirror it into this store's documents, indexes and cache so query(),
+   * cursors and cached results see the write
+   * @private
+   */
+  async _persistExternalDocument(collectionName, doc) {
+    const collection = this.collections.get(collectionName);
+    if (!collection) {
+      await this.storage.insert(collectionName, await this._encryptForStorage(collectionName, doc));
+      return;
+    }
+
+    await this._withLock(`write:${collectionName}`, async () => {
+      const previous = await this._getDocument(collectionName, doc._id);
+      const stored = await this._encryptForStorage(collectionName, doc);
+      if (this.config.indexing) {
+        this.indexing.checkConstraints(collectionName, stored);
+      }
+      await this.storage.insert(collectionName, stored);
+
+      collection.documents.set(doc._id, stored);
+      if (!previous) {
+        collection.metadata.totalDocuments++;
+      }
+      collection.metadata.lastModified = new Date();
+
+      if (this.config.indexing) {
+        if (previous) {
+          await this.indexing.updateIndex(collectionName, previous, stored);
+        } else {
+          await this.indexing.addToIndex(collectionName, stored);
+        }
+      }
+      if (this.config.caching) {
+        this.cache.invalidate(collectionName, doc._id, previous, stored);
+      }
+
+      await this._syncSearch(collectionName, doc._id, stored);
+      await this.changeStreams.record(collectionName, previous ? 'update' : 'insert', doc._id, {
+        document: stored,
+        before: previous && await this._decryptDocument(previous),
+        after: doc
+      });
+    });
+  }
+
+  /**
+   * Delete a document removed through CollectionManager (see _persistExternalDocument)
+   * @private
+   */
+  async _removeExternalDocument(collectionName, id) {
+    const collection = this.collections.get(collectionName);
+    if (!collection) {
+      await this.storage.delete(collectionName, id);
+      return;
+    }
+
+    await this._withLock(`write:${collectionName}`, async () => {
+      const previous = await this._getDocument(collectionName, id);
+      await this.storage.delete(collectionName, id);
+      if (!previous) {
+        return;
+      }
+
+      collection.documents.delete(id);
+      collection.metadata.totalDocuments--;
+      collection.metadata.lastModified = new Date();
+
+      if (this.config.indexing) {
+        await this.indexing.removeFromIndex(collectionName, previous);
+      }
+      if (this.config.caching) {
+        this.cache.invalidate(collectionName, id, previous);
+      }
+
+      await this._syncSearch(collectionName, id, null);
+      await this.changeStreams.record(collectionName, 'delete', id);
+    });
+  }
+
+  /**
+   * Get a stored document, paging it in from storage if it is not resident
+   */
+  async _getDocument(collectionName, id) {
+    const collection = this.collections.get(collectionName);
+    const resident = collection.documents.get(id);
+    if (resident) {
+      return resident;
+    }
+
+    const doc = await this.storage.findById(collectionName, id);
+    if (doc) {
+      collection.documents.set(id, doc);
+    }
+    return doc;
+  }
+
+  /**
+   * Bring a written document's full-text index entry up to date (callers
+   * hold the write lock); a null document removes the entry
+   */
+  async _syncSearch(collectionName, id, document) {
+    await this.searchEngine.applyChanges([{ collection: collectionName, id, document }]);
+  }
+
+  /**
+   * Iterate every stored document of a collection. Lazily loaded
+   * collections are streamed from storage without being paged in.
+   */
+  async *_scanDocuments(collectionName) {
+    const collection = this.collections.get(collectionName);
+
+    if (!this.config.lazyLoad) {
+      yield* Array.from(collection.documents.values());
+      return;
+    }
+
+    for await (const doc of this.storage.streamDocuments(collectionName)) {
+      // Prefer the resident copy: it is the same document, already decoded
+      yield collection.documents.has(doc._id) ? collection.documents.get(doc._id) : doc;
     }
   }
 
@@ -1402,18 +2279,33 @@ export class BigBaseAlpha extends EventEmitter {
     this.logger.success('All background tasks stopped');
   }
 
+  /**
+   * Delete expired documents. With indexing on, they are found by walking
+   * each collection's TTL indexes (including the one on `_ttl`); otherwise
+   * every document's `_ttl` is checked.
+   */
   async _cleanupExpiredDocuments() {
-    // Clean up documents with TTL
-    for (const [collectionName, collection] of this.collections) {
-      const expired = [];
-      for (const [id, doc] of collection.documents) {
-        if (doc._ttl && new Date() > new Date(doc._ttl)) {
-          expired.push(id);
+    for (const collectionName of this.collections.keys()) {
+      const deleted = await this._withLock(`write:${collectionName}`, async () => {
+        const expired = [];
+        if (this.config.indexing) {
+          expired.push(...this.indexing.getExpiredDocuments(collectionName));
+        } else {
+          for await (const doc of this._scanDocuments(collectionName)) {
+            if (doc._ttl && new Date() > new Date(doc._ttl)) {
+              expired.push(doc._id);
+            }
+          }
         }
-      }
-      
-      for (const id of expired) {
-        await this.delete(collectionName, id);
+
+        for (const id of expired) {
+          await this._deleteDocument(collectionName, id);
+        }
+        return expired.length;
+      });
+
+      if (deleted > 0) {
+        this.emit('documentsExpired', { collection: collectionName, count: deleted });
       }
     }
   }
@@ -4453,13 +5345,39 @@ export class BigBaseAlpha extends EventEmitter {
 
   /**
    * Query execution plan (for optimization)
+   * Runs the query the way query() would and reports the chosen plan, the
+   * plans the planner rejected and how much work the execution did.
    * @param {string} collectionName - Collection name
    * @param {Object} query - Query filter
-   * @param {Object} options - Query options
-   * @returns {Object} Execution plan
+   * @param {Object} options - Query options (sort, limit, offset)
+   * @returns {Promise<Object>} Execution plan
    */
-  explainQuery(collectionName, query = {}, options = {}) {
-    return this.collectionManager.queryEngine.explain(collectionName, query, options);
+  async explainQuery(collectionName, query = {}, options = {}) {
+    this._ensureInitialized();
+    this._ensureCollection(collectionName);
+
+    const collection = this.collections.get(collectionName);
+    const totalDocuments = Math.max(collection.metadata.totalDocuments, collection.documents.size);
+    const startTime = Date.now();
+    const { results, plan, stats } = await this._executeQuery(collectionName, { ...options, where: query });
+
+    return {
+      collection: collectionName,
+      query,
+      options,
+      totalDocuments,
+      chosenPlan: plan
+        ? this.indexing.describePlan(plan)
+        : { type: 'collectionScan', indexes: [], sorted: false, estimatedKeys: 0, estimatedDocs: totalDocuments },
+      rejectedPlans: plan ? plan.rejectedPlans.map(rejected => this.indexing.describePlan(rejected)) : [],
+      executionStats: {
+        indexUsed: Boolean(plan && (plan.steps.length > 0 || plan.vectorIndex)),
+        documentsExamined: stats.docsExamined,
+        keysExamined: stats.keysExamined,
+        documentsReturned: results.length,
+        executionTimeMs: Date.now() - startTime
+      }
+    };
   }
 
   // =====================================================
@@ -4503,25 +5421,25 @@ export class BigBaseAlpha extends EventEmitter {
    * Enhanced insert with lazy write support
    */
   async insert(collectionName, data, options = {}) {
-    this.stats.totalInserts++;
-    this.stats.totalOperations++;
-
     try {
       if (this.lazyWrite) {
+        this.stats.totalInserts++;
+        this.stats.totalOperations++;
+
         // Queue operation for lazy writing
         const collection = this.collectionManager.collection(collectionName);
         const doc = await collection.insertOne(data, options);
         
         // Queue for persistence
-        this.performanceEngine.queueOperation(collectionName, 'insert', {
+        await this.performanceEngine.queueOperation(collectionName, 'insert', {
           document: doc
         });
         
         return doc;
       } else {
         // Immediate write
-        const collection = this.collectionManager.collection(collectionName);
-        return await collection.insertOne(data, options);
+        const doc = await this._withLock(`write:${collectionName}`, () => this._insertDocument(collectionName, data));
+        return this._decryptDocument(doc);
       }
     } catch (error) {
       this.audit.log('insert_failed', { collection: collectionName, error: error.message });
@@ -4530,104 +5448,84 @@ export class BigBaseAlpha extends EventEmitter {
   }
 
   /**
-   * Enhanced find with advanced query support
+   * Update the documents matching a query (see updateMany()), after any
+   * queued lazy writes. Passing a document ID instead of a query updates
+   * that document through updateById and resolves to the updated document.
    */
-  async find(collectionName, query = {}, options = {}) {
-    this.stats.totalReads++;
-    this.stats.totalOperations++;
-
-    try {
-      const collection = this.collectionManager.collection(collectionName);
-      return collection.find(query, options);
-    } catch (error) {
-      this.audit.log('find_failed', { collection: collectionName, error: error.message });
-      throw error;
+  async update(collectionName, query, updateData, options = {}) {
+    if (typeof query === 'string' || typeof query === 'number') {
+      return this.updateById(collectionName, query, updateData, options);
     }
-  }
-
-  /**
-   * Enhanced findOne with advanced query support
-   */
-  async findOne(collectionName, query = {}, options = {}) {
-    this.stats.totalReads++;
-    this.stats.totalOperations++;
 
     try {
-      const collection = this.collectionManager.collection(collectionName);
-      return collection.findOne(query, options);
+      await this.flushOperations();
+      return { acknowledged: true, ...await this.updateMany(collectionName, query, updateData, options) };
     } catch (error) {
-      this.audit.log('findOne_failed', { collection: collectionName, error: error.message });
+      this.audit.log('update_failed', { collection: collectionName, error: error.message });
       throw error;
     }
   }
 
   /**
-   * Enhanced update with lazy write support
+   * Delete the documents matching a query, after any queued lazy writes.
+   * Like update(), it takes a document ID in place of a query.
+   * @param {Object} options - `limit`; `returnDeleted` also resolves to the deleted documents
    */
-  async update(collectionName, query, updateData, options = {}) {
-    this.stats.totalUpdates++;
-    this.stats.totalOperations++;
-
+  async delete(collectionName, query = {}, options = {}) {
     try {
-      const collection = this.collectionManager.collection(collectionName);
-      const result = await collection.update(query, updateData, options);
-
-      if (this.lazyWrite && result.modifiedCount > 0) {
-        // Queue operations for lazy writing
-        const modifiedDocs = result.modifiedDocuments || [];
-        for (const doc of modifiedDocs) {
-          this.performanceEngine.queueOperation(collectionName, 'update', {
-            document: doc
-          });
+      this._ensureInitialized();
+      this._ensureCollection(collectionName);
+      await this.flushOperations();
+      return await this._withLock(`write:${collectionName}`, async () => {
+        const { results } = await this._executeQuery(collectionName, { where: this._idQuery(query), limit: options.limit });
+        for (const doc of results) {
+          await this._deleteDocument(collectionName, doc._id);
         }
-      }
 
-      return result;
+        return {
+          deletedCount: results.length,
+          deletedDocuments: options.returnDeleted ? await Promise.all(results.map(doc => this._decryptDocument(doc))) : undefined
+        };
+      });
     } catch (error) {
-      this.audit.log('update_failed', { collection: collectionName, error: error.message });
+      this.audit.log('delete_failed', { collection: collectionName, error: error.message });
       throw error;
     }
   }
 
   /**
-   * Enhanced delete with lazy write support
+   * Count documents in collection. Like find(), it takes a document ID in
+   * place of a query and flushes queued lazy writes first, but matches are
+   * counted on the stored documents without decrypting or copying them.
    */
-  async delete(collectionName, query = {}, options = {}) {
-    this.stats.totalDeletes++;
-    this.stats.totalOperations++;
-
+  async count(collectionName, query = {}) {
     try {
-      const collection = this.collectionManager.collection(collectionName);
-      const result = await collection.delete(query, options);
-
-      if (this.lazyWrite && result.deletedCount > 0) {
-        // Queue operations for lazy writing
-        const deletedDocs = result.deletedDocuments || [];
-        for (const doc of deletedDocs) {
-          this.performanceEngine.queueOperation(collectionName, 'delete', {
-            documentId: doc._id
-          });
-        }
+      await this.flushOperations();
+      this._ensureInitialized();
+      this._ensureCollection(collectionName);
+
+      const where = this._idQuery(query) || {};
+      if (Object.keys(where).length === 0) {
+        const collection = this.collections.get(collectionName);
+        // A lazily loaded collection holds only its resident documents
+        return this.documentPager ? collection.metadata.totalDocuments : collection.documents.size;
       }
 
-      return result;
+      const { results } = await this._executeQuery(collectionName, { where });
+      this.stats.totalReads++;
+      return results.length;
     } catch (error) {
-      this.audit.log('delete_failed', { collection: collectionName, error: error.message });
+      this.audit.log('count_failed', { collection: collectionName, error: error.message });
       throw error;
     }
   }
 
   /**
-   * Count documents in collection
+   * A document ID passed where a query is expected, as an `_id` query
+   * @private
    */
-  async count(collectionName, query = {}) {
-    try {
-      const collection = this.collectionManager.collection(collectionName);
-      return collection.count(query);
-    } catch (error) {
-      this.audit.log('count_failed', { collection: collectionName, error: error.message });
-      throw error;
-    }
+  _idQuery(query) {
+    return typeof query === 'string' || typeof query === 'number' ? { _id: query } : query;
   }
 
   /**
@@ -4654,7 +5552,6 @@ export class BigBaseAlpha extends EventEmitter {
       // Flush any pending lazy write operations
       if (this.lazyWrite) {
         this.logger.process('Flushing pending operations...');
-        await this.performanceEngine.flush();
         await this.performanceEngine.destroy();
       }
 
@@ -4692,6 +5589,11 @@ export class BigBaseAlpha extends EventEmitter {
         }
       }
 
+      // Storage, indexes and cache last, once nothing else can write
+      if (this.isInitialized) {
+        await this._closeManagers();
+      }
+
       this.isInitialized = false;
       this.emit('closed');
       this.logger.success('BigBaseAlpha database closed successfully');
@@ -5119,4 +6021,5 @@ export class BigBaseAlpha extends EventEmitter {
   }
 }
 
+export { Transaction, TransactionConflictError, VersionConflictError, SchemaValidationError, MigrationError, CursorTokenError, EncryptedFieldQueryError, ResumeTokenError, SearchQueryError, AnalyzerError, VectorQueryError };
 export default BigBaseAlpha;
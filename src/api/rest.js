@@ -1,6 +1,7 @@
 import express from 'express';
 import cors from 'cors';
 import { EventEmitter } from 'events';
+import { VersionConflictError } from '../transactions/index.js';
 
 /**
  * BigBaseAlpha Auto-Generated REST API
@@ -222,19 +223,19 @@ export class RESTAPIGenerator extends EventEmitter {
             async (req, res) => {
                 try {
                     const {
-                        page = 1,
+                        page,
+                        after,
                         limit = this.options.pagination.defaultLimit,
                         sort,
                         filter,
                         search
                     } = req.query;
                     
-                    const pageNum = Math.max(1, parseInt(page));
+                    const pageNum = Math.max(1, parseInt(page) || 1);
                     const limitNum = Math.min(
-                        Math.max(1, parseInt(limit)),
+                        Math.max(1, parseInt(limit) || this.options.pagination.defaultLimit),
                         this.options.pagination.maxLimit
                     );
-                    const skip = (pageNum - 1) * limitNum;
                     
                     // Build query
                     let query = {};
@@ -254,12 +255,8 @@ export class RESTAPIGenerator extends EventEmitter {
                         query.$text = { $search: search };
                     }
                     
-                    // Execute query
-                    let queryBuilder = collection.find(query);
-                    
-                    // Apply sorting
+                    const sortObj = {};
                     if (sort) {
-                        const sortObj = {};
                         sort.split(',').forEach(field => {
                             if (field.startsWith('-')) {
                                 sortObj[field.substring(1)] = -1;
@@ -267,28 +264,83 @@ export class RESTAPIGenerator extends EventEmitter {
                                 sortObj[field] = 1;
                             }
                         });
-                        queryBuilder = queryBuilder.sort(sortObj);
                     }
                     
-                    // Apply pagination
-                    const documents = await queryBuilder.skip(skip).limit(limitNum).toArray();
-                    const totalCount = await collection.countDocuments(query);
+                    // Full-text queries are ranked by relevance (unless sorted) and paged by number
+                    if (query.$text) {
+                        if (after) {
+                            return res.status(400).json({
+                                success: false,
+                                error: 'Search results are paged with page, not after'
+                            });
+                        }
+                        
+                        const { results, total } = await this.database.search(collectionName, {
+                            filter: query,
+                            sort: Object.keys(sortObj).length > 0 ? sortObj : null,
+                            offset: (pageNum - 1) * limitNum,
+                            limit: limitNum
+                        });
+                        
+                        return res.json({
+                            success: true,
+                            data: results.map(result => ({ ...result.document, _score: result.score })),
+                            pagination: {
+                                limit: limitNum,
+                                page: pageNum,
+                                total,
+                                hasNext: pageNum * limitNum < total,
+                                hasPrev: pageNum > 1
+                            }
+                        });
+                    }
+                    
+                    // Read one page through a cursor; `after` continues from a previous page's token.
+                    // The extra document in the batch tells whether another page follows.
+                    let cursor;
+                    try {
+                        cursor = this.database.cursor(collectionName, query, {
+                            sort: sortObj,
+                            batchSize: limitNum + 1,
+                            after,
+                            skip: after ? 0 : (pageNum - 1) * limitNum
+                        });
+                    } catch (error) {
+                        if (error.code === 'INVALID_CURSOR_TOKEN') {
+                            return res.status(400).json({
+                                success: false,
+                                error: error.message
+                            });
+                        }
+                        throw error;
+                    }
+                    
+                    const documents = await cursor.nextBatch(limitNum);
+                    const hasNext = await cursor.hasNext();
+                    
+                    // Page-number requests keep their totals; continuing with `after` skips the count
+                    const total = after ? null : await this.database.count(collectionName, query);
                     
                     res.json({
                         success: true,
                         data: documents,
                         pagination: {
-                            page: pageNum,
                             limit: limitNum,
-                            total: totalCount,
-                            pages: Math.ceil(totalCount / limitNum),
-                            hasNext: pageNum * limitNum < totalCount,
-                            hasPrev: pageNum > 1
+                            hasNext,
+                            next: hasNext ? cursor.getContinuationToken() : null,
+                            ...(!after && {
+                                page: pageNum,
+                                total,
+                                pages: Math.ceil(total / limitNum),
+                                hasPrev: pageNum > 1
+                            })
                         }
                     });
                     
                 } catch (error) {
-                    res.status(500).json({
+                    // A filter an encrypted field cannot answer, or a malformed search, is the client's mistake
+                    const clientError = error.code === 'ENCRYPTED_FIELD_QUERY' || error.code === 'INVALID_SEARCH_QUERY';
+                    res.status(clientError ? 400 : 500).json({
                         success: false,
                         error: error.message
                     });
@@ -302,7 +354,7 @@ export class RESTAPIGenerator extends EventEmitter {
             this.authManager.requirePermission('read'),
             async (req, res) => {
                 try {
-                    const document = await collection.findOne({ _id: req.params.id });
+                    const document = await this.database.findById(collectionName, req.params.id);
                     
                     if (!document) {
                         return res.status(404).json({
@@ -311,6 +363,7 @@ export class RESTAPIGenerator extends EventEmitter {
                         });
                     }
                     
+                    this._setETag(res, document);
                     res.json({
                         success: true,
                         data: document
@@ -356,46 +409,24 @@ export class RESTAPIGenerator extends EventEmitter {
         );
         
         // PUT /collections/:name/:id - Update document
+        // Both update routes honour If-Match: "<_version>" and answer 412 on a stale version
         router.put('/:id',
             this.authManager.middleware(),
             this.authManager.requirePermission('write'),
             async (req, res) => {
-                try {
-                    const updateData = {
-                        ...req.body,
-                        _updatedBy: req.user._id,
-                        _updatedAt: new Date()
-                    };
-                    
-                    // Remove immutable fields
-                    delete updateData._id;
-                    delete updateData._createdBy;
-                    delete updateData._createdAt;
-                    
-                    const result = await collection.findOneAndUpdate(
-                        { _id: req.params.id },
-                        { $set: updateData },
-                        { returnDocument: 'after' }
-                    );
-                    
-                    if (!result) {
-                        return res.status(404).json({
-                            success: false,
-                            error: 'Document not found'
-                        });
-                    }
-                    
-                    res.json({
-                        success: true,
-                        data: result
-                    });
-                    
-                } catch (error) {
-                    res.status(400).json({
-                        success: false,
-                        error: error.message
-                    });
-                }
+                const updateData = {
+                    ...req.body,
+                    _updatedBy: req.user._id,
+                    _updatedAt: new Date()
+                };
+                
+                // Remove immutable fields
+                delete updateData._id;
+                delete updateData._createdBy;
+                delete updateData._createdAt;
+                delete updateData._version;
+                
+                await this._conditionalUpdate(collectionName, req, res, updateData);
             }
         );
         
@@ -404,37 +435,16 @@ export class RESTAPIGenerator extends EventEmitter {
             this.authManager.middleware(),
             this.authManager.requirePermission('write'),
             async (req, res) => {
-                try {
-                    const updateData = {
-                        ...req.body,
-                        _updatedBy: req.user._id,
-                        _updatedAt: new Date()
-                    };
-                    
-                    const result = await collection.findOneAndUpdate(
-                        { _id: req.params.id },
-                        { $set: updateData },
-                        { returnDocument: 'after' }
-                    );
-                    
-                    if (!result) {
-                        return res.status(404).json({
-                            success: false,
-                            error: 'Document not found'
-                        });
-                    }
-                    
-                    res.json({
-                        success: true,
-                        data: result
-                    });
-                    
-                } catch (error) {
-                    res.status(400).json({
-                        success: false,
-                        error: error.message
-                    });
-                }
+                const updateData = {
+                    ...req.body,
+                    _updatedBy: req.user._id,
+                    _updatedAt: new Date()
+                };
+                
+                delete updateData._id;
+                delete updateData._version;
+                
+                await this._conditionalUpdate(collectionName, req, res, updateData);
             }
         );
         
@@ -601,6 +611,83 @@ export class RESTAPIGenerator extends EventEmitter {
         }
     }
     
+    /**
+     * Apply a $set update, checking the If-Match header against the document version
+     * @private
+     */
+    async _conditionalUpdate(collectionName, req, res, updateData) {
+        const ifVersion = this._parseIfMatch(req.get('If-Match'));
+        if (ifVersion === null) {
+            return res.status(400).json({
+                success: false,
+                error: 'If-Match must be a document ETag such as "3"'
+            });
+        }
+        
+        try {
+            const existing = await this.database.findById(collectionName, req.params.id);
+            if (!existing) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Document not found'
+                });
+            }
+            
+            const result = await this.database.updateById(
+                collectionName,
+                req.params.id,
+                { $set: updateData },
+                { ifVersion }
+            );
+            
+            this._setETag(res, result);
+            res.json({
+                success: true,
+                data: result
+            });
+            
+        } catch (error) {
+            if (error instanceof VersionConflictError) {
+                res.set('ETag', `"${error.currentVersion}"`);
+                return res.status(412).json({
+                    success: false,
+                    error: error.message,
+                    code: error.code,
+                    currentVersion: error.currentVersion
+                });
+            }
+            
+            res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
+    }
+    
+    /**
+     * Parse an If-Match header into a version
+     * @private
+     * @returns {number|undefined|null} Version, undefined when absent or `*`, null when malformed
+     */
+    _parseIfMatch(header) {
+        if (!header || header.trim() === '*') {
+            return undefined;
+        }
+        
+        const match = header.trim().match(/^(?:W\/)?"?(\d+)"?$/);
+        return match ? Number(match[1]) : null;
+    }
+    
+    /**
+     * Expose the document version as a strong ETag
+     * @private
+     */
+    _setETag(res, document) {
+        if (document && document._version !== undefined) {
+            res.set('ETag', `"${document._version}"`);
+        }
+    }
+    
     /**
      * Rate limiting middleware
      */
@@ -650,10 +737,17 @@ export class RESTAPIGenerator extends EventEmitter {
                 tags: [collectionName],
                 security: [{ bearerAuth: [] }, { apiKey: [] }],
                 parameters: [
+                    {
+                        name: 'after',
+                        in: 'query',
+                        schema: { type: 'string' },
+                        description: 'Continuation token from the previous page (pagination.next)'
+                    },
                     {
                         name: 'page',
                         in: 'query',
-                        schema: { type: 'integer', default: 1 }
+                        schema: { type: 'integer', default: 1 },
+                        description: 'Page number, when not continuing with after'
                     },
                     {
                         name: 'limit',
@@ -666,6 +760,12 @@ export class RESTAPIGenerator extends EventEmitter {
                         schema: { type: 'string' },
                         description: 'JSON filter object'
                     },
+                    {
+                        name: 'search',
+                        in: 'query',
+                        schema: { type: 'string' },
+                        description: 'Full-text query; results are ranked by relevance and paged with page'
+                    },
                     {
                         name: 'sort',
                         in: 'query',
@@ -1,6 +1,18 @@
+import { matchesQuery } from '../query/matcher.js';
+
 /**
  * Cache Manager for BigBaseAlpha
  * Handles intelligent caching and memory management
+ *
+ * Besides plain keys it caches two kinds of collection entries:
+ * - documents (`getDocument`/`setDocument`), always in their stored form,
+ *   i.e. still encrypted when encryption is on; readers decrypt them
+ * - query results (`getQuery`/`setQuery`), keyed by the normalized
+ *   where/sort/limit/offset of the query
+ *
+ * Writes call invalidate() with the before and after images of the changed
+ * document: only the cached queries whose where clause matches one of them
+ * are dropped. Each collection has its own size budget and hit/miss counters.
  */
 export class CacheManager {
   constructor(config) {
@@ -10,16 +22,32 @@ export class CacheManager {
     this.maxItems = config.maxCacheItems || 10000;
     this.ttl = config.cacheTtl || 3600000; // 1 hour default TTL
     
+    // Per-collection budgets: `collectionCacheBudget` for every collection, `cacheBudgets` per name
+    this.collectionBudget = config.collectionCacheBudget
+      ? this._parseMemorySize(config.collectionCacheBudget)
+      : this.maxMemory;
+    this.budgets = new Map(
+      Object.entries(config.cacheBudgets || {}).map(([name, size]) => [name, this._parseMemorySize(size)])
+    );
+    
     // Cache storage
     this.cache = new Map();
     this.accessTimes = new Map();
     this.expireTimes = new Map();
+    this.sizes = new Map();
+    
+    // Collection entries: key -> collection, and collection -> (query key -> where clause)
+    this.owners = new Map();
+    this.queries = new Map();
+    this.generations = new Map();
+    this.collectionStats = new Map();
     
     // Statistics
     this.stats = {
       hits: 0,
       misses: 0,
       evictions: 0,
+      invalidations: 0,
       currentSize: 0,
       currentItems: 0
     };
@@ -28,6 +56,19 @@ export class CacheManager {
     this.accessOrder = [];
   }
 
+  /**
+   * Hand part of the memory budget to another consumer (the document pager
+   * of lazily loaded collections) and keep the rest for the cache
+   * @param {number} share - Fraction of maxMemory to hand over
+   * @returns {number} Bytes handed over
+   */
+  reserveMemory(share) {
+    const reserved = Math.floor(this.maxMemory * share);
+    this.maxMemory -= reserved;
+    this.collectionBudget = Math.min(this.collectionBudget, this.maxMemory);
+    return reserved;
+  }
+
   async init() {
     if (!this.enabled) {
       return;
@@ -72,42 +113,122 @@ export class CacheManager {
    * Set item in cache
    */
   set(key, value, ttl = null) {
-    if (!this.enabled) {
+    return this._store(key, value, ttl, null);
+  }
+
+  /**
+   * Cached document in its stored form, or null
+   */
+  getDocument(collectionName, id) {
+    const value = this.get(this._documentKey(collectionName, id));
+    this._count(collectionName, value !== null ? 'hits' : 'misses');
+    return value;
+  }
+
+  /**
+   * Cache a document. `document` must be the stored form (encrypted when
+   * encryption is on), the same object the collection holds.
+   */
+  setDocument(collectionName, id, document) {
+    return this._store(this._documentKey(collectionName, id), document, null, collectionName);
+  }
+
+  deleteDocument(collectionName, id) {
+    return this.delete(this._documentKey(collectionName, id));
+  }
+
+  /**
+   * Current write generation of a collection. Pass it to setQuery() so a
+   * result computed while a write went through is not cached.
+   */
+  generation(collectionName) {
+    return this.generations.get(collectionName) || 0;
+  }
+
+  /**
+   * Cached results of a query (`{ where, sort, limit, offset }`), or null
+   * @returns {Array|null} A copy of the cached result array
+   */
+  getQuery(collectionName, query) {
+    const key = this._queryKey(collectionName, query);
+    const results = key === null ? null : this.get(key);
+    this._count(collectionName, results !== null ? 'queryHits' : 'queryMisses');
+    return results ? [...results] : null;
+  }
+
+  /**
+   * Cache the stored documents a query returned
+   * @param {number} generation - generation() taken before the query ran
+   */
+  setQuery(collectionName, query, results, generation) {
+    const key = this._queryKey(collectionName, query);
+    if (key === null || generation !== this.generation(collectionName)) {
       return false;
     }
 
-    const itemTtl = ttl || this.ttl;
-    const expireTime = itemTtl > 0 ? Date.now() + itemTtl : null;
-    
-    // Calculate item size
-    const itemSize = this._calculateSize(value);
-    
-    // Check if we need to evict items
-    if (this._shouldEvict(itemSize)) {
-      this._evictItems(itemSize);
+    if (!this._store(key, [...results], null, collectionName)) {
+      return false;
+    }
+    if (!this.queries.has(collectionName)) {
+      this.queries.set(collectionName, new Map());
     }
+    this.queries.get(collectionName).set(key, query.where || {});
+    return true;
+  }
 
-    // Remove existing item if present
-    if (this.cache.has(key)) {
-      this.delete(key);
+  /**
+   * Drop what a write to one document makes stale: the document itself and
+   * the cached queries whose where clause matches any of `documents` (the
+   * before and after images; nulls are ignored)
+   */
+  invalidate(collectionName, id, ...documents) {
+    if (!this.enabled) {
+      return;
     }
 
-    // Add new item
-    this.cache.set(key, value);
-    this.accessTimes.set(key, Date.now());
-    
-    if (expireTime) {
-      this.expireTimes.set(key, expireTime);
+    this.generations.set(collectionName, this.generation(collectionName) + 1);
+    this.deleteDocument(collectionName, id);
+
+    const images = documents.filter(Boolean);
+    for (const [key, where] of this.queries.get(collectionName) || []) {
+      if (images.some(document => this._affects(where, document))) {
+        this.delete(key);
+        this._count(collectionName, 'invalidations');
+        this.stats.invalidations++;
+      }
     }
+  }
 
-    // Update statistics
-    this.stats.currentSize += itemSize;
-    this.stats.currentItems++;
-    
-    // Update access order
-    this._updateAccess(key);
-    
-    return true;
+  /**
+   * Drop every cached document and query of a collection
+   */
+  invalidateCollection(collectionName) {
+    if (!this.enabled) {
+      return;
+    }
+
+    this.generations.set(collectionName, this.generation(collectionName) + 1);
+    for (const [key, owner] of [...this.owners]) {
+      if (owner === collectionName) {
+        this.delete(key);
+        this._count(collectionName, 'invalidations');
+        this.stats.invalidations++;
+      }
+    }
+  }
+
+  /**
+   * Hit/miss counters, entries and size of one collection
+   */
+  getCollectionStats(collectionName) {
+    const stats = this._collectionStats(collectionName);
+    const lookups = stats.hits + stats.misses + stats.queryHits + stats.queryMisses;
+    return {
+      ...stats,
+      hitRate: lookups > 0 ? Math.round(((stats.hits + stats.queryHits) / lookups) * 10000) / 100 : 0,
+      memoryUsage: this._formatMemorySize(stats.currentSize),
+      budget: this._formatMemorySize(this._budget(collectionName))
+    };
   }
 
   /**
@@ -118,13 +239,22 @@ export class CacheManager {
       return false;
     }
 
-    const value = this.cache.get(key);
-    const itemSize = this._calculateSize(value);
+    const itemSize = this.sizes.get(key);
     
     // Remove from all tracking structures
     this.cache.delete(key);
     this.accessTimes.delete(key);
     this.expireTimes.delete(key);
+    this.sizes.delete(key);
+    
+    const owner = this.owners.get(key);
+    if (owner !== undefined) {
+      this.owners.delete(key);
+      this.queries.get(owner)?.delete(key);
+      const stats = this._collectionStats(owner);
+      stats.currentSize -= itemSize;
+      stats.currentItems--;
+    }
     
     // Remove from access order
     const orderIndex = this.accessOrder.indexOf(key);
@@ -172,10 +302,17 @@ export class CacheManager {
     this.cache.clear();
     this.accessTimes.clear();
     this.expireTimes.clear();
+    this.sizes.clear();
+    this.owners.clear();
+    this.queries.clear();
     this.accessOrder = [];
     
     this.stats.currentSize = 0;
     this.stats.currentItems = 0;
+    for (const stats of this.collectionStats.values()) {
+      stats.currentSize = 0;
+      stats.currentItems = 0;
+    }
   }
 
   /**
@@ -185,12 +322,18 @@ export class CacheManager {
     const hitRate = this.stats.hits + this.stats.misses > 0 ? 
       (this.stats.hits / (this.stats.hits + this.stats.misses)) * 100 : 0;
 
+    const collections = {};
+    for (const name of this.collectionStats.keys()) {
+      collections[name] = this.getCollectionStats(name);
+    }
+
     return {
       ...this.stats,
       hitRate: Math.round(hitRate * 100) / 100,
       memoryUsage: this._formatMemorySize(this.stats.currentSize),
       maxMemory: this._formatMemorySize(this.maxMemory),
-      memoryUtilization: Math.round((this.stats.currentSize / this.maxMemory) * 10000) / 100
+      memoryUtilization: Math.round((this.stats.currentSize / this.maxMemory) * 10000) / 100,
+      collections
     };
   }
 
@@ -318,6 +461,134 @@ export class CacheManager {
 
   // Private methods
 
+  _store(key, value, ttl, collectionName) {
+    if (!this.enabled) {
+      return false;
+    }
+
+    const itemTtl = ttl || this.ttl;
+    const expireTime = itemTtl > 0 ? Date.now() + itemTtl : null;
+    
+    // Calculate item size
+    const itemSize = this._calculateSize(value);
+    
+    // Remove existing item if present
+    if (this.cache.has(key)) {
+      this.delete(key);
+    }
+
+    // Keep the collection within its budget; an entry larger than the budget is not cached
+    if (collectionName !== null) {
+      const budget = this._budget(collectionName);
+      if (itemSize > budget) {
+        return false;
+      }
+      this._evictCollection(collectionName, budget - itemSize);
+    }
+
+    // Check if we need to evict items
+    if (this._shouldEvict(itemSize)) {
+      this._evictItems(itemSize);
+    }
+
+    // Add new item
+    this.cache.set(key, value);
+    this.sizes.set(key, itemSize);
+    this.accessTimes.set(key, Date.now());
+    
+    if (expireTime) {
+      this.expireTimes.set(key, expireTime);
+    }
+
+    // Update statistics
+    this.stats.currentSize += itemSize;
+    this.stats.currentItems++;
+    
+    if (collectionName !== null) {
+      this.owners.set(key, collectionName);
+      const stats = this._collectionStats(collectionName);
+      stats.currentSize += itemSize;
+      stats.currentItems++;
+    }
+    
+    // Update access order
+    this._updateAccess(key);
+    
+    return true;
+  }
+
+  _documentKey(collectionName, id) {
+    return `${collectionName}:${id}`;
+  }
+
+  /**
+   * Key of a query result, or null if the query cannot be cached
+   */
+  _queryKey(collectionName, { where = {}, sort = {}, limit = null, offset = 0 } = {}) {
+    const normalizedWhere = normalizeQueryValue(where);
+    if (normalizedWhere === undefined) {
+      return null;
+    }
+    // Sort keys keep their order: it decides the result order
+    const normalizedSort = Object.entries(sort || {}).map(([field, direction]) => [field, direction === -1 ? -1 : 1]);
+    return `${collectionName}?${JSON.stringify([normalizedWhere, normalizedSort, limit ?? null, offset || 0])}`;
+  }
+
+  _affects(where, document) {
+    try {
+      return matchesQuery(document, where);
+    } catch {
+      return true;
+    }
+  }
+
+  _budget(collectionName) {
+    return this.budgets.get(collectionName) ?? this.collectionBudget;
+  }
+
+  _collectionStats(collectionName) {
+    if (!this.collectionStats.has(collectionName)) {
+      this.collectionStats.set(collectionName, {
+        hits: 0,
+        misses: 0,
+        queryHits: 0,
+        queryMisses: 0,
+        invalidations: 0,
+        evictions: 0,
+        currentSize: 0,
+        currentItems: 0
+      });
+    }
+    return this.collectionStats.get(collectionName);
+  }
+
+  _count(collectionName, counter) {
+    if (this.enabled) {
+      this._collectionStats(collectionName)[counter]++;
+    }
+  }
+
+  /**
+   * Evict a collection's least recently used entries until it uses at most `limit` bytes
+   */
+  _evictCollection(collectionName, limit) {
+    const stats = this._collectionStats(collectionName);
+    if (stats.currentSize <= limit) {
+      return;
+    }
+
+    for (const key of [...this.accessOrder]) {
+      if (stats.currentSize <= limit) {
+        break;
+      }
+      if (this.owners.get(key) === collectionName) {
+        this.delete(key);
+        stats.evictions++;
+        this.stats.evictions++;
+      }
+    }
+  }
+
   _updateAccess(key) {
     // Remove from current position
     const currentIndex = this.accessOrder.indexOf(key);
@@ -348,14 +619,17 @@ export class CacheManager {
       this.accessOrder.length > 0
     ) {
       const lruKey = this.accessOrder[0];
-      const lruValue = this.cache.get(lruKey);
-      const itemSize = this._calculateSize(lruValue);
+      const itemSize = this.sizes.get(lruKey);
+      const owner = this.owners.get(lruKey);
       
       this.delete(lruKey);
       
       freedSpace += itemSize;
       itemsEvicted++;
       this.stats.evictions++;
+      if (owner !== undefined) {
+        this._collectionStats(owner).evictions++;
+      }
     }
     
     return { freedSpace, itemsEvicted };
@@ -442,4 +716,37 @@ export class CacheManager {
   }
 }
 
+/**
+ * Canonical form of a where clause for cache keys: object keys sorted,
+ * dates and regular expressions tagged. Undefined for values that cannot
+ * be keyed (functions).
+ */
+function normalizeQueryValue(value) {
+  if (value instanceof Date) {
+    return { $date: value.toISOString() };
+  }
+  if (value instanceof RegExp) {
+    return { $regex: value.source, $options: value.flags };
+  }
+  if (typeof value === 'function' || typeof value === 'symbol') {
+    return undefined;
+  }
+  if (Array.isArray(value)) {
+    const items = value.map(normalizeQueryValue);
+    return items.includes(undefined) ? undefined : items;
+  }
+  if (value && typeof value === 'object') {
+    const normalized = {};
+    for (const key of Object.keys(value).sort()) {
+      const item = normalizeQueryValue(value[key]);
+      if (item === undefined) {
+        return undefined;
+      }
+      normalized[key] = item;
+    }
+    return normalized;
+  }
+  return value;
+}
+
 export default CacheManager;
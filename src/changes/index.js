@@ -0,0 +1,352 @@
+import { join } from 'path';
+import { matchesQuery, valuesEqual } from '../query/matcher.js';
+import { ChangeLog } from './log.js';
+
+const TOKEN_PATTERN = /^[0-9a-f]{16}$/;
+const FULL_DOCUMENT_MODES = ['default', 'updateLookup', 'whenAvailable'];
+
+/**
+ * Raised when a resume token is malformed or was not issued by this
+ * database (`INVALID_RESUME_TOKEN`), or when the change log no longer holds
+ * the changes after it (`RESUME_TOKEN_EXPIRED`)
+ */
+export class ResumeTokenError extends Error {
+  constructor(message, code = 'INVALID_RESUME_TOKEN') {
+    super(message);
+    this.name = 'ResumeTokenError';
+    this.code = code;
+  }
+}
+
+/**
+ * Resume tokens are fixed-width hex sequence numbers, so later changes have
+ * tokens that also compare greater as strings
+ */
+export function toResumeToken(seq) {
+  return seq.toString(16).padStart(16, '0');
+}
+
+function parseResumeToken(token) {
+  if (typeof token !== 'string' || !TOKEN_PATTERN.test(token)) {
+    throw new ResumeTokenError(`Invalid resume token: ${JSON.stringify(token)}`);
+  }
+  return parseInt(token, 16);
+}
+
+/**
+ * Top-level fields that differ between two versions of a document
+ */
+export function diffFields(before, after) {
+  const updatedFields = Object.keys(after).filter(field =>
+    !Object.hasOwn(before, field) || !valuesEqual(before[field], after[field]));
+  const removedFields = Object.keys(before).filter(field => !Object.hasOwn(after, field));
+  return { updatedFields, removedFields };
+}
+
+/**
+ * Change stream over one collection (or with a null collection, all of
+ * them); an async iterator of change events
+ *
+ * ```
+ * {
+ *   _id,                // resume token
+ *   operationType,      // 'insert' | 'update' | 'delete'
+ *   collection,
+ *   documentKey: { _id },
+ *   timestamp,
+ *   txnId,              // set for changes committed by a transaction
+ *   updateDescription,  // updates: { updatedFields: { field: value }, removedFields: [field] }
+ *   fullDocument        // see the `fullDocument` option
+ * }
+ * ```
+ *
+ * Changes written while the stream is open are buffered up to
+ * `maxBuffered`; a consumer that falls further behind reads them back from
+ * the change log instead, so nothing is lost while the log still holds them.
+ */
+export class ChangeStream {
+  constructor(manager, collectionName, position, options) {
+    this.manager = manager;
+    this.log = manager.log;
+    this.collectionName = collectionName;
+    this.filter = options.filter || {};
+    this.fullDocument = options.fullDocument || 'default';
+    this.batchSize = options.batchSize || 100;
+    this.maxBuffered = options.maxBuffered || manager.maxBuffered;
+
+    this.position = position; // sequence number of the last change consumed
+    this.catchingUp = options.resumeAfter !== undefined && options.resumeAfter !== null;
+    this.dropped = false;
+    this.ready = [];
+    this.live = [];
+    this.wake = null;
+    this.closed = false;
+
+    this.listener = record => {
+      if (this.collectionName && record.collection !== this.collectionName) {
+        return;
+      }
+      if (record.seq <= this.position) {
+        return;
+      }
+
+      this.live.push(record);
+      if (this.live.length > this.maxBuffered) {
+        // The log has them; read them back once the consumer gets here
+        this.live = [];
+        this.dropped = true;
+        this.catchingUp = true;
+      }
+      this._wake();
+    };
+    this.log.on('change', this.listener);
+  }
+
+  /**
+   * Token of the last change this stream returned (or skipped by filter);
+   * pass it as `resumeAfter` to continue after it
+   */
+  get resumeToken() {
+    return toResumeToken(this.position);
+  }
+
+  /**
+   * Wait for the next matching change
+   */
+  async next() {
+    for (;;) {
+      if (this.closed) {
+        return { done: true, value: undefined };
+      }
+
+      const record = this.ready.shift();
+      if (!record) {
+        await this._fill();
+        continue;
+      }
+      if (record.seq <= this.position) {
+        continue;
+      }
+
+      this.position = record.seq;
+      const event = await this._toEvent(record);
+      if (matchesQuery(event, this.filter)) {
+        return { done: false, value: await this._shape(event) };
+      }
+    }
+  }
+
+  async return() {
+    this.close();
+    return { done: true, value: undefined };
+  }
+
+  [Symbol.asyncIterator]() {
+    return this;
+  }
+
+  /**
+   * Stop the stream; a pending next() resolves as done
+   */
+  close() {
+    if (this.closed) {
+      return;
+    }
+
+    this.closed = true;
+    this.log.off('change', this.listener);
+    this.manager.streams.delete(this);
+    this.ready = [];
+    this.live = [];
+    this._wake();
+  }
+
+  // Private methods
+
+  async _fill() {
+    if (this.catchingUp) {
+      if (this.position < this.log.firstSeq - 1) {
+        this.close();
+        throw new ResumeTokenError(
+          `Change stream fell behind the change log: changes after ${this.resumeToken} were compacted away`,
+          'RESUME_TOKEN_EXPIRED'
+        );
+      }
+
+      // A drop while this page is read means the live buffer has a gap again
+      this.dropped = false;
+      const page = await this.log.read(this.position, this.batchSize, this.collectionName);
+      if (page.length < this.batchSize && !this.dropped) {
+        this.catchingUp = false;
+      }
+      this.ready = page;
+      return;
+    }
+
+    if (this.live.length > 0) {
+      this.ready = this.live;
+      this.live = [];
+      return;
+    }
+
+    await new Promise(resolve => {
+      this.wake = resolve;
+    });
+  }
+
+  _wake() {
+    if (this.wake) {
+      const wake = this.wake;
+      this.wake = null;
+      wake();
+    }
+  }
+
+  async _toEvent(record) {
+    const db = this.manager.database;
+    const event = {
+      _id: toResumeToken(record.seq),
+      operationType: record.op,
+      collection: record.collection,
+      documentKey: { _id: record.id },
+      timestamp: new Date(record.timestamp)
+    };
+
+    if (record.txn) {
+      event.txnId = record.txn;
+    }
+    if (record.document) {
+      // The log keeps documents as stored, so encrypted fields stay encrypted on disk
+      event.fullDocument = await db._decryptDocument(record.document);
+    }
+    if (record.op === 'update') {
+      event.updateDescription = {
+        updatedFields: Object.fromEntries((record.updatedFields || []).map(field => [field, event.fullDocument?.[field]])),
+        removedFields: record.removedFields || []
+      };
+    }
+
+    return event;
+  }
+
+  async _shape(event) {
+    if (event.operationType !== 'update' || this.fullDocument === 'whenAvailable') {
+      return event;
+    }
+
+    if (this.fullDocument === 'updateLookup') {
+      const db = this.manager.database;
+      event.fullDocument = db.collections.has(event.collection)
+        ? await db.findById(event.collection, event.documentKey._id)
+        : null;
+    } else {
+      delete event.fullDocument;
+    }
+    return event;
+  }
+}
+
+/**
+ * Change Stream Manager for BigBaseAlpha
+ * Records every document change in the change log and opens change streams
+ * over it.
+ *
+ * Writes record their change while they hold the collection's write lock,
+ * after storage has applied them, so the order of a collection's changes in
+ * the log is the order its writes took effect. A transaction records all of
+ * its changes together under its id.
+ */
+export class ChangeStreamManager {
+  constructor(database, options = {}) {
+    this.database = database;
+    this.enabled = options.enabled !== false;
+    this.maxBuffered = options.maxBuffered || 1000;
+    this.log = new ChangeLog(join(database.config.path, 'changes'), {
+      fsync: options.fsync,
+      maxEvents: options.maxEvents,
+      maxAge: options.maxAge
+    });
+    this.streams = new Set();
+  }
+
+  async init() {
+    if (this.enabled) {
+      await this.log.open();
+    }
+  }
+
+  /**
+   * Log a change. `document` is the stored document after the change (null
+   * for deletes); for updates, `before` and `after` are the two versions in
+   * comparable (decrypted) form.
+   */
+  async record(collectionName, op, id, { document = null, before = null, after = null, txn = null } = {}) {
+    if (!this.enabled || !this.log.handle) {
+      return null;
+    }
+
+    const change = { op, collection: collectionName, id, document };
+    if (op === 'update' && before && after) {
+      Object.assign(change, diffFields(before, after));
+    }
+    if (txn) {
+      change.txn = txn;
+    }
+
+    return this.log.append(change);
+  }
+
+  /**
+   * Open a change stream
+   * @param {Object} options - `filter` (matched against the change event, whose
+   *   `fullDocument` is the document after the change), `fullDocument`
+   *   ('default', 'updateLookup' or 'whenAvailable'), `resumeAfter`,
+   *   `batchSize`, `maxBuffered`
+   */
+  watch(collectionName, options = {}) {
+    if (!this.enabled) {
+      throw new Error('Change streams are disabled (`changeStreams.enabled: false`)');
+    }
+    if (!FULL_DOCUMENT_MODES.includes(options.fullDocument || 'default')) {
+      throw new Error(`Unknown fullDocument mode '${options.fullDocument}' (expected ${FULL_DOCUMENT_MODES.join(', ')})`);
+    }
+
+    let position = this.log.seq;
+    if (options.resumeAfter !== undefined && options.resumeAfter !== null) {
+      position = parseResumeToken(options.resumeAfter);
+      if (position > this.log.seq) {
+        throw new ResumeTokenError(`Resume token ${options.resumeAfter} is ahead of this database's change log`);
+      }
+      if (position < this.log.firstSeq - 1) {
+        throw new ResumeTokenError(
+          `Resume token ${options.resumeAfter} is older than the change log, which starts at ${toResumeToken(this.log.firstSeq)}`,
+          'RESUME_TOKEN_EXPIRED'
+        );
+      }
+    }
+
+    const stream = new ChangeStream(this, collectionName, position, options);
+    this.streams.add(stream);
+    return stream;
+  }
+
+  getStats() {
+    return {
+      enabled: this.enabled,
+      streams: this.streams.size,
+      ...this.log.getStats()
+    };
+  }
+
+  /**
+   * End open streams and close the log once pending changes are on disk
+   */
+  async close() {
+    for (const stream of this.streams) {
+      stream.close();
+    }
+    await this.log.close();
+  }
+}
+
+export default ChangeStreamManager;
@@ -0,0 +1,343 @@
+import { EventEmitter } from 'events';
+import { promises as fs, existsSync } from 'fs';
+import { join } from 'path';
+import { StringDecoder } from 'string_decoder';
+import { createHash } from 'crypto';
+
+const LOG_FILE = 'changes.log';
+const OFFSET_INTERVAL = 256; // records between entries of the offset index
+const READ_CHUNK = 64 * 1024;
+
+/**
+ * Change Log for BigBaseAlpha
+ * Ordered, persisted record of every document change, read by change streams.
+ *
+ * Each line is `<checksum> <json>` holding one change with its sequence
+ * number; sequence numbers only grow, also across restarts, because
+ * compaction always keeps the newest change. Appends are group-committed
+ * like the lazy-write journal, and every record is emitted as `change` once
+ * it is on disk, in sequence order. A sparse offset index lets readers start
+ * near a sequence number instead of at the top of the file.
+ */
+export class ChangeLog extends EventEmitter {
+  constructor(directory, options = {}) {
+    super();
+    this.setMaxListeners(0); // One listener per open change stream
+    this.directory = directory;
+    this.logPath = join(directory, LOG_FILE);
+    this.fsync = options.fsync === true;
+    this.maxEvents = options.maxEvents || 100000;
+    this.maxAge = options.maxAge || null; // ms
+
+    this.handle = null;
+    this.seq = 0; // last assigned sequence number
+    this.firstSeq = 1; // oldest retained sequence number
+    this.written = 0; // last sequence number on disk
+    this.count = 0;
+    this.size = 0;
+    this.offsets = []; // [{ seq, offset }] every OFFSET_INTERVAL records
+    this.buffer = []; // { line, record, resolve, reject } waiting for the next group commit
+    this.committing = null;
+    this.compacting = null;
+    this.generation = 0; // bumped when compaction replaces the file
+
+    this.stats = {
+      appended: 0,
+      groupCommits: 0,
+      syncs: 0,
+      compactions: 0,
+      discarded: 0
+    };
+  }
+
+  /**
+   * Open the log, dropping a torn or corrupt tail left by a crash
+   */
+  async open() {
+    if (!existsSync(this.directory)) {
+      await fs.mkdir(this.directory, { recursive: true });
+    }
+
+    const lines = [];
+    let valid = 0;
+    if (existsSync(this.logPath)) {
+      const content = await fs.readFile(this.logPath, 'utf8');
+      for (const line of content.split('\n')) {
+        if (!line) continue;
+
+        const record = this._decode(line);
+        if (!record) {
+          this.stats.discarded++;
+          break; // Written after the crash point
+        }
+        lines.push({ line, record });
+        valid += Buffer.byteLength(line) + 1;
+      }
+    }
+
+    if (existsSync(this.logPath)) {
+      await fs.truncate(this.logPath, valid);
+    }
+    this.handle = await fs.open(this.logPath, 'a');
+    this._index(lines);
+
+    if (this._needsCompaction(0)) {
+      await this._compact();
+    }
+  }
+
+  /**
+   * Append a change; resolves with its record once it is on disk.
+   * Sequence numbers are assigned in call order.
+   */
+  append(change) {
+    const record = { seq: ++this.seq, timestamp: Date.now(), ...change };
+    this.stats.appended++;
+
+    const line = this._encode(record);
+    return new Promise((resolve, reject) => {
+      this.buffer.push({ line, record, resolve, reject });
+      if (!this.committing) {
+        this.committing = this._commitGroups().finally(() => {
+          this.committing = null;
+        });
+      }
+    });
+  }
+
+  /**
+   * Up to `limit` records after sequence number `after`, in order,
+   * optionally only those of one collection
+   */
+  async read(after, limit, collectionName = null) {
+    // Compaction replaces the file; retry on a snapshot taken between compactions
+    for (;;) {
+      if (this.compacting) {
+        await this.compacting;
+      }
+
+      const generation = this.generation;
+      const size = this.size;
+      const start = this._offsetBefore(after + 1);
+      const handle = await fs.open(this.logPath, 'r');
+
+      try {
+        if (generation !== this.generation) {
+          continue;
+        }
+        return await this._readFrom(handle, start, size, after, limit, collectionName);
+      } finally {
+        await handle.close();
+      }
+    }
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      seq: this.seq,
+      firstSeq: this.firstSeq,
+      written: this.written,
+      retained: this.count,
+      size: this.size
+    };
+  }
+
+  async close() {
+    while (this.committing) {
+      await this.committing;
+    }
+    if (this.handle) {
+      await this.handle.close();
+      this.handle = null;
+    }
+    this.removeAllListeners('change');
+  }
+
+  // Private methods
+
+  async _commitGroups() {
+    while (this.buffer.length > 0) {
+      const group = this.buffer;
+      this.buffer = [];
+
+      try {
+        const data = group.map(entry => entry.line).join('');
+        const offset = this.size;
+        await this.handle.write(data);
+        if (this.fsync) {
+          await this.handle.datasync();
+          this.stats.syncs++;
+        }
+        this.stats.groupCommits++;
+
+        let position = offset;
+        for (const { line, record } of group) {
+          this._track(record.seq, position);
+          position += Buffer.byteLength(line);
+        }
+        this.size = position;
+        this.written = group[group.length - 1].record.seq;
+      } catch (error) {
+        group.forEach(entry => entry.reject(error));
+        continue;
+      }
+
+      // Listeners get the record as a reader of the file would, after JSON
+      for (const { line } of group) {
+        this.emit('change', JSON.parse(line.slice(line.indexOf(' ') + 1)));
+      }
+      group.forEach(entry => entry.resolve(entry.record));
+
+      if (this._needsCompaction(this.maxEvents / 2)) {
+        try {
+          await this._compact();
+        } catch {
+          // Keep the longer log; the next group commit tries again
+        }
+      }
+    }
+  }
+
+  _needsCompaction(slack) {
+    if (this.count <= 1) {
+      return false;
+    }
+    return this.count > this.maxEvents + slack;
+  }
+
+  async _compact() {
+    let done;
+    this.compacting = new Promise(resolve => {
+      done = resolve;
+    });
+    this.generation++;
+
+    try {
+      const content = await fs.readFile(this.logPath, 'utf8');
+      const minTimestamp = this.maxAge ? Date.now() - this.maxAge : -Infinity;
+      const lines = [];
+      for (const line of content.split('\n')) {
+        if (!line) continue;
+        const record = this._decode(line);
+        if (record) {
+          lines.push({ line, record });
+        }
+      }
+
+      // Keep the newest changes within both limits, and always the very last one
+      const kept = lines.filter(({ record }, i) =>
+        i === lines.length - 1 || (i >= lines.length - this.maxEvents && record.timestamp >= minTimestamp));
+
+      const tmpPath = `${this.logPath}.tmp`;
+      await fs.writeFile(tmpPath, kept.map(({ line }) => `${line}\n`).join(''));
+      await fs.rename(tmpPath, this.logPath);
+      await this.handle.close();
+      this.handle = await fs.open(this.logPath, 'a');
+
+      this._index(kept);
+      this.stats.compactions++;
+    } finally {
+      this.compacting = null;
+      done();
+    }
+  }
+
+  _index(lines) {
+    this.offsets = [];
+    this.count = 0;
+    this.size = 0;
+    this.firstSeq = lines.length > 0 ? lines[0].record.seq : this.seq + 1;
+
+    for (const { line, record } of lines) {
+      this._track(record.seq, this.size);
+      this.size += Buffer.byteLength(line) + 1;
+      this.seq = Math.max(this.seq, record.seq);
+    }
+    this.written = this.seq;
+  }
+
+  _track(seq, offset) {
+    if (this.count % OFFSET_INTERVAL === 0) {
+      this.offsets.push({ seq, offset });
+    }
+    this.count++;
+  }
+
+  _offsetBefore(seq) {
+    // Last indexed record at or before `seq`
+    let low = 0;
+    let high = this.offsets.length - 1;
+    let offset = 0;
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      if (this.offsets[mid].seq <= seq) {
+        offset = this.offsets[mid].offset;
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return offset;
+  }
+
+  async _readFrom(handle, position, end, after, limit, collectionName) {
+    const records = [];
+    const chunk = Buffer.alloc(READ_CHUNK);
+    const decoder = new StringDecoder('utf8'); // A chunk may end inside a character
+    let rest = '';
+
+    while (position < end && records.length < limit) {
+      const { bytesRead } = await handle.read(chunk, 0, Math.min(READ_CHUNK, end - position), position);
+      if (bytesRead === 0) {
+        break;
+      }
+      position += bytesRead;
+
+      const lines = (rest + decoder.write(chunk.subarray(0, bytesRead))).split('\n');
+      rest = lines.pop();
+
+      for (const line of lines) {
+        const record = line ? this._decode(line) : null;
+        if (!record || record.seq <= after || (collectionName && record.collection !== collectionName)) {
+          continue;
+        }
+        records.push(record);
+        if (records.length === limit) {
+          break;
+        }
+      }
+    }
+
+    return records;
+  }
+
+  _encode(record) {
+    const json = JSON.stringify(record);
+    return `${this._checksum(json)} ${json}\n`;
+  }
+
+  _decode(line) {
+    const separator = line.indexOf(' ');
+    if (separator === -1) {
+      return null;
+    }
+
+    const json = line.slice(separator + 1);
+    if (line.slice(0, separator) !== this._checksum(json)) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(json);
+    } catch {
+      return null;
+    }
+  }
+
+  _checksum(json) {
+    return createHash('sha256').update(json).digest('hex').slice(0, 16);
+  }
+}
+
+export default ChangeLog;
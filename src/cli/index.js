@@ -6,7 +6,8 @@ import ora from 'ora';
 import Table from 'cli-table3';
 import { existsSync } from 'fs';
 import { promises as fs } from 'fs';
-import { join } from 'path';
+import { join, resolve } from 'path';
+import { pathToFileURL } from 'url';
 
 import BigBaseAlpha from '../alpha.js';
 
@@ -572,27 +573,36 @@ program
         throw new Error(`Collection '${collection}' does not exist`);
       }
       
-      let queryOptions = {};
+      let query = {};
       if (options.query) {
         try {
-          const query = JSON.parse(options.query);
-          queryOptions.where = query;
+          query = JSON.parse(options.query);
         } catch (parseError) {
           throw new Error(`Invalid query JSON: ${parseError.message}`);
         }
       }
       
-      // Get all documents
-      const documents = await db.query(collection, queryOptions);
+      // Stream the documents to the file batch by batch instead of loading them all
+      const output = await fs.open(file, 'w');
+      let exported = 0;
+      try {
+        for await (const document of db.cursor(collection, query, { batchSize: 500 })) {
+          const json = options.pretty
+            ? JSON.stringify(document, null, 2).replace(/^/gm, '  ')
+            : JSON.stringify(document);
+          await output.write(`${exported === 0 ? '[' : ','}${options.pretty ? '\n' : ''}${json}`);
+          exported++;
+          spinner.text = `Exporting '${collection}' data... ${exported} documents`;
+        }
+        await output.write(exported === 0 ? '[]' : `${options.pretty ? '\n' : ''}]`);
+      } finally {
+        await output.close();
+      }
       
       await db.close();
       
-      // Write to file
-      const jsonContent = JSON.stringify(documents, null, options.pretty ? 2 : 0);
-      await fs.writeFile(file, jsonContent, 'utf8');
-      
       spinner.succeed();
-      log(`Exported ${documents.length} documents to ${file}`, 'success');
+      log(`Exported ${exported} documents to ${file}`, 'success');
       
     } catch (error) {
       spinner.fail();
@@ -604,6 +614,153 @@ program
     }
   });
 
+// Migrate command
+program
+  .command('migrate')
+  .description('Migrate a collection to another schema version')
+  .argument('<collection>', 'collection name')
+  .option('-f, --file <file>', 'migrations module (exports an array of { version, up, down, schema })')
+  .option('-t, --to <version>', 'target schema version (default: latest migration)')
+  .option('--lazy', 'record the new version only; documents are migrated as they are read')
+  .option('--batch-size <n>', 'documents rewritten per batch', '100')
+  .option('--status', 'show the schema version and migrations without migrating')
+  .action(async (collection, options) => {
+    const spinner = createSpinner(`Migrating '${collection}'...`);
+    
+    try {
+      const db = await connectToDatabase();
+      
+      if (!db.collections.has(collection)) {
+        throw new Error(`Collection '${collection}' does not exist`);
+      }
+      
+      if (options.file) {
+        if (!existsSync(options.file)) {
+          throw new Error(`Migrations file not found: ${options.file}`);
+        }
+        const module = await import(pathToFileURL(resolve(options.file)).href);
+        db.registerMigrations(collection, module.default || module.migrations);
+      }
+      
+      if (options.status) {
+        const status = db.getMigrationStatus(collection);
+        await db.close();
+        
+        log(`Collection '${collection}' is at schema version ${status.version}`, 'info');
+        if (status.migrations.length > 0) {
+          const table = new Table({
+            head: ['Version', 'Description', 'Reversible', 'Applied'],
+            colWidths: [10, 40, 12, 10]
+          });
+          
+          for (const migration of status.migrations) {
+            table.push([
+              migration.version,
+              migration.description || '-',
+              migration.reversible ? 'yes' : 'no',
+              migration.version <= status.version ? chalk.green('yes') : chalk.gray('no')
+            ]);
+          }
+          
+          console.log(table.toString());
+        }
+        return;
+      }
+      
+      spinner.start();
+      
+      const result = await db.migrate(collection, {
+        to: options.to !== undefined ? parseInt(options.to) : undefined,
+        mode: options.lazy ? 'lazy' : 'eager',
+        batchSize: parseInt(options.batchSize),
+        onProgress: progress => {
+          spinner.text = `Migrating '${collection}'... ${progress.percent}% (${progress.processed}/${progress.total} documents, ${progress.migrated} rewritten)`;
+        }
+      });
+      
+      await db.close();
+      spinner.succeed();
+      
+      log(`Collection '${collection}' migrated from version ${result.fromVersion} to ${result.toVersion}`, 'success');
+      if (result.mode === 'lazy') {
+        log('Documents will be migrated as they are read', 'info');
+      } else {
+        log(`${result.migrated} of ${result.total} documents rewritten in ${result.duration}ms`, 'info');
+      }
+      
+    } catch (error) {
+      spinner.fail();
+      log(`Migration failed: ${error.message}`, 'error');
+      if (globalConfig.verbose) {
+        console.error(error);
+      }
+      process.exit(1);
+    }
+  });
+
+// Reindex command
+program
+  .command('reindex')
+  .description('Rebuild or verify the full-text search index of a collection')
+  .argument('<collection>', 'collection name')
+  .option('--verify', 'compare the search index with the stored documents without changing it')
+  .option('--batch-size <n>', 'documents per batch', '100')
+  .action(async (collection, options) => {
+    const action = options.verify ? 'Verifying' : 'Reindexing';
+    const spinner = createSpinner(`${action} '${collection}'...`);
+
+    try {
+      const db = await connectToDatabase();
+
+      if (!db.collections.has(collection)) {
+        throw new Error(`Collection '${collection}' does not exist`);
+      }
+
+      spinner.start();
+
+      const run = options.verify ? db.verifySearchIndex.bind(db) : db.reindexSearch.bind(db);
+      const result = await run(collection, {
+        batchSize: parseInt(options.batchSize),
+        onProgress: progress => {
+          spinner.text = `${action} '${collection}'... ${progress.percent}% (${progress.processed}/${progress.total} documents)`;
+        }
+      });
+
+      await db.close();
+      spinner.succeed();
+
+      if (!options.verify) {
+        log(`${result.indexed} documents indexed, ${result.removed} stale entries removed in ${result.duration}ms`, 'success');
+        return;
+      }
+
+      if (result.consistent) {
+        log(`Search index of '${collection}' matches its ${result.total} documents`, 'success');
+        return;
+      }
+
+      const table = new Table({
+        head: ['Problem', 'Documents', 'Examples'],
+        colWidths: [12, 12, 50]
+      });
+      for (const problem of ['missing', 'outdated', 'stale']) {
+        const ids = result[problem];
+        table.push([problem, ids.length, ids.slice(0, 3).join(', ') + (ids.length > 3 ? ', ...' : '')]);
+      }
+      console.log(table.toString());
+      log(`Run 'bigbase reindex ${collection}' to repair the search index`, 'warning');
+      process.exit(1);
+
+    } catch (error) {
+      spinner.fail();
+      log(`${action} failed: ${error.message}`, 'error');
+      if (globalConfig.verbose) {
+        console.error(error);
+      }
+      process.exit(1);
+    }
+  });
+
 // Config command
 program
   .command('config')
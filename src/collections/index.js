@@ -1,5 +1,8 @@
 import { EventEmitter } from 'events';
 import QueryEngine from '../query/index.js';
+import { applyUpdate } from '../query/update.js';
+import { VersionConflictError } from '../transactions/index.js';
+import { assertValid, applyDefaults } from '../schema/index.js';
 
 /**
  * BigBaseAlpha Collection System
@@ -173,8 +176,8 @@ class Collection extends EventEmitter {
         this.indexes = new Map();
         this.nextId = 1;
         
-        // Schema validation
-        this.schema = null;
+        // Schema validation (falls back to the schema registered with BigBaseAlpha)
+        this.schema = this.options.schema || null;
         
         this.emit('collectionInitialized', { name });
     }
@@ -211,15 +214,23 @@ class Collection extends EventEmitter {
             doc._id = this._generateId();
         }
         
-        // Validate against schema
-        if (this.schema && !this._validateSchema(doc)) {
-            throw new Error('Document does not match collection schema');
+        // Fill defaults and validate against schema
+        const schema = this._getSchema();
+        if (schema) {
+            applyDefaults(schema, doc);
+            this._validateSchema(doc);
         }
         
         // Clone document to prevent mutations
         const insertedDoc = { ...doc };
         insertedDoc._createdAt = new Date();
         insertedDoc._updatedAt = new Date();
+        insertedDoc._version = 1;
+        
+        // Persist to storage if not in lazy mode; a rejected write is not stored
+        if (!this.database.lazyWrite) {
+            await this._persistDocument(insertedDoc);
+        }
         
         // Store document
         this.documents.set(insertedDoc._id, insertedDoc);
@@ -241,11 +252,6 @@ class Collection extends EventEmitter {
         
         this.emit('documentInserted', { document: insertedDoc });
         
-        // Persist to storage if not in lazy mode
-        if (!this.database.lazyWrite) {
-            await this._persistDocument(insertedDoc);
-        }
-        
         return insertedDoc;
     }
 
@@ -316,7 +322,7 @@ class Collection extends EventEmitter {
      * Update documents
      * @param {Object} query - Query filter
      * @param {Object} update - Update operations
-     * @param {Object} options - Update options
+     * @param {Object} options - Update options (`ifVersion` rejects documents at any other `_version`)
      * @returns {Object} Update result
      */
     async update(query, update, options = {}) {
@@ -325,9 +331,22 @@ class Collection extends EventEmitter {
         const modifiedDocuments = [];
         
         for (const doc of documents) {
-            const updatedDoc = this._applyUpdate(doc, update);
+            const version = doc._version || 0;
+            if (options.ifVersion !== undefined && options.ifVersion !== version) {
+                throw new VersionConflictError(this.name, doc._id, options.ifVersion, version);
+            }
+            
+            const updatedDoc = this._applyUpdate(doc, update, { query, arrayFilters: options.arrayFilters });
+            this._validateSchema(updatedDoc);
             if (updatedDoc !== doc) {
                 updatedDoc._updatedAt = new Date();
+                updatedDoc._version = version + 1;
+                
+                // Persist if not in lazy mode
+                if (!this.database.lazyWrite) {
+                    await this._persistDocument(updatedDoc);
+                }
+                
                 this.documents.set(doc._id, updatedDoc);
                 modifiedDocuments.push(updatedDoc);
                 modifiedCount++;
@@ -336,11 +355,6 @@ class Collection extends EventEmitter {
                 if (this.options.autoIndex) {
                     this._updateIndexes(updatedDoc, 'update', doc);
                 }
-                
-                // Persist if not in lazy mode
-                if (!this.database.lazyWrite) {
-                    await this._persistDocument(updatedDoc);
-                }
             }
             
             if (options.limit && modifiedCount >= options.limit) {
@@ -389,6 +403,11 @@ class Collection extends EventEmitter {
         const deletedDocuments = [];
         
         for (const doc of documents) {
+            // Remove from storage if not in lazy mode
+            if (!this.database.lazyWrite) {
+                await this._removeFromStorage(doc._id);
+            }
+            
             this.documents.delete(doc._id);
             deletedDocuments.push(doc);
             deletedCount++;
@@ -398,11 +417,6 @@ class Collection extends EventEmitter {
                 this._updateIndexes(doc, 'delete');
             }
             
-            // Remove from storage if not in lazy mode
-            if (!this.database.lazyWrite) {
-                await this._removeFromStorage(doc._id);
-            }
-            
             if (options.limit && deletedCount >= options.limit) {
                 break;
             }
@@ -508,48 +522,8 @@ class Collection extends EventEmitter {
      * Apply update operations to a document
      * @private
      */
-    _applyUpdate(doc, update) {
-        const newDoc = { ...doc };
-        
-        for (const [operator, operations] of Object.entries(update)) {
-            switch (operator) {
-                case '$set':
-                    Object.assign(newDoc, operations);
-                    break;
-                case '$unset':
-                    for (const field of Object.keys(operations)) {
-                        delete newDoc[field];
-                    }
-                    break;
-                case '$inc':
-                    for (const [field, value] of Object.entries(operations)) {
-                        newDoc[field] = (newDoc[field] || 0) + value;
-                    }
-                    break;
-                case '$push':
-                    for (const [field, value] of Object.entries(operations)) {
-                        if (!Array.isArray(newDoc[field])) {
-                            newDoc[field] = [];
-                        }
-                        newDoc[field].push(value);
-                    }
-                    break;
-                case '$pull':
-                    for (const [field, value] of Object.entries(operations)) {
-                        if (Array.isArray(newDoc[field])) {
-                            newDoc[field] = newDoc[field].filter(item => item !== value);
-                        }
-                    }
-                    break;
-                default:
-                    // Direct field assignment (no operator)
-                    if (!operator.startsWith('$')) {
-                        newDoc[operator] = operations;
-                    }
-            }
-        }
-        
-        return newDoc;
+    _applyUpdate(doc, update, options = {}) {
+        return applyUpdate(doc, update, options);
     }
     
     /**
@@ -629,28 +603,38 @@ class Collection extends EventEmitter {
     }
     
     /**
-     * Validate document against schema
+     * Validate document against schema; throws SchemaValidationError
      * @private
      */
     _validateSchema(doc) {
-        if (!this.schema) return true;
-        // Schema validation logic would go here
+        const schema = this._getSchema();
+        if (schema) {
+            assertValid(schema, doc, this.name);
+        }
         return true;
     }
     
     /**
-     * Persist document to storage
+     * Collection schema, or the one registered with BigBaseAlpha.createCollection
+     * @private
+     */
+    _getSchema() {
+        return this.schema || this.database?.schemas?.get(this.name) || null;
+    }
+    
+    /**
+     * Persist document to storage. Errors (e.g. a unique constraint
+     * violation) propagate so the caller's write is rejected.
      * @private
      */
     async _persistDocument(doc) {
         // Integration with database storage engine
         if (this.database && this.database.storage) {
-            try {
-                // Use the storage engine's insert method
+            // BigBaseAlpha mirrors the write into its own store, indexes and query cache
+            if (typeof this.database._persistExternalDocument === 'function') {
+                await this.database._persistExternalDocument(this.name, doc);
+            } else {
                 await this.database.storage.insert(this.name, doc);
-            } catch (error) {
-                // Fallback to direct file save if saveDocument doesn't exist
-                console.warn('Storage integration fallback used');
             }
         }
     }
@@ -661,10 +645,10 @@ class Collection extends EventEmitter {
      */
     async _removeFromStorage(docId) {
         if (this.database && this.database.storage) {
-            try {
+            if (typeof this.database._removeExternalDocument === 'function') {
+                await this.database._removeExternalDocument(this.name, docId);
+            } else {
                 await this.database.storage.delete(this.name, docId);
-            } catch (error) {
-                console.warn('Storage removal fallback used');
             }
         }
     }
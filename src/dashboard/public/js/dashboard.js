@@ -2023,12 +2023,8 @@ document.addEventListener('DOMContentLoaded', () => {
 // === COLLECTION MANAGEMENT FUNCTIONS ===
 async function viewCollection(collectionName) {
   try {
-    const response = await fetch(`/api/collections/${collectionName}/documents`);
-    if (!response.ok) {
-      throw new Error(`Failed to fetch collection: ${response.statusText}`);
-    }
-    
-    const documents = await response.json();
+    const page = await fetchCollectionPage(collectionName);
+    const documents = page.documents;
     
     // Show collection viewer modal
     const modal = document.createElement('div');
@@ -2040,23 +2036,53 @@ async function viewCollection(collectionName) {
           <button onclick="this.closest('.modal').remove()" style="background: none; border: none; font-size: 24px; cursor: pointer;">&times;</button>
         </div>
         <div class="modal-body">
-          <p>Total documents: ${documents.length}</p>
+          <p class="collection-count">Showing ${documents.length} documents</p>
           <div style="max-height: 400px; overflow-y: auto; border: 1px solid #ddd; padding: 10px;">
             <pre style="margin: 0;">${JSON.stringify(documents, null, 2)}</pre>
           </div>
         </div>
         <div class="modal-footer">
+          <button class="btn btn-primary load-more" style="display: ${page.next ? 'inline-block' : 'none'};">Load more</button>
           <button onclick="this.closest('.modal').remove()" class="btn btn-secondary">Close</button>
         </div>
       </div>
     `;
     document.body.appendChild(modal);
+
+    // Each page continues from the previous page's token
+    let next = page.next;
+    const loadMore = modal.querySelector('.load-more');
+    loadMore.addEventListener('click', async () => {
+      try {
+        const nextPage = await fetchCollectionPage(collectionName, next);
+        documents.push(...nextPage.documents);
+        next = nextPage.next;
+        modal.querySelector('pre').textContent = JSON.stringify(documents, null, 2);
+        modal.querySelector('.collection-count').textContent = `Showing ${documents.length} documents`;
+        loadMore.style.display = next ? 'inline-block' : 'none';
+      } catch (error) {
+        window.notifications.error(`Failed to load documents: ${error.message}`);
+      }
+    });
     
   } catch (error) {
     window.notifications.error(`Failed to view collection: ${error.message}`);
   }
 }
 
+async function fetchCollectionPage(collectionName, after = null) {
+  const params = new URLSearchParams({ limit: 100 });
+  if (after) {
+    params.set('after', after);
+  }
+
+  const response = await fetch(`/api/collections/${collectionName}/documents?${params}`);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch collection: ${response.statusText}`);
+  }
+  return response.json();
+}
+
 async function deleteCollection(collectionName) {
   const confirmed = await AlertSystem.confirm(
     `Are you sure you want to delete the collection "${collectionName}"? This action cannot be undone.`,
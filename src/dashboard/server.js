@@ -20,6 +20,7 @@ import { dirname, join } from 'path';
 import fs from 'fs';
 import os from 'os';
 import BigBaseAlpha from '../alpha.js';
+import { checkSchema, validateDocument } from '../schema/index.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -238,9 +239,12 @@ app.post('/api/query', async (req, res) => {
     let result;
 
     switch (type) {
-      case 'find':
-        result = col.find(filters, options);
+      case 'find': {
+        // Through query() so repeated dashboard queries are answered from the query cache
+        const { skip, ...queryOptions } = options;
+        result = await db.query(collection, { ...queryOptions, where: filters, offset: queryOptions.offset ?? skip });
         break;
+      }
       case 'findOne':
         result = col.findOne(filters);
         break;
@@ -1158,21 +1162,14 @@ app.post('/api/schemas/:collection', async (req, res) => {
       return res.status(400).json({ error: 'Schema is required' });
     }
 
-    // Validate schema format
+    // Validate schema format (JSON Schema or legacy field map)
     try {
-      for (const [field, rules] of Object.entries(schema)) {
-        if (!rules.type) {
-          return res.status(400).json({ 
-            error: `Field '${field}' must have a 'type' property` 
-          });
-        }
-        
-        const validTypes = ['string', 'number', 'boolean', 'object', 'array'];
-        if (!validTypes.includes(rules.type)) {
-          return res.status(400).json({ 
-            error: `Invalid type '${rules.type}' for field '${field}'. Valid types: ${validTypes.join(', ')}` 
-          });
-        }
+      const problems = checkSchema(schema);
+      if (problems.length > 0) {
+        return res.status(400).json({
+          error: `Invalid schema: ${problems.join('; ')}`,
+          problems
+        });
       }
 
       // Store schema
@@ -1230,18 +1227,20 @@ app.post('/api/schemas/:collection/validate', async (req, res) => {
       return res.status(404).json({ error: `No schema found for collection '${collection}'` });
     }
 
-    try {
-      db._validateSchema(document, db.schemas.get(collection));
+    // Same validator as inserts and updates, but report every failing path
+    const { valid, errors } = validateDocument(db.schemas.get(collection), document);
+    if (valid) {
       res.json({
         success: true,
         valid: true,
         message: 'Document is valid according to schema'
       });
-    } catch (error) {
+    } else {
       res.status(400).json({
         success: false,
         valid: false,
-        error: error.message
+        error: `Document does not match schema: ${errors.map(({ path, message }) => `${path || '(root)'} ${message}`).join('; ')}`,
+        errors
       });
     }
   } catch (error) {
@@ -1259,11 +1258,40 @@ app.get('/api/collections/:name/documents', async (req, res) => {
     }
 
     const { name } = req.params;
-    const { limit = 100, offset = 0 } = req.query;
+    const { limit = 100, offset = 0, after, sort, filter } = req.query;
+    const limitNum = Math.min(Math.max(1, parseInt(limit) || 100), 1000);
+
+    let where = {};
+    if (filter) {
+      try {
+        where = JSON.parse(filter);
+      } catch (e) {
+        return res.status(400).json({ error: 'Invalid filter JSON' });
+      }
+    }
 
-    const documents = await db.find(name, {}, { limit: parseInt(limit), offset: parseInt(offset) });
-    res.json(documents);
+    const sortSpec = {};
+    if (sort) {
+      sort.split(',').forEach(field => {
+        sortSpec[field.replace(/^-/, '')] = field.startsWith('-') ? -1 : 1;
+      });
+    }
+
+    // Page through a cursor; `next` is the token for the following page
+    const cursor = db.cursor(name, where, {
+      sort: sortSpec,
+      batchSize: limitNum + 1,
+      after,
+      skip: after ? 0 : parseInt(offset) || 0
+    });
+    const documents = await cursor.nextBatch(limitNum);
+    const next = await cursor.hasNext() ? cursor.getContinuationToken() : null;
+
+    res.json({ documents, next });
   } catch (error) {
+    if (error.code === 'INVALID_CURSOR_TOKEN') {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('Error fetching collection documents:', error);
     res.status(500).json({ error: error.message });
   }
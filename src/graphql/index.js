@@ -545,17 +545,18 @@ export class GraphQLEngine extends EventEmitter {
         resolvers[`search${this._capitalize(collection)}s`] = async (_, { query, fields, pagination }) => {
           const { skip = 0, limit = 10 } = pagination || {};
           
-          const searchResults = await this.database.search(collection, query, {
+          const searchResults = await this.database.search(collection, {
+            text: query,
             fields,
-            skip,
+            offset: skip,
             limit
           });
 
           return {
-            edges: searchResults.results || [],
-            totalCount: searchResults.totalResults || 0,
+            edges: searchResults.results.map(result => result.document),
+            totalCount: searchResults.total,
             pageInfo: {
-              hasNextPage: (skip + limit) < (searchResults.totalResults || 0),
+              hasNextPage: (skip + limit) < searchResults.total,
               hasPreviousPage: skip > 0,
               startCursor: skip.toString(),
               endCursor: (skip + limit - 1).toString()
@@ -1,17 +1,60 @@
 import { promises as fs, existsSync } from 'fs';
 import { join } from 'path';
+import { matchesQuery, matchesCondition, getFieldValues, compareValues, compareSortValues, sortTypeRank, valuesEqual } from '../query/matcher.js';
+import { IndexStore, IndexCorruptionError } from './store.js';
+import { VectorIndex, VectorQueryError, normalizeVectorOptions, encodeVectorLog, decodeVectorLog } from './vector.js';
+import { normalizeSchema } from '../schema/index.js';
+
+// Relative costs used by the query planner
+const PLAN_COSTS = {
+  key: 0.1, // visit one index key
+  fetch: 1, // load and match one document
+  sort: 0.05, // per document and comparison level of an in-memory sort
+  vector: 0.2 // compare the query vector with one indexed vector
+};
+
+// Share of documents assumed to pass conditions no index can estimate
+const UNKNOWN_SELECTIVITY = 0.5;
+
+// `_ttl` holds an absolute expiry date, so it expires with no delay
+const TTL_FIELD_OPTIONS = { sparse: true, expireAfterSeconds: 0 };
 
 /**
  * Index Manager for BigBaseAlpha
  * Handles indexing for fast data retrieval
+ *
+ * Index changes are buffered and written to each index's change log in
+ * batches (see IndexStore); `indexStorage.flushBatchSize` and
+ * `indexStorage.flushInterval` bound how much is buffered.
+ *
+ * Index options: `unique`, `sparse` (leave out documents where an indexed
+ * field is missing or null), `partialFilterExpression` (index only documents
+ * matching a query), `caseInsensitive` (fold string keys to lower case) and
+ * `expireAfterSeconds` (TTL index on a date field, see getExpiredDocuments()).
+ *
+ * Vector indexes (`{ type: 'vector', metric }`, see ./vector.js) sit in the
+ * same per-collection map and follow the same writes, flushes and rebuilds,
+ * but answer only `$near` queries (planNearQuery()) and are persisted
+ * through the storage engine rather than the index store.
  */
 export class IndexManager {
-  constructor(config) {
+  constructor(config, storage = null) {
     this.config = config;
+    this.storage = storage;
     this.enabled = config.indexing !== false;
     this.basePath = config.path;
     this.indexes = new Map(); // Collection -> Field -> Index
     this.indexPath = join(this.basePath, 'indexes');
+
+    const indexStorage = config.indexStorage || {};
+    this.flushBatchSize = indexStorage.flushBatchSize || 1000;
+    this.flushInterval = indexStorage.flushInterval ?? 1000;
+    this.compactionThreshold = indexStorage.compactionThreshold || 10000;
+    this.store = new IndexStore(this.indexPath);
+    this.dirty = new Map(); // Collection -> Set of index names with unflushed changes
+    this.needsRebuild = new Set(); // Collections whose indexes are stale or were corrupt
+    this.flushing = Promise.resolve();
+    this.flushTimer = null;
   }
 
   async init() {
@@ -29,32 +72,46 @@ export class IndexManager {
   }
 
   /**
-   * Create indexes for a collection based on schema
+   * Create indexes for a collection based on schema.
+   * A property's `index` may be `true` or an options object.
    */
   async createIndexes(collectionName, schema) {
-    if (!this.enabled || !schema) {
+    if (!this.enabled) {
       return;
     }
 
     const collectionIndexes = new Map();
+    const properties = schema ? normalizeSchema(schema).properties || {} : {};
     
-    // Create indexes for specified fields
-    for (const [fieldName, fieldConfig] of Object.entries(schema)) {
-      if (fieldConfig.index || fieldConfig.unique) {
-        const indexType = fieldConfig.unique ? 'unique' : 'standard';
-        const index = new FieldIndex(fieldName, indexType);
-        collectionIndexes.set(fieldName, index);
-        
-        await this._saveIndex(collectionName, fieldName, index);
+    // Create indexes for top-level properties marked `index` or `unique`
+    for (const [fieldName, fieldConfig] of Object.entries(properties)) {
+      if (fieldConfig && fieldConfig.type === 'vector' && fieldConfig.index) {
+        collectionIndexes.set(fieldName, new VectorIndex(fieldName, normalizeVectorOptions({
+          dimensions: fieldConfig.dimensions,
+          ...(typeof fieldConfig.index === 'object' ? fieldConfig.index : {})
+        })));
+      } else if (fieldConfig && (fieldConfig.index || fieldConfig.unique)) {
+        const options = normalizeIndexOptions({
+          ...(typeof fieldConfig.index === 'object' ? fieldConfig.index : {}),
+          ...(fieldConfig.unique && { unique: true })
+        }, [fieldName]);
+        collectionIndexes.set(fieldName, new FieldIndex(fieldName, options.unique ? 'unique' : 'standard', options));
       }
     }
 
     // Always create an index for _id field
     const idIndex = new FieldIndex('_id', 'unique');
     collectionIndexes.set('_id', idIndex);
-    await this._saveIndex(collectionName, '_id', idIndex);
+
+    // Documents with a `_ttl` date expire through this TTL index
+    collectionIndexes.set('_ttl', new FieldIndex('_ttl', 'standard', TTL_FIELD_OPTIONS));
 
     this.indexes.set(collectionName, collectionIndexes);
+
+    for (const [indexName, index] of collectionIndexes) {
+      await this._checkpoint(collectionName, indexName, index);
+    }
+    await this._saveManifest(collectionName);
   }
 
   /**
@@ -70,11 +127,25 @@ export class IndexManager {
       return;
     }
 
-    for (const [fieldName, index] of collectionIndexes) {
-      const fieldValue = this._getFieldValue(document, fieldName);
-      if (fieldValue !== undefined) {
-        index.add(fieldValue, document._id);
-        await this._saveIndex(collectionName, fieldName, index);
+    for (const index of collectionIndexes.values()) {
+      index.addDocument(document);
+    }
+    await this._trackChanges(collectionName);
+  }
+
+  /**
+   * Throw the unique constraint violation that adding `document` to the
+   * collection's indexes would raise, without changing them. Callers run
+   * this before persisting so a rejected write leaves nothing behind.
+   */
+  checkConstraints(collectionName, document) {
+    if (!this.enabled) {
+      return;
+    }
+
+    for (const index of this.indexes.get(collectionName)?.values() || []) {
+      if (!(index instanceof VectorIndex)) {
+        index.checkDocument(document);
       }
     }
   }
@@ -92,13 +163,10 @@ export class IndexManager {
       return;
     }
 
-    for (const [fieldName, index] of collectionIndexes) {
-      const fieldValue = this._getFieldValue(document, fieldName);
-      if (fieldValue !== undefined) {
-        index.remove(fieldValue, document._id);
-        await this._saveIndex(collectionName, fieldName, index);
-      }
+    for (const index of collectionIndexes.values()) {
+      index.removeDocument(document);
     }
+    await this._trackChanges(collectionName);
   }
 
   /**
@@ -109,38 +177,174 @@ export class IndexManager {
       return;
     }
 
-    // Remove old values and add new values
-    await this.removeFromIndex(collectionName, oldDocument);
-    await this.addToIndex(collectionName, newDocument);
+    const collectionIndexes = this.indexes.get(collectionName);
+    if (!collectionIndexes) {
+      return;
+    }
+
+    // Remove old values and add new values; a vector that did not change
+    // keeps its place in the graph
+    const indexes = Array.from(collectionIndexes.values())
+      .filter(index => !(index instanceof VectorIndex && index.isUnchanged(oldDocument, newDocument)));
+    for (const index of indexes) {
+      index.removeDocument(oldDocument);
+    }
+    for (const index of indexes) {
+      index.addDocument(newDocument);
+    }
+    await this._trackChanges(collectionName);
+  }
+
+  /**
+   * Query using indexes. Returns candidate document IDs: a superset of the
+   * matches that callers still filter with the full where clause.
+   */
+  async query(collectionName, whereClause, options = {}) {
+    const plan = this.plan(collectionName, whereClause, options);
+    return plan && plan.type !== 'collectionScan' ? Array.from(this.execute(plan)) : [];
   }
 
   /**
-   * Query using indexes
+   * Choose how to answer a where clause, or null if no index applies.
+   * Candidate plans (each usable index, their intersection and a collection
+   * scan) are costed from index statistics; the cheapest is returned with
+   * the others in `rejectedPlans`. `plan.sorted` is true when the IDs come
+   * back already in `options.sort` order.
    */
-  async query(collectionName, whereClause) {
+  plan(collectionName, whereClause, options = {}) {
     if (!this.enabled) {
-      return [];
+      return null;
     }
 
     const collectionIndexes = this.indexes.get(collectionName);
     if (!collectionIndexes) {
-      return [];
+      return null;
     }
 
-    // Find the best index to use
-    const indexQuery = this._planIndexQuery(whereClause, collectionIndexes);
-    if (!indexQuery) {
-      return [];
+    return this._planIndexQuery(whereClause || {}, collectionIndexes, options);
+  }
+
+  /**
+   * Choose how to answer a `$near` query (see extractNearQuery() in
+   * ./vector.js) whose other conditions are `whereClause`:
+   * - `vectorSearch` walks the field's vector index for neighbours and
+   *   checks them against the other conditions, asking for more until `k`
+   *   pass; it needs an index with the query's metric
+   * - `vectorScan` compares the query vector with every document the other
+   *   conditions match (through their index plan, if any), which is exact
+   *   and cheaper when those conditions are selective
+   * `plan.vector` describes the search; `plan.filterPlan` is the index plan
+   * for the other conditions, or null.
+   */
+  planNearQuery(collectionName, near, whereClause, options = {}) {
+    const collectionIndexes = this.enabled ? this.indexes.get(collectionName) : null;
+    const vectorIndex = collectionIndexes?.get(near.field);
+    const index = vectorIndex instanceof VectorIndex && (!near.metric || near.metric === vectorIndex.options.metric)
+      ? vectorIndex
+      : null;
+    const metric = near.metric || index?.options.metric || 'cosine';
+
+    if (index && index.dimensions !== null && near.vector.length !== index.dimensions) {
+      throw new VectorQueryError(
+        `$near vector has ${near.vector.length} dimensions but the vector index on '${near.field}' has ${index.dimensions}`,
+        near
+      );
     }
 
-    const { fieldName, operation, value } = indexQuery;
-    const index = collectionIndexes.get(fieldName);
-    
-    if (!index) {
-      return [];
+    const hasFilter = Object.keys(whereClause || {}).length > 0;
+    const filterPlan = hasFilter ? this.plan(collectionName, whereClause, { totalDocuments: options.totalDocuments }) : null;
+    const indexed = Boolean(filterPlan && filterPlan.type !== 'collectionScan');
+    const totalDocuments = options.totalDocuments ?? index?.entryCount ?? 0;
+    const ef = Math.max(near.ef || index?.options.efSearch || 0, near.k);
+
+    const scanDocs = indexed ? filterPlan.estimatedDocs : totalDocuments;
+    const scan = {
+      type: 'vectorScan',
+      steps: indexed ? filterPlan.steps : [],
+      filterPlan: indexed ? filterPlan : null,
+      sorted: true,
+      estimatedKeys: indexed ? filterPlan.estimatedKeys : 0,
+      estimatedDocs: scanDocs,
+      cost: (indexed ? filterPlan.estimatedKeys * PLAN_COSTS.key : 0) + scanDocs * (PLAN_COSTS.fetch + PLAN_COSTS.vector),
+      vector: { field: near.field, index: null, metric, k: near.k, exact: true }
+    };
+    const plans = [scan];
+
+    if (index && !near.exact) {
+      // Neighbours that fail the other conditions are fetched and dropped
+      const selectivity = !hasFilter ? 1
+        : (indexed && totalDocuments > 0 ? filterPlan.estimatedDocs / totalDocuments : UNKNOWN_SELECTIVITY);
+      const fetched = Math.min(totalDocuments, near.k / Math.max(selectivity, 1 / Math.max(totalDocuments, 1)));
+      const compared = ef * Math.log2(index.entryCount + 2);
+      plans.unshift({
+        type: 'vectorSearch',
+        steps: [],
+        filterPlan: null,
+        sorted: true,
+        estimatedKeys: Math.round(compared),
+        estimatedDocs: fetched,
+        cost: compared * PLAN_COSTS.vector + fetched * PLAN_COSTS.fetch,
+        vector: { field: near.field, index: near.field, metric, k: near.k, ef, exact: false }
+      });
+    }
+
+    // Stable: on a tie the index search wins over the scan
+    const chosen = plans.reduce((best, plan) => (plan.cost < best.cost ? plan : best));
+    chosen.rejectedPlans = plans.filter(plan => plan !== chosen);
+    chosen.vectorIndex = chosen.type === 'vectorSearch' ? index : null;
+    return chosen;
+  }
+
+  /**
+   * Run an index plan from plan() and return the matching document IDs.
+   * A single index is read lazily, so callers that stop early visit fewer
+   * keys. `stats.keysExamined` counts the index keys visited.
+   * @returns {Iterable<string>} Document IDs
+   */
+  execute(plan, stats = {}) {
+    if (plan.steps.length === 1) {
+      const [step] = plan.steps;
+      return step.index.iterate(step.bounds, step.direction, stats, step);
+    }
+
+    let ids = null;
+
+    for (const step of plan.steps) {
+      const stepIds = step.index.scan(step.bounds, step.direction, stats, step);
+
+      if (ids === null) {
+        ids = stepIds;
+      } else {
+        const allowed = new Set(stepIds);
+        ids = ids.filter(id => allowed.has(id));
+      }
+
+      if (ids.length === 0) {
+        break;
+      }
     }
 
-    return this._executeIndexQuery(index, operation, value);
+    return ids || [];
+  }
+
+  /**
+   * Plain description of a plan for explain output
+   */
+  describePlan(plan) {
+    return {
+      type: plan.type,
+      indexes: plan.steps.map(step => ({
+        name: step.indexName,
+        fields: step.fields,
+        bounds: step.bounds,
+        direction: step.direction
+      })),
+      ...(plan.vector && { vector: plan.vector }),
+      sorted: plan.sorted,
+      estimatedKeys: plan.estimatedKeys,
+      estimatedDocs: Math.round(plan.estimatedDocs),
+      cost: Number(plan.cost.toFixed(2))
+    };
   }
 
   /**
@@ -157,11 +361,15 @@ export class IndexManager {
     }
 
     const stats = {};
-    for (const [fieldName, index] of collectionIndexes) {
-      stats[fieldName] = {
+    for (const [indexName, index] of collectionIndexes) {
+      stats[indexName] = {
         type: index.type,
+        options: index.options,
+        fields: index.fields.map(({ field, direction }) => ({ field, direction })),
+        multikey: index.multikey,
         size: index.size(),
-        uniqueValues: index.getUniqueValueCount()
+        uniqueValues: index.getUniqueValueCount(),
+        ...(index instanceof VectorIndex && { vector: index.getStats() })
       };
     }
 
@@ -169,7 +377,8 @@ export class IndexManager {
   }
 
   /**
-   * Rebuild all indexes for a collection
+   * Rebuild all indexes for a collection and write fresh checkpoints.
+   * `documents` may be an array or an async iterable.
    */
   async rebuildIndexes(collectionName, documents) {
     if (!this.enabled) {
@@ -187,52 +396,145 @@ export class IndexManager {
     }
 
     // Rebuild with all documents
-    for (const document of documents) {
-      await this.addToIndex(collectionName, document);
+    for await (const document of documents) {
+      for (const index of collectionIndexes.values()) {
+        index.addDocument(document);
+      }
+    }
+
+    // The checkpoints below replace any logged changes
+    this.dirty.delete(collectionName);
+    for (const [indexName, index] of collectionIndexes) {
+      index.changes = [];
+      await this._checkpoint(collectionName, indexName, index);
+    }
+    await this.store.clearPending(collectionName);
+    this.needsRebuild.delete(collectionName);
+  }
+
+  /**
+   * Collections whose indexes were found corrupt or stale on load and
+   * must be rebuilt with rebuildIndexes() before they are queried
+   */
+  getCollectionsNeedingRebuild() {
+    return Array.from(this.needsRebuild);
+  }
+
+  /**
+   * Write all buffered index changes to disk
+   */
+  async flush() {
+    const run = this.flushing.then(() => this._flushDirty());
+    this.flushing = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * IDs of documents whose TTL index date is more than `expireAfterSeconds`
+   * in the past. Only the expired front of each TTL index is walked.
+   */
+  getExpiredDocuments(collectionName, now = Date.now()) {
+    const expired = new Set();
+
+    for (const index of this.indexes.get(collectionName)?.values() || []) {
+      if (index.options.expireAfterSeconds !== undefined) {
+        for (const id of index.expiredIds(now - index.options.expireAfterSeconds * 1000)) {
+          expired.add(id);
+        }
+      }
     }
+
+    return Array.from(expired);
+  }
+
+  hasIndex(collectionName, indexName) {
+    return Boolean(this.indexes.get(collectionName)?.has(indexName));
+  }
+
+  getStorageStats() {
+    return {
+      ...this.store.getStats(),
+      unflushedChanges: this._unflushedChanges()
+    };
   }
 
   /**
-   * Create a custom index
+   * Create a custom index. `fields` is a field name, an array of field names
+   * or a `{ field: 1 | -1 }` object; more than one field makes a compound index.
+   * `options` is an index type ('standard' or 'unique') or an options object
+   * (`unique`, `sparse`, `partialFilterExpression`, `caseInsensitive`, `expireAfterSeconds`).
+   * `{ type: 'vector', metric, dimensions }` creates a vector index instead.
+   * The index is filled from `documents` (an array or async iterable; by
+   * default the collection's stored documents) before it is returned, so
+   * queries planned on it see every existing document. If they violate a
+   * unique index, the index is removed again and the error rethrown.
    */
-  async createCustomIndex(collectionName, fieldName, indexType = 'standard') {
+  async createCustomIndex(collectionName, fields, options = 'standard', documents = this.storage?.streamDocuments(collectionName) || []) {
     if (!this.enabled) {
       return;
     }
 
+    const spec = this._normalizeIndexSpec(fields);
+    const isVector = options === 'vector' || options?.type === 'vector';
+    const indexOptions = isVector
+      ? normalizeVectorOptions(typeof options === 'string' ? {} : options, spec)
+      : normalizeIndexOptions(
+        typeof options === 'string' ? { unique: options === 'unique' } : options,
+        spec.map(({ field }) => field)
+      );
+
     let collectionIndexes = this.indexes.get(collectionName);
     if (!collectionIndexes) {
       collectionIndexes = new Map();
       this.indexes.set(collectionName, collectionIndexes);
     }
 
-    const index = new FieldIndex(fieldName, indexType);
-    collectionIndexes.set(fieldName, index);
+    const type = isVector ? 'vector' : (indexOptions.unique ? 'unique' : 'standard');
+    const index = this._createIndex({ fields: spec, type, options: indexOptions });
+    const indexName = this._indexName(spec);
+
+    // Live before the backfill, so writes made meanwhile are indexed too
+    collectionIndexes.set(indexName, index);
+    try {
+      for await (const document of documents) {
+        index.addDocument(document);
+      }
+    } catch (error) {
+      collectionIndexes.delete(indexName);
+      throw error;
+    }
+    index.changes = [];
     
-    await this._saveIndex(collectionName, fieldName, index);
+    await this._checkpoint(collectionName, indexName, index);
+    await this._saveManifest(collectionName);
     return index;
   }
 
   /**
-   * Drop an index
+   * Drop an index by name or by the fields it was created with
    */
-  async dropIndex(collectionName, fieldName) {
+  async dropIndex(collectionName, fields) {
     if (!this.enabled) {
       return;
     }
 
     const collectionIndexes = this.indexes.get(collectionName);
-    if (!collectionIndexes || !collectionIndexes.has(fieldName)) {
+    const indexName = typeof fields === 'string' ? fields : this._indexName(this._normalizeIndexSpec(fields));
+    if (!collectionIndexes || !collectionIndexes.has(indexName)) {
       return false;
     }
 
-    collectionIndexes.delete(fieldName);
+    const index = collectionIndexes.get(indexName);
+    collectionIndexes.delete(indexName);
+    this.dirty.get(collectionName)?.delete(indexName);
     
-    // Remove index file
-    const indexFilePath = this._getIndexFilePath(collectionName, fieldName);
-    if (existsSync(indexFilePath)) {
-      await fs.unlink(indexFilePath);
+    // Remove index files
+    if (index instanceof VectorIndex) {
+      await this.storage?.removeVectorIndex(collectionName, indexName);
+    } else {
+      await this.store.remove(collectionName, indexName);
     }
+    await this._saveManifest(collectionName);
 
     return true;
   }
@@ -242,10 +544,14 @@ export class IndexManager {
       return;
     }
 
-    // Save all indexes before closing
+    await this.flush();
+
+    // Fold change logs into checkpoints so the next open reads one file per index
     for (const [collectionName, collectionIndexes] of this.indexes) {
-      for (const [fieldName, index] of collectionIndexes) {
-        await this._saveIndex(collectionName, fieldName, index);
+      for (const [indexName, index] of collectionIndexes) {
+        if (this._logSize(collectionName, indexName, index) > 0) {
+          await this._checkpoint(collectionName, indexName, index);
+        }
       }
     }
 
@@ -255,325 +561,1342 @@ export class IndexManager {
   // Private methods
 
   async _loadIndexes() {
-    if (!existsSync(this.indexPath)) {
-      return;
-    }
-
     try {
-      const collections = await fs.readdir(this.indexPath, { withFileTypes: true });
-      
-      for (const collection of collections) {
-        if (!collection.isDirectory()) continue;
-        
-        const collectionName = collection.name;
+      for (const collectionName of await this.store.listCollections()) {
         const collectionIndexes = new Map();
+        const manifest = await this.store.readManifest(collectionName);
+        const indexNames = manifest ? Object.keys(manifest) : await this.store.listIndexFiles(collectionName);
+        let stale = this.store.hasPending(collectionName);
         
-        const collectionIndexPath = join(this.indexPath, collectionName);
-        const indexFiles = await fs.readdir(collectionIndexPath);
-        
-        for (const indexFile of indexFiles) {
-          if (!indexFile.endsWith('.idx')) continue;
-          
-          const fieldName = indexFile.replace('.idx', '');
-          const index = await this._loadIndex(collectionName, fieldName);
-          
-          if (index) {
-            collectionIndexes.set(fieldName, index);
+        for (const indexName of indexNames) {
+          try {
+            const index = await this._loadIndex(collectionName, indexName, manifest?.[indexName]);
+            if (index) {
+              collectionIndexes.set(indexName, index);
+            }
+          } catch (error) {
+            console.error(`Error loading index ${collectionName}.${indexName}:`, error.message);
+            if (error instanceof IndexCorruptionError && manifest?.[indexName]) {
+              // Keep the definition; the contents come back from rebuildIndexes()
+              collectionIndexes.set(indexName, this._createIndex(manifest[indexName]));
+              stale = true;
+            }
           }
         }
         
+        if (stale) {
+          this.needsRebuild.add(collectionName);
+        }
         this.indexes.set(collectionName, collectionIndexes);
+        if (!manifest && collectionIndexes.size > 0) {
+          await this._saveManifest(collectionName);
+        }
       }
     } catch (error) {
       console.error('Error loading indexes:', error);
     }
   }
 
-  async _loadIndex(collectionName, fieldName) {
-    const indexFilePath = this._getIndexFilePath(collectionName, fieldName);
-    
-    if (!existsSync(indexFilePath)) {
-      return null;
+  async _loadIndex(collectionName, indexName, definition) {
+    if (definition?.type === 'vector') {
+      return this._loadVectorIndex(collectionName, indexName, definition);
     }
 
-    try {
-      const indexData = await fs.readFile(indexFilePath, 'utf8');
-      const parsed = JSON.parse(indexData);
-      
-      const index = new FieldIndex(fieldName, parsed.type);
-      index.fromJSON(parsed);
-      
-      return index;
-    } catch (error) {
-      console.error(`Error loading index ${collectionName}.${fieldName}:`, error);
+    const stored = await this.store.load(collectionName, indexName);
+    if (!stored) {
+      if (definition) {
+        throw new IndexCorruptionError(collectionName, indexName, 'checkpoint is missing');
+      }
       return null;
     }
-  }
 
-  async _saveIndex(collectionName, fieldName, index) {
-    const collectionIndexPath = join(this.indexPath, collectionName);
-    
-    if (!existsSync(collectionIndexPath)) {
-      await fs.mkdir(collectionIndexPath, { recursive: true });
+    const { snapshot, batches } = stored;
+    const index = this._createIndex(definition || {
+      fields: snapshot.fields || [{ field: snapshot.fieldName || indexName, direction: 1 }],
+      type: snapshot.type,
+      options: snapshot.options
+    });
+    index.fromJSON(snapshot);
+
+    for (const batch of batches) {
+      applyChanges(index, batch.changes);
+      if (batch.multikey) {
+        index.multikey = true;
+      }
     }
+    index.changes = [];
 
-    const indexFilePath = this._getIndexFilePath(collectionName, fieldName);
-    const indexData = JSON.stringify(index.toJSON(), null, 2);
-    
-    await fs.writeFile(indexFilePath, indexData);
-  }
-
-  _getIndexFilePath(collectionName, fieldName) {
-    return join(this.indexPath, collectionName, `${fieldName}.idx`);
+    return index;
   }
 
-  _getFieldValue(document, fieldPath) {
-    // Support nested field paths like 'user.profile.name'
-    const parts = fieldPath.split('.');
-    let value = document;
-    
-    for (const part of parts) {
-      if (value && typeof value === 'object' && part in value) {
-        value = value[part];
-      } else {
-        return undefined;
-      }
+  async _loadVectorIndex(collectionName, indexName, definition) {
+    const stored = this.storage ? await this.storage.loadVectorIndex(collectionName, indexName) : null;
+    if (!stored) {
+      throw new IndexCorruptionError(collectionName, indexName, 'vector snapshot is missing');
     }
-    
-    return value;
-  }
 
-  _planIndexQuery(whereClause, indexes) {
-    // Find the best index for the query
-    for (const [fieldName, condition] of Object.entries(whereClause)) {
-      if (indexes.has(fieldName)) {
-        if (typeof condition === 'object' && condition !== null) {
-          // Handle operators
-          for (const [operator, value] of Object.entries(condition)) {
-            return {
-              fieldName,
-              operation: operator,
-              value
-            };
-          }
-        } else {
-          // Direct equality
-          return {
-            fieldName,
-            operation: '$eq',
-            value: condition
-          };
-        }
+    const index = this._createIndex(definition);
+    try {
+      index.loadSnapshot(stored.snapshot);
+      const batches = decodeVectorLog(stored.log);
+      for (const changes of batches) {
+        index.applyChanges(changes);
       }
+      index.loggedChanges = batches.reduce((sum, changes) => sum + changes.length, 0);
+    } catch (error) {
+      throw new IndexCorruptionError(collectionName, indexName, error.message);
     }
-    
-    return null;
+    index.changes = [];
+
+    return index;
   }
 
-  _executeIndexQuery(index, operation, value) {
-    switch (operation) {
-      case '$eq':
-        return index.find(value);
-      case '$gt':
-        return index.findRange(value, null, false, true);
-      case '$gte':
-        return index.findRange(value, null, true, true);
-      case '$lt':
-        return index.findRange(null, value, true, false);
-      case '$lte':
-        return index.findRange(null, value, true, true);
-      case '$in':
-        if (Array.isArray(value)) {
-          const results = [];
-          for (const v of value) {
-            results.push(...index.find(v));
-          }
-          return [...new Set(results)]; // Remove duplicates
-        }
-        return [];
-      default:
-        return [];
+  _createIndex({ fields, type, options = {} }) {
+    if (type === 'vector') {
+      return new VectorIndex(fields[0].field, options);
     }
+    return fields.length > 1
+      ? new CompoundIndex(fields, type, options)
+      : new FieldIndex(fields[0].field, type, options);
   }
-}
 
-/**
- * Field Index implementation
- */
-class FieldIndex {
-  constructor(fieldName, type = 'standard') {
-    this.fieldName = fieldName;
-    this.type = type; // 'standard', 'unique'
-    this.data = new Map(); // value -> Set of document IDs
-    this.sortedKeys = []; // For range queries
-    this.sorted = false;
+  async _saveManifest(collectionName) {
+    const definitions = {};
+    for (const [indexName, index] of this.indexes.get(collectionName) || []) {
+      definitions[indexName] = { fields: index.fields, type: index.type, options: index.options };
+    }
+    await this.store.writeManifest(collectionName, definitions);
   }
 
-  add(value, documentId) {
-    const key = this._normalizeValue(value);
-    
-    if (this.type === 'unique' && this.data.has(key)) {
-      const existingIds = this.data.get(key);
-      if (existingIds.size > 0 && !existingIds.has(documentId)) {
-        throw new Error(`Unique constraint violation: duplicate value '${value}' for field '${this.fieldName}'`);
+  /**
+   * Note indexes of a collection that picked up changes and flush once
+   * enough have accumulated (or when the flush timer fires)
+   */
+  async _trackChanges(collectionName) {
+    const dirty = this.dirty.get(collectionName) || new Set();
+    for (const [indexName, index] of this.indexes.get(collectionName)) {
+      if (index.changes.length > 0) {
+        dirty.add(indexName);
       }
     }
-
-    if (!this.data.has(key)) {
-      this.data.set(key, new Set());
-      this.sorted = false;
+    if (dirty.size === 0) {
+      return;
     }
 
-    this.data.get(key).add(documentId);
+    this.dirty.set(collectionName, dirty);
+    await this.store.markPending(collectionName);
+
+    if (this._unflushedChanges() >= this.flushBatchSize) {
+      await this.flush();
+    } else if (!this.flushTimer && this.flushInterval > 0) {
+      this.flushTimer = setTimeout(() => {
+        this.flushTimer = null;
+        this.flush().catch(error => {
+          console.error('Index flush failed:', error);
+        });
+      }, this.flushInterval);
+      this.flushTimer.unref?.();
+    }
   }
 
-  remove(value, documentId) {
-    const key = this._normalizeValue(value);
-    
-    if (this.data.has(key)) {
-      const ids = this.data.get(key);
-      ids.delete(documentId);
-      
-      if (ids.size === 0) {
-        this.data.delete(key);
-        this.sorted = false;
+  _unflushedChanges() {
+    let count = 0;
+    for (const [collectionName, indexNames] of this.dirty) {
+      for (const indexName of indexNames) {
+        count += this.indexes.get(collectionName)?.get(indexName)?.changes.length || 0;
       }
     }
+    return count;
   }
 
-  find(value) {
-    const key = this._normalizeValue(value);
-    const ids = this.data.get(key);
-    return ids ? Array.from(ids) : [];
-  }
-
-  findRange(minValue, maxValue, includeMin = true, includeMax = true) {
-    this._ensureSorted();
-    
-    const results = [];
-    
-    for (const key of this.sortedKeys) {
-      const keyValue = this._denormalizeValue(key);
-      
-      // Check min bound
-      if (minValue !== null) {
-        if (includeMin ? keyValue < minValue : keyValue <= minValue) {
-          continue;
-        }
-      }
-      
-      // Check max bound
-      if (maxValue !== null) {
-        if (includeMax ? keyValue > maxValue : keyValue >= maxValue) {
-          break;
+  async _flushDirty() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+
+    const dirty = this.dirty;
+    this.dirty = new Map();
+
+    for (const [collectionName, indexNames] of dirty) {
+      const collectionIndexes = this.indexes.get(collectionName);
+
+      for (const indexName of indexNames) {
+        const index = collectionIndexes?.get(indexName);
+        if (!index || index.changes.length === 0) continue;
+
+        const changes = index.changes;
+        index.changes = [];
+
+        try {
+          // Once the log outgrows the index, a checkpoint is the cheaper write
+          const logged = this._logSize(collectionName, indexName, index) + changes.length;
+          if (logged > Math.max(this.compactionThreshold, index.entryCount)) {
+            await this._checkpoint(collectionName, indexName, index);
+          } else if (index instanceof VectorIndex) {
+            await this.storage?.appendVectorLog(collectionName, indexName, encodeVectorLog(changes));
+            index.loggedChanges += changes.length;
+          } else {
+            await this.store.append(collectionName, indexName, { multikey: index.multikey, changes });
+          }
+        } catch (error) {
+          // Put everything not yet written back for the next flush
+          index.changes = changes.concat(index.changes);
+          for (const [name, names] of dirty) {
+            const pending = this.dirty.get(name) || new Set();
+            names.forEach(dirtyName => pending.add(dirtyName));
+            this.dirty.set(name, pending);
+          }
+          throw error;
         }
       }
-      
-      const ids = this.data.get(key);
-      if (ids) {
-        results.push(...Array.from(ids));
+
+      // Changes that arrived during the flush keep the marker in place
+      if (!this.dirty.has(collectionName)) {
+        await this.store.clearPending(collectionName);
       }
     }
-    
-    return results;
   }
 
-  clear() {
-    this.data.clear();
-    this.sortedKeys = [];
-    this.sorted = false;
+  /**
+   * Write a full copy of an index: vector indexes as a snapshot through the
+   * storage engine (kept in memory only without one), the others as an
+   * index store checkpoint
+   */
+  async _checkpoint(collectionName, indexName, index) {
+    if (index instanceof VectorIndex) {
+      await this.storage?.saveVectorIndex(collectionName, indexName, index.toSnapshot());
+      index.loggedChanges = 0;
+    } else {
+      await this.store.checkpoint(collectionName, indexName, index.toJSON());
+    }
   }
 
-  size() {
-    return this.data.size;
+  _logSize(collectionName, indexName, index) {
+    return index instanceof VectorIndex ? index.loggedChanges : this.store.logSize(collectionName, indexName);
   }
 
-  getUniqueValueCount() {
-    return this.data.size;
-  }
+  _normalizeIndexSpec(fields) {
+    if (typeof fields === 'string') {
+      return [{ field: fields, direction: 1 }];
+    }
 
-  toJSON() {
-    const dataObj = {};
-    for (const [key, ids] of this.data) {
-      dataObj[key] = Array.from(ids);
+    const spec = Array.isArray(fields)
+      ? fields.map(field => ({ field, direction: 1 }))
+      : Object.entries(fields || {}).map(([field, direction]) => ({ field, direction: direction === -1 ? -1 : 1 }));
+
+    if (spec.length === 0) {
+      throw new Error('An index needs at least one field');
     }
-    
-    return {
-      fieldName: this.fieldName,
-      type: this.type,
-      data: dataObj
-    };
+    return spec;
   }
 
-  fromJSON(json) {
-    this.fieldName = json.fieldName;
-    this.type = json.type;
-    this.data.clear();
-    
-    for (const [key, ids] of Object.entries(json.data)) {
-      this.data.set(key, new Set(ids));
+  _indexName(spec) {
+    // Single-field indexes keep their historical name: the field itself
+    if (spec.length === 1) {
+      return spec[0].field;
     }
-    
-    this.sorted = false;
+    return spec.map(({ field, direction }) => `${field}_${direction}`).join('_');
   }
 
-  _normalizeValue(value) {
-    if (value === null || value === undefined) {
-      return '__NULL__';
+  _planIndexQuery(whereClause, indexes, options) {
+    const predicates = this._extractPredicates(whereClause);
+    const sortSpec = Object.entries(options.sort || {}).map(([field, direction]) => ({ field, direction: direction === -1 ? -1 : 1 }));
+    if (predicates.size === 0 && sortSpec.length === 0) {
+      return null;
     }
-    
-    if (typeof value === 'string') {
-      return value;
+
+    const idIndex = indexes.get('_id');
+    const candidates = [];
+
+    for (const [indexName, index] of indexes) {
+      // Vector indexes only answer $near (see planNearQuery())
+      if (index instanceof VectorIndex) {
+        continue;
+      }
+
+      // A partial index only answers queries whose matches all satisfy its filter
+      const { partialFilterExpression } = index.options;
+      if (partialFilterExpression && !impliesFilter(whereClause, predicates, partialFilterExpression)) {
+        continue;
+      }
+
+      const candidate = index.plan(predicates, sortSpec);
+      if (candidate) {
+        candidates.push({ indexName, index, ...candidate, estimate: index.estimate(candidate.bounds) });
+        continue;
+      }
+
+      const fullScan = this._fullScanCandidate(index, sortSpec, options.totalDocuments ?? idIndex?.entryCount);
+      if (fullScan) {
+        candidates.push({ indexName, index, ...fullScan });
+      }
     }
-    
-    if (typeof value === 'number') {
-      return `__NUM__${value}`;
+
+    if (candidates.length === 0) {
+      return null;
     }
-    
-    if (typeof value === 'boolean') {
-      return `__BOOL__${value}`;
+
+    const totalDocuments = options.totalDocuments
+      ?? (idIndex ? idIndex.entryCount : Math.max(...candidates.map(({ index }) => index.entryCount)));
+    const wanted = options.limit !== undefined && options.limit !== null
+      ? (options.offset || 0) + options.limit
+      : Infinity;
+
+    const plans = candidates.map(candidate => ({ type: 'indexScan', steps: [candidate] }));
+
+    // Intersection: widest compound prefix first, then indexes on the remaining fields
+    const ordered = [...candidates].sort((a, b) => (b.covered.length - a.covered.length) || (a.estimate.docs - b.estimate.docs));
+    const steps = [];
+    const covered = new Set();
+    for (const candidate of ordered) {
+      if (candidate.covered.some(field => !covered.has(field))) {
+        steps.push(candidate);
+        candidate.covered.forEach(field => covered.add(field));
+      }
     }
-    
-    if (value instanceof Date) {
-      return `__DATE__${value.toISOString()}`;
+    if (steps.length > 1) {
+      // The first step decides the output order
+      const sortedIndex = steps.findIndex(step => step.sorted);
+      if (sortedIndex > 0) {
+        steps.unshift(...steps.splice(sortedIndex, 1));
+      }
+      plans.push({ type: 'indexIntersection', steps });
     }
-    
-    // For complex objects, use JSON representation
-    return `__OBJ__${JSON.stringify(value)}`;
+
+    plans.push({ type: 'collectionScan', steps: [] });
+
+    for (const plan of plans) {
+      this._costPlan(plan, totalDocuments, sortSpec, wanted);
+    }
+
+    // Stable: on a tie the earlier (index) plan wins over the collection scan
+    const chosen = plans.reduce((best, plan) => (plan.cost < best.cost ? plan : best));
+    chosen.rejectedPlans = plans.filter(plan => plan !== chosen);
+
+    // A cursor resuming from a sort key starts the ordered walk at that key
+    if (options.seek !== undefined && chosen.sorted && chosen.steps[0].index instanceof FieldIndex) {
+      chosen.steps[0] = { ...chosen.steps[0], seek: options.seek };
+    }
+    return chosen;
   }
 
-  _denormalizeValue(key) {
-    if (key === '__NULL__') {
+  /**
+   * Walking a whole index returns every document in sort order, provided the
+   * index holds exactly one entry for each document of the collection
+   */
+  _fullScanCandidate(index, sortSpec, totalDocuments) {
+    if (sortSpec.length === 0 || index.fields[0].field !== sortSpec[0].field
+      || index.multikey || index.options.sparse || index.options.partialFilterExpression
+      || index.entryCount !== totalDocuments) {
       return null;
     }
-    
-    if (key.startsWith('__NUM__')) {
-      return parseFloat(key.substring(7));
+
+    const candidate = index.plan(new Map([[sortSpec[0].field, { range: {} }]]), sortSpec);
+    if (!candidate || !candidate.sorted) {
+      return null;
     }
-    
-    if (key.startsWith('__BOOL__')) {
-      return key.substring(8) === 'true';
+    return { ...candidate, covered: [], estimate: { keys: index.getUniqueValueCount(), docs: index.entryCount } };
+  }
+
+  _costPlan(plan, totalDocuments, sortSpec, wanted) {
+    const { steps } = plan;
+
+    if (plan.type === 'collectionScan') {
+      plan.estimatedKeys = 0;
+      plan.estimatedDocs = totalDocuments;
+      plan.sorted = false;
+    } else {
+      plan.estimatedKeys = steps.reduce((sum, step) => sum + step.estimate.keys, 0);
+      // Treat the indexed predicates as independent
+      plan.estimatedDocs = steps.reduce(
+        (docs, step) => (totalDocuments > 0 ? docs * Math.min(step.estimate.docs, totalDocuments) / totalDocuments : 0),
+        totalDocuments
+      );
+      plan.sorted = sortSpec.length > 0 && steps[0].sorted;
     }
-    
-    if (key.startsWith('__DATE__')) {
-      return new Date(key.substring(8));
+
+    // Index plans stop fetching once the page is filled if no sort is left to do
+    let fetched = plan.type === 'indexScan' ? steps[0].estimate.docs : plan.estimatedDocs;
+    if (plan.type !== 'collectionScan' && (plan.sorted || sortSpec.length === 0)) {
+      fetched = Math.min(fetched, wanted);
     }
-    
-    if (key.startsWith('__OBJ__')) {
-      return JSON.parse(key.substring(7));
+    // ...and a single-field index is walked lazily, so only the keys of those documents are visited
+    if (plan.type === 'indexScan' && steps[0].index instanceof FieldIndex && steps[0].estimate.docs > 0) {
+      plan.estimatedKeys = Math.min(plan.estimatedKeys, Math.ceil(steps[0].estimate.keys * fetched / steps[0].estimate.docs));
     }
-    
-    return key;
+
+    const sortCost = sortSpec.length > 0 && !plan.sorted
+      ? fetched * Math.log2(fetched + 1) * PLAN_COSTS.sort
+      : 0;
+
+    plan.cost = plan.estimatedKeys * PLAN_COSTS.key + fetched * PLAN_COSTS.fetch + sortCost;
   }
 
-  _ensureSorted() {
-    if (!this.sorted) {
+  /**
+   * Reduce a where clause to per-field index bounds:
+   * `{ eq: [values] }` for equality/$in, `{ range: {...} }` for comparisons.
+   * Conditions an index cannot answer are left to the caller's matcher.
+   */
+  _extractPredicates(whereClause, predicates = new Map()) {
+    for (const [field, condition] of Object.entries(whereClause)) {
+      if (field === '$and' && Array.isArray(condition)) {
+        condition.forEach(sub => this._extractPredicates(sub, predicates));
+        continue;
+      }
+      if (field.startsWith('$')) {
+        continue;
+      }
+
+      if (isIndexableValue(condition)) {
+        predicates.set(field, { eq: [condition] });
+        continue;
+      }
+
+      // An anchored, case-insensitive literal regex is an equality for case-insensitive indexes
+      const literal = caseInsensitiveLiteral(condition);
+      if (literal !== null) {
+        if (!predicates.has(field)) {
+          predicates.set(field, { eq: [literal], caseInsensitive: true });
+        }
+        continue;
+      }
+
+      if (!condition || typeof condition !== 'object' || Array.isArray(condition) || condition instanceof RegExp) {
+        continue;
+      }
+
+      const range = {};
+      let eq = null;
+
+      for (const [operator, value] of Object.entries(condition)) {
+        if (operator === '$eq' && isIndexableValue(value)) {
+          eq = [value];
+        } else if (operator === '$in' && Array.isArray(value) && value.length > 0 && value.every(isIndexableValue)) {
+          eq = value;
+        } else if ((operator === '$gt' || operator === '$gte') && isIndexableValue(value)) {
+          if (range.min === undefined || compareSortValues(value, range.min) >= 0) {
+            range.min = value;
+            range.minInclusive = operator === '$gte';
+          }
+        } else if ((operator === '$lt' || operator === '$lte') && isIndexableValue(value)) {
+          if (range.max === undefined || compareSortValues(value, range.max) <= 0) {
+            range.max = value;
+            range.maxInclusive = operator === '$lte';
+          }
+        }
+      }
+
+      if (eq) {
+        predicates.set(field, { eq });
+      } else if (range.min !== undefined || range.max !== undefined) {
+        predicates.set(field, { range });
+      }
+    }
+
+    return predicates;
+  }
+}
+
+/**
+ * Values an index lookup can answer exactly. null is excluded because
+ * `{ field: null }` also matches documents without the field, which are not indexed.
+ */
+function isIndexableValue(value) {
+  return typeof value === 'string' || typeof value === 'number' || typeof value === 'boolean' || value instanceof Date;
+}
+
+/**
+ * Validate index options and keep only the ones that are set
+ */
+function normalizeIndexOptions(options = {}, fields) {
+  const normalized = {};
+
+  if (options.unique) {
+    normalized.unique = true;
+  }
+  if (options.sparse) {
+    normalized.sparse = true;
+  }
+  if (options.caseInsensitive) {
+    normalized.caseInsensitive = true;
+  }
+
+  if (options.partialFilterExpression !== undefined) {
+    const filter = options.partialFilterExpression;
+    if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+      throw new Error('partialFilterExpression must be a query object');
+    }
+    normalized.partialFilterExpression = filter;
+  }
+
+  if (options.expireAfterSeconds !== undefined && options.expireAfterSeconds !== null) {
+    if (fields.length !== 1) {
+      throw new Error('A TTL index (expireAfterSeconds) must be on a single field');
+    }
+    if (typeof options.expireAfterSeconds !== 'number' || !(options.expireAfterSeconds >= 0)) {
+      throw new Error('expireAfterSeconds must be a non-negative number');
+    }
+    normalized.expireAfterSeconds = options.expireAfterSeconds;
+  }
+
+  return normalized;
+}
+
+/**
+ * Whether a document belongs in an index, given the values of each indexed
+ * field and the index's sparse and partial options
+ */
+function includesDocument(index, document, valuesPerField) {
+  const { sparse, partialFilterExpression } = index.options;
+
+  if (sparse && valuesPerField.some(values => !values.some(value => value !== null && value !== undefined))) {
+    return false;
+  }
+  return !partialFilterExpression || matchesQuery(document, partialFilterExpression);
+}
+
+/**
+ * Whether every document matching a where clause also matches a partial
+ * index's filter. Each filter field must be repeated in the where clause
+ * or be implied by the where clause's equality values or range on it.
+ */
+function impliesFilter(whereClause, predicates, filter) {
+  return Object.entries(filter).every(([field, condition]) => {
+    if (field === '$and' && Array.isArray(condition)) {
+      return condition.every(sub => impliesFilter(whereClause, predicates, sub));
+    }
+    if (whereClause[field] !== undefined && valuesEqual(whereClause[field], condition)) {
+      return true;
+    }
+
+    const predicate = predicates.get(field);
+    if (!predicate || predicate.caseInsensitive) {
+      return false;
+    }
+    return predicate.eq
+      ? predicate.eq.every(value => matchesCondition(value, condition))
+      : rangeImplies(predicate.range, condition);
+  });
+}
+
+/**
+ * Whether a range from _extractPredicates lies within a comparison condition
+ */
+function rangeImplies(range, condition) {
+  if (!condition || typeof condition !== 'object' || Array.isArray(condition) || condition instanceof Date) {
+    return false;
+  }
+
+  return Object.entries(condition).every(([operator, value]) => {
+    switch (operator) {
+      case '$exists':
+        return value === true;
+      case '$gt':
+      case '$gte': {
+        const comparison = range.min === undefined ? null : compareValues(range.min, value);
+        return comparison !== null && (comparison > 0 || (comparison === 0 && (operator === '$gte' || !range.minInclusive)));
+      }
+      case '$lt':
+      case '$lte': {
+        const comparison = range.max === undefined ? null : compareValues(range.max, value);
+        return comparison !== null && (comparison < 0 || (comparison === 0 && (operator === '$lte' || !range.maxInclusive)));
+      }
+      default:
+        return false;
+    }
+  });
+}
+
+/**
+ * The literal matched by an anchored case-insensitive regex such as
+ * `/^bob@example\.com$/i`, or null for any other condition
+ */
+function caseInsensitiveLiteral(condition) {
+  let pattern = condition;
+  let flags = '';
+
+  if (condition && typeof condition === 'object' && !(condition instanceof RegExp)) {
+    const operators = Object.keys(condition);
+    if (condition.$regex === undefined || operators.some(operator => operator !== '$regex' && operator !== '$options')) {
+      return null;
+    }
+    pattern = condition.$regex;
+    flags = condition.$options || '';
+  }
+
+  if (pattern instanceof RegExp) {
+    flags += pattern.flags;
+    pattern = pattern.source;
+  }
+  if (typeof pattern !== 'string' || !flags.includes('i') || flags.includes('m')) {
+    return null;
+  }
+
+  const match = /^\^((?:[^\\.*+?()[\]{}|^$]|\\[^a-zA-Z0-9])*)\$$/.exec(pattern);
+  return match ? match[1].replace(/\\(.)/g, '$1') : null;
+}
+
+/**
+ * Whether an index can answer these bounds. Case-insensitive indexes fold
+ * their string keys, which keeps number and date order but not string order.
+ */
+function supportsBounds(index, bounds) {
+  if (!index.options.caseInsensitive) {
+    return !bounds.caseInsensitive;
+  }
+  return Boolean(bounds.eq) || ![bounds.range.min, bounds.range.max].some(value => typeof value === 'string');
+}
+
+function foldCase(value) {
+  return typeof value === 'string' ? value.toLowerCase() : value;
+}
+
+function foldBounds(bounds) {
+  return bounds.eq ? { ...bounds, eq: bounds.eq.map(foldCase) } : bounds;
+}
+
+/**
+ * Time of a TTL index key in milliseconds: dates, ISO date strings and
+ * epoch milliseconds count, anything else never expires
+ */
+function keyTime(value) {
+  if (value instanceof Date) {
+    return value.getTime();
+  }
+  if (typeof value === 'number') {
+    return value;
+  }
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value)) {
+    const time = Date.parse(value);
+    return Number.isNaN(time) ? null : time;
+  }
+  return null;
+}
+
+/**
+ * Separate a trailing `_id` sort, which an index on other fields serves by
+ * ordering the IDs under each key
+ * @returns {Object} `{ order, tiebreak }` with tiebreak 1, -1 or 0 for none
+ */
+function splitTiebreak(sortSpec, fields) {
+  const last = sortSpec[sortSpec.length - 1];
+  if (sortSpec.length < 2 || last.field !== '_id' || fields.includes('_id')) {
+    return { order: sortSpec, tiebreak: 0 };
+  }
+  return { order: sortSpec.slice(0, -1), tiebreak: last.direction };
+}
+
+/**
+ * Document IDs under one index key, ordered when a tiebreak is given
+ */
+function orderIds(ids, tiebreak) {
+  return tiebreak ? Array.from(ids).sort((a, b) => compareSortValues(a, b) * tiebreak) : ids;
+}
+
+/**
+ * Check an index key against bounds from _extractPredicates
+ */
+function keyInBounds(key, bounds) {
+  if (bounds.eq) {
+    return bounds.eq.some(value => equalKeys(key, value));
+  }
+
+  const { min, minInclusive, max, maxInclusive } = bounds.range;
+  if (min !== undefined) {
+    const comparison = compareValues(key, min);
+    if (comparison === null || comparison < 0 || (comparison === 0 && !minInclusive)) return false;
+  }
+  if (max !== undefined) {
+    const comparison = compareValues(key, max);
+    if (comparison === null || comparison > 0 || (comparison === 0 && !maxInclusive)) return false;
+  }
+  return true;
+}
+
+function equalKeys(a, b) {
+  // Dates are stored as ISO strings once a document has been persisted
+  return a === b || ((a instanceof Date || b instanceof Date) && compareValues(a, b) === 0);
+}
+
+/**
+ * Index keys for one field of a document; each element of an array is its own key
+ */
+function fieldKeys(document, field) {
+  const keys = [];
+  for (const value of getFieldValues(document, field)) {
+    if (Array.isArray(value)) {
+      keys.push(...value);
+    } else {
+      keys.push(value);
+    }
+  }
+  return keys;
+}
+
+/**
+ * Add a (key, document) entry to an index, recording it for the change log
+ */
+function addEntry(index, key, documentId) {
+  if (!index.data.has(key)) {
+    index.data.set(key, new Set());
+    index.sorted = false;
+  }
+
+  const ids = index.data.get(key);
+  if (!ids.has(documentId)) {
+    ids.add(documentId);
+    index.entryCount++;
+    index.changes.push(['+', key, documentId]);
+  }
+}
+
+function removeEntry(index, key, documentId) {
+  const ids = index.data.get(key);
+  if (ids && ids.delete(documentId)) {
+    index.entryCount--;
+    index.changes.push(['-', key, documentId]);
+    if (ids.size === 0) {
+      index.data.delete(key);
+      index.sorted = false;
+    }
+  }
+}
+
+/**
+ * Replay logged changes; both operations are idempotent, so replaying a
+ * change already contained in the checkpoint is harmless
+ */
+function applyChanges(index, changes) {
+  for (const [op, key, documentId] of changes) {
+    if (op === '+') {
+      addEntry(index, key, documentId);
+    } else {
+      removeEntry(index, key, documentId);
+    }
+  }
+}
+
+/**
+ * Field Index implementation
+ * Array values are indexed per element (multikey).
+ */
+class FieldIndex {
+  constructor(fieldName, type = 'standard', options = {}) {
+    this.fieldName = fieldName;
+    this.fields = [{ field: fieldName, direction: 1 }];
+    this.type = type; // 'standard', 'unique'
+    this.options = options; // See normalizeIndexOptions()
+    this.multikey = false;
+    this.data = new Map(); // value -> Set of document IDs
+    this.entryCount = 0; // (key, document) pairs, for selectivity estimates
+    this.changes = []; // Entries added/removed since the last flush
+    this.sortedKeys = []; // For range queries
+    this.sorted = false;
+  }
+
+  addDocument(document) {
+    const values = getFieldValues(document, this.fieldName);
+    if (values.length === 0 || !includesDocument(this, document, [values])) {
+      return false;
+    }
+
+    const keys = fieldKeys(document, this.fieldName);
+    if (values.some(Array.isArray)) {
+      this.multikey = true;
+    }
+
+    for (const key of new Set(keys)) {
+      this.add(key, document._id);
+    }
+    return true;
+  }
+
+  /**
+   * Throw if addDocument() would violate this index's unique constraint
+   */
+  checkDocument(document) {
+    const values = getFieldValues(document, this.fieldName);
+    if (this.type !== 'unique' || values.length === 0 || !includesDocument(this, document, [values])) {
+      return;
+    }
+
+    for (const key of new Set(fieldKeys(document, this.fieldName))) {
+      this._checkUnique(this._normalizeValue(key), key, document._id);
+    }
+  }
+
+  removeDocument(document) {
+    const values = getFieldValues(document, this.fieldName);
+    if (values.length === 0) {
+      return false;
+    }
+
+    for (const key of new Set(fieldKeys(document, this.fieldName))) {
+      this.remove(key, document._id);
+    }
+    return true;
+  }
+
+  add(value, documentId) {
+    const key = this._normalizeValue(value);
+    this._checkUnique(key, value, documentId);
+    addEntry(this, key, documentId);
+  }
+
+  _checkUnique(key, value, documentId) {
+    const existingIds = this.type === 'unique' && this.data.get(key);
+    if (existingIds && existingIds.size > 0 && !existingIds.has(documentId)) {
+      throw new Error(`Unique constraint violation: duplicate value '${value}' for field '${this.fieldName}'`);
+    }
+  }
+
+  remove(value, documentId) {
+    removeEntry(this, this._normalizeValue(value), documentId);
+  }
+
+  find(value) {
+    const ids = new Set();
+    for (const key of this._lookupKeys(value)) {
+      for (const id of this.data.get(key) || []) {
+        ids.add(id);
+      }
+    }
+    return Array.from(ids);
+  }
+
+  findRange(minValue, maxValue, includeMin = true, includeMax = true) {
+    return this.scan({
+      range: {
+        min: minValue === null ? undefined : minValue,
+        minInclusive: includeMin,
+        max: maxValue === null ? undefined : maxValue,
+        maxInclusive: includeMax
+      }
+    });
+  }
+
+  /**
+   * Plan this index against the query predicates (see IndexManager._extractPredicates)
+   */
+  plan(predicates, sortSpec) {
+    const bounds = predicates.get(this.fieldName);
+    if (!bounds || !supportsBounds(this, bounds)) {
+      return null;
+    }
+
+    // A multikey index holds one entry per element, which is not a document order.
+    // A trailing `_id` sort is served by ordering the IDs under each key.
+    const { order, tiebreak } = splitTiebreak(sortSpec, [this.fieldName]);
+    const sorted = !this.multikey && !this.options.caseInsensitive
+      && order.length === 1 && order[0].field === this.fieldName;
+    return {
+      bounds,
+      direction: sorted ? order[0].direction : 1,
+      covered: [this.fieldName],
+      sorted,
+      tiebreak: sorted ? tiebreak : 0
+    };
+  }
+
+  /**
+   * Document IDs whose key lies within bounds, in key order
+   */
+  scan(bounds, direction = 1, stats = {}, options = {}) {
+    return Array.from(this.iterate(bounds, direction, stats, options));
+  }
+
+  /**
+   * Lazily yield the document IDs whose key lies within bounds, in key order.
+   * `seek` skips the keys before that value; `tiebreak` (1 or -1) orders the
+   * IDs under each key. `stats.keysExamined` is incremented for every key visited.
+   */
+  *iterate(bounds, direction = 1, stats = {}, { seek, tiebreak = 0 } = {}) {
+    const keys = bounds.eq ? this._equalityKeys(bounds.eq, direction) : this._orderedKeys(direction);
+    const seen = this.multikey ? new Set() : null;
+
+    for (let i = seek === undefined ? 0 : this._seekPosition(keys, seek, direction); i < keys.length; i++) {
+      stats.keysExamined = (stats.keysExamined || 0) + 1;
+      if (!bounds.eq && !keyInBounds(this._denormalizeValue(keys[i]), bounds)) {
+        continue;
+      }
+      for (const id of orderIds(this.data.get(keys[i]), tiebreak)) {
+        if (seen) {
+          if (seen.has(id)) {
+            continue;
+          }
+          seen.add(id);
+        }
+        yield id;
+      }
+    }
+  }
+
+  /**
+   * Estimated keys and documents within bounds. Equality uses the average
+   * number of documents per distinct value; ranges count the keys they span.
+   */
+  estimate(bounds) {
+    const uniqueValues = this.getUniqueValueCount();
+    if (uniqueValues === 0) {
+      return { keys: 0, docs: 0 };
+    }
+
+    const perKey = this.entryCount / uniqueValues;
+    const keys = bounds.eq
+      ? Math.min(bounds.eq.length, uniqueValues)
+      : this._orderedKeys(1).filter(key => keyInBounds(this._denormalizeValue(key), bounds)).length;
+
+    return { keys, docs: keys * perKey };
+  }
+
+  /**
+   * Document IDs whose key time (see keyTime()) is at or before `cutoff`.
+   * Numbers and dates (ISO date strings included) are sorted on their own,
+   * so the walk starts at the first key of each and stops at the first later time.
+   */
+  expiredIds(cutoff) {
+    const keys = this._orderedKeys(1);
+    const ids = new Set();
+
+    for (const rank of [1, 5]) {
+      for (let i = this._firstKeyOfRank(rank); i < keys.length; i++) {
+        const value = this._denormalizeValue(keys[i]);
+        if (sortTypeRank(value) !== rank) {
+          break;
+        }
+
+        const time = keyTime(value);
+        if (time === null) {
+          continue;
+        }
+        if (time > cutoff) {
+          break;
+        }
+        for (const id of this.data.get(keys[i])) {
+          ids.add(id);
+        }
+      }
+    }
+
+    return Array.from(ids);
+  }
+
+  clear() {
+    this.data.clear();
+    this.entryCount = 0;
+    this.changes = [];
+    this.sortedKeys = [];
+    this.sorted = false;
+    this.multikey = false;
+  }
+
+  size() {
+    return this.data.size;
+  }
+
+  getUniqueValueCount() {
+    return this.data.size;
+  }
+
+  toJSON() {
+    const dataObj = {};
+    for (const [key, ids] of this.data) {
+      dataObj[key] = Array.from(ids);
+    }
+    
+    return {
+      fieldName: this.fieldName,
+      type: this.type,
+      options: this.options,
+      multikey: this.multikey,
+      data: dataObj
+    };
+  }
+
+  fromJSON(json) {
+    this.fieldName = json.fieldName;
+    this.fields = [{ field: json.fieldName, direction: 1 }];
+    this.type = json.type;
+    this.options = json.options || this.options;
+    this.multikey = Boolean(json.multikey);
+    this.data.clear();
+    
+    this.entryCount = 0;
+    for (const [key, ids] of Object.entries(json.data)) {
+      this.data.set(key, new Set(ids));
+      this.entryCount += this.data.get(key).size;
+    }
+    
+    this.sorted = false;
+  }
+
+  _lookupKeys(value) {
+    const keys = [this._normalizeValue(value)];
+
+    // Dates are indexed as Date before a document is persisted and as ISO strings after
+    if (value instanceof Date) {
+      keys.push(value.toISOString());
+    } else if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value)) {
+      keys.push(`__DATE__${value}`);
+    }
+    return keys;
+  }
+
+  _equalityKeys(values, direction) {
+    // Look the values up directly instead of walking every key
+    return [...new Set(values.flatMap(value => this._lookupKeys(value)))]
+      .filter(key => this.data.has(key))
+      .sort((a, b) => compareSortValues(this._denormalizeValue(a), this._denormalizeValue(b)) * direction);
+  }
+
+  _orderedKeys(direction) {
+    this._ensureSorted();
+    return direction === -1 ? [...this.sortedKeys].reverse() : this.sortedKeys;
+  }
+
+  /**
+   * Position of the first key at or after `value` in walk order. The same
+   * date may be keyed as a Date or an ISO string, so both are tried.
+   */
+  _seekPosition(keys, value, direction) {
+    const variants = [value];
+    if (value instanceof Date) {
+      variants.push(value.toISOString());
+    } else if (sortTypeRank(value) === 5) {
+      variants.push(new Date(value));
+    }
+
+    return Math.min(...variants.map(variant => {
+      let low = 0;
+      let high = keys.length;
+      while (low < high) {
+        const middle = (low + high) >> 1;
+        if (compareSortValues(this._denormalizeValue(keys[middle]), variant) * direction < 0) {
+          low = middle + 1;
+        } else {
+          high = middle;
+        }
+      }
+      return low;
+    }));
+  }
+
+  _normalizeValue(value) {
+    return normalizeKey(this.options.caseInsensitive ? foldCase(value) : value);
+  }
+
+  _denormalizeValue(key) {
+    return denormalizeKey(key);
+  }
+
+  _firstKeyOfRank(rank) {
+    const keys = this._orderedKeys(1);
+    let low = 0;
+    let high = keys.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (sortTypeRank(this._denormalizeValue(keys[middle])) < rank) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    return low;
+  }
+
+  _ensureSorted() {
+    if (!this.sorted) {
+      this.sortedKeys = Array.from(this.data.keys()).sort((a, b) => (
+        compareSortValues(this._denormalizeValue(a), this._denormalizeValue(b))
+      ));
+      this.sorted = true;
+    }
+  }
+}
+
+/**
+ * Compound Index implementation
+ * Keys are tuples ordered field by field, so any leading prefix of the
+ * fields can be matched and the tuple order can serve a sort. At most one
+ * of the fields may hold an array in a given document.
+ */
+class CompoundIndex {
+  constructor(fields, type = 'standard', options = {}) {
+    this.fields = fields.map(({ field, direction }) => ({ field, direction: direction === -1 ? -1 : 1 }));
+    this.fieldName = this.fields.map(({ field }) => field).join(',');
+    this.type = type; // 'standard', 'unique'
+    this.options = options; // See normalizeIndexOptions()
+    this.multikey = false;
+    this.data = new Map(); // JSON tuple key -> Set of document IDs
+    this.entryCount = 0;
+    this.changes = [];
+    this.sortedKeys = [];
+    this.sorted = false;
+  }
+
+  addDocument(document) {
+    const tuples = this._tuples(document);
+    if (tuples.length === 0) {
+      return false;
+    }
+
+    for (const tuple of tuples) {
+      const key = this._key(tuple);
+      this._checkUnique(key, document._id);
+      addEntry(this, key, document._id);
+    }
+    return true;
+  }
+
+  /**
+   * Throw if addDocument() would violate this index's unique constraint
+   */
+  checkDocument(document) {
+    if (this.type !== 'unique') {
+      return;
+    }
+
+    for (const tuple of this._tuples(document)) {
+      this._checkUnique(this._key(tuple), document._id);
+    }
+  }
+
+  _checkUnique(key, documentId) {
+    const existingIds = this.type === 'unique' && this.data.get(key);
+    if (existingIds && existingIds.size > 0 && !existingIds.has(documentId)) {
+      throw new Error(`Unique constraint violation: duplicate value for fields '${this.fieldName}'`);
+    }
+  }
+
+  removeDocument(document) {
+    const tuples = this._tuples(document);
+    if (tuples.length === 0) {
+      return false;
+    }
+
+    for (const tuple of tuples) {
+      removeEntry(this, this._key(tuple), document._id);
+    }
+    return true;
+  }
+
+  /**
+   * Match single-value equalities on a leading prefix of the fields, then
+   * at most one equality set or range on the next field.
+   */
+  plan(predicates, sortSpec) {
+    // A sparse compound index leaves out documents missing any of its fields
+    if (this.options.sparse && this.fields.some(({ field }) => !predicates.has(field))) {
+      return null;
+    }
+
+    const bounds = [];
+
+    for (const { field } of this.fields) {
+      const predicate = predicates.get(field);
+      if (!predicate || !supportsBounds(this, predicate)) {
+        break;
+      }
+      bounds.push(predicate);
+      if (!predicate.eq || predicate.eq.length > 1) {
+        break;
+      }
+    }
+
+    if (bounds.length === 0) {
+      return null;
+    }
+
+    const { order, tiebreak } = splitTiebreak(sortSpec, this.fields.map(({ field }) => field));
+    const { sorted, direction } = this._sortOrder(bounds, order);
+    return {
+      bounds,
+      direction,
+      covered: this.fields.slice(0, bounds.length).map(({ field }) => field),
+      sorted,
+      tiebreak: sorted ? tiebreak : 0
+    };
+  }
+
+  /**
+   * Document IDs whose tuple matches the per-field bounds, in index order
+   */
+  scan(bounds, direction = 1, stats = {}, options = {}) {
+    return Array.from(this.iterate(bounds, direction, stats, options));
+  }
+
+  /**
+   * Lazily yield the document IDs whose tuple matches the per-field bounds,
+   * in index order, with the IDs under each key ordered by `tiebreak`
+   */
+  *iterate(bounds, direction = 1, stats = {}, { tiebreak = 0 } = {}) {
+    const seen = this.multikey ? new Set() : null;
+
+    for (const key of this._matchingKeys(bounds, direction, stats)) {
+      for (const id of orderIds(this.data.get(key), tiebreak)) {
+        if (seen) {
+          if (seen.has(id)) {
+            continue;
+          }
+          seen.add(id);
+        }
+        yield id;
+      }
+    }
+  }
+
+  /**
+   * Estimated keys and documents within bounds
+   */
+  estimate(bounds) {
+    const uniqueValues = this.getUniqueValueCount();
+    if (uniqueValues === 0) {
+      return { keys: 0, docs: 0 };
+    }
+
+    const keys = this._matchingKeys(bounds, 1, {}).length;
+    return { keys, docs: keys * (this.entryCount / uniqueValues) };
+  }
+
+  clear() {
+    this.data.clear();
+    this.entryCount = 0;
+    this.changes = [];
+    this.sortedKeys = [];
+    this.sorted = false;
+    this.multikey = false;
+  }
+
+  size() {
+    return this.data.size;
+  }
+
+  getUniqueValueCount() {
+    return this.data.size;
+  }
+
+  toJSON() {
+    const dataObj = {};
+    for (const [key, ids] of this.data) {
+      dataObj[key] = Array.from(ids);
+    }
+
+    return {
+      fields: this.fields,
+      type: this.type,
+      options: this.options,
+      multikey: this.multikey,
+      data: dataObj
+    };
+  }
+
+  fromJSON(json) {
+    this.type = json.type;
+    this.options = json.options || this.options;
+    this.multikey = Boolean(json.multikey);
+    this.data.clear();
+
+    this.entryCount = 0;
+    for (const [key, ids] of Object.entries(json.data)) {
+      this.data.set(key, new Set(ids));
+      this.entryCount += this.data.get(key).size;
+    }
+
+    this.sorted = false;
+  }
+
+  _matchingKeys(bounds, direction, stats) {
+    if (this.options.caseInsensitive) {
+      bounds = bounds.map(foldBounds);
+    }
+    this._ensureSorted();
+    const keys = direction === -1 ? [...this.sortedKeys].reverse() : this.sortedKeys;
+    const matching = [];
+
+    for (const key of keys) {
+      stats.keysExamined = (stats.keysExamined || 0) + 1;
+      const tuple = JSON.parse(key).map(denormalizeKey);
+
+      if (bounds.every((fieldBounds, i) => keyInBounds(tuple[i], fieldBounds))) {
+        matching.push(key);
+      }
+    }
+
+    return matching;
+  }
+
+  _tuples(document) {
+    const perField = this.fields.map(({ field }) => {
+      const values = getFieldValues(document, field);
+      return { values, keys: fieldKeys(document, field) };
+    });
+
+    if (perField.every(({ values }) => values.length === 0)
+      || !includesDocument(this, document, perField.map(({ values }) => values))) {
+      return [];
+    }
+
+    const arrayFields = perField.filter(({ values }) => values.some(Array.isArray) || values.length > 1);
+    if (arrayFields.length > 1) {
+      throw new Error(`Cannot index parallel arrays in compound index '${this.fieldName}'`);
+    }
+    if (arrayFields.length === 1) {
+      this.multikey = true;
+    }
+
+    // Missing fields are indexed as null so the document still appears under its prefix
+    let tuples = [[]];
+    for (const { keys } of perField) {
+      const fieldValues = keys.length > 0 ? [...new Set(keys)] : [null];
+      tuples = tuples.flatMap(tuple => fieldValues.map(value => [...tuple, value]));
+    }
+    return tuples;
+  }
+
+  _key(tuple) {
+    return JSON.stringify(tuple.map(value => normalizeKey(this.options.caseInsensitive ? foldCase(value) : value)));
+  }
+
+  _sortOrder(bounds, sortSpec) {
+    if (this.multikey || this.options.caseInsensitive || sortSpec.length === 0) {
+      return { sorted: false, direction: 1 };
+    }
+
+    // Fields pinned by a single equality do not affect order and may be skipped
+    let position = 0;
+    let direction = null;
+
+    for (const { field, direction: wanted } of sortSpec) {
+      while (position < this.fields.length && this.fields[position].field !== field
+        && bounds[position]?.eq?.length === 1) {
+        position++;
+      }
+      if (position >= this.fields.length || this.fields[position].field !== field) {
+        return { sorted: false, direction: 1 };
+      }
+
+      const relative = this.fields[position].direction === wanted ? 1 : -1;
+      if (direction !== null && relative !== direction) {
+        return { sorted: false, direction: 1 };
+      }
+      direction = relative;
+      position++;
+    }
+
+    return { sorted: true, direction };
+  }
+
+  _ensureSorted() {
+    if (!this.sorted) {
+      const tuples = new Map(Array.from(this.data.keys(), key => [key, JSON.parse(key).map(denormalizeKey)]));
       this.sortedKeys = Array.from(this.data.keys()).sort((a, b) => {
-        const aVal = this._denormalizeValue(a);
-        const bVal = this._denormalizeValue(b);
-        
-        if (aVal < bVal) return -1;
-        if (aVal > bVal) return 1;
+        const aTuple = tuples.get(a);
+        const bTuple = tuples.get(b);
+        for (let i = 0; i < this.fields.length; i++) {
+          const comparison = compareSortValues(aTuple[i], bTuple[i]);
+          if (comparison !== 0) {
+            return comparison * this.fields[i].direction;
+          }
+        }
         return 0;
       });
       this.sorted = true;
@@ -581,4 +1904,53 @@ class FieldIndex {
   }
 }
 
+function normalizeKey(value) {
+  if (value === null || value === undefined) {
+    return '__NULL__';
+  }
+  
+  if (typeof value === 'string') {
+    return value;
+  }
+  
+  if (typeof value === 'number') {
+    return `__NUM__${value}`;
+  }
+  
+  if (typeof value === 'boolean') {
+    return `__BOOL__${value}`;
+  }
+  
+  if (value instanceof Date) {
+    return `__DATE__${value.toISOString()}`;
+  }
+  
+  // For complex objects, use JSON representation
+  return `__OBJ__${JSON.stringify(value)}`;
+}
+
+function denormalizeKey(key) {
+  if (key === '__NULL__') {
+    return null;
+  }
+  
+  if (key.startsWith('__NUM__')) {
+    return parseFloat(key.substring(7));
+  }
+  
+  if (key.startsWith('__BOOL__')) {
+    return key.substring(8) === 'true';
+  }
+  
+  if (key.startsWith('__DATE__')) {
+    return new Date(key.substring(8));
+  }
+  
+  if (key.startsWith('__OBJ__')) {
+    return JSON.parse(key.substring(7));
+  }
+  
+  return key;
+}
+
 export default IndexManager;
@@ -0,0 +1,249 @@
+import { promises as fs, existsSync } from 'fs';
+import { join } from 'path';
+import { createHash } from 'crypto';
+
+const FORMAT_VERSION = 2;
+const MANIFEST_FILE = 'manifest.json';
+const PENDING_FILE = 'PENDING';
+
+/**
+ * Raised while loading an index whose checkpoint or change log fails its
+ * checksum. The index must be rebuilt from the collection's documents.
+ */
+export class IndexCorruptionError extends Error {
+  constructor(collectionName, indexName, reason) {
+    super(`Index '${indexName}' of collection '${collectionName}' is corrupt: ${reason}`);
+    this.name = 'IndexCorruptionError';
+    this.code = 'INDEX_CORRUPT';
+    this.collection = collectionName;
+    this.indexName = indexName;
+  }
+}
+
+/**
+ * Index Store for BigBaseAlpha
+ * Persists indexes as a checksummed checkpoint (`<index>.idx`) plus an
+ * append-only change log (`<index>.log`), LSM style.
+ *
+ * Index changes are appended to the log in batches; once the log holds more
+ * changes than the index has entries it is folded into a new checkpoint, so
+ * the cost of writing an index stays proportional to what changed. Every log
+ * record and checkpoint carries a checksum. A `PENDING` marker is present
+ * while a collection has changes that are not on disk yet: if it survives a
+ * crash, the collection's indexes are stale and have to be rebuilt.
+ */
+export class IndexStore {
+  constructor(basePath) {
+    this.basePath = basePath;
+    this.logCounts = new Map(); // "collection/index" -> changes in the log since the checkpoint
+    this.pending = new Set(); // collections whose PENDING marker is on disk
+    this.markerQueue = Promise.resolve(); // marker writes and removals run in order
+    this.stats = {
+      batches: 0,
+      changes: 0,
+      checkpoints: 0,
+      bytesWritten: 0
+    };
+  }
+
+  /**
+   * Collections that have an index directory
+   */
+  async listCollections() {
+    if (!existsSync(this.basePath)) {
+      return [];
+    }
+
+    const entries = await fs.readdir(this.basePath, { withFileTypes: true });
+    return entries.filter(entry => entry.isDirectory()).map(entry => entry.name);
+  }
+
+  /**
+   * Index definitions of a collection: name -> { fields, type }
+   */
+  async readManifest(collectionName) {
+    const manifestPath = join(this.basePath, collectionName, MANIFEST_FILE);
+    if (!existsSync(manifestPath)) {
+      return null;
+    }
+    return JSON.parse(await fs.readFile(manifestPath, 'utf8'));
+  }
+
+  async writeManifest(collectionName, definitions) {
+    await this._ensureDirectory(collectionName);
+    await this._writeAtomic(join(this.basePath, collectionName, MANIFEST_FILE), JSON.stringify(definitions, null, 2));
+  }
+
+  /**
+   * Names of the indexes with a checkpoint on disk (for collections written before the manifest existed)
+   */
+  async listIndexFiles(collectionName) {
+    const files = await fs.readdir(join(this.basePath, collectionName));
+    return files.filter(file => file.endsWith('.idx')).map(file => file.slice(0, -4));
+  }
+
+  /**
+   * Whether a previous process stopped with index changes that never reached disk
+   */
+  hasPending(collectionName) {
+    return existsSync(join(this.basePath, collectionName, PENDING_FILE));
+  }
+
+  async markPending(collectionName) {
+    if (this.pending.has(collectionName)) {
+      return;
+    }
+    this.pending.add(collectionName);
+    await this._enqueueMarker(async () => {
+      await this._ensureDirectory(collectionName);
+      await fs.writeFile(join(this.basePath, collectionName, PENDING_FILE), String(Date.now()));
+    });
+  }
+
+  async clearPending(collectionName) {
+    this.pending.delete(collectionName);
+    await this._enqueueMarker(() => fs.rm(join(this.basePath, collectionName, PENDING_FILE), { force: true }));
+  }
+
+  /**
+   * Read an index: its checkpoint plus the change batches logged after it.
+   * Throws IndexCorruptionError if either fails verification.
+   * @returns {Promise<Object|null>} `{ snapshot, batches }`, or null if the index has no checkpoint
+   */
+  async load(collectionName, indexName) {
+    const checkpointPath = this._path(collectionName, indexName, 'idx');
+    if (!existsSync(checkpointPath)) {
+      return null;
+    }
+
+    let checkpoint;
+    try {
+      checkpoint = JSON.parse(await fs.readFile(checkpointPath, 'utf8'));
+    } catch (error) {
+      throw new IndexCorruptionError(collectionName, indexName, `unreadable checkpoint (${error.message})`);
+    }
+
+    // Checkpoints written before the change log have no envelope or checksum
+    const snapshot = checkpoint.format === FORMAT_VERSION ? checkpoint.index : checkpoint;
+    if (checkpoint.format === FORMAT_VERSION && this._checksum(JSON.stringify(snapshot)) !== checkpoint.checksum) {
+      throw new IndexCorruptionError(collectionName, indexName, 'checkpoint checksum mismatch');
+    }
+
+    const batches = await this._readLog(collectionName, indexName);
+    this.logCounts.set(this._key(collectionName, indexName), batches.reduce((sum, batch) => sum + batch.changes.length, 0));
+
+    return { snapshot, batches };
+  }
+
+  /**
+   * Append one batch of changes to an index's log
+   * @param {Object} batch - `{ multikey, changes: [[op, key, id], ...] }`
+   */
+  async append(collectionName, indexName, batch) {
+    await this._ensureDirectory(collectionName);
+
+    const payload = JSON.stringify(batch);
+    const line = `${this._checksum(payload)} ${payload}\n`;
+    await fs.appendFile(this._path(collectionName, indexName, 'log'), line);
+
+    const key = this._key(collectionName, indexName);
+    this.logCounts.set(key, (this.logCounts.get(key) || 0) + batch.changes.length);
+    this.stats.batches++;
+    this.stats.changes += batch.changes.length;
+    this.stats.bytesWritten += Buffer.byteLength(line);
+  }
+
+  /**
+   * Changes logged since the last checkpoint
+   */
+  logSize(collectionName, indexName) {
+    return this.logCounts.get(this._key(collectionName, indexName)) || 0;
+  }
+
+  /**
+   * Write a full checkpoint of an index and discard its change log
+   */
+  async checkpoint(collectionName, indexName, snapshot) {
+    await this._ensureDirectory(collectionName);
+
+    const payload = JSON.stringify(snapshot);
+    const contents = JSON.stringify({ format: FORMAT_VERSION, checksum: this._checksum(payload), index: snapshot });
+    await this._writeAtomic(this._path(collectionName, indexName, 'idx'), contents);
+    await fs.rm(this._path(collectionName, indexName, 'log'), { force: true });
+
+    this.logCounts.set(this._key(collectionName, indexName), 0);
+    this.stats.checkpoints++;
+    this.stats.bytesWritten += contents.length;
+  }
+
+  /**
+   * Remove an index's checkpoint and change log
+   */
+  async remove(collectionName, indexName) {
+    await fs.rm(this._path(collectionName, indexName, 'idx'), { force: true });
+    await fs.rm(this._path(collectionName, indexName, 'log'), { force: true });
+    this.logCounts.delete(this._key(collectionName, indexName));
+  }
+
+  getStats() {
+    return { ...this.stats };
+  }
+
+  // Private methods
+
+  async _readLog(collectionName, indexName) {
+    const logPath = this._path(collectionName, indexName, 'log');
+    if (!existsSync(logPath)) {
+      return [];
+    }
+
+    const contents = await fs.readFile(logPath, 'utf8');
+    const lines = contents.split('\n');
+
+    // Text after the last newline is a batch whose append never completed
+    if (lines.pop() !== '') {
+      throw new IndexCorruptionError(collectionName, indexName, 'incomplete change log record');
+    }
+
+    return lines.map((line, number) => {
+      const separator = line.indexOf(' ');
+      const payload = line.slice(separator + 1);
+      if (separator === -1 || this._checksum(payload) !== line.slice(0, separator)) {
+        throw new IndexCorruptionError(collectionName, indexName, `change log checksum mismatch at record ${number + 1}`);
+      }
+      return JSON.parse(payload);
+    });
+  }
+
+  _enqueueMarker(task) {
+    const run = this.markerQueue.then(task);
+    this.markerQueue = run.catch(() => {});
+    return run;
+  }
+
+  async _ensureDirectory(collectionName) {
+    const directory = join(this.basePath, collectionName);
+    if (!existsSync(directory)) {
+      await fs.mkdir(directory, { recursive: true });
+    }
+  }
+
+  async _writeAtomic(filePath, contents) {
+    await fs.writeFile(`${filePath}.tmp`, contents);
+    await fs.rename(`${filePath}.tmp`, filePath);
+  }
+
+  _path(collectionName, indexName, extension) {
+    return join(this.basePath, collectionName, `${indexName}.${extension}`);
+  }
+
+  _key(collectionName, indexName) {
+    return `${collectionName}/${indexName}`;
+  }
+
+  _checksum(payload) {
+    return createHash('sha256').update(payload).digest('hex').slice(0, 16);
+  }
+}
+
+export default IndexStore;
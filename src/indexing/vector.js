@@ -0,0 +1,731 @@
+import { createHash } from 'crypto';
+import { getFieldValue } from '../query/matcher.js';
+
+const SNAPSHOT_FORMAT = 1;
+const DEFAULT_K = 10;
+
+// Tombstoned nodes are rebuilt away once they outnumber half the live ones
+const COMPACTION_MIN_DELETED = 64;
+
+/**
+ * Distance functions. Smaller is closer for all of them; `score` turns a
+ * distance into the similarity reported to callers (higher is better).
+ * Cosine vectors are normalized once when they are indexed, so the cosine
+ * distance is one minus a dot product.
+ */
+export const VECTOR_METRICS = {
+  cosine: {
+    prepare: vector => normalize(vector),
+    distance: (a, b) => 1 - dot(a, b),
+    score: distance => 1 - distance
+  },
+  dot: {
+    prepare: vector => vector,
+    distance: (a, b) => -dot(a, b),
+    score: distance => -distance
+  },
+  euclidean: {
+    prepare: vector => vector,
+    distance: (a, b) => {
+      let sum = 0;
+      for (let i = 0; i < a.length; i++) {
+        const difference = a[i] - b[i];
+        sum += difference * difference;
+      }
+      return Math.sqrt(sum);
+    },
+    score: distance => 1 / (1 + distance)
+  }
+};
+
+/**
+ * Raised for a malformed `$near` query or one whose vector does not fit
+ * the field's vector index
+ */
+export class VectorQueryError extends Error {
+  constructor(message, query = null) {
+    super(message);
+    this.name = 'VectorQueryError';
+    this.code = 'INVALID_VECTOR_QUERY';
+    this.query = query;
+  }
+}
+
+/**
+ * Validate the options of a vector index:
+ * `metric` ('cosine', 'dot' or 'euclidean'), `dimensions`, and the HNSW
+ * parameters `m` (links per node), `efConstruction` and `efSearch`
+ * (candidate list sizes while inserting and searching)
+ */
+export function normalizeVectorOptions(options = {}, fields = []) {
+  if (fields.length > 1) {
+    throw new Error('A vector index must be on a single field');
+  }
+  for (const option of ['unique', 'sparse', 'caseInsensitive', 'partialFilterExpression', 'expireAfterSeconds']) {
+    if (options[option] !== undefined && options[option] !== false) {
+      throw new Error(`A vector index does not support ${option}`);
+    }
+  }
+
+  const metric = options.metric || 'cosine';
+  if (!VECTOR_METRICS[metric]) {
+    throw new Error(`Unknown vector metric '${metric}' (expected ${Object.keys(VECTOR_METRICS).join(', ')})`);
+  }
+
+  const normalized = {
+    type: 'vector',
+    metric,
+    m: positiveInteger(options.m ?? 16, 'm'),
+    efConstruction: positiveInteger(options.efConstruction ?? 100, 'efConstruction'),
+    efSearch: positiveInteger(options.efSearch ?? 50, 'efSearch')
+  };
+  if (options.dimensions !== undefined && options.dimensions !== null) {
+    normalized.dimensions = positiveInteger(options.dimensions, 'dimensions');
+  }
+  if (normalized.m < 2) {
+    throw new Error('m must be at least 2');
+  }
+  return normalized;
+}
+
+/**
+ * A vector as a Float32Array, or null unless `value` is a non-empty array
+ * of finite numbers (of `dimensions` numbers, when given)
+ */
+export function toVector(value, dimensions = null) {
+  if (!Array.isArray(value) && !ArrayBuffer.isView(value)) {
+    return null;
+  }
+  if (value.length === 0 || (dimensions !== null && value.length !== dimensions)) {
+    return null;
+  }
+  for (let i = 0; i < value.length; i++) {
+    if (typeof value[i] !== 'number' || !Number.isFinite(value[i])) {
+      return null;
+    }
+  }
+  return Float32Array.from(value);
+}
+
+/**
+ * Take the `$near` condition out of a where clause.
+ *
+ * ```
+ * { category: 'shoes', embedding: { $near: { vector: [...], k: 5 } } }
+ * { embedding: { $near: [0.12, -0.4, ...] } }      // k defaults to the page size or 10
+ * ```
+ *
+ * `$near` takes `vector`, `k`, `metric`, `maxDistance`, `minScore`, `ef`
+ * and `exact` (skip the vector index and compare every candidate). It must
+ * be a top-level condition and the only operator on its field.
+ * @returns {{ near: Object|null, where: Object }} the parsed `$near` and the rest of the where clause
+ */
+export function extractNearQuery(where, defaultK = DEFAULT_K) {
+  let near = null;
+  const rest = {};
+
+  for (const [field, condition] of Object.entries(where || {})) {
+    if (!field.startsWith('$') && condition && typeof condition === 'object' && !Array.isArray(condition)
+      && Object.hasOwn(condition, '$near')) {
+      if (near) {
+        throw new VectorQueryError('A query can have only one $near condition', where);
+      }
+      if (Object.keys(condition).length > 1) {
+        throw new VectorQueryError(`$near on '${field}' cannot be combined with other operators on the same field`, where);
+      }
+      near = parseNear(field, condition.$near, defaultK);
+    } else {
+      rest[field] = condition;
+    }
+  }
+
+  return { near, where: rest };
+}
+
+/**
+ * Encode index changes as one checksummed log line
+ */
+export function encodeVectorLog(changes) {
+  const payload = JSON.stringify(changes);
+  return `${checksum(payload)} ${payload}\n`;
+}
+
+/**
+ * Decode a change log written with encodeVectorLog()
+ * @returns {Array<Array>} change batches, oldest first
+ */
+export function decodeVectorLog(contents) {
+  if (!contents || contents.length === 0) {
+    return [];
+  }
+
+  const lines = contents.toString('utf8').split('\n');
+  if (lines.pop() !== '') {
+    throw new Error('incomplete change log record');
+  }
+
+  return lines.map((line, number) => {
+    const separator = line.indexOf(' ');
+    const payload = line.slice(separator + 1);
+    if (separator === -1 || checksum(payload) !== line.slice(0, separator)) {
+      throw new Error(`change log checksum mismatch at record ${number + 1}`);
+    }
+    return JSON.parse(payload);
+  });
+}
+
+/**
+ * Vector Index for BigBaseAlpha
+ * Approximate nearest-neighbour index over one vector field, built as a
+ * hierarchical navigable small world (HNSW) graph.
+ *
+ * Every node links to its closest neighbours on its own layer and the ones
+ * below; a search descends greedily from the sparse top layer and widens to
+ * `ef` candidates on the bottom one. Removed documents stay in the graph as
+ * tombstones that searches pass through but never return, until they
+ * outnumber half the live nodes and the graph is rebuilt without them.
+ *
+ * Like the other indexes it records what changed since the last flush in
+ * `changes` (`['+', id, vector]` and `['-', id]`), which IndexManager logs
+ * through the storage engine between full snapshots.
+ */
+export class VectorIndex {
+  constructor(fieldName, options = {}) {
+    this.fieldName = fieldName;
+    this.fields = [{ field: fieldName, direction: 1 }];
+    this.type = 'vector';
+    this.options = options; // See normalizeVectorOptions()
+    this.multikey = false;
+    this.metric = VECTOR_METRICS[options.metric || 'cosine'];
+    this.maxLinks = options.m || 16;
+    this.levelFactor = 1 / Math.log(this.maxLinks);
+    this.changes = []; // Vectors added/removed since the last flush
+    this.loggedChanges = 0; // Changes in the log since the last snapshot
+    this.clear();
+  }
+
+  /**
+   * Live (not removed) vectors
+   */
+  get entryCount() {
+    return this.ids.size;
+  }
+
+  addDocument(document) {
+    const vector = this.prepare(getFieldValue(document, this.fieldName));
+    if (!vector) {
+      return false;
+    }
+
+    if (this._add(document._id, vector)) {
+      this.changes.push(['+', document._id, Array.from(vector)]);
+    }
+    return true;
+  }
+
+  removeDocument(document) {
+    if (!document || !this.ids.has(document._id)) {
+      return false;
+    }
+
+    this._remove(document._id);
+    this.changes.push(['-', document._id]);
+    return true;
+  }
+
+  /**
+   * Whether an update leaves the document's indexed vector as it is
+   */
+  isUnchanged(oldDocument, newDocument) {
+    if (!oldDocument || !newDocument || oldDocument._id !== newDocument._id) {
+      return false;
+    }
+
+    const vector = this.prepare(getFieldValue(newDocument, this.fieldName));
+    const slot = this.ids.get(newDocument._id);
+    return vector ? slot !== undefined && sameVector(this.nodes[slot].vector, vector) : slot === undefined;
+  }
+
+  /**
+   * A field value in the form this index compares, or null if it is not a
+   * vector of the index's dimensions (or a zero vector under cosine)
+   */
+  prepare(value) {
+    const vector = toVector(value, this.dimensions);
+    return vector && this.metric.prepare(vector);
+  }
+
+  /**
+   * The `k` nearest live vectors to a prepared query vector, closest first.
+   * When `k` reaches the size of the index every vector is compared, so the
+   * answer is exact. `stats.keysExamined` counts distance computations.
+   * @returns {Array<{ id: string, distance: number }>}
+   */
+  search(query, k, { ef = this.options.efSearch, stats = {} } = {}) {
+    if (this.entryPoint === null || k <= 0) {
+      return [];
+    }
+
+    ef = Math.max(ef || 0, k);
+    if (ef >= this.ids.size) {
+      return this._exactSearch(query, k, stats);
+    }
+
+    let entry = { slot: this.entryPoint, distance: this._distance(query, this.entryPoint, stats) };
+    for (let level = this.maxLevel; level > 0; level--) {
+      entry = this._greedyClosest(query, entry, level, stats);
+    }
+
+    return this._searchLayer(query, [entry], ef, 0, stats, true)
+      .slice(0, k)
+      .map(({ slot, distance }) => ({ id: this.nodes[slot].id, distance }));
+  }
+
+  /**
+   * Replay logged changes. Adding a vector the index already holds and
+   * removing one it does not are no-ops, so replaying changes that are
+   * already part of the snapshot is harmless.
+   */
+  applyChanges(changes) {
+    for (const [op, id, vector] of changes) {
+      if (op === '+') {
+        // Logged vectors are already in prepared form
+        this._add(id, Float32Array.from(vector));
+      } else if (this.ids.has(id)) {
+        this._remove(id);
+      }
+    }
+  }
+
+  clear() {
+    this._resetGraph();
+    this.dimensions = this.options.dimensions || null; // Fixed by the first vector when not configured
+    this.changes = [];
+  }
+
+  size() {
+    return this.ids.size;
+  }
+
+  getUniqueValueCount() {
+    return this.ids.size;
+  }
+
+  getStats() {
+    return {
+      metric: this.options.metric,
+      dimensions: this.dimensions,
+      vectors: this.ids.size,
+      deleted: this.deletedCount,
+      levels: this.maxLevel + 1
+    };
+  }
+
+  /**
+   * The whole graph as one buffer: a length-prefixed JSON header with the
+   * nodes and their links, followed by every vector as 32-bit floats
+   */
+  toSnapshot() {
+    const dimensions = this.dimensions || 0;
+    const vectors = new Float32Array(this.nodes.length * dimensions);
+    this.nodes.forEach((node, slot) => vectors.set(node.vector, slot * dimensions));
+    const vectorBytes = Buffer.from(vectors.buffer, vectors.byteOffset, vectors.byteLength);
+
+    const graph = {
+      field: this.fieldName,
+      dimensions,
+      entryPoint: this.entryPoint,
+      maxLevel: this.maxLevel,
+      nodes: this.nodes.map(node => [node.id, node.deleted ? 1 : 0, node.links])
+    };
+    const header = Buffer.from(JSON.stringify({
+      format: SNAPSHOT_FORMAT,
+      checksum: checksum(JSON.stringify(graph), vectorBytes),
+      index: graph
+    }));
+
+    const length = Buffer.alloc(4);
+    length.writeUInt32LE(header.length);
+    return Buffer.concat([length, header, vectorBytes]);
+  }
+
+  /**
+   * Restore a graph written by toSnapshot(); throws if it fails its checksum
+   */
+  loadSnapshot(buffer) {
+    if (buffer.length < 4 || buffer.readUInt32LE(0) > buffer.length - 4) {
+      throw new Error('truncated snapshot');
+    }
+
+    const headerLength = buffer.readUInt32LE(0);
+    let header;
+    try {
+      header = JSON.parse(buffer.subarray(4, 4 + headerLength).toString('utf8'));
+    } catch (error) {
+      throw new Error(`unreadable snapshot (${error.message})`);
+    }
+    if (header.format !== SNAPSHOT_FORMAT) {
+      throw new Error(`unsupported snapshot format ${header.format}`);
+    }
+
+    const graph = header.index;
+    const vectorBytes = buffer.subarray(4 + headerLength);
+    if (checksum(JSON.stringify(graph), vectorBytes) !== header.checksum
+      || vectorBytes.length !== graph.nodes.length * graph.dimensions * 4) {
+      throw new Error('snapshot checksum mismatch');
+    }
+
+    // Copy out of the file buffer, which need not be 4-byte aligned
+    const vectors = new Float32Array(graph.nodes.length * graph.dimensions);
+    new Uint8Array(vectors.buffer).set(vectorBytes);
+
+    this.clear();
+    this.dimensions = graph.dimensions || this.dimensions;
+    this.entryPoint = graph.entryPoint;
+    this.maxLevel = graph.maxLevel;
+    this.nodes = graph.nodes.map(([id, deleted, links], slot) => ({
+      id,
+      vector: vectors.subarray(slot * graph.dimensions, (slot + 1) * graph.dimensions),
+      links,
+      deleted: Boolean(deleted)
+    }));
+    this.nodes.forEach((node, slot) => {
+      if (node.deleted) {
+        this.deletedCount++;
+      } else {
+        this.ids.set(node.id, slot);
+      }
+    });
+  }
+
+  // Private methods
+
+  _add(id, vector) {
+    const existing = this.ids.get(id);
+    if (existing !== undefined) {
+      if (sameVector(this.nodes[existing].vector, vector)) {
+        return false;
+      }
+      this._remove(id);
+    }
+    if (this.dimensions === null) {
+      this.dimensions = vector.length;
+    }
+
+    this._insert(id, vector);
+    return true;
+  }
+
+  _insert(id, vector) {
+    const level = Math.floor(-Math.log(Math.random() || Number.MIN_VALUE) * this.levelFactor);
+    const slot = this.nodes.length;
+    this.nodes.push({ id, vector, links: Array.from({ length: level + 1 }, () => []), deleted: false });
+    this.ids.set(id, slot);
+
+    if (this.entryPoint === null) {
+      this.entryPoint = slot;
+      this.maxLevel = level;
+      return;
+    }
+
+    let entry = { slot: this.entryPoint, distance: this._distance(vector, this.entryPoint) };
+    for (let current = this.maxLevel; current > level; current--) {
+      entry = this._greedyClosest(vector, entry, current);
+    }
+
+    let entries = [entry];
+    for (let current = Math.min(level, this.maxLevel); current >= 0; current--) {
+      const candidates = this._searchLayer(vector, entries, this.options.efConstruction, current);
+      const neighbours = this._selectNeighbours(candidates, this.maxLinks);
+      this.nodes[slot].links[current] = neighbours.map(neighbour => neighbour.slot);
+
+      for (const neighbour of neighbours) {
+        const links = this.nodes[neighbour.slot].links[current];
+        links.push(slot);
+        if (links.length > this._linkLimit(current)) {
+          this._shrinkLinks(neighbour.slot, current);
+        }
+      }
+      entries = candidates;
+    }
+
+    if (level > this.maxLevel) {
+      this.maxLevel = level;
+      this.entryPoint = slot;
+    }
+  }
+
+  _remove(id) {
+    // The node keeps routing searches until the next compaction
+    this.nodes[this.ids.get(id)].deleted = true;
+    this.ids.delete(id);
+    this.deletedCount++;
+
+    if (this.ids.size === 0) {
+      this._resetGraph();
+    } else if (this.deletedCount >= COMPACTION_MIN_DELETED && this.deletedCount > this.ids.size / 2) {
+      this._compact();
+    }
+  }
+
+  /**
+   * Rebuild the graph from the live nodes only
+   */
+  _compact() {
+    const live = this.nodes.filter(node => !node.deleted);
+    this._resetGraph();
+    for (const node of live) {
+      this._insert(node.id, node.vector);
+    }
+  }
+
+  _resetGraph() {
+    this.nodes = []; // { id, vector, links: [slots per level], deleted }
+    this.ids = new Map(); // document ID -> slot of its live node
+    this.entryPoint = null;
+    this.maxLevel = -1;
+    this.deletedCount = 0;
+  }
+
+  _greedyClosest(query, entry, level, stats) {
+    let closest = entry;
+    for (let improved = true; improved;) {
+      improved = false;
+      for (const neighbour of this.nodes[closest.slot].links[level] || []) {
+        const distance = this._distance(query, neighbour, stats);
+        if (distance < closest.distance) {
+          closest = { slot: neighbour, distance };
+          improved = true;
+        }
+      }
+    }
+    return closest;
+  }
+
+  /**
+   * Best-first search of one layer from the entry points, keeping the `ef`
+   * closest nodes seen. With `liveOnly`, tombstones are walked through but
+   * left out of the result.
+   * @returns {Array<{ slot, distance }>} closest first
+   */
+  _searchLayer(query, entries, ef, level, stats, liveOnly = false) {
+    const visited = new Set(entries.map(entry => entry.slot));
+    const candidates = new Heap((a, b) => a.distance - b.distance);
+    const results = new Heap((a, b) => b.distance - a.distance);
+
+    for (const entry of entries) {
+      candidates.push(entry);
+      if (!liveOnly || !this.nodes[entry.slot].deleted) {
+        results.push(entry);
+        if (results.size > ef) results.pop();
+      }
+    }
+
+    while (candidates.size > 0) {
+      const current = candidates.pop();
+      if (results.size >= ef && current.distance > results.peek().distance) {
+        break;
+      }
+
+      for (const neighbour of this.nodes[current.slot].links[level] || []) {
+        if (visited.has(neighbour)) continue;
+        visited.add(neighbour);
+
+        const distance = this._distance(query, neighbour, stats);
+        if (results.size < ef || distance < results.peek().distance) {
+          candidates.push({ slot: neighbour, distance });
+          if (!liveOnly || !this.nodes[neighbour].deleted) {
+            results.push({ slot: neighbour, distance });
+            if (results.size > ef) results.pop();
+          }
+        }
+      }
+    }
+
+    return results.toArray().sort((a, b) => a.distance - b.distance);
+  }
+
+  /**
+   * Pick up to `count` neighbours from candidates sorted by distance,
+   * preferring ones that are not closer to an already picked neighbour than
+   * to the node itself (so links spread in every direction), then filling up
+   * with the closest of the rest
+   */
+  _selectNeighbours(candidates, count) {
+    const selected = [];
+    const skipped = [];
+
+    for (const candidate of candidates) {
+      if (selected.length >= count) break;
+      const vector = this.nodes[candidate.slot].vector;
+      if (selected.every(other => this.metric.distance(vector, this.nodes[other.slot].vector) > candidate.distance)) {
+        selected.push(candidate);
+      } else {
+        skipped.push(candidate);
+      }
+    }
+
+    return selected.concat(skipped.slice(0, count - selected.length));
+  }
+
+  _shrinkLinks(slot, level) {
+    const vector = this.nodes[slot].vector;
+    const candidates = this.nodes[slot].links[level]
+      .map(other => ({ slot: other, distance: this.metric.distance(vector, this.nodes[other].vector) }))
+      .sort((a, b) => a.distance - b.distance);
+    this.nodes[slot].links[level] = this._selectNeighbours(candidates, this._linkLimit(level)).map(link => link.slot);
+  }
+
+  // The bottom layer holds every node, so its nodes get twice the links
+  _linkLimit(level) {
+    return level === 0 ? this.maxLinks * 2 : this.maxLinks;
+  }
+
+  _exactSearch(query, k, stats) {
+    const hits = [];
+    for (const [id, slot] of this.ids) {
+      hits.push({ id, distance: this._distance(query, slot, stats) });
+    }
+    return hits.sort((a, b) => a.distance - b.distance).slice(0, k);
+  }
+
+  _distance(query, slot, stats) {
+    if (stats) {
+      stats.keysExamined = (stats.keysExamined || 0) + 1;
+    }
+    return this.metric.distance(query, this.nodes[slot].vector);
+  }
+}
+
+/**
+ * Binary heap ordered by a comparator (smallest first)
+ */
+class Heap {
+  constructor(compare) {
+    this.compare = compare;
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  peek() {
+    return this.items[0];
+  }
+
+  push(item) {
+    const { items } = this;
+    items.push(item);
+    for (let i = items.length - 1; i > 0;) {
+      const parent = (i - 1) >> 1;
+      if (this.compare(items[i], items[parent]) >= 0) break;
+      [items[i], items[parent]] = [items[parent], items[i]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const { items } = this;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      for (let i = 0; ;) {
+        const left = i * 2 + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && this.compare(items[left], items[smallest]) < 0) smallest = left;
+        if (right < items.length && this.compare(items[right], items[smallest]) < 0) smallest = right;
+        if (smallest === i) break;
+        [items[i], items[smallest]] = [items[smallest], items[i]];
+        i = smallest;
+      }
+    }
+    return top;
+  }
+
+  toArray() {
+    return [...this.items];
+  }
+}
+
+function parseNear(field, spec, defaultK) {
+  const near = Array.isArray(spec) || ArrayBuffer.isView(spec) ? { vector: spec } : spec;
+  if (!near || typeof near !== 'object') {
+    throw new VectorQueryError(`$near on '${field}' needs a vector or { vector, k }`, spec);
+  }
+
+  const vector = toVector(near.vector);
+  if (!vector) {
+    throw new VectorQueryError(`$near on '${field}' needs a vector of finite numbers`, spec);
+  }
+  if (near.metric !== undefined && !VECTOR_METRICS[near.metric]) {
+    throw new VectorQueryError(`Unknown vector metric '${near.metric}' (expected ${Object.keys(VECTOR_METRICS).join(', ')})`, spec);
+  }
+
+  const k = near.k ?? defaultK;
+  if (!Number.isInteger(k) || k < 1) {
+    throw new VectorQueryError(`$near k must be a positive integer`, spec);
+  }
+  if (near.ef !== undefined && (!Number.isInteger(near.ef) || near.ef < 1)) {
+    throw new VectorQueryError(`$near ef must be a positive integer`, spec);
+  }
+  for (const bound of ['maxDistance', 'minScore']) {
+    if (near[bound] !== undefined && typeof near[bound] !== 'number') {
+      throw new VectorQueryError(`$near ${bound} must be a number`, spec);
+    }
+  }
+
+  return {
+    field,
+    vector,
+    k,
+    metric: near.metric || null,
+    ef: near.ef ?? null,
+    maxDistance: near.maxDistance ?? null,
+    minScore: near.minScore ?? null,
+    exact: Boolean(near.exact)
+  };
+}
+
+function positiveInteger(value, name) {
+  if (!Number.isInteger(value) || value < 1) {
+    throw new Error(`${name} must be a positive integer`);
+  }
+  return value;
+}
+
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    sum += a[i] * b[i];
+  }
+  return sum;
+}
+
+function normalize(vector) {
+  const length = Math.sqrt(dot(vector, vector));
+  if (length === 0) {
+    return null; // A zero vector has no direction
+  }
+  return vector.map(value => value / length);
+}
+
+function sameVector(a, b) {
+  if (a.length !== b.length) {
+    return false;
+  }
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return false;
+  }
+  return true;
+}
+
+function checksum(...parts) {
+  const hash = createHash('sha256');
+  parts.forEach(part => hash.update(part));
+  return hash.digest('hex').slice(0, 16);
+}
+
+export default VectorIndex;
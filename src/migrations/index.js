@@ -0,0 +1,431 @@
+import { EventEmitter } from 'events';
+
+// Fields the database maintains; a migration step cannot change or drop them
+const SYSTEM_FIELDS = ['_id', '_created', '_modified', '_createdAt', '_updatedAt', '_version'];
+
+/**
+ * Raised when a migration script fails on a document, or when no migration
+ * path exists between two schema versions.
+ */
+export class MigrationError extends Error {
+  constructor(message, { collection, documentId = null, version = null, cause = null } = {}) {
+    super(message);
+    this.name = 'MigrationError';
+    this.code = 'MIGRATION_FAILED';
+    this.collection = collection;
+    this.documentId = documentId;
+    this.version = version;
+    if (cause) {
+      this.cause = cause;
+    }
+  }
+}
+
+/**
+ * Migration Manager for BigBaseAlpha
+ * Versioned collection schemas with up/down migration scripts.
+ *
+ * A migration is `{ version, up(doc), down(doc), schema?, description? }`.
+ * `up` turns a document of `version - 1` into one of `version`, `down` does
+ * the reverse; both may modify the document in place or return a new one,
+ * and may be async. `schema` is the collection schema from that version on.
+ *
+ * Every collection has a target schema version, kept in its storage metadata
+ * together with a history of migrations. Documents carry the version they
+ * were written at in `_schemaVersion` (missing means 0). Reads bring
+ * documents to the target version on the fly and write them back; an eager
+ * migration rewrites the whole collection in batches, releasing the write
+ * lock between batches so the database stays online.
+ */
+export class MigrationManager extends EventEmitter {
+  constructor(database, options = {}) {
+    super();
+    this.database = database;
+    this.batchSize = options.batchSize || 100;
+    this.migrations = new Map(); // collection -> Map(version -> migration)
+    this.versions = new Map(); // collection -> target schema version
+    this.jobs = new Map(); // collection -> running eager migration
+    this.writeBacks = new Map(); // "collection/id" -> pending write-back of a lazily migrated document
+  }
+
+  /**
+   * Register one or more migrations for a collection
+   */
+  register(collectionName, migrations) {
+    if (!this.migrations.has(collectionName)) {
+      this.migrations.set(collectionName, new Map());
+    }
+    const registered = this.migrations.get(collectionName);
+
+    for (const migration of Array.isArray(migrations) ? migrations : [migrations]) {
+      if (!migration || !Number.isInteger(migration.version) || migration.version < 1) {
+        throw new Error(`Migration for '${collectionName}' needs an integer version of at least 1`);
+      }
+      if (typeof migration.up !== 'function') {
+        throw new Error(`Migration ${migration.version} of '${collectionName}' needs an up() function`);
+      }
+      if (registered.has(migration.version)) {
+        throw new Error(`Migration ${migration.version} of '${collectionName}' is already registered`);
+      }
+      registered.set(migration.version, migration);
+    }
+
+    return this;
+  }
+
+  /**
+   * Registered migrations of a collection, in version order
+   */
+  list(collectionName) {
+    const registered = this.migrations.get(collectionName);
+    return registered ? Array.from(registered.values()).sort((a, b) => a.version - b.version) : [];
+  }
+
+  /**
+   * Highest registered version of a collection
+   */
+  latestVersion(collectionName) {
+    const migrations = this.list(collectionName);
+    return migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+  }
+
+  /**
+   * The schema version documents of a collection are read and written at
+   */
+  getVersion(collectionName) {
+    return this.versions.get(collectionName) || 0;
+  }
+
+  /**
+   * Restore a collection's target version from its storage metadata
+   */
+  load(collectionName, metadata) {
+    if (metadata?.schemaVersion !== undefined) {
+      this.versions.set(collectionName, metadata.schemaVersion);
+      this._applySchema(collectionName, metadata.schema);
+    }
+  }
+
+  /**
+   * Whether a stored document is already at the collection's target version
+   */
+  isCurrent(collectionName, document) {
+    return (document._schemaVersion || 0) === this.getVersion(collectionName);
+  }
+
+  /**
+   * The migrations that lead from one version to another, in the order they run
+   * @returns {Array<Object>} steps of `{ version, direction, run }`
+   */
+  plan(collectionName, fromVersion, toVersion) {
+    const registered = this.migrations.get(collectionName) || new Map();
+    const steps = [];
+    const missing = version => new MigrationError(
+      `No migration registered for version ${version} of '${collectionName}'`,
+      { collection: collectionName, version }
+    );
+
+    for (let version = fromVersion + 1; version <= toVersion; version++) {
+      const migration = registered.get(version);
+      if (!migration) throw missing(version);
+      steps.push({ version, direction: 'up', run: migration.up });
+    }
+
+    for (let version = fromVersion; version > toVersion; version--) {
+      const migration = registered.get(version);
+      if (!migration) throw missing(version);
+      if (typeof migration.down !== 'function') {
+        throw new MigrationError(`Migration ${version} of '${collectionName}' has no down() function`, {
+          collection: collectionName,
+          version
+        });
+      }
+      steps.push({ version: version - 1, direction: 'down', run: migration.down });
+    }
+
+    return steps;
+  }
+
+  /**
+   * Bring a (decrypted) document to a schema version. Returns a new document;
+   * system fields are kept and `_schemaVersion` is set to the new version.
+   */
+  async migrateDocument(collectionName, document, toVersion = this.getVersion(collectionName)) {
+    const fromVersion = document._schemaVersion || 0;
+    if (fromVersion === toVersion) {
+      return document;
+    }
+
+    let migrated = structuredClone(document);
+    for (const step of this.plan(collectionName, fromVersion, toVersion)) {
+      try {
+        migrated = (await step.run(migrated)) || migrated;
+      } catch (error) {
+        throw new MigrationError(
+          `Migrating document '${document._id}' of '${collectionName}' ${step.direction} to version ${step.version} failed: ${error.message}`,
+          { collection: collectionName, documentId: document._id, version: step.version, cause: error }
+        );
+      }
+    }
+
+    for (const field of SYSTEM_FIELDS) {
+      if (document[field] !== undefined) {
+        migrated[field] = document[field];
+      } else {
+        delete migrated[field];
+      }
+    }
+    if (toVersion > 0) {
+      migrated._schemaVersion = toVersion;
+    } else {
+      delete migrated._schemaVersion;
+    }
+
+    return migrated;
+  }
+
+  /**
+   * Move a collection to a schema version.
+   * Every document is first migrated in memory, with writes held back: a
+   * step that throws rejects the migration before anything is recorded.
+   * Then the new version is recorded, so reads see migrated documents right
+   * away. In `eager` mode every stored document is then rewritten; in `lazy`
+   * mode documents are only rewritten as they are read.
+   * @param {Object} options - `to` (defaults to the latest registered version), `mode` ('eager' or 'lazy'), `batchSize`, `onProgress(progress)`
+   * @returns {Promise<Object>} `{ collection, fromVersion, toVersion, mode, processed, migrated, total, duration }`
+   */
+  async migrate(collectionName, options = {}) {
+    const db = this.database;
+    const { mode = 'eager', onProgress = null } = options;
+    const toVersion = options.to ?? this.latestVersion(collectionName);
+    const fromVersion = this.getVersion(collectionName);
+
+    if (mode !== 'eager' && mode !== 'lazy') {
+      throw new Error(`Unknown migration mode '${mode}' (expected 'eager' or 'lazy')`);
+    }
+    if (this.jobs.has(collectionName)) {
+      throw new Error(`A migration of '${collectionName}' is already running`);
+    }
+
+    // Fail before anything is recorded if a step is missing
+    this.plan(collectionName, 0, toVersion);
+    this.plan(collectionName, fromVersion, toVersion);
+
+    const collection = db.collections.get(collectionName);
+    const job = {
+      collection: collectionName,
+      fromVersion,
+      toVersion,
+      mode,
+      status: 'running',
+      processed: 0,
+      migrated: 0,
+      total: Math.max(collection.metadata.totalDocuments, collection.documents.size),
+      startedAt: new Date(),
+      cancelled: false
+    };
+
+    await db._withLock(`write:${collectionName}`, async () => {
+      await this._checkDocuments(collectionName, toVersion);
+      await this._recordVersion(collectionName, job);
+    });
+    this.emit('migrationStarted', this._progress(job));
+
+    if (mode === 'eager') {
+      this.jobs.set(collectionName, job);
+      try {
+        await this._rewriteCollection(collectionName, job, options.batchSize || this.batchSize, onProgress);
+      } catch (error) {
+        job.status = 'failed';
+        this.emit('migrationFailed', { ...this._progress(job), error });
+        throw error;
+      } finally {
+        this.jobs.delete(collectionName);
+      }
+    }
+
+    job.status = job.cancelled ? 'cancelled' : 'completed';
+    const result = this._progress(job);
+    this.emit('migrationCompleted', result);
+    return result;
+  }
+
+  /**
+   * Version, registered migrations and running job of a collection
+   */
+  getStatus(collectionName) {
+    const job = this.jobs.get(collectionName);
+    return {
+      collection: collectionName,
+      version: this.getVersion(collectionName),
+      latestVersion: this.latestVersion(collectionName),
+      migrations: this.list(collectionName).map(({ version, description = null, down }) => ({
+        version,
+        description,
+        reversible: typeof down === 'function'
+      })),
+      job: job ? this._progress(job) : null
+    };
+  }
+
+  /**
+   * Bring a stored document to the collection's target version for a read,
+   * and schedule writing it back. Returns the document in stored form.
+   */
+  async upgradeOnRead(collectionName, stored) {
+    if (!stored || this.isCurrent(collectionName, stored)) {
+      return stored;
+    }
+
+    const db = this.database;
+    const migrated = await this.migrateDocument(collectionName, await db._decryptDocument(stored));
+    this._scheduleWriteBack(collectionName, stored);
+    return db.config.encryption ? db.security.encryptDocument(migrated, collectionName) : migrated;
+  }
+
+  /**
+   * Stop running eager migrations and wait for pending write-backs
+   */
+  async close() {
+    for (const job of this.jobs.values()) {
+      job.cancelled = true;
+    }
+    await Promise.allSettled(Array.from(this.writeBacks.values()));
+  }
+
+  // Private methods
+
+  /**
+   * Run every document not at `toVersion` through the migration steps,
+   * without writing anything; throws the first step's MigrationError
+   */
+  async _checkDocuments(collectionName, toVersion) {
+    const db = this.database;
+    for await (const stored of db._scanDocuments(collectionName)) {
+      if ((stored._schemaVersion || 0) !== toVersion) {
+        await this.migrateDocument(collectionName, await db._decryptDocument(stored), toVersion);
+      }
+    }
+  }
+
+  async _rewriteCollection(collectionName, job, batchSize, onProgress) {
+    const db = this.database;
+
+    // Collect the ids first; the batches below replace documents as they go
+    const ids = [];
+    for await (const document of db._scanDocuments(collectionName)) {
+      ids.push(document._id);
+    }
+    job.total = ids.length;
+
+    for (let start = 0; start < ids.length && !job.cancelled; start += batchSize) {
+      await db._withLock(`write:${collectionName}`, async () => {
+        for (const id of ids.slice(start, start + batchSize)) {
+          const stored = await db._getDocument(collectionName, id);
+          if (stored && !this.isCurrent(collectionName, stored)) {
+            await db._writeMigratedDocument(collectionName, stored);
+            job.migrated++;
+          }
+          job.processed++;
+        }
+      });
+
+      const progress = this._progress(job);
+      this.emit('migrationProgress', progress);
+      if (onProgress) {
+        onProgress(progress);
+      }
+    }
+  }
+
+  _scheduleWriteBack(collectionName, stored) {
+    const key = `${collectionName}/${stored._id}`;
+    if (this.writeBacks.has(key)) {
+      return;
+    }
+
+    const db = this.database;
+    const writeBack = db._withLock(`write:${collectionName}`, async () => {
+      // Skip if the document was written (and so migrated) in the meantime
+      const current = await db._getDocument(collectionName, stored._id);
+      if (current && current._version === stored._version && !this.isCurrent(collectionName, current)) {
+        await db._writeMigratedDocument(collectionName, current);
+      }
+    }).catch(error => {
+      db.logger.warn(`Could not write back migrated document '${stored._id}' of '${collectionName}': ${error.message}`);
+    }).finally(() => {
+      this.writeBacks.delete(key);
+    });
+
+    this.writeBacks.set(key, writeBack);
+  }
+
+  async _recordVersion(collectionName, job) {
+    const db = this.database;
+    const metadata = await db.storage.getMetadata(collectionName) || {};
+    const history = metadata.schemaHistory || [];
+    const target = this.migrations.get(collectionName)?.get(job.toVersion);
+
+    history.push({
+      from: job.fromVersion,
+      to: job.toVersion,
+      mode: job.mode,
+      appliedAt: job.startedAt
+    });
+
+    // The newest schema at or below the target version applies; below the
+    // first versioned schema the one the collection was created with does
+    const baseSchema = 'baseSchema' in metadata ? metadata.baseSchema : (db.schemas.get(collectionName) || null);
+    let schema = baseSchema;
+    for (const migration of this.list(collectionName)) {
+      if (migration.version <= job.toVersion && migration.schema) {
+        schema = migration.schema;
+      }
+    }
+
+    await db.storage._updateCollectionMetadata(collectionName, {
+      schemaVersion: job.toVersion,
+      schemaHistory: history,
+      baseSchema,
+      schema
+    });
+
+    this.versions.set(collectionName, job.toVersion);
+    this._applySchema(collectionName, schema);
+
+    db.audit.log('collection', 'migrate', {
+      name: collectionName,
+      from: job.fromVersion,
+      to: job.toVersion,
+      mode: job.mode,
+      description: target?.description
+    });
+  }
+
+  _applySchema(collectionName, schema) {
+    const db = this.database;
+    if (schema) {
+      db.schemas.set(collectionName, schema);
+    } else {
+      db.schemas.delete(collectionName);
+    }
+    db.collections.get(collectionName).schema = schema || null;
+  }
+
+  _progress(job) {
+    return {
+      collection: job.collection,
+      fromVersion: job.fromVersion,
+      toVersion: job.toVersion,
+      mode: job.mode,
+      status: job.status,
+      processed: job.processed,
+      migrated: job.migrated,
+      total: job.total,
+      percent: job.total > 0 ? Math.round((job.processed / job.total) * 100) : 100,
+      duration: Date.now() - job.startedAt.getTime()
+    };
+  }
+}
+
+export default MigrationManager;
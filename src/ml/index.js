@@ -265,6 +265,9 @@ export class MLEngine extends EventEmitter {
 
   /**
    * Generate intelligent recommendations
+   * The 'similar' type recommends the documents nearest to one document's
+   * (`context.id`) or a given `context.vector` embedding in `context.field`
+   * of `context.collection`, through the collection's vector index.
    */
   async generateRecommendations(type, context, options = {}) {
     const recommendations = [];
@@ -282,6 +285,9 @@ export class MLEngine extends EventEmitter {
       case 'performance':
         recommendations.push(...await this._generatePerformanceRecommendations(context));
         break;
+      case 'similar':
+        recommendations.push(...await this._generateSimilarityRecommendations(context));
+        break;
       default:
         recommendations.push(...await this._generateGeneralRecommendations(context));
     }
@@ -291,7 +297,7 @@ export class MLEngine extends EventEmitter {
       type,
       recommendations: recommendations.map(rec => ({
         ...rec,
-        confidence: rec.confidence || 0.8,
+        confidence: rec.confidence ?? 0.8,
         priority: rec.priority || 'medium'
       })),
       generatedAt: new Date(),
@@ -706,6 +712,39 @@ export class MLEngine extends EventEmitter {
     ];
   }
 
+  async _generateSimilarityRecommendations(context = {}) {
+    if (!this.database) {
+      throw new Error('Database not available');
+    }
+
+    const { collection, field, id = null, k = 5, filter = {} } = context;
+    let vector = context.vector;
+    if (!collection || !field) {
+      throw new Error('Similarity recommendations need a collection and a vector field');
+    }
+    if (!vector) {
+      const source = id !== null ? await this.database.findById(collection, id) : null;
+      if (!source) {
+        throw new Error(`Document '${id}' not found in '${collection}'`);
+      }
+      vector = source[field];
+    }
+
+    // One extra neighbour, as the source document is its own nearest one
+    const neighbours = await this.database.vectorSearch(collection, field, vector, { k: id !== null ? k + 1 : k, filter });
+    return neighbours
+      .filter(({ document }) => id === null || document._id !== id)
+      .slice(0, k)
+      .map(({ document, score }) => ({
+        id: document._id,
+        document,
+        text: `Similar document '${document._id}' (score ${score.toFixed(3)})`,
+        score,
+        confidence: Math.min(Math.max(score, 0), 1),
+        priority: score >= 0.9 ? 'high' : score >= 0.7 ? 'medium' : 'low'
+      }));
+  }
+
   async _generateGeneralRecommendations(context) {
     return [
       { text: 'Regular backup scheduling recommended', confidence: 0.95, priority: 'high' },
@@ -1,8 +1,17 @@
 import { EventEmitter } from 'events';
+import { existsSync } from 'fs';
+import { WriteJournal } from './journal.js';
 
 /**
  * BigBaseAlpha Performance Engine
  * Lazy write operations and performance optimizations
+ *
+ * Queued operations are appended to an on-disk journal before they are
+ * acknowledged to the caller and replayed by recover() if the process dies
+ * before they reach storage. The queue is bounded: callers wait while it is
+ * full. An operation that fails is retried with backoff (holding back the
+ * operations queued after it for the same collection) and moved to the
+ * dead-letter log once it runs out of retries.
  */
 class PerformanceEngine extends EventEmitter {
     constructor(database, options = {}) {
@@ -15,6 +24,11 @@ class PerformanceEngine extends EventEmitter {
             maxPendingOperations: 10000,    // Memory limit
             compressionEnabled: true,       // Compress batches
             syncOnClose: true,              // Force sync on database close
+            journalPath: null,              // Directory for the durable queue (null: memory only)
+            journalFsync: true,             // fsync each group commit
+            maxRetries: 3,                  // Retries before an operation is dead-lettered
+            retryDelay: 100,                // Base backoff between retries (ms)
+            flushOnSignal: true,            // Flush on SIGTERM/SIGINT
             ...options
         };
         
@@ -23,6 +37,11 @@ class PerformanceEngine extends EventEmitter {
         this.pendingOperations = [];
         this.writeTimer = null;
         this.operationQueue = new Map(); // Collection -> operations
+        this.flushing = null;
+        this.journal = null;
+        this.journalReady = null;
+        this.deadLetters = []; // Used when there is no journal
+        this.signalHandler = null;
         
         // Performance metrics
         this.metrics = {
@@ -31,7 +50,11 @@ class PerformanceEngine extends EventEmitter {
             averageBatchSize: 0,
             lastWriteTime: null,
             pendingCount: 0,
-            compressionRatio: 0
+            compressionRatio: 0,
+            backPressureWaits: 0,
+            retries: 0,
+            deadLettered: 0,
+            recovered: 0
         };
         
         // Bind methods
@@ -54,6 +77,11 @@ class PerformanceEngine extends EventEmitter {
         
         this.lazyWriteEnabled = true;
         this.database.lazyWrite = true;
+        this._openJournal();
+        
+        if (this.options.flushOnSignal) {
+            this._installSignalHandlers();
+        }
         
         // Start write timer
         this._scheduleWrite();
@@ -78,10 +106,12 @@ class PerformanceEngine extends EventEmitter {
             this.writeTimer = null;
         }
         
-        // Flush all pending operations
-        await this._processPendingWrites();
+        this._removeSignalHandlers();
         
+        // Flush all pending operations
         this.lazyWriteEnabled = false;
+        await this.flush();
+        
         this.database.lazyWrite = false;
         
         this.emit('lazyWriteDisabled');
@@ -89,22 +119,29 @@ class PerformanceEngine extends EventEmitter {
     }
     
     /**
-     * Queue an operation for lazy writing
+     * Queue an operation for lazy writing. Resolves once the operation is in
+     * the journal; waits first while the queue holds maxPendingOperations.
      * @param {string} collection - Collection name
      * @param {string} operation - Operation type
      * @param {Object} data - Operation data
      */
-    queueOperation(collection, operation, data) {
+    async queueOperation(collection, operation, data) {
         if (!this.lazyWriteEnabled) {
             throw new Error('Lazy write is not enabled');
         }
         
-        // Check memory limits
-        if (this.pendingOperations.length >= this.options.maxPendingOperations) {
-            console.warn('⚠️ Max pending operations reached, forcing write...');
-            this._processPendingWrites();
+        // Back-pressure: make room before accepting more work
+        while (this.pendingOperations.length >= this.options.maxPendingOperations) {
+            this.metrics.backPressureWaits++;
+            const before = this.pendingOperations.length;
+            await this._processPendingWrites();
+            if (this.pendingOperations.length >= before) {
+                await delay(this.options.retryDelay);
+            }
         }
         
+        await this.journalReady;
+        
         const op = {
             id: this._generateOperationId(),
             collection,
@@ -114,22 +151,54 @@ class PerformanceEngine extends EventEmitter {
             retries: 0
         };
         
-        this.pendingOperations.push(op);
+        // Sequence and queue synchronously so the journal order matches the queue order
+        const durable = this.journal ? this.journal.append(op) : null;
+        this._enqueue(op);
         
-        // Group by collection
-        if (!this.operationQueue.has(collection)) {
-            this.operationQueue.set(collection, []);
+        this.metrics.totalOperations++;
+        this.emit('operationQueued', { operation: op });
+        
+        await durable;
+    }
+    
+    /**
+     * Replay operations a previous process journaled but never wrote
+     * @returns {number} Number of operations recovered
+     */
+    async recover() {
+        if (!this.options.journalPath || !existsSync(this.options.journalPath)) {
+            return 0;
         }
-        this.operationQueue.get(collection).push(op);
         
-        this.metrics.totalOperations++;
-        this.metrics.pendingCount = this.pendingOperations.length;
+        const recovered = await this._openJournal();
+        if (recovered.length > 0) {
+            recovered.forEach(op => {
+                op.retries = 0;
+                delete op.retryAt;
+                this._enqueue(op);
+            });
+            this.metrics.recovered += recovered.length;
+            this.emit('operationsRecovered', { count: recovered.length });
+            
+            await this.flush();
+        }
         
-        this.emit('operationQueued', { operation: op });
+        if (!this.lazyWriteEnabled) {
+            // Whatever could not be written stays journaled for the next start
+            await this.journal.compact(this.pendingOperations);
+            await this.journal.close();
+            this.journal = null;
+            this.journalReady = null;
+            this.pendingOperations = [];
+            this.operationQueue.clear();
+            this.metrics.pendingCount = 0;
+        }
+        return recovered.length;
     }
     
     /**
-     * Force immediate write of all pending operations
+     * Force immediate write of all pending operations. Operations that keep
+     * failing stay queued (and journaled) rather than blocking the flush.
      */
     async flush() {
         if (this.writeTimer) {
@@ -137,14 +206,35 @@ class PerformanceEngine extends EventEmitter {
             this.writeTimer = null;
         }
         
-        await this._processPendingWrites();
+        while (this.pendingOperations.length > 0) {
+            const before = this.pendingOperations.length;
+            await this._processPendingWrites({ force: true });
+            if (this.pendingOperations.length >= before) {
+                break;
+            }
+        }
+        
+        if (this.lazyWriteEnabled) {
+            this._scheduleWrite();
+        }
         
         this.emit('operationsFlushed', {
             operationsWritten: this.metrics.totalOperations,
-            batchesWritten: this.metrics.batchesWritten
+            batchesWritten: this.metrics.batchesWritten,
+            pending: this.pendingOperations.length
         });
     }
     
+    /**
+     * Operations that ran out of retries, oldest first
+     */
+    async getDeadLetters() {
+        if (this.options.journalPath) {
+            return (this.journal || new WriteJournal(this.options.journalPath)).readDeadLetters();
+        }
+        return [...this.deadLetters];
+    }
+    
     /**
      * Get performance statistics
      */
@@ -152,6 +242,7 @@ class PerformanceEngine extends EventEmitter {
         return {
             ...this.metrics,
             lazyWriteEnabled: this.lazyWriteEnabled,
+            journal: this.journal ? this.journal.getStats() : null,
             options: { ...this.options },
             memoryUsage: this._calculateMemoryUsage(),
             uptime: Date.now() - (this.metrics.startTime || Date.now())
@@ -174,10 +265,23 @@ class PerformanceEngine extends EventEmitter {
     }
     
     /**
-     * Process all pending write operations
+     * Process all pending write operations. Concurrent callers share the
+     * run in progress.
      * @private
      */
-    async _processPendingWrites() {
+    _processPendingWrites(options = {}) {
+        if (!this.flushing) {
+            this.flushing = this._writePending(options).finally(() => {
+                this.flushing = null;
+            });
+        }
+        return this.flushing;
+    }
+    
+    /**
+     * @private
+     */
+    async _writePending({ force = false } = {}) {
         if (this.pendingOperations.length === 0) {
             if (this.lazyWriteEnabled) {
                 this._scheduleWrite(); // Continue scheduling
@@ -186,52 +290,82 @@ class PerformanceEngine extends EventEmitter {
         }
         
         const startTime = Date.now();
-        const operations = [...this.pendingOperations];
+        const operations = this.pendingOperations;
         this.pendingOperations = [];
         this.operationQueue.clear();
         
-        console.log(`📝 Processing ${operations.length} pending operations...`);
+        const held = []; // Failed or backing off, with everything queued after them
+        const applied = [];
+        let batchCount = 0;
+        const errors = [];
         
-        try {
-            // Group operations by collection for batch processing
-            const batches = this._createBatches(operations);
-            
-            for (const batch of batches) {
-                await this._processBatch(batch);
-                this.metrics.batchesWritten++;
+        for (const [collection, ops] of this._groupByCollection(operations)) {
+            if (!force && ops[0].retryAt > startTime) {
+                held.push(...ops);
+                continue;
             }
             
-            // Update metrics
-            this.metrics.lastWriteTime = Date.now();
+            const done = [];
+            try {
+                for (const batch of this._createBatches(collection, ops)) {
+                    await this._processBatch(batch, done);
+                    batchCount++;
+                    this.metrics.batchesWritten++;
+                }
+            } catch (error) {
+                errors.push(error);
+                const failed = ops[done.length];
+                const rest = ops.slice(done.length + 1);
+                failed.retries++;
+                this.metrics.retries++;
+                
+                if (failed.retries > this.options.maxRetries) {
+                    await this._deadLetter(failed, error);
+                    done.push(failed.seq);
+                } else {
+                    failed.retryAt = Date.now() + this.options.retryDelay * 2 ** (failed.retries - 1);
+                    held.push(failed);
+                }
+                held.push(...rest);
+            }
+            applied.push(...done);
+        }
+        
+        // Held operations go back in front of anything queued meanwhile
+        const queuedMeanwhile = this.pendingOperations;
+        this.pendingOperations = [];
+        [...held, ...queuedMeanwhile].forEach(op => this._enqueue(op));
+        
+        if (this.journal) {
+            await this.journal.acknowledge(applied.filter(seq => seq !== undefined));
+        }
+        
+        // Update metrics
+        const written = operations.length - held.length;
+        this.metrics.lastWriteTime = Date.now();
+        if (this.metrics.batchesWritten > 0) {
             this.metrics.averageBatchSize = Math.round(
-                (this.metrics.averageBatchSize * (this.metrics.batchesWritten - batches.length) + 
-                 operations.length) / this.metrics.batchesWritten
+                (this.metrics.averageBatchSize * (this.metrics.batchesWritten - batchCount) + 
+                 written) / this.metrics.batchesWritten
             );
-            this.metrics.pendingCount = 0;
-            
-            const duration = Date.now() - startTime;
-            
-            this.emit('writeCompleted', {
-                operationsProcessed: operations.length,
-                batchesWritten: batches.length,
-                duration
-            });
-            
-            console.log(`✅ Wrote ${operations.length} operations in ${duration}ms (${batches.length} batches)`);
-            
-        } catch (error) {
-            console.error('❌ Error processing pending writes:', error);
-            
-            // Re-queue failed operations with retry limit
-            const retriableOps = operations.filter(op => op.retries < 3);
-            retriableOps.forEach(op => {
-                op.retries++;
-                this.pendingOperations.push(op);
+        }
+        
+        const duration = Date.now() - startTime;
+        
+        if (errors.length > 0) {
+            this.emit('writeError', {
+                error: errors[0],
+                failures: errors.length,
+                retriedOperations: held.length
             });
-            
-            this.emit('writeError', { error, retriedOperations: retriableOps.length });
         }
         
+        this.emit('writeCompleted', {
+            operationsProcessed: written,
+            batchesWritten: batchCount,
+            duration
+        });
+        
         // Schedule next write if lazy mode is still enabled
         if (this.lazyWriteEnabled) {
             this._scheduleWrite();
@@ -239,14 +373,10 @@ class PerformanceEngine extends EventEmitter {
     }
     
     /**
-     * Create batches from operations
+     * Group operations by collection, keeping queue order within each
      * @private
      */
-    _createBatches(operations) {
-        const batches = [];
-        const batchSize = this.options.batchSize;
-        
-        // Group by collection first
+    _groupByCollection(operations) {
         const collectionOps = new Map();
         
         for (const op of operations) {
@@ -256,72 +386,70 @@ class PerformanceEngine extends EventEmitter {
             collectionOps.get(op.collection).push(op);
         }
         
-        // Create batches within each collection
-        for (const [collection, ops] of collectionOps) {
-            for (let i = 0; i < ops.length; i += batchSize) {
-                const batch = {
-                    collection,
-                    operations: ops.slice(i, i + batchSize),
-                    compressed: false
-                };
-                
-                // Compress batch if enabled
-                if (this.options.compressionEnabled) {
-                    batch.compressed = true;
-                    batch.originalSize = JSON.stringify(batch.operations).length;
-                    batch.operations = this._compressBatch(batch.operations);
-                    batch.compressedSize = JSON.stringify(batch.operations).length;
-                    
-                    this.metrics.compressionRatio = 
-                        (this.metrics.compressionRatio + 
-                         (batch.compressedSize / batch.originalSize)) / 2;
-                }
+        return collectionOps;
+    }
+    
+    /**
+     * Create batches from one collection's operations
+     * @private
+     */
+    _createBatches(collection, ops) {
+        const batches = [];
+        const batchSize = this.options.batchSize;
+        
+        for (let i = 0; i < ops.length; i += batchSize) {
+            const batch = {
+                collection,
+                operations: ops.slice(i, i + batchSize),
+                compressed: false
+            };
+            
+            // Compress batch if enabled
+            if (this.options.compressionEnabled) {
+                batch.compressed = true;
+                batch.originalSize = JSON.stringify(batch.operations).length;
+                batch.operations = this._compressBatch(batch.operations);
+                batch.compressedSize = JSON.stringify(batch.operations).length;
                 
-                batches.push(batch);
+                this.metrics.compressionRatio = 
+                    (this.metrics.compressionRatio + 
+                     (batch.compressedSize / batch.originalSize)) / 2;
             }
+            
+            batches.push(batch);
         }
         
         return batches;
     }
     
     /**
-     * Process a single batch
+     * Process a single batch, recording the sequence of each applied
+     * operation in `done`
      * @private
      */
-    async _processBatch(batch) {
+    async _processBatch(batch, done) {
         const { collection, operations, compressed } = batch;
         
         // Decompress if needed
         const ops = compressed ? this._decompressBatch(operations) : operations;
         
-        // Get collection instance
-        const collectionInstance = this.database.collections?.get(collection) ||
-                                 this.database.collection(collection);
-        
-        if (!collectionInstance) {
-            throw new Error(`Collection '${collection}' not found`);
-        }
-        
         // Process operations in order
+        // A failure propagates to _writePending(), which reports it through writeError
         for (const op of ops) {
-            try {
-                switch (op.operation) {
-                    case 'insert':
-                        await this._persistInsert(collectionInstance, op.data);
-                        break;
-                    case 'update':
-                        await this._persistUpdate(collectionInstance, op.data);
-                        break;
-                    case 'delete':
-                        await this._persistDelete(collectionInstance, op.data);
-                        break;
-                    default:
-                        console.warn(`Unknown operation type: ${op.operation}`);
-                }
-            } catch (error) {
-                console.error(`Error processing operation ${op.id}:`, error);
-                throw error;
+            switch (op.operation) {
+                case 'insert':
+                    await this._persistInsert(collection, op.data);
+                    break;
+                case 'update':
+                    await this._persistUpdate(collection, op.data);
+                    break;
+                case 'delete':
+                    await this._persistDelete(collection, op.data);
+                    break;
+                default:
+                    console.warn(`Unknown operation type: ${op.operation}`);
             }
+            done.push(op.seq);
         }
     }
     
@@ -330,9 +458,7 @@ class PerformanceEngine extends EventEmitter {
      * @private
      */
     async _persistInsert(collection, data) {
-        if (this.database.storage) {
-            await this.database.storage.saveDocument(collection.name, data.document);
-        }
+        await this._persistDocument(collection, data.document);
     }
     
     /**
@@ -340,9 +466,7 @@ class PerformanceEngine extends EventEmitter {
      * @private
      */
     async _persistUpdate(collection, data) {
-        if (this.database.storage) {
-            await this.database.storage.updateDocument(collection.name, data.document);
-        }
+        await this._persistDocument(collection, data.document);
     }
     
     /**
@@ -350,9 +474,118 @@ class PerformanceEngine extends EventEmitter {
      * @private
      */
     async _persistDelete(collection, data) {
-        if (this.database.storage) {
-            await this.database.storage.removeDocument(collection.name, data.documentId);
+        if (typeof this.database._removeExternalDocument === 'function') {
+            await this.database._removeExternalDocument(collection, data.documentId);
+        } else if (this.database.storage) {
+            await this.database.storage.delete(collection, data.documentId);
+        }
+    }
+    
+    /**
+     * Write a document image, keeping the database's own store in step
+     * @private
+     */
+    async _persistDocument(collection, document) {
+        if (typeof this.database._persistExternalDocument === 'function') {
+            await this.database._persistExternalDocument(collection, document);
+        } else if (this.database.storage) {
+            await this.database.storage.insert(collection, document);
+        }
+    }
+    
+    /**
+     * Move an operation that ran out of retries to the dead-letter log
+     * @private
+     */
+    async _deadLetter(op, error) {
+        const { retryAt, ...entry } = op;
+        
+        if (this.journal) {
+            await this.journal.deadLetter(entry, error);
+        } else {
+            this.deadLetters.push({ ...entry, error: error.message, deadLetteredAt: Date.now() });
+        }
+        
+        this.metrics.deadLettered++;
+        this.emit('operationDeadLettered', { operation: entry, error });
+    }
+    
+    /**
+     * Add an operation to the in-memory queue
+     * @private
+     */
+    _enqueue(op) {
+        this.pendingOperations.push(op);
+        
+        // Group by collection
+        if (!this.operationQueue.has(op.collection)) {
+            this.operationQueue.set(op.collection, []);
+        }
+        this.operationQueue.get(op.collection).push(op);
+        
+        this.metrics.pendingCount = this.pendingOperations.length;
+    }
+    
+    /**
+     * Open the journal once; resolves to the operations it recovered
+     * @private
+     */
+    _openJournal() {
+        if (!this.journalReady) {
+            if (!this.options.journalPath) {
+                this.journalReady = Promise.resolve([]);
+            } else {
+                const journal = new WriteJournal(this.options.journalPath, { fsync: this.options.journalFsync });
+                this.journalReady = journal.open().then(recovered => {
+                    this.journal = journal;
+                    return recovered;
+                });
+            }
         }
+        return this.journalReady;
+    }
+    
+    /**
+     * Flush the queue before the process exits on SIGTERM/SIGINT
+     * @private
+     */
+    _installSignalHandlers() {
+        if (this.signalHandler) return;
+        
+        this.signalHandler = async signal => {
+            this._removeSignalHandlers();
+            
+            try {
+                await this.flush();
+                if (this.journal) {
+                    await this.journal.compact(this.pendingOperations);
+                    await this.journal.close();
+                }
+            } catch (error) {
+                console.error('❌ Error flushing lazy writes on signal:', error.message);
+            }
+            
+            this.emit('signalFlushed', { signal, pending: this.pendingOperations.length });
+            
+            // Let the signal take its default effect unless someone else handles it
+            if (process.listenerCount(signal) === 0) {
+                process.kill(process.pid, signal);
+            }
+        };
+        
+        process.once('SIGTERM', this.signalHandler);
+        process.once('SIGINT', this.signalHandler);
+    }
+    
+    /**
+     * @private
+     */
+    _removeSignalHandlers() {
+        if (!this.signalHandler) return;
+        
+        process.removeListener('SIGTERM', this.signalHandler);
+        process.removeListener('SIGINT', this.signalHandler);
+        this.signalHandler = null;
     }
     
     /**
@@ -373,12 +606,19 @@ class PerformanceEngine extends EventEmitter {
                 collection: operations[0].collection
             };
             
-            // Store only variations
-            compressed.variations = operations.map(op => ({
-                id: op.id,
-                data: op.data,
-                timestamp: op.timestamp
-            }));
+            // Store only variations (the operation type only where it differs)
+            compressed.variations = operations.map(op => {
+                const variation = {
+                    id: op.id,
+                    seq: op.seq,
+                    data: op.data,
+                    timestamp: op.timestamp
+                };
+                if (op.operation !== compressed.template.operation) {
+                    variation.operation = op.operation;
+                }
+                return variation;
+            });
         }
         
         return compressed;
@@ -427,18 +667,25 @@ class PerformanceEngine extends EventEmitter {
      * Clean up resources
      */
     async destroy() {
-        if (this.writeTimer) {
-            clearTimeout(this.writeTimer);
-            this.writeTimer = null;
-        }
+        this._removeSignalHandlers();
+        this.lazyWriteEnabled = false;
         
         // Force flush remaining operations
-        if (this.pendingOperations.length > 0) {
-            await this._processPendingWrites();
+        await this.flush();
+        
+        if (this.journal) {
+            await this.journal.compact(this.pendingOperations);
+            await this.journal.close();
+            this.journal = null;
+            this.journalReady = null;
         }
         
         this.emit('performanceEngineDestroyed');
     }
 }
 
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
 export default PerformanceEngine;
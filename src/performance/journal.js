@@ -0,0 +1,259 @@
+import { promises as fs, existsSync } from 'fs';
+import { join } from 'path';
+import { createHash } from 'crypto';
+
+const JOURNAL_FILE = 'journal.log';
+const DEAD_LETTER_FILE = 'dead-letter.log';
+
+/**
+ * Lazy Write Journal for BigBaseAlpha
+ * Keeps queued lazy-write operations on disk until they reach storage, so
+ * operations queued by a process that dies are replayed on the next start.
+ *
+ * Each line is `<checksum> <json>`: either an operation (`seq` plus the
+ * operation) or an `ack` record listing the operations that were applied.
+ * Appends are group-committed: records queued while a write is in flight
+ * go to disk together with a single fsync. Operations that keep failing are
+ * moved to `dead-letter.log`.
+ */
+export class WriteJournal {
+    constructor(directory, options = {}) {
+        this.directory = directory;
+        this.journalPath = join(directory, JOURNAL_FILE);
+        this.deadLetterPath = join(directory, DEAD_LETTER_FILE);
+        this.fsync = options.fsync !== false;
+        this.compactionSize = options.compactionSize || 4 * 1024 * 1024; // 4MB
+
+        this.handle = null;
+        this.seq = 0;
+        this.size = 0;
+        this.unacknowledged = new Map(); // seq -> operation, until it reaches storage
+        this.buffer = []; // { line, resolve, reject } waiting for the next group commit
+        this.committing = null;
+
+        this.stats = {
+            appended: 0,
+            acknowledged: 0,
+            groupCommits: 0,
+            syncs: 0,
+            compactions: 0,
+            deadLettered: 0,
+            recovered: 0
+        };
+    }
+
+    /**
+     * Open the journal and return the operations that were never acknowledged,
+     * in the order they were queued. A torn or corrupt tail is discarded.
+     */
+    async open() {
+        if (!existsSync(this.directory)) {
+            await fs.mkdir(this.directory, { recursive: true });
+        }
+
+        const operations = new Map();
+        if (existsSync(this.journalPath)) {
+            const content = await fs.readFile(this.journalPath, 'utf8');
+            for (const line of content.split('\n')) {
+                if (!line) continue;
+
+                const record = this._decode(line);
+                if (!record) {
+                    break; // Written after the crash point
+                }
+
+                if (record.ack) {
+                    record.ack.forEach(seq => operations.delete(seq));
+                } else {
+                    operations.set(record.seq, record);
+                    this.seq = Math.max(this.seq, record.seq);
+                }
+            }
+        }
+
+        const pending = Array.from(operations.values()).sort((a, b) => a.seq - b.seq);
+        pending.forEach(op => this.unacknowledged.set(op.seq, op));
+        this.stats.recovered = pending.length;
+
+        // Start from a clean file holding only what is still pending
+        await this._rewrite(pending);
+        return pending;
+    }
+
+    /**
+     * Append an operation; resolves once it is on disk. Assigns `op.seq`.
+     */
+    append(op) {
+        op.seq = ++this.seq;
+        this.unacknowledged.set(op.seq, op);
+        this.stats.appended++;
+        return this._enqueue(op);
+    }
+
+    /**
+     * Record that operations reached storage and need no replay
+     */
+    async acknowledge(seqs) {
+        if (seqs.length === 0) {
+            return;
+        }
+
+        await this._enqueue({ ack: seqs });
+        seqs.forEach(seq => this.unacknowledged.delete(seq));
+        this.stats.acknowledged += seqs.length;
+
+        if (this.unacknowledged.size === 0 && this.size >= this.compactionSize) {
+            await this.compact();
+        }
+    }
+
+    /**
+     * Keep an operation that exhausted its retries in the dead-letter file
+     */
+    async deadLetter(op, error) {
+        const entry = JSON.stringify({ ...op, error: error.message, deadLetteredAt: Date.now() });
+        await fs.appendFile(this.deadLetterPath, `${entry}\n`);
+        this.stats.deadLettered++;
+    }
+
+    /**
+     * Operations in the dead-letter file
+     */
+    async readDeadLetters() {
+        if (!existsSync(this.deadLetterPath)) {
+            return [];
+        }
+
+        const content = await fs.readFile(this.deadLetterPath, 'utf8');
+        return content.split('\n').filter(Boolean).map(line => JSON.parse(line));
+    }
+
+    /**
+     * Replace the journal with just the given pending operations, by default
+     * those not yet acknowledged when the rewrite starts. Appends wait for
+     * the rewrite, so none lands in the file being replaced.
+     */
+    async compact(pending) {
+        await this._exclusive(() => this._rewrite(pending || Array.from(this.unacknowledged.values())));
+        this.stats.compactions++;
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            seq: this.seq,
+            size: this.size,
+            unacknowledged: this.unacknowledged.size
+        };
+    }
+
+    async close() {
+        await this._flushBuffer();
+        if (this.handle) {
+            await this.handle.close();
+            this.handle = null;
+        }
+    }
+
+    // Private methods
+
+    _enqueue(record) {
+        const line = this._encode(record);
+        return new Promise((resolve, reject) => {
+            this.buffer.push({ line, resolve, reject });
+            this._scheduleCommit();
+        });
+    }
+
+    _scheduleCommit() {
+        if (!this.committing && this.buffer.length > 0) {
+            this._hold(this._commitGroups());
+        }
+    }
+
+    /**
+     * Run `fn` once in-flight commits finish, holding back new ones until it is done
+     */
+    async _exclusive(fn) {
+        await this._flushBuffer();
+        const run = fn();
+        this._hold(run.catch(() => {}));
+        return run;
+    }
+
+    _hold(run) {
+        this.committing = run.finally(() => {
+            this.committing = null;
+            this._scheduleCommit();
+        });
+    }
+
+    async _commitGroups() {
+        while (this.buffer.length > 0) {
+            const group = this.buffer;
+            this.buffer = [];
+
+            try {
+                const data = group.map(entry => entry.line).join('');
+                await this.handle.write(data);
+                this.size += Buffer.byteLength(data);
+                if (this.fsync) {
+                    await this.handle.datasync();
+                    this.stats.syncs++;
+                }
+                this.stats.groupCommits++;
+                group.forEach(entry => entry.resolve());
+            } catch (error) {
+                group.forEach(entry => entry.reject(error));
+            }
+        }
+    }
+
+    async _flushBuffer() {
+        while (this.committing) {
+            await this.committing;
+        }
+    }
+
+    async _rewrite(pending) {
+        if (this.handle) {
+            await this.handle.close();
+        }
+
+        const contents = pending.map(op => this._encode(op)).join('');
+        await fs.writeFile(`${this.journalPath}.tmp`, contents);
+        await fs.rename(`${this.journalPath}.tmp`, this.journalPath);
+
+        this.handle = await fs.open(this.journalPath, 'a');
+        this.size = Buffer.byteLength(contents);
+    }
+
+    _encode(record) {
+        const json = JSON.stringify(record);
+        return `${this._checksum(json)} ${json}\n`;
+    }
+
+    _decode(line) {
+        const separator = line.indexOf(' ');
+        if (separator === -1) {
+            return null;
+        }
+
+        const json = line.slice(separator + 1);
+        if (line.slice(0, separator) !== this._checksum(json)) {
+            return null;
+        }
+
+        try {
+            return JSON.parse(json);
+        } catch {
+            return null;
+        }
+    }
+
+    _checksum(json) {
+        return createHash('sha256').update(json).digest('hex').slice(0, 16);
+    }
+}
+
+export default WriteJournal;
@@ -0,0 +1,446 @@
+import {
+    matchesQuery,
+    getFieldValue,
+    compareValues,
+    valuesEqual,
+    evaluateExpression
+} from './matcher.js';
+
+const ACCUMULATORS = ['$sum', '$avg', '$min', '$max', '$push', '$addToSet', '$first', '$last', '$count'];
+
+/**
+ * BigBaseAlpha Aggregation Pipeline
+ * Runs MongoDB-style pipelines over a collection of BigBaseAlpha
+ *
+ * Supported stages: $match, $group, $project, $sort, $limit, $skip,
+ * $unwind, $lookup, $bucket and $facet. A leading $match (with an optional
+ * $sort, $skip and $limit right after it) is answered by the query planner,
+ * so it can use indexes.
+ */
+class AggregationPipeline {
+    constructor(database) {
+        this.database = database;
+    }
+
+    /**
+     * Run a pipeline
+     * @param {string} collectionName - Source collection
+     * @param {Array} pipeline - Pipeline stages
+     * @returns {Promise<Array>} Resulting documents
+     */
+    async aggregate(collectionName, pipeline = []) {
+        if (!Array.isArray(pipeline)) {
+            throw new Error('Aggregation pipeline must be an array of stages');
+        }
+
+        const { documents, consumed } = await this._source(collectionName, pipeline);
+        return this._run(documents, pipeline.slice(consumed));
+    }
+
+    /**
+     * Load the input documents, folding leading $match/$sort/$skip/$limit into one planned query
+     * @private
+     */
+    async _source(collectionName, pipeline) {
+        const options = {};
+        let consumed = 0;
+
+        const next = () => pipeline[consumed] ? this._stageName(pipeline[consumed]) : null;
+
+        if (next() === '$match') {
+            options.where = pipeline[consumed++].$match;
+        }
+        if (next() === '$sort') {
+            options.sort = pipeline[consumed++].$sort;
+        }
+        if (next() === '$skip') {
+            options.offset = pipeline[consumed++].$skip;
+        }
+        if (next() === '$limit') {
+            options.limit = pipeline[consumed++].$limit;
+        }
+
+        const { results } = await this.database._executeQuery(collectionName, options);
+        const documents = await Promise.all(results.map(doc => this.database._decryptDocument(doc)));
+
+        return { documents, consumed };
+    }
+
+    /**
+     * Apply stages to an in-memory document list
+     * @private
+     */
+    async _run(documents, stages) {
+        let results = documents;
+
+        for (const stage of stages) {
+            const name = this._stageName(stage);
+            const spec = stage[name];
+
+            switch (name) {
+                case '$match':
+                    results = results.filter(doc => matchesQuery(doc, spec));
+                    break;
+                case '$group':
+                    results = this._group(results, spec);
+                    break;
+                case '$project':
+                    results = results.map(doc => this._project(doc, spec));
+                    break;
+                case '$sort':
+                    results = this._sort(results, spec);
+                    break;
+                case '$limit':
+                    results = results.slice(0, spec);
+                    break;
+                case '$skip':
+                    results = results.slice(spec);
+                    break;
+                case '$unwind':
+                    results = this._unwind(results, spec);
+                    break;
+                case '$lookup':
+                    results = await this._lookup(results, spec);
+                    break;
+                case '$bucket':
+                    results = this._bucket(results, spec);
+                    break;
+                case '$facet':
+                    results = [await this._facet(results, spec)];
+                    break;
+                default:
+                    throw new Error(`Unknown aggregation stage: ${name}`);
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * $group: { _id: <expression>, <field>: { <accumulator>: <expression> } }
+     * @private
+     */
+    _group(documents, spec) {
+        if (!spec || !('_id' in spec)) {
+            throw new Error('$group requires an _id expression');
+        }
+
+        const groups = new Map();
+
+        for (const doc of documents) {
+            const id = evaluateExpression(spec._id, doc) ?? null;
+            const key = JSON.stringify(id);
+
+            if (!groups.has(key)) {
+                groups.set(key, { _id: id, documents: [] });
+            }
+            groups.get(key).documents.push(doc);
+        }
+
+        return Array.from(groups.values()).map(({ _id, documents: members }) => {
+            const result = { _id };
+            for (const [field, accumulator] of Object.entries(spec)) {
+                if (field !== '_id') {
+                    result[field] = this._accumulate(members, accumulator, field);
+                }
+            }
+            return result;
+        });
+    }
+
+    /**
+     * Evaluate one accumulator over a group of documents
+     * @private
+     */
+    _accumulate(documents, accumulator, field) {
+        const operator = accumulator && typeof accumulator === 'object' ? Object.keys(accumulator)[0] : null;
+        if (!ACCUMULATORS.includes(operator)) {
+            throw new Error(`Unknown accumulator for field '${field}': ${operator}`);
+        }
+
+        if (operator === '$count') {
+            return documents.length;
+        }
+
+        const values = documents.map(doc => evaluateExpression(accumulator[operator], doc));
+        const numbers = values.filter(value => typeof value === 'number');
+        const present = values.filter(value => value !== undefined && value !== null);
+
+        switch (operator) {
+            case '$sum':
+                return numbers.reduce((sum, value) => sum + value, 0);
+            case '$avg':
+                return numbers.length > 0 ? numbers.reduce((sum, value) => sum + value, 0) / numbers.length : null;
+            case '$min':
+                return present.reduce((min, value) => (min === null || this._compare(value, min) < 0 ? value : min), null);
+            case '$max':
+                return present.reduce((max, value) => (max === null || this._compare(value, max) > 0 ? value : max), null);
+            case '$push':
+                return values.filter(value => value !== undefined);
+            case '$addToSet':
+                return values.reduce((set, value) => {
+                    if (value !== undefined && !set.some(item => valuesEqual(item, value))) {
+                        set.push(value);
+                    }
+                    return set;
+                }, []);
+            case '$first':
+                return values.length > 0 ? values[0] ?? null : null;
+            case '$last':
+                return values.length > 0 ? values[values.length - 1] ?? null : null;
+        }
+    }
+
+    /**
+     * $project: include (1), exclude (0) or compute (expression) fields
+     * @private
+     */
+    _project(doc, spec) {
+        const entries = Object.entries(spec);
+        const isExcluded = value => value === 0 || value === false;
+        const fields = entries.filter(([field]) => field !== '_id');
+        const isExclusion = fields.length > 0 ? fields.every(([, value]) => isExcluded(value)) : isExcluded(spec._id);
+
+        if (isExclusion) {
+            const result = structuredClone(doc);
+            for (const [field] of entries) {
+                this._unsetPath(result, field);
+            }
+            return result;
+        }
+
+        const result = {};
+        if (!isExcluded(spec._id)) {
+            result._id = doc._id;
+        }
+
+        for (const [field, value] of entries) {
+            if (value === 1 || value === true) {
+                const included = getFieldValue(doc, field);
+                if (included !== undefined) {
+                    this._setPath(result, field, included);
+                }
+            } else if (!isExcluded(value)) {
+                this._setPath(result, field, evaluateExpression(value, doc));
+            } else if (field !== '_id') {
+                throw new Error(`$project cannot mix inclusion and exclusion (field '${field}')`);
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * $sort: { field: 1 | -1, ... }
+     * @private
+     */
+    _sort(documents, spec) {
+        const fields = Object.entries(spec);
+
+        return [...documents].sort((a, b) => {
+            for (const [field, direction] of fields) {
+                const comparison = this._compare(getFieldValue(a, field), getFieldValue(b, field));
+                if (comparison !== 0) {
+                    return direction === -1 ? -comparison : comparison;
+                }
+            }
+            return 0;
+        });
+    }
+
+    /**
+     * $unwind: '$path' or { path, includeArrayIndex, preserveNullAndEmptyArrays }
+     * @private
+     */
+    _unwind(documents, spec) {
+        const options = typeof spec === 'string' ? { path: spec } : spec;
+        if (!options.path || !options.path.startsWith('$')) {
+            throw new Error('$unwind path must start with $');
+        }
+
+        const path = options.path.slice(1);
+        const results = [];
+
+        for (const doc of documents) {
+            const value = getFieldValue(doc, path);
+
+            if (Array.isArray(value) && value.length > 0) {
+                value.forEach((element, index) => {
+                    const copy = structuredClone(doc);
+                    this._setPath(copy, path, element);
+                    if (options.includeArrayIndex) {
+                        copy[options.includeArrayIndex] = index;
+                    }
+                    results.push(copy);
+                });
+            } else if (value !== undefined && value !== null && !Array.isArray(value)) {
+                results.push(doc);
+            } else if (options.preserveNullAndEmptyArrays) {
+                const copy = structuredClone(doc);
+                if (options.includeArrayIndex) {
+                    copy[options.includeArrayIndex] = null;
+                }
+                results.push(copy);
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * $lookup: { from, localField, foreignField, as }
+     * @private
+     */
+    async _lookup(documents, spec) {
+        const { from, localField, foreignField, as } = spec;
+        if (!from || !localField || !foreignField || !as) {
+            throw new Error('$lookup requires from, localField, foreignField and as');
+        }
+
+        this.database._ensureCollection(from);
+
+        // One planned query for every local value, then match per document
+        const localValues = [];
+        for (const doc of documents) {
+            const value = getFieldValue(doc, localField);
+            for (const item of Array.isArray(value) ? value : [value]) {
+                if (item !== undefined && !localValues.some(existing => valuesEqual(existing, item))) {
+                    localValues.push(item);
+                }
+            }
+        }
+
+        const foreign = localValues.length > 0
+            ? await this.aggregate(from, [{ $match: { [foreignField]: { $in: localValues } } }])
+            : [];
+
+        return documents.map(doc => {
+            const value = getFieldValue(doc, localField);
+            const condition = Array.isArray(value) ? { $in: value } : (value === undefined ? null : value);
+            return {
+                ...doc,
+                [as]: foreign.filter(other => matchesQuery(other, { [foreignField]: condition }))
+            };
+        });
+    }
+
+    /**
+     * $bucket: { groupBy, boundaries, default, output }
+     * @private
+     */
+    _bucket(documents, spec) {
+        const { groupBy, boundaries, output = { count: { $sum: 1 } } } = spec;
+        if (!groupBy || !Array.isArray(boundaries) || boundaries.length < 2) {
+            throw new Error('$bucket requires groupBy and at least two boundaries');
+        }
+
+        const buckets = new Map(boundaries.slice(0, -1).map(lower => [lower, []]));
+        const fallback = [];
+
+        for (const doc of documents) {
+            const value = evaluateExpression(groupBy, doc);
+            const index = boundaries.findIndex((lower, i) => {
+                if (i === boundaries.length - 1) {
+                    return false;
+                }
+                const fromLower = compareValues(value, lower);
+                const toUpper = compareValues(value, boundaries[i + 1]);
+                return fromLower !== null && toUpper !== null && fromLower >= 0 && toUpper < 0;
+            });
+
+            if (index !== -1) {
+                buckets.get(boundaries[index]).push(doc);
+            } else if ('default' in spec) {
+                fallback.push(doc);
+            } else {
+                throw new Error(`$bucket value ${JSON.stringify(value)} is outside the boundaries and no default is set`);
+            }
+        }
+
+        const groups = Array.from(buckets.entries()).filter(([, members]) => members.length > 0);
+        if (fallback.length > 0) {
+            groups.push([spec.default, fallback]);
+        }
+
+        return groups.map(([_id, members]) => {
+            const result = { _id };
+            for (const [field, accumulator] of Object.entries(output)) {
+                result[field] = this._accumulate(members, accumulator, field);
+            }
+            return result;
+        });
+    }
+
+    /**
+     * $facet: { name: [stages], ... } run over the same input
+     * @private
+     */
+    async _facet(documents, spec) {
+        const result = {};
+        for (const [name, stages] of Object.entries(spec)) {
+            result[name] = await this._run(documents, stages);
+        }
+        return result;
+    }
+
+    /**
+     * Order values for $sort/$min/$max: missing and null first, then numbers, strings, others
+     * @private
+     */
+    _compare(a, b) {
+        const comparison = compareValues(a, b);
+        if (comparison !== null) {
+            return comparison;
+        }
+
+        const rank = value => (value === undefined || value === null ? 0 : typeof value === 'number' ? 1 : typeof value === 'string' ? 2 : 3);
+        return rank(a) - rank(b);
+    }
+
+    /**
+     * @private
+     */
+    _stageName(stage) {
+        const keys = stage && typeof stage === 'object' ? Object.keys(stage) : [];
+        if (keys.length !== 1) {
+            throw new Error('Each aggregation stage must have exactly one operator');
+        }
+        return keys[0];
+    }
+
+    /**
+     * @private
+     */
+    _setPath(target, path, value) {
+        const parts = path.split('.');
+        let current = target;
+
+        for (const part of parts.slice(0, -1)) {
+            if (current[part] === null || typeof current[part] !== 'object') {
+                current[part] = {};
+            }
+            current = current[part];
+        }
+
+        current[parts[parts.length - 1]] = value;
+    }
+
+    /**
+     * @private
+     */
+    _unsetPath(target, path) {
+        const parts = path.split('.');
+        let current = target;
+
+        for (const part of parts.slice(0, -1)) {
+            if (current[part] === null || typeof current[part] !== 'object') {
+                return;
+            }
+            current = current[part];
+        }
+
+        delete current[parts[parts.length - 1]];
+    }
+}
+
+export default AggregationPipeline;
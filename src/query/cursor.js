@@ -0,0 +1,219 @@
+import { createHash } from 'crypto';
+import { getFieldValue, compareSortValues } from './matcher.js';
+
+/**
+ * Query Cursor for BigBaseAlpha
+ * Reads the results of a query in batches instead of materializing them.
+ *
+ * A cursor keeps its position as the sort values of the last document it
+ * fetched (with `_id` appended to make the order total) and asks for the
+ * next batch "after" that position, so every batch costs the same however
+ * deep the cursor is. When an index serves the sort, the index walk starts
+ * at the position instead of the beginning. The position can be handed out
+ * as a continuation token and resumed later, e.g. by the next REST request.
+ */
+
+/**
+ * Raised when a continuation token is malformed or was issued for a
+ * different collection, filter or sort
+ */
+export class CursorTokenError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CursorTokenError';
+        this.code = 'INVALID_CURSOR_TOKEN';
+    }
+}
+
+export class Cursor {
+    /**
+     * @param {BigBaseAlpha} database - Database to read from
+     * @param {string} collectionName - Collection name
+     * @param {Object} where - Query filter
+     * @param {Object} options - `sort`, `batchSize` (default 100), `limit`,
+     *   `skip`, `select` and `after`, a continuation token to resume from
+     */
+    constructor(database, collectionName, where = {}, options = {}) {
+        this.database = database;
+        this.collectionName = collectionName;
+        this.where = where || {};
+        this.sort = { ...(options.sort || {}) };
+        if (!('_id' in this.sort)) {
+            this.sort._id = 1;
+        }
+        this.batchSize = Math.max(1, options.batchSize || 100);
+        this.limit = options.limit ?? null;
+        this.skip = options.skip || 0;
+        this.select = options.select || null;
+        this.queryHash = hashQuery(collectionName, this.where, this.sort);
+
+        this.position = options.after ? this._decodeToken(options.after) : null; // Last document fetched
+        this.returnedPosition = this.position; // Last document handed out
+        this.buffer = [];
+        this.returned = 0;
+        this.exhausted = false;
+    }
+
+    /**
+     * Next document, or null once the cursor is exhausted
+     */
+    async next() {
+        if (this.buffer.length === 0 && !this.exhausted) {
+            await this._fetch();
+        }
+
+        const entry = this.buffer.shift();
+        if (!entry) {
+            return null;
+        }
+
+        this.returned++;
+        this.returnedPosition = entry.position;
+        return entry.document;
+    }
+
+    async hasNext() {
+        if (this.buffer.length === 0 && !this.exhausted) {
+            await this._fetch();
+        }
+        return this.buffer.length > 0;
+    }
+
+    /**
+     * Up to `size` documents (default: the batch size)
+     */
+    async nextBatch(size = this.batchSize) {
+        const documents = [];
+        while (documents.length < size) {
+            const document = await this.next();
+            if (document === null) {
+                break;
+            }
+            documents.push(document);
+        }
+        return documents;
+    }
+
+    /**
+     * All remaining documents
+     */
+    async toArray() {
+        const documents = [];
+        for await (const document of this) {
+            documents.push(document);
+        }
+        return documents;
+    }
+
+    async *[Symbol.asyncIterator]() {
+        let document;
+        while ((document = await this.next()) !== null) {
+            yield document;
+        }
+    }
+
+    /**
+     * Token that resumes a cursor for the same query right after the last
+     * document returned, or null if nothing has been returned yet
+     */
+    getContinuationToken() {
+        if (!this.returnedPosition) {
+            return null;
+        }
+
+        const payload = JSON.stringify({ q: this.queryHash, p: this.returnedPosition.map(encodeValue) });
+        return Buffer.from(payload).toString('base64url');
+    }
+
+    close() {
+        this.buffer = [];
+        this.exhausted = true;
+    }
+
+    // Private methods
+
+    async _fetch() {
+        const remaining = this.limit === null ? Infinity : this.limit - this.returned - this.buffer.length;
+        if (remaining <= 0) {
+            this.exhausted = true;
+            return;
+        }
+
+        const size = Math.min(this.batchSize, remaining);
+        const sortEntries = Object.entries(this.sort);
+        const position = this.position;
+
+        const { results } = await this.database._executeQuery(this.collectionName, {
+            where: this.where,
+            sort: this.sort,
+            limit: size,
+            offset: this.skip,
+            seek: position ? position[0] : undefined,
+            after: position ? doc => comparePosition(doc, sortEntries, position) > 0 : null
+        });
+        this.skip = 0;
+
+        if (results.length < size) {
+            this.exhausted = true;
+        }
+
+        for (const stored of results) {
+            const entryPosition = sortEntries.map(([field]) => getFieldValue(stored, field) ?? null);
+            const document = await this.database._decryptDocument(
+                this.select ? this.database._selectFields(stored, this.select) : stored
+            );
+            this.buffer.push({ document, position: entryPosition });
+            this.position = entryPosition;
+        }
+
+        this.database.stats.totalReads++;
+    }
+
+    _decodeToken(token) {
+        let decoded;
+        try {
+            decoded = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+        } catch (error) {
+            throw new CursorTokenError('Malformed continuation token');
+        }
+
+        if (!decoded || !Array.isArray(decoded.p) || decoded.p.length !== Object.keys(this.sort).length) {
+            throw new CursorTokenError('Malformed continuation token');
+        }
+        if (decoded.q !== this.queryHash) {
+            throw new CursorTokenError('Continuation token belongs to a different query');
+        }
+        return decoded.p.map(decodeValue);
+    }
+}
+
+/**
+ * Order of a document relative to a cursor position
+ * @returns {number} Positive if the document comes after the position
+ */
+function comparePosition(doc, sortEntries, position) {
+    for (let i = 0; i < sortEntries.length; i++) {
+        const [field, direction] = sortEntries[i];
+        const comparison = compareSortValues(getFieldValue(doc, field), position[i]);
+        if (comparison !== 0) {
+            return direction === -1 ? -comparison : comparison;
+        }
+    }
+    return 0;
+}
+
+function hashQuery(collectionName, where, sort) {
+    // Regular expressions would otherwise all serialize as {}
+    const serialized = JSON.stringify({ collectionName, where, sort }, (key, value) => (value instanceof RegExp ? String(value) : value));
+    return createHash('sha256').update(serialized).digest('hex').slice(0, 16);
+}
+
+function encodeValue(value) {
+    return value instanceof Date ? { $date: value.toISOString() } : value;
+}
+
+function decodeValue(value) {
+    return value && typeof value === 'object' && typeof value.$date === 'string' ? new Date(value.$date) : value;
+}
+
+export default Cursor;
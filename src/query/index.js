@@ -1,3 +1,5 @@
+import { matchesQuery, matchesCondition, getFieldValue } from './matcher.js';
+
 /**
  * BigBaseAlpha Query Engine
  * Advanced query processing and filtering
@@ -5,47 +7,6 @@
 class QueryEngine {
     constructor(collectionManager) {
         this.collectionManager = collectionManager;
-        
-        // Supported operators
-        this.operators = {
-            // Comparison operators
-            '$eq': (field, value) => field === value,
-            '$ne': (field, value) => field !== value,
-            '$gt': (field, value) => field > value,
-            '$gte': (field, value) => field >= value,
-            '$lt': (field, value) => field < value,
-            '$lte': (field, value) => field <= value,
-            '$in': (field, value) => Array.isArray(value) && value.includes(field),
-            '$nin': (field, value) => Array.isArray(value) && !value.includes(field),
-            
-            // Logical operators
-            '$and': (conditions, doc) => conditions.every(cond => this._matchDocument(doc, cond)),
-            '$or': (conditions, doc) => conditions.some(cond => this._matchDocument(doc, cond)),
-            '$not': (condition, doc) => !this._matchDocument(doc, condition),
-            '$nor': (conditions, doc) => !conditions.some(cond => this._matchDocument(doc, cond)),
-            
-            // Element operators
-            '$exists': (field, value) => value ? field !== undefined : field === undefined,
-            '$type': (field, value) => this._getType(field) === value,
-            
-            // String operators
-            '$regex': (field, value) => {
-                if (typeof field !== 'string') return false;
-                const regex = new RegExp(value);
-                return regex.test(field);
-            },
-            
-            // Array operators
-            '$all': (field, value) => {
-                if (!Array.isArray(field) || !Array.isArray(value)) return false;
-                return value.every(item => field.includes(item));
-            },
-            '$elemMatch': (field, value) => {
-                if (!Array.isArray(field)) return false;
-                return field.some(item => this._matchDocument(item, value));
-            },
-            '$size': (field, value) => Array.isArray(field) && field.length === value
-        };
     }
     
     /**
@@ -66,7 +27,8 @@ class QueryEngine {
         // Use index if available and beneficial
         const indexedResults = this._tryIndexLookup(collection, query);
         if (indexedResults) {
-            results = indexedResults;
+            // The index only narrows candidates; the rest of the query still applies
+            results = indexedResults.filter(doc => doc && this._matchDocument(doc, query));
         } else {
             // Full collection scan
             for (const doc of collection.documents.values()) {
@@ -104,58 +66,7 @@ class QueryEngine {
      * @private
      */
     _matchDocument(doc, query) {
-        if (!query || Object.keys(query).length === 0) {
-            return true; // Empty query matches all
-        }
-        
-        for (const [field, condition] of Object.entries(query)) {
-            if (!this._matchField(doc, field, condition)) {
-                return false;
-            }
-        }
-        
-        return true;
-    }
-    
-    /**
-     * Check if field matches condition
-     * @private
-     */
-    _matchField(doc, field, condition) {
-        // Handle logical operators at root level
-        if (field.startsWith('$')) {
-            const operator = this.operators[field];
-            if (!operator) {
-                throw new Error(`Unsupported operator: ${field}`);
-            }
-            
-            if (['$and', '$or', '$nor'].includes(field)) {
-                return operator(condition, doc);
-            } else if (field === '$not') {
-                return operator(condition, doc);
-            }
-        }
-        
-        const fieldValue = this._getFieldValue(doc, field);
-        
-        // Direct value comparison
-        if (typeof condition !== 'object' || condition === null || Array.isArray(condition)) {
-            return this.operators['$eq'](fieldValue, condition);
-        }
-        
-        // Operator-based conditions
-        for (const [operator, operatorValue] of Object.entries(condition)) {
-            const operatorFn = this.operators[operator];
-            if (!operatorFn) {
-                throw new Error(`Unsupported operator: ${operator}`);
-            }
-            
-            if (!operatorFn(fieldValue, operatorValue)) {
-                return false;
-            }
-        }
-        
-        return true;
+        return matchesQuery(doc, query);
     }
     
     /**
@@ -163,22 +74,7 @@ class QueryEngine {
      * @private
      */
     _getFieldValue(doc, field) {
-        if (field.includes('.')) {
-            // Handle nested fields
-            const parts = field.split('.');
-            let value = doc;
-            
-            for (const part of parts) {
-                if (value === null || value === undefined) {
-                    return undefined;
-                }
-                value = value[part];
-            }
-            
-            return value;
-        }
-        
-        return doc[field];
+        return getFieldValue(doc, field);
     }
     
     /**
@@ -207,17 +103,7 @@ class QueryEngine {
                     const results = [];
                     
                     for (const [indexKey, documentIds] of index) {
-                        let matches = true;
-                        
-                        for (const [operator, value] of Object.entries(queryValue)) {
-                            const operatorFn = this.operators[operator];
-                            if (operatorFn && !operatorFn(indexKey, value)) {
-                                matches = false;
-                                break;
-                            }
-                        }
-                        
-                        if (matches) {
+                        if (matchesCondition(indexKey, queryValue)) {
                             for (const docId of documentIds) {
                                 results.push(collection.documents.get(docId));
                             }
@@ -290,18 +176,6 @@ class QueryEngine {
         return result;
     }
     
-    /**
-     * Get JavaScript type of value
-     * @private
-     */
-    _getType(value) {
-        if (value === null) return 'null';
-        if (Array.isArray(value)) return 'array';
-        if (value instanceof Date) return 'date';
-        if (value instanceof RegExp) return 'regex';
-        return typeof value;
-    }
-    
     /**
      * Create query execution plan (for debugging/optimization)
      * @param {string} collectionName - Collection name
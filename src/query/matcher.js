@@ -0,0 +1,461 @@
+/**
+ * BigBaseAlpha Query Matcher
+ * Shared document matching used by BigBaseAlpha.query and QueryEngine
+ *
+ * Field paths use dot notation (`address.city`, `items.0.sku`). When a path
+ * crosses an array, every element is visited, so a condition matches if any
+ * reachable value (or any element of a reachable array) satisfies it.
+ */
+
+const LOGICAL_OPERATORS = ['$and', '$or', '$nor', '$not'];
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T/;
+
+const TYPE_ALIASES = {
+    bool: 'boolean',
+    int: 'number',
+    long: 'number',
+    double: 'number',
+    decimal: 'number',
+    object: 'object'
+};
+
+/**
+ * Check if a document matches a query
+ * @param {Object} doc - Document
+ * @param {Object} query - Query filter (null or undefined match every document)
+ * @returns {boolean} Whether the document matches
+ * @throws {Error} If the query is not an object
+ */
+export function matchesQuery(doc, query) {
+    if (query === null || query === undefined) {
+        return true;
+    }
+    if (typeof query !== 'object' || Array.isArray(query)) {
+        // A bare ID is not a query; matching everything would make `delete(id)` delete everything
+        throw new Error(`Query must be an object, got ${Array.isArray(query) ? 'an array' : typeof query}`);
+    }
+
+    for (const [key, condition] of Object.entries(query)) {
+        switch (key) {
+            case '$and':
+                if (!_asArray(key, condition).every(sub => matchesQuery(doc, sub))) return false;
+                break;
+            case '$or':
+                if (!_asArray(key, condition).some(sub => matchesQuery(doc, sub))) return false;
+                break;
+            case '$nor':
+                if (_asArray(key, condition).some(sub => matchesQuery(doc, sub))) return false;
+                break;
+            case '$not':
+                if (matchesQuery(doc, condition)) return false;
+                break;
+            case '$expr':
+                if (!_truthy(evaluateExpression(condition, doc))) return false;
+                break;
+            case '$comment':
+                break;
+            default:
+                if (key.startsWith('$')) {
+                    throw new Error(`Unknown operator: ${key}`);
+                }
+                if (!_matchesPath(doc, key, condition)) return false;
+        }
+    }
+
+    return true;
+}
+
+/**
+ * Check a single value against a field condition (a literal or an operator object)
+ * @param {*} value - Field value
+ * @param {*} condition - Condition
+ * @returns {boolean} Whether the value matches
+ */
+export function matchesCondition(value, condition) {
+    return _matchesValues(value === undefined ? [] : [value], condition);
+}
+
+/**
+ * Get every value reachable through a dot path, descending into arrays
+ * @param {Object} doc - Document
+ * @param {string} path - Field path
+ * @returns {Array} Reachable values (missing fields are omitted)
+ */
+export function getFieldValues(doc, path) {
+    let current = [doc];
+
+    for (const part of path.split('.')) {
+        const next = [];
+
+        for (const value of current) {
+            if (value === null || typeof value !== 'object') {
+                continue;
+            }
+
+            if (Array.isArray(value)) {
+                if (/^\d+$/.test(part)) {
+                    if (value[part] !== undefined) next.push(value[part]);
+                    continue;
+                }
+                for (const element of value) {
+                    if (element !== null && typeof element === 'object' && !Array.isArray(element)
+                        && element[part] !== undefined) {
+                        next.push(element[part]);
+                    }
+                }
+            } else if (value[part] !== undefined) {
+                next.push(value[part]);
+            }
+        }
+
+        current = next;
+    }
+
+    return current;
+}
+
+/**
+ * Get the first value at a dot path (used for sorting and projection)
+ * @param {Object} doc - Document
+ * @param {string} path - Field path
+ * @returns {*} Value or undefined
+ */
+export function getFieldValue(doc, path) {
+    if (!path.includes('.')) {
+        return doc == null ? undefined : doc[path];
+    }
+
+    const values = getFieldValues(doc, path);
+    return values.length > 0 ? values[0] : undefined;
+}
+
+/**
+ * Compare two values of the same type; dates compare with ISO date strings
+ * @returns {number|null} Negative, zero or positive, or null if not comparable
+ */
+export function compareValues(a, b) {
+    if (a instanceof Date || b instanceof Date) {
+        const aTime = _toTime(a);
+        const bTime = _toTime(b);
+        return aTime === null || bTime === null ? null : aTime - bTime;
+    }
+
+    if (typeof a !== typeof b || (typeof a !== 'number' && typeof a !== 'string' && typeof a !== 'boolean')) {
+        return null;
+    }
+
+    return a < b ? -1 : (a > b ? 1 : 0);
+}
+
+/**
+ * Total order used for sorting and index keys: missing and null first, then
+ * numbers, strings, objects and arrays, booleans and dates. ISO date strings
+ * sort as dates, since persisted documents hold their dates as strings.
+ * @returns {number} Negative, zero or positive
+ */
+export function compareSortValues(a, b) {
+    const rankA = sortTypeRank(a);
+    const rankB = sortTypeRank(b);
+    if (rankA !== rankB) {
+        return rankA - rankB;
+    }
+
+    if (rankA === 3) {
+        const aJson = JSON.stringify(a);
+        const bJson = JSON.stringify(b);
+        return aJson < bJson ? -1 : (aJson > bJson ? 1 : 0);
+    }
+    if (rankA === 5) {
+        return (_toTime(a) - _toTime(b)) || 0;
+    }
+    return compareValues(a, b) || 0;
+}
+
+/**
+ * Position of a value's type in the compareSortValues() order
+ * @returns {number} Type rank
+ */
+export function sortTypeRank(value) {
+    if (value === null || value === undefined) return 0;
+    if (typeof value === 'number') return 1;
+    if (typeof value === 'string') return ISO_DATE.test(value) ? 5 : 2;
+    if (typeof value === 'boolean') return 4;
+    if (value instanceof Date) return 5;
+    return 3;
+}
+
+/**
+ * Structural equality for query values
+ * @returns {boolean} Whether both values are equal
+ */
+export function valuesEqual(a, b) {
+    if (a === b) {
+        return true;
+    }
+
+    if (a instanceof Date || b instanceof Date) {
+        return compareValues(a, b) === 0;
+    }
+
+    if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object') {
+        return false;
+    }
+
+    if (Array.isArray(a) !== Array.isArray(b)) {
+        return false;
+    }
+
+    if (Array.isArray(a)) {
+        return a.length === b.length && a.every((item, i) => valuesEqual(item, b[i]));
+    }
+
+    const aKeys = Object.keys(a);
+    const bKeys = Object.keys(b);
+    return aKeys.length === bKeys.length && aKeys.every(key => valuesEqual(a[key], b[key]));
+}
+
+/**
+ * Evaluate an aggregation-style expression against a document.
+ * Strings starting with `$` are field references, e.g. `{ $gt: ['$spent', '$budget'] }`.
+ * @param {*} expression - Expression
+ * @param {Object} doc - Document
+ * @returns {*} Result
+ */
+export function evaluateExpression(expression, doc) {
+    if (typeof expression === 'string') {
+        return expression.startsWith('$') ? _fieldReference(doc, expression.slice(1)) : expression;
+    }
+
+    if (Array.isArray(expression)) {
+        return expression.map(item => evaluateExpression(item, doc));
+    }
+
+    if (expression === null || typeof expression !== 'object' || expression instanceof Date) {
+        return expression;
+    }
+
+    const keys = Object.keys(expression);
+    if (keys.length !== 1 || !keys[0].startsWith('$')) {
+        // Object literal with evaluated members
+        const result = {};
+        for (const key of keys) {
+            result[key] = evaluateExpression(expression[key], doc);
+        }
+        return result;
+    }
+
+    const operator = keys[0];
+    const operand = expression[operator];
+
+    if (operator === '$literal') {
+        return operand;
+    }
+
+    const args = Array.isArray(operand) ? operand.map(arg => evaluateExpression(arg, doc)) : [evaluateExpression(operand, doc)];
+
+    switch (operator) {
+        case '$eq': return valuesEqual(args[0], args[1]);
+        case '$ne': return !valuesEqual(args[0], args[1]);
+        case '$gt': { const c = compareValues(args[0], args[1]); return c !== null && c > 0; }
+        case '$gte': { const c = compareValues(args[0], args[1]); return c !== null && c >= 0; }
+        case '$lt': { const c = compareValues(args[0], args[1]); return c !== null && c < 0; }
+        case '$lte': { const c = compareValues(args[0], args[1]); return c !== null && c <= 0; }
+        case '$and': return args.every(_truthy);
+        case '$or': return args.some(_truthy);
+        case '$not': return !_truthy(args[0]);
+        case '$in': return Array.isArray(args[1]) && args[1].some(item => valuesEqual(item, args[0]));
+        case '$add': return args.reduce((sum, value) => sum + (value instanceof Date ? value.getTime() : value), 0);
+        case '$subtract': return _toNumber(args[0]) - _toNumber(args[1]);
+        case '$multiply': return args.reduce((product, value) => product * value, 1);
+        case '$divide': return args[1] === 0 ? null : args[0] / args[1];
+        case '$mod': return args[0] % args[1];
+        case '$abs': return Math.abs(args[0]);
+        case '$size': return Array.isArray(args[0]) ? args[0].length : null;
+        case '$concat': return args.some(arg => arg == null) ? null : args.join('');
+        case '$toLower': return args[0] == null ? '' : String(args[0]).toLowerCase();
+        case '$toUpper': return args[0] == null ? '' : String(args[0]).toUpperCase();
+        case '$ifNull': return args.find(arg => arg != null) ?? null;
+        case '$cond': {
+            const [condition, then, otherwise] = Array.isArray(operand)
+                ? operand
+                : [operand.if, operand.then, operand.else];
+            return evaluateExpression(_truthy(evaluateExpression(condition, doc)) ? then : otherwise, doc);
+        }
+        default:
+            throw new Error(`Unknown expression operator: ${operator}`);
+    }
+}
+
+// Private helpers
+
+function _fieldReference(doc, path) {
+    // `$items.sku` over an array of sub-documents yields the array of their skus
+    let value = doc;
+    for (const part of path.split('.')) {
+        if (Array.isArray(value) && !/^\d+$/.test(part)) {
+            value = value
+                .map(element => (element !== null && typeof element === 'object' ? element[part] : undefined))
+                .filter(element => element !== undefined);
+        } else {
+            value = value === null || value === undefined ? undefined : value[part];
+        }
+    }
+    return value;
+}
+
+function _matchesPath(doc, path, condition) {
+    return _matchesValues(getFieldValues(doc, path), condition);
+}
+
+function _matchesValues(values, condition) {
+    if (!_isOperatorObject(condition)) {
+        return _equalsAny(values, condition);
+    }
+
+    for (const [operator, operand] of Object.entries(condition)) {
+        if (operator === '$options') {
+            continue; // Consumed by $regex
+        }
+        if (!_applyOperator(values, operator, operand, condition)) {
+            return false;
+        }
+    }
+
+    return true;
+}
+
+function _applyOperator(values, operator, operand, condition) {
+    switch (operator) {
+        case '$eq':
+            return _equalsAny(values, operand);
+        case '$ne':
+            return !_equalsAny(values, operand);
+        case '$gt':
+            return _someScalar(values, value => { const c = compareValues(value, operand); return c !== null && c > 0; });
+        case '$gte':
+            return _someScalar(values, value => { const c = compareValues(value, operand); return c !== null && c >= 0; });
+        case '$lt':
+            return _someScalar(values, value => { const c = compareValues(value, operand); return c !== null && c < 0; });
+        case '$lte':
+            return _someScalar(values, value => { const c = compareValues(value, operand); return c !== null && c <= 0; });
+        case '$in':
+            return _asArray(operator, operand).some(item => _equalsAny(values, item));
+        case '$nin':
+            return !_asArray(operator, operand).some(item => _equalsAny(values, item));
+        case '$exists':
+            return (values.length > 0) === Boolean(operand);
+        case '$regex': {
+            const regex = _toRegExp(operand, condition.$options);
+            return _someScalar(values, value => typeof value === 'string' && regex.test(value));
+        }
+        case '$not':
+            return !_matchesValues(values, operand instanceof RegExp ? { $regex: operand } : operand);
+        case '$type': {
+            const types = (Array.isArray(operand) ? operand : [operand]).map(type => TYPE_ALIASES[type] || type);
+            return values.some(value => _typeMatches(value, types)
+                || (Array.isArray(value) && value.some(element => _typeMatches(element, types))));
+        }
+        case '$mod': {
+            const [divisor, remainder] = _asArray(operator, operand);
+            return _someScalar(values, value => typeof value === 'number' && Math.trunc(value) % divisor === remainder);
+        }
+        case '$size':
+            return values.some(value => Array.isArray(value) && value.length === operand);
+        case '$all': {
+            const required = _asArray(operator, operand);
+            return required.length > 0 && values.some(value => Array.isArray(value) && required.every(item => (
+                _isOperatorObject(item) && item.$elemMatch
+                    ? _elemMatch(value, item.$elemMatch)
+                    : value.some(element => valuesEqual(element, item))
+            )));
+        }
+        case '$elemMatch':
+            return values.some(value => Array.isArray(value) && _elemMatch(value, operand));
+        case '$near':
+            // Ranks documents rather than filtering them; BigBaseAlpha takes it out of the where clause
+            throw new Error('$near must be a top-level condition of a collection query');
+        default:
+            throw new Error(`Unknown operator: ${operator}`);
+    }
+}
+
+function _elemMatch(array, condition) {
+    // `{ $gt: 5 }` applies to scalar elements; `{ sku: 'a', qty: { $gt: 1 } }` to sub-documents
+    const valueCondition = Object.keys(condition).every(key => key.startsWith('$') && !LOGICAL_OPERATORS.includes(key));
+
+    return array.some(element => valueCondition
+        ? _matchesValues([element], condition)
+        : element !== null && typeof element === 'object' && matchesQuery(element, condition));
+}
+
+function _equalsAny(values, expected) {
+    if (expected instanceof RegExp) {
+        return _someScalar(values, value => typeof value === 'string' && expected.test(value));
+    }
+
+    if (expected === null && values.length === 0) {
+        return true; // { field: null } also matches a missing field
+    }
+
+    return values.some(value => valuesEqual(value, expected)
+        || (Array.isArray(value) && value.some(element => valuesEqual(element, expected))));
+}
+
+function _someScalar(values, predicate) {
+    return values.some(value => Array.isArray(value) ? value.some(predicate) : predicate(value));
+}
+
+function _isOperatorObject(condition) {
+    if (condition === null || typeof condition !== 'object' || Array.isArray(condition)
+        || condition instanceof Date || condition instanceof RegExp) {
+        return false;
+    }
+
+    const keys = Object.keys(condition);
+    return keys.length > 0 && keys.every(key => key.startsWith('$'));
+}
+
+function _typeMatches(value, types) {
+    return types.some(type => {
+        if (type === 'null') return value === null;
+        if (type === 'array') return Array.isArray(value);
+        if (type === 'date') return value instanceof Date;
+        if (type === 'regex') return value instanceof RegExp;
+        if (type === 'object') return value !== null && typeof value === 'object'
+            && !Array.isArray(value) && !(value instanceof Date) && !(value instanceof RegExp);
+        return typeof value === type;
+    });
+}
+
+function _toRegExp(pattern, options) {
+    if (pattern instanceof RegExp) {
+        return options === undefined ? pattern : new RegExp(pattern.source, options);
+    }
+    return new RegExp(pattern, options || '');
+}
+
+function _toTime(value) {
+    if (value instanceof Date) return value.getTime();
+    if (typeof value === 'string') {
+        const time = Date.parse(value);
+        return Number.isNaN(time) ? null : time;
+    }
+    return null;
+}
+
+function _toNumber(value) {
+    return value instanceof Date ? value.getTime() : value;
+}
+
+function _truthy(value) {
+    return value !== false && value !== null && value !== undefined && value !== 0;
+}
+
+function _asArray(operator, value) {
+    if (!Array.isArray(value)) {
+        throw new Error(`${operator} requires an array`);
+    }
+    return value;
+}
+
+export default matchesQuery;
@@ -0,0 +1,458 @@
+import { matchesQuery, matchesCondition, getFieldValue, compareValues, valuesEqual } from './matcher.js';
+
+/**
+ * BigBaseAlpha Update Operators
+ * Shared update application used by BigBaseAlpha and CollectionManager
+ *
+ * Paths use dot notation and may contain positional segments:
+ * `$` (the first element matched by the query), `$[]` (every element) and
+ * `$[name]` (elements matched by the `name` entry in `arrayFilters`).
+ * Keys without a leading `$` are assigned to top-level fields as before.
+ */
+
+const POSITIONAL_FILTER = /^\$\[(\w+)\]$/;
+
+/**
+ * Apply an update document to a copy of a document
+ * @param {Object} doc - Current document (left untouched)
+ * @param {Object} update - Update operators and/or plain fields
+ * @param {Object} options - Update options
+ * @param {Object} options.query - Query that selected the document (for `$`)
+ * @param {Array} options.arrayFilters - Filters for `$[name]` segments
+ * @param {boolean} options.isInsert - Whether the update creates the document (for $setOnInsert)
+ * @returns {Object} Updated document
+ */
+export function applyUpdate(doc, update, options = {}) {
+    if (!update || typeof update !== 'object' || Array.isArray(update)) {
+        throw new Error('Update must be an object');
+    }
+
+    const context = {
+        query: options.query || {},
+        arrayFilters: _compileArrayFilters(options.arrayFilters || []),
+        now: new Date()
+    };
+    const newDoc = _clone(doc);
+
+    for (const [operator, operations] of Object.entries(update)) {
+        if (!operator.startsWith('$')) {
+            // Direct field assignment (no operator)
+            newDoc[operator] = _clone(operations);
+            continue;
+        }
+
+        const apply = UPDATE_OPERATORS[operator];
+        if (!apply) {
+            throw new Error(`Unknown update operator: ${operator}`);
+        }
+        if (operator === '$setOnInsert' && !options.isInsert) {
+            continue;
+        }
+        if (!operations || typeof operations !== 'object') {
+            throw new Error(`${operator} requires an object of field paths`);
+        }
+
+        for (const [path, operand] of Object.entries(operations)) {
+            for (const parts of _resolvePaths(newDoc, path, context)) {
+                apply(newDoc, parts, operand, context);
+            }
+        }
+    }
+
+    return newDoc;
+}
+
+/**
+ * Check whether an update document uses operators rather than plain fields
+ * @param {Object} update - Update document
+ * @returns {boolean} Whether any top-level key is an operator
+ */
+export function isOperatorUpdate(update) {
+    return Boolean(update) && Object.keys(update).some(key => key.startsWith('$'));
+}
+
+/**
+ * Build the starting document for an upsert from the equality fields of a query
+ * @param {Object} query - Query filter
+ * @returns {Object} Seed document
+ */
+export function seedFromQuery(query) {
+    const seed = {};
+
+    const collect = (filter) => {
+        for (const [key, condition] of Object.entries(filter || {})) {
+            if (key === '$and' && Array.isArray(condition)) {
+                condition.forEach(collect);
+            } else if (!key.startsWith('$')) {
+                if (_isOperatorObject(condition)) {
+                    if ('$eq' in condition) {
+                        _setPath(seed, key.split('.'), _clone(condition.$eq));
+                    }
+                } else {
+                    _setPath(seed, key.split('.'), _clone(condition));
+                }
+            }
+        }
+    };
+
+    collect(query);
+    return seed;
+}
+
+const UPDATE_OPERATORS = {
+    $set(doc, parts, value) {
+        _setPath(doc, parts, _clone(value));
+    },
+
+    $setOnInsert(doc, parts, value) {
+        _setPath(doc, parts, _clone(value));
+    },
+
+    $unset(doc, parts) {
+        const { parent, key } = _locate(doc, parts, false);
+        if (parent === undefined) return;
+        if (Array.isArray(parent)) {
+            // Like MongoDB, unsetting an element leaves a null hole
+            if (key < parent.length) parent[key] = null;
+        } else {
+            delete parent[key];
+        }
+    },
+
+    $inc(doc, parts, amount) {
+        const current = _getPath(doc, parts);
+        _requireNumber('$inc', parts, amount, current);
+        _setPath(doc, parts, (current === undefined ? 0 : current) + amount);
+    },
+
+    $mul(doc, parts, factor) {
+        const current = _getPath(doc, parts);
+        _requireNumber('$mul', parts, factor, current);
+        _setPath(doc, parts, (current === undefined ? 0 : current) * factor);
+    },
+
+    $min(doc, parts, value) {
+        const current = _getPath(doc, parts);
+        if (current === undefined || compareValues(value, current) < 0) {
+            _setPath(doc, parts, _clone(value));
+        }
+    },
+
+    $max(doc, parts, value) {
+        const current = _getPath(doc, parts);
+        if (current === undefined || compareValues(value, current) > 0) {
+            _setPath(doc, parts, _clone(value));
+        }
+    },
+
+    $rename(doc, parts, target) {
+        if (typeof target !== 'string' || target.length === 0) {
+            throw new Error(`$rename target for '${parts.join('.')}' must be a field path`);
+        }
+        const value = _getPath(doc, parts);
+        if (value === undefined) return;
+        UPDATE_OPERATORS.$unset(doc, parts);
+        _setPath(doc, target.split('.'), value);
+    },
+
+    $currentDate(doc, parts, spec, context) {
+        const type = spec && typeof spec === 'object' ? spec.$type : 'date';
+        if (spec !== true && type !== 'date' && type !== 'timestamp') {
+            throw new Error(`$currentDate for '${parts.join('.')}' must be true or { $type: 'date' | 'timestamp' }`);
+        }
+        _setPath(doc, parts, type === 'timestamp' ? context.now.getTime() : new Date(context.now));
+    },
+
+    $push(doc, parts, value) {
+        const array = _arrayAt(doc, parts, '$push');
+        const hasModifiers = value && typeof value === 'object' && !Array.isArray(value) && '$each' in value;
+        const items = hasModifiers ? value.$each : [value];
+
+        if (!Array.isArray(items)) {
+            throw new Error('$each requires an array');
+        }
+
+        const position = hasModifiers && value.$position !== undefined
+            ? _position(value.$position, array.length)
+            : array.length;
+        array.splice(position, 0, ...items.map(_clone));
+
+        if (hasModifiers && value.$sort !== undefined) {
+            array.sort(_sortComparator(value.$sort));
+        }
+        if (hasModifiers && value.$slice !== undefined) {
+            const kept = value.$slice < 0 ? array.slice(value.$slice) : array.slice(0, value.$slice);
+            array.splice(0, array.length, ...kept);
+        }
+    },
+
+    $addToSet(doc, parts, value) {
+        const array = _arrayAt(doc, parts, '$addToSet');
+        const items = value && typeof value === 'object' && !Array.isArray(value) && '$each' in value
+            ? value.$each
+            : [value];
+
+        for (const item of items) {
+            if (!array.some(existing => valuesEqual(existing, item))) {
+                array.push(_clone(item));
+            }
+        }
+    },
+
+    $pop(doc, parts, direction) {
+        const array = _getPath(doc, parts);
+        if (array === undefined) return;
+        if (!Array.isArray(array)) {
+            throw new Error(`$pop requires '${parts.join('.')}' to be an array`);
+        }
+        if (direction === -1) {
+            array.shift();
+        } else if (direction === 1) {
+            array.pop();
+        } else {
+            throw new Error('$pop expects 1 (last element) or -1 (first element)');
+        }
+    },
+
+    $pull(doc, parts, condition) {
+        const array = _getPath(doc, parts);
+        if (!Array.isArray(array)) return;
+        const remaining = array.filter(item => !_pullMatches(item, condition));
+        array.splice(0, array.length, ...remaining);
+    },
+
+    $pullAll(doc, parts, values) {
+        if (!Array.isArray(values)) {
+            throw new Error('$pullAll requires an array of values');
+        }
+        const array = _getPath(doc, parts);
+        if (!Array.isArray(array)) return;
+        const remaining = array.filter(item => !values.some(value => valuesEqual(item, value)));
+        array.splice(0, array.length, ...remaining);
+    }
+};
+
+// Path resolution
+
+function _resolvePaths(doc, path, context) {
+    let paths = [[]];
+
+    for (const part of path.split('.')) {
+        if (part === '$') {
+            paths = paths.map(prefix => {
+                const index = _positionalIndex(doc, prefix, context.query);
+                if (index === -1) {
+                    throw new Error(`The positional operator did not find the match needed from the query for '${path}'`);
+                }
+                return [...prefix, index];
+            });
+        } else if (part === '$[]' || POSITIONAL_FILTER.test(part)) {
+            const filterName = part === '$[]' ? null : part.match(POSITIONAL_FILTER)[1];
+            const filter = filterName === null ? null : context.arrayFilters.get(filterName);
+            if (filterName !== null && !filter) {
+                throw new Error(`No array filter found for identifier '${filterName}' in path '${path}'`);
+            }
+
+            const expanded = [];
+            for (const prefix of paths) {
+                const array = _getPath(doc, prefix);
+                if (!Array.isArray(array)) continue;
+                array.forEach((element, index) => {
+                    if (!filter || filter(element)) expanded.push([...prefix, index]);
+                });
+            }
+            paths = expanded;
+        } else {
+            paths = paths.map(prefix => [...prefix, part]);
+        }
+    }
+
+    return paths;
+}
+
+function _positionalIndex(doc, prefix, query) {
+    const array = _getPath(doc, prefix);
+    if (!Array.isArray(array)) {
+        return -1;
+    }
+
+    const arrayPath = prefix.join('.');
+    const conditions = [];
+
+    const collect = (filter) => {
+        for (const [key, condition] of Object.entries(filter || {})) {
+            if (key === '$and' && Array.isArray(condition)) {
+                condition.forEach(collect);
+            } else if (key === arrayPath) {
+                conditions.push(element => _isOperatorObject(condition) && '$elemMatch' in condition
+                    ? _pullMatches(element, condition.$elemMatch)
+                    : matchesCondition(element, condition));
+            } else if (key.startsWith(`${arrayPath}.`)) {
+                const rest = key.slice(arrayPath.length + 1);
+                conditions.push(element => matchesQuery(element, { [rest]: condition }));
+            }
+        }
+    };
+
+    collect(query);
+    if (conditions.length === 0) {
+        return -1;
+    }
+    return array.findIndex(element => conditions.every(check => check(element)));
+}
+
+function _compileArrayFilters(arrayFilters) {
+    const compiled = new Map();
+    const grouped = new Map();
+
+    for (const filter of arrayFilters) {
+        for (const [key, condition] of Object.entries(filter)) {
+            const [identifier, ...rest] = key.split('.');
+            if (!grouped.has(identifier)) grouped.set(identifier, []);
+            grouped.get(identifier).push(rest.length === 0
+                ? element => matchesCondition(element, condition)
+                : element => matchesQuery(element, { [rest.join('.')]: condition }));
+        }
+    }
+
+    for (const [identifier, checks] of grouped) {
+        compiled.set(identifier, element => checks.every(check => check(element)));
+    }
+    return compiled;
+}
+
+// Path access
+
+function _getPath(doc, parts) {
+    let current = doc;
+    for (const part of parts) {
+        if (current === null || typeof current !== 'object') {
+            return undefined;
+        }
+        current = current[part];
+    }
+    return current;
+}
+
+function _locate(doc, parts, create) {
+    let parent = doc;
+
+    for (let i = 0; i < parts.length - 1; i++) {
+        const part = parts[i];
+        let next = parent[part];
+
+        if (next === undefined || next === null) {
+            if (!create) return {};
+            next = {};
+            parent[part] = next;
+        } else if (typeof next !== 'object' || next instanceof Date) {
+            if (!create) return {};
+            throw new Error(`Cannot create field '${parts[i + 1]}' in non-object field '${parts.slice(0, i + 1).join('.')}'`);
+        }
+
+        parent = next;
+    }
+
+    let key = parts[parts.length - 1];
+    if (Array.isArray(parent)) {
+        if (!/^\d+$/.test(String(key))) {
+            if (!create) return {};
+            throw new Error(`Cannot use field name '${key}' on array '${parts.slice(0, -1).join('.')}'`);
+        }
+        key = Number(key);
+    }
+
+    return { parent, key };
+}
+
+function _setPath(doc, parts, value) {
+    const { parent, key } = _locate(doc, parts, true);
+    if (Array.isArray(parent)) {
+        // Pad with nulls when setting past the end, as MongoDB does
+        while (parent.length < key) parent.push(null);
+    }
+    parent[key] = value;
+}
+
+function _arrayAt(doc, parts, operator) {
+    const current = _getPath(doc, parts);
+    if (current === undefined || current === null) {
+        const array = [];
+        _setPath(doc, parts, array);
+        return array;
+    }
+    if (!Array.isArray(current)) {
+        throw new Error(`${operator} requires '${parts.join('.')}' to be an array`);
+    }
+    return current;
+}
+
+// Helpers
+
+function _requireNumber(operator, parts, operand, current) {
+    if (typeof operand !== 'number') {
+        throw new Error(`${operator} for '${parts.join('.')}' requires a numeric argument`);
+    }
+    if (current !== undefined && typeof current !== 'number') {
+        throw new Error(`${operator} cannot apply to non-numeric field '${parts.join('.')}'`);
+    }
+}
+
+function _pullMatches(item, condition) {
+    // A plain object condition against a subdocument is a query on that subdocument
+    if (condition && typeof condition === 'object' && !Array.isArray(condition) && !(condition instanceof Date)
+        && !_isOperatorObject(condition) && item && typeof item === 'object' && !Array.isArray(item)) {
+        return matchesQuery(item, condition);
+    }
+    return matchesCondition(item, condition);
+}
+
+function _position(position, length) {
+    if (!Number.isInteger(position)) {
+        throw new Error('$position must be an integer');
+    }
+    return position < 0 ? Math.max(0, length + position) : Math.min(position, length);
+}
+
+function _sortComparator(spec) {
+    const compare = (a, b) => compareValues(a, b) || 0;
+
+    if (typeof spec === 'number') {
+        return (a, b) => compare(a, b) * spec;
+    }
+
+    return (a, b) => {
+        for (const [field, direction] of Object.entries(spec)) {
+            const result = compare(getFieldValue(a, field), getFieldValue(b, field));
+            if (result !== 0) return result * direction;
+        }
+        return 0;
+    };
+}
+
+function _isOperatorObject(condition) {
+    if (condition === null || typeof condition !== 'object' || Array.isArray(condition) || condition instanceof Date) {
+        return false;
+    }
+    const keys = Object.keys(condition);
+    return keys.length > 0 && keys.every(key => key.startsWith('$'));
+}
+
+function _clone(value) {
+    if (value instanceof Date) {
+        return new Date(value.getTime());
+    }
+    if (Array.isArray(value)) {
+        return value.map(_clone);
+    }
+    if (value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+        const copy = {};
+        for (const [key, item] of Object.entries(value)) {
+            copy[key] = _clone(item);
+        }
+        return copy;
+    }
+    return value;
+}
+
+export default applyUpdate;
@@ -0,0 +1,471 @@
+/**
+ * JSON Schema validation for BigBaseAlpha collections
+ *
+ * Supports a subset of draft 2020-12: type, enum, const, properties,
+ * required, additionalProperties, patternProperties, min/maxProperties,
+ * items, prefixItems, contains, min/maxItems, uniqueItems, minimum,
+ * maximum, exclusiveMinimum/Maximum, multipleOf, min/maxLength, pattern,
+ * format, allOf, anyOf, oneOf, not, local $ref/$defs and default.
+ *
+ * One extension: `type: 'vector'` is an array of finite numbers (an
+ * embedding), with `dimensions` fixing its length. Vector properties with
+ * `index: true` get a vector index for `$near` queries.
+ *
+ * The older field-map schemas (`{ name: { type: 'string', required: true } }`)
+ * are converted on the fly. Unknown keywords such as `index` and `unique`
+ * are annotations for other subsystems and are ignored here.
+ */
+
+// Fields BigBaseAlpha and CollectionManager add to every document
+const SYSTEM_FIELDS = ['_id', '_created', '_modified', '_version', '_schemaVersion', '_createdAt', '_updatedAt'];
+
+const FORMATS = {
+  email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  'date-time': value => /^\d{4}-\d{2}-\d{2}[Tt ]\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[+-]\d{2}:?\d{2})$/.test(value) && !isNaN(Date.parse(value)),
+  date: value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value)),
+  time: value => /^\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[+-]\d{2}:?\d{2})?$/.test(value),
+  uuid: value => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value),
+  uri: value => /^[a-z][a-z0-9+.-]*:[^\s]*$/i.test(value),
+  ipv4: value => /^(25[0-5]|2[0-4]\d|1?\d?\d)(\.(25[0-5]|2[0-4]\d|1?\d?\d)){3}$/.test(value),
+  hostname: value => /^(?=.{1,253}$)[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?(\.[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?)*$/i.test(value)
+};
+
+const TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'null', 'vector'];
+
+const normalizedSchemas = new WeakMap();
+
+/**
+ * Raised when a document does not satisfy its collection schema.
+ * `errors` lists every failing path, not just the first.
+ */
+export class SchemaValidationError extends Error {
+  constructor(errors, collectionName = null) {
+    const target = collectionName ? ` for collection '${collectionName}'` : '';
+    super(`Schema validation failed${target}: ${errors.map(formatError).join('; ')}`);
+    this.name = 'SchemaValidationError';
+    this.code = 'SCHEMA_VALIDATION_FAILED';
+    this.collection = collectionName;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Convert a legacy field-map schema to JSON Schema; JSON Schemas are returned as is
+ * @param {Object} schema - Collection schema
+ * @returns {Object} JSON Schema
+ */
+export function normalizeSchema(schema) {
+  if (!schema || typeof schema !== 'object') {
+    return {};
+  }
+  if (isJsonSchema(schema)) {
+    return schema;
+  }
+  if (normalizedSchemas.has(schema)) {
+    return normalizedSchemas.get(schema);
+  }
+
+  const properties = {};
+  const required = [];
+
+  for (const [field, rules] of Object.entries(schema)) {
+    const { required: isRequired, type, ...rest } = rules || {};
+    const property = { ...rest };
+
+    if (type === 'object') {
+      // typeof semantics: arrays and null were accepted as 'object'
+      property.type = ['object', 'array', 'null'];
+    } else if (type === 'date') {
+      property.type = 'string';
+      property.format = 'date-time';
+    } else if (type !== undefined) {
+      property.type = type;
+    }
+
+    properties[field] = property;
+    if (isRequired) {
+      required.push(field);
+    }
+  }
+
+  const normalized = { type: 'object', properties, required };
+  normalizedSchemas.set(schema, normalized);
+  return normalized;
+}
+
+/**
+ * Whether a schema is written as JSON Schema rather than a legacy field map
+ */
+export function isJsonSchema(schema) {
+  return Boolean(schema) && (
+    typeof schema.type === 'string' || Array.isArray(schema.type) ||
+    '$schema' in schema || 'properties' in schema || '$ref' in schema ||
+    'allOf' in schema || 'anyOf' in schema || 'oneOf' in schema
+  );
+}
+
+/**
+ * Check a schema definition itself for unsupported types, bad patterns and broken $refs
+ * @param {Object} schema - Collection schema
+ * @returns {Array<string>} Problems found (empty when the schema is usable)
+ */
+export function checkSchema(schema) {
+  const problems = [];
+  const root = normalizeSchema(schema);
+
+  const visit = (node, path) => {
+    if (typeof node === 'boolean') return;
+    if (!node || typeof node !== 'object' || Array.isArray(node)) {
+      problems.push(`${path || '(root)'}: schema must be an object or boolean`);
+      return;
+    }
+
+    for (const type of [].concat(node.type ?? [])) {
+      if (!TYPES.includes(type)) {
+        problems.push(`${path || '(root)'}: unknown type '${type}'`);
+      }
+    }
+    if (node.dimensions !== undefined && !(Number.isInteger(node.dimensions) && node.dimensions > 0)) {
+      problems.push(`${path || '(root)'}: dimensions must be a positive integer`);
+    }
+    if (node.pattern !== undefined && !isValidPattern(node.pattern)) {
+      problems.push(`${path || '(root)'}: invalid pattern '${node.pattern}'`);
+    }
+    if (node.format !== undefined && !FORMATS[node.format]) {
+      problems.push(`${path || '(root)'}: unknown format '${node.format}'`);
+    }
+    if (node.$ref !== undefined && !resolveRef(root, node.$ref)) {
+      problems.push(`${path || '(root)'}: unresolved $ref '${node.$ref}'`);
+    }
+
+    for (const [key, child] of Object.entries(node.properties || {})) visit(child, joinPath(path, key));
+    for (const [key, child] of Object.entries(node.patternProperties || {})) visit(child, `${path}[${key}]`);
+    for (const [key, child] of Object.entries(node.$defs || {})) visit(child, `$defs.${key}`);
+    if (node.additionalProperties !== undefined) visit(node.additionalProperties, joinPath(path, '*'));
+    if (node.items !== undefined) visit(node.items, joinPath(path, '[]'));
+    if (node.contains !== undefined) visit(node.contains, joinPath(path, '[]'));
+    if (node.not !== undefined) visit(node.not, path);
+    (node.prefixItems || []).forEach((child, i) => visit(child, joinPath(path, String(i))));
+    for (const keyword of ['allOf', 'anyOf', 'oneOf']) {
+      (node[keyword] || []).forEach(child => visit(child, path));
+    }
+  };
+
+  visit(root, '');
+  return problems;
+}
+
+/**
+ * Validate a value against a schema
+ * @param {Object} schema - Collection schema (JSON Schema or legacy field map)
+ * @param {*} data - Document
+ * @returns {{ valid: boolean, errors: Array<{ path: string, keyword: string, message: string }> }}
+ */
+export function validateDocument(schema, data) {
+  const root = normalizeSchema(schema);
+  const errors = [];
+  validateNode(root, data, '', { root, errors, isRoot: true });
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Validate a document and throw SchemaValidationError listing every failure
+ */
+export function assertValid(schema, data, collectionName = null) {
+  const { valid, errors } = validateDocument(schema, data);
+  if (!valid) {
+    throw new SchemaValidationError(errors, collectionName);
+  }
+}
+
+/**
+ * Fill in `default` values for missing properties, descending into nested
+ * objects that are present (or that get an object default)
+ * @param {Object} schema - Collection schema
+ * @param {Object} data - Document (modified in place)
+ * @returns {Object} The same document
+ */
+export function applyDefaults(schema, data) {
+  const root = normalizeSchema(schema);
+
+  const fill = (node, value) => {
+    node = node && node.$ref ? resolveRef(root, node.$ref) : node;
+    if (!node || typeof node !== 'object' || !isPlainObject(value)) {
+      return;
+    }
+
+    for (const [key, property] of Object.entries(node.properties || {})) {
+      const resolved = property && property.$ref ? resolveRef(root, property.$ref) : property;
+      if (value[key] === undefined && resolved && resolved.default !== undefined) {
+        value[key] = structuredClone(resolved.default);
+      }
+      fill(resolved, value[key]);
+    }
+    for (const child of node.allOf || []) {
+      fill(child, value);
+    }
+  };
+
+  fill(root, data);
+  return data;
+}
+
+// Validation
+
+function validateNode(node, value, path, context) {
+  if (node === true || node === undefined) return;
+  if (node === false) {
+    addError(context, path, 'false', 'is not allowed');
+    return;
+  }
+
+  if (node.$ref !== undefined) {
+    const target = resolveRef(context.root, node.$ref);
+    if (!target) {
+      addError(context, path, '$ref', `references unknown schema '${node.$ref}'`);
+      return;
+    }
+    validateNode(target, value, path, { ...context, isRoot: false });
+  }
+
+  if (value === undefined) return;
+
+  if (node.type !== undefined) {
+    const types = [].concat(node.type);
+    if (!types.some(type => matchesType(value, type, node))) {
+      addError(context, path, 'type', `must be ${types.join(' or ')}`);
+      return; // Further keywords would only repeat the type mismatch
+    }
+  }
+
+  if (node.enum !== undefined && !node.enum.some(option => deepEqual(option, value))) {
+    addError(context, path, 'enum', `must be one of ${node.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+  if (node.const !== undefined && !deepEqual(node.const, value)) {
+    addError(context, path, 'const', `must equal ${JSON.stringify(node.const)}`);
+  }
+
+  if (typeof value === 'number') validateNumber(node, value, path, context);
+  if (typeof value === 'string' || value instanceof Date) validateString(node, value, path, context);
+  if (Array.isArray(value)) validateArray(node, value, path, context);
+  if (isPlainObject(value)) validateObject(node, value, path, context);
+
+  validateCombinators(node, value, path, context);
+}
+
+function validateNumber(node, value, path, context) {
+  if (node.minimum !== undefined && value < node.minimum) {
+    addError(context, path, 'minimum', `must be >= ${node.minimum}`);
+  }
+  if (node.maximum !== undefined && value > node.maximum) {
+    addError(context, path, 'maximum', `must be <= ${node.maximum}`);
+  }
+  if (node.exclusiveMinimum !== undefined && value <= node.exclusiveMinimum) {
+    addError(context, path, 'exclusiveMinimum', `must be > ${node.exclusiveMinimum}`);
+  }
+  if (node.exclusiveMaximum !== undefined && value >= node.exclusiveMaximum) {
+    addError(context, path, 'exclusiveMaximum', `must be < ${node.exclusiveMaximum}`);
+  }
+  if (node.multipleOf !== undefined) {
+    const quotient = value / node.multipleOf;
+    if (Math.abs(quotient - Math.round(quotient)) > 1e-9) {
+      addError(context, path, 'multipleOf', `must be a multiple of ${node.multipleOf}`);
+    }
+  }
+}
+
+function validateString(node, value, path, context) {
+  // Dates are stored as Date objects in memory and ISO strings on disk
+  const text = value instanceof Date ? value.toISOString() : value;
+  const length = [...text].length;
+
+  if (node.minLength !== undefined && length < node.minLength) {
+    addError(context, path, 'minLength', `must be at least ${node.minLength} characters`);
+  }
+  if (node.maxLength !== undefined && length > node.maxLength) {
+    addError(context, path, 'maxLength', `must be at most ${node.maxLength} characters`);
+  }
+  if (node.pattern !== undefined && !new RegExp(node.pattern, 'u').test(text)) {
+    addError(context, path, 'pattern', `must match pattern ${node.pattern}`);
+  }
+  if (node.format !== undefined && FORMATS[node.format] && !FORMATS[node.format](text)) {
+    addError(context, path, 'format', `must be a valid ${node.format}`);
+  }
+}
+
+function validateArray(node, value, path, context) {
+  if (node.minItems !== undefined && value.length < node.minItems) {
+    addError(context, path, 'minItems', `must have at least ${node.minItems} items`);
+  }
+  if (node.maxItems !== undefined && value.length > node.maxItems) {
+    addError(context, path, 'maxItems', `must have at most ${node.maxItems} items`);
+  }
+  if (node.dimensions !== undefined && value.length !== node.dimensions) {
+    addError(context, path, 'dimensions', `must have ${node.dimensions} dimensions`);
+  }
+  if (node.uniqueItems) {
+    const duplicate = value.findIndex((item, i) => value.findIndex(other => deepEqual(other, item)) !== i);
+    if (duplicate !== -1) {
+      addError(context, joinPath(path, String(duplicate)), 'uniqueItems', 'duplicates an earlier item');
+    }
+  }
+
+  const prefix = node.prefixItems || [];
+  value.forEach((item, i) => {
+    const itemSchema = i < prefix.length ? prefix[i] : node.items;
+    validateNode(itemSchema, item, joinPath(path, String(i)), { ...context, isRoot: false });
+  });
+
+  if (node.contains !== undefined && !value.some(item => isValid(node.contains, item, context))) {
+    addError(context, path, 'contains', 'must contain at least one matching item');
+  }
+}
+
+function validateObject(node, value, path, context) {
+  const keys = Object.keys(value).filter(key => !(context.isRoot && SYSTEM_FIELDS.includes(key)));
+
+  for (const field of node.required || []) {
+    if (value[field] === undefined) {
+      addError(context, joinPath(path, field), 'required', 'is required');
+    }
+  }
+  if (node.minProperties !== undefined && keys.length < node.minProperties) {
+    addError(context, path, 'minProperties', `must have at least ${node.minProperties} properties`);
+  }
+  if (node.maxProperties !== undefined && keys.length > node.maxProperties) {
+    addError(context, path, 'maxProperties', `must have at most ${node.maxProperties} properties`);
+  }
+
+  const properties = node.properties || {};
+  const patterns = Object.entries(node.patternProperties || {}).map(([pattern, schema]) => [new RegExp(pattern, 'u'), schema]);
+  const childContext = { ...context, isRoot: false };
+
+  for (const key of keys) {
+    const childPath = joinPath(path, key);
+    let matched = false;
+
+    if (key in properties) {
+      validateNode(properties[key], value[key], childPath, childContext);
+      matched = true;
+    }
+    for (const [pattern, schema] of patterns) {
+      if (pattern.test(key)) {
+        validateNode(schema, value[key], childPath, childContext);
+        matched = true;
+      }
+    }
+
+    if (!matched && node.additionalProperties !== undefined) {
+      if (node.additionalProperties === false) {
+        addError(context, childPath, 'additionalProperties', 'is not an allowed property');
+      } else {
+        validateNode(node.additionalProperties, value[key], childPath, childContext);
+      }
+    }
+  }
+}
+
+function validateCombinators(node, value, path, context) {
+  for (const child of node.allOf || []) {
+    validateNode(child, value, path, context);
+  }
+  if (node.anyOf && !node.anyOf.some(child => isValid(child, value, context))) {
+    addError(context, path, 'anyOf', 'must match at least one allowed schema');
+  }
+  if (node.oneOf) {
+    const matches = node.oneOf.filter(child => isValid(child, value, context)).length;
+    if (matches !== 1) {
+      addError(context, path, 'oneOf', `must match exactly one allowed schema (matched ${matches})`);
+    }
+  }
+  if (node.not !== undefined && isValid(node.not, value, context)) {
+    addError(context, path, 'not', 'must not match the excluded schema');
+  }
+}
+
+function isValid(node, value, context) {
+  const scratch = { ...context, errors: [] };
+  validateNode(node, value, '', scratch);
+  return scratch.errors.length === 0;
+}
+
+// Helpers
+
+function matchesType(value, type, node) {
+  switch (type) {
+    case 'string':
+      // A Date is the in-memory form of a date/date-time string
+      return typeof value === 'string' || (value instanceof Date && ['date-time', 'date', undefined].includes(node.format));
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'null':
+      return value === null;
+    case 'array':
+      return Array.isArray(value);
+    case 'vector':
+      return Array.isArray(value) && value.every(item => typeof item === 'number' && Number.isFinite(item));
+    case 'object':
+      return isPlainObject(value);
+    default:
+      return false;
+  }
+}
+
+function resolveRef(root, ref) {
+  if (ref === '#') return root;
+  if (typeof ref !== 'string' || !ref.startsWith('#/')) return null;
+
+  let node = root;
+  for (const part of ref.slice(2).split('/')) {
+    const key = part.replace(/~1/g, '/').replace(/~0/g, '~');
+    if (!node || typeof node !== 'object' || !(key in node)) return null;
+    node = node[key];
+  }
+  return node;
+}
+
+function isValidPattern(pattern) {
+  try {
+    new RegExp(pattern, 'u');
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+}
+
+function deepEqual(a, b) {
+  if (a === b) return true;
+  if (a instanceof Date || b instanceof Date) {
+    const aTime = a instanceof Date ? a.getTime() : Date.parse(a);
+    const bTime = b instanceof Date ? b.getTime() : Date.parse(b);
+    return !isNaN(aTime) && aTime === bTime;
+  }
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  const aKeys = Object.keys(a);
+  const bKeys = Object.keys(b);
+  return aKeys.length === bKeys.length && aKeys.every(key => deepEqual(a[key], b[key]));
+}
+
+function joinPath(path, key) {
+  return path ? `${path}.${key}` : key;
+}
+
+function addError(context, path, keyword, message) {
+  context.errors.push({ path, keyword, message });
+}
+
+function formatError({ path, message }) {
+  return `${path || '(root)'} ${message}`;
+}
+
+export default validateDocument;
@@ -0,0 +1,240 @@
+/**
+ * Text analyzers for BigBaseAlpha's SearchEngine
+ *
+ * An analyzer is a tokenizer followed by a chain of token filters. The
+ * tokenizer splits text into tokens `{ term, position, start, end }`; filters
+ * rewrite terms, drop tokens or add tokens at the same position (synonyms).
+ * Positions and character offsets always refer to the original text, so
+ * phrases keep the gaps left by dropped words and highlights stay in place
+ * even when a filter changes a term's length (Turkish `İ`, `ß` -> `ss`).
+ *
+ * Definitions are plain objects, so they can be saved with the index:
+ *
+ * ```
+ * {
+ *   tokenizer: 'standard',            // or 'whitespace'
+ *   filters: [
+ *     'lowercase',
+ *     { type: 'stop', words: ['via', 'per'] },
+ *     { type: 'synonyms', synonyms: [['laptop', 'notebook']] },
+ *     'porter'
+ *   ]
+ * }
+ * ```
+ *
+ * Tokenizers and filters may also be functions: a tokenizer takes the text
+ * and returns `[{ term, start, end }]`; a filter takes the tokens and
+ * `{ query }` and returns the tokens to keep.
+ */
+import { porterStem, germanStem, turkishStem } from './stemmers.js';
+
+// Letters, digits, marks and connectors, with an apostrophe allowed inside
+// words (don't, O'Brien, Ankara'da). Han and Hiragana characters are one
+// token each, since those scripts don't separate words with spaces.
+const IDEOGRAPH = '[\\p{sc=Han}\\p{sc=Hiragana}]';
+const WORD_CHAR = `(?:(?!${IDEOGRAPH})[\\p{L}\\p{N}\\p{M}\\p{Pc}])`;
+const STANDARD_PATTERN = new RegExp(`${IDEOGRAPH}|${WORD_CHAR}+(?:['’]${WORD_CHAR}+)*`, 'gu');
+
+const FOLDED_LETTERS = {
+  ß: 'ss', æ: 'ae', Æ: 'AE', œ: 'oe', Œ: 'OE', ø: 'o', Ø: 'O', đ: 'd', Đ: 'D', ð: 'd', Ð: 'D',
+  þ: 'th', Þ: 'TH', ł: 'l', Ł: 'L', ı: 'i', ŀ: 'l', Ŀ: 'L', ħ: 'h', Ħ: 'H'
+};
+
+export const STOP_WORDS = {
+  english: [
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'if', 'in', 'into', 'is', 'it',
+    'no', 'not', 'of', 'on', 'or', 'such', 'that', 'the', 'their', 'then', 'there', 'these',
+    'they', 'this', 'to', 'was', 'will', 'with'
+  ],
+  german: [
+    'aber', 'alle', 'als', 'also', 'am', 'an', 'auch', 'auf', 'aus', 'bei', 'bin', 'bis', 'bist',
+    'da', 'damit', 'dann', 'das', 'dass', 'dem', 'den', 'der', 'des', 'die', 'dir', 'doch', 'du',
+    'durch', 'ein', 'eine', 'einem', 'einen', 'einer', 'eines', 'er', 'es', 'für', 'hat', 'hatte',
+    'ich', 'ihr', 'im', 'in', 'ist', 'ja', 'kann', 'mit', 'nach', 'nicht', 'noch', 'nur', 'oder',
+    'sich', 'sie', 'sind', 'so', 'um', 'und', 'uns', 'von', 'vor', 'war', 'was', 'wenn', 'wer',
+    'wie', 'wir', 'zu', 'zum', 'zur'
+  ],
+  turkish: [
+    'acaba', 'ama', 'aslında', 'az', 'bazı', 'belki', 'biri', 'birkaç', 'bir', 'biz', 'bu', 'çok',
+    'çünkü', 'da', 'daha', 'de', 'defa', 'diye', 'eğer', 'en', 'gibi', 'hem', 'hep', 'hepsi', 'her',
+    'hiç', 'için', 'ile', 'ise', 'kez', 'ki', 'kim', 'mı', 'mi', 'mu', 'mü', 'nasıl', 'ne', 'neden',
+    'nerede', 'nereye', 'niçin', 'niye', 'o', 'sanki', 'şey', 'siz', 'şu', 'tüm', 've', 'veya',
+    'ya', 'yani'
+  ]
+};
+
+const TOKENIZERS = {
+  standard: text => Array.from(text.matchAll(STANDARD_PATTERN), match => ({
+    term: match[0],
+    start: match.index,
+    end: match.index + match[0].length
+  })),
+  whitespace: text => Array.from(text.matchAll(/\S+/g), match => ({
+    term: match[0],
+    start: match.index,
+    end: match.index + match[0].length
+  }))
+};
+
+const mapTerms = transform => tokens => tokens.map(token => ({ ...token, term: transform(token.term) }));
+
+const FILTERS = {
+  // Java-style lower-casing: İ becomes a plain i rather than i + combining dot
+  lowercase: ({ locale = null } = {}) => mapTerms(term =>
+    (locale ? term.toLocaleLowerCase(locale) : term.replace(/İ/g, 'i').toLowerCase())),
+  // Dotted and dotless i: I -> ı, İ -> i
+  turkish_lowercase: () => mapTerms(term => term.toLocaleLowerCase('tr')),
+  asciifolding: () => mapTerms(foldToAscii),
+  // English possessives: O'Neil's -> O'Neil
+  possessive: () => mapTerms(term => term.replace(/['’][sS]$/, '')),
+  // Turkish suffixes after an apostrophe: Ankara'da -> Ankara
+  apostrophe: () => mapTerms(term => term.replace(/['’].*$/, '')),
+  stop: ({ words = 'english' } = {}) => {
+    const stopWords = new Set(typeof words === 'string' ? stopWordList(words) : words);
+    return tokens => tokens.filter(token => !stopWords.has(token.term));
+  },
+  length: ({ min = 1, max = Infinity } = {}) =>
+    tokens => tokens.filter(token => token.term.length >= min && token.term.length <= max),
+  // Synonyms are added when documents are indexed, so queries don't need them
+  synonyms: ({ synonyms = [] } = {}) => {
+    const expansions = synonymMap(synonyms);
+    return (tokens, { query }) => (query ? tokens : tokens.flatMap(token =>
+      [token, ...(expansions.get(token.term) || []).map(term => ({ ...token, term }))]));
+  },
+  porter: () => mapTerms(porterStem),
+  german_stem: () => mapTerms(germanStem),
+  turkish_stem: () => mapTerms(turkishStem)
+};
+
+export const BUILT_IN_ANALYZERS = {
+  standard: {
+    tokenizer: 'standard',
+    filters: ['lowercase']
+  },
+  english: {
+    tokenizer: 'standard',
+    filters: ['possessive', 'lowercase', { type: 'stop', words: 'english' }, 'porter']
+  },
+  german: {
+    tokenizer: 'standard',
+    filters: ['lowercase', { type: 'stop', words: 'german' }, 'german_stem']
+  },
+  turkish: {
+    tokenizer: 'standard',
+    filters: ['apostrophe', 'turkish_lowercase', { type: 'stop', words: 'turkish' }, 'turkish_stem']
+  }
+};
+
+/**
+ * Raised for an analyzer definition that names an unknown analyzer,
+ * tokenizer or filter, or has invalid options
+ */
+export class AnalyzerError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AnalyzerError';
+    this.code = 'INVALID_ANALYZER';
+  }
+}
+
+/**
+ * Tokenizer and filter chain built from a definition
+ */
+export class Analyzer {
+  constructor(definition = {}) {
+    this.definition = definition;
+    this.tokenizer = resolveTokenizer(definition.tokenizer || 'standard');
+    this.filters = (definition.filters || []).map(resolveFilter);
+  }
+
+  /**
+   * Tokens of a text. With `query: true` index-only filters (synonyms) are
+   * skipped.
+   */
+  analyze(text, { query = false } = {}) {
+    if (typeof text !== 'string') {
+      text = String(text);
+    }
+
+    // Positions count every token, so dropped words leave their gap
+    let tokens = this.tokenizer(text).map((token, position) => ({ ...token, position }));
+    for (const filter of this.filters) {
+      tokens = filter(tokens, { query });
+    }
+    return tokens.filter(token => token.term);
+  }
+}
+
+/**
+ * Fold accented and other non-ASCII Latin letters to ASCII: é -> e, ß -> ss
+ */
+export function foldToAscii(term) {
+  return term
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .replace(/[ßæÆœŒøØđĐðÐþÞłŁıŀĿħĦ]/g, letter => FOLDED_LETTERS[letter]);
+}
+
+/**
+ * Whether a definition can be saved as JSON, i.e. uses no functions
+ */
+export function isSerializableDefinition(definition) {
+  if (typeof definition === 'string') {
+    return true;
+  }
+  return typeof definition?.tokenizer !== 'function' &&
+    (definition?.filters || []).every(filter => typeof filter !== 'function');
+}
+
+function stopWordList(language) {
+  if (!STOP_WORDS[language]) {
+    throw new AnalyzerError(`Unknown stop word list '${language}' (expected ${Object.keys(STOP_WORDS).join(', ')})`);
+  }
+  return STOP_WORDS[language];
+}
+
+// `[[a, b, c]]` makes each word expand to the others; `{ a: [b, c] }` only expands a
+function synonymMap(synonyms) {
+  const expansions = new Map();
+  const add = (term, others) => {
+    const list = expansions.get(term) || [];
+    others.filter(other => other !== term && !list.includes(other)).forEach(other => list.push(other));
+    expansions.set(term, list);
+  };
+
+  if (Array.isArray(synonyms)) {
+    for (const group of synonyms) {
+      if (!Array.isArray(group)) {
+        throw new AnalyzerError('Synonym groups must be arrays of words');
+      }
+      group.forEach(term => add(term, group));
+    }
+  } else {
+    Object.entries(synonyms).forEach(([term, others]) => add(term, [].concat(others)));
+  }
+  return expansions;
+}
+
+function resolveTokenizer(tokenizer) {
+  if (typeof tokenizer === 'function') {
+    return tokenizer;
+  }
+  if (!TOKENIZERS[tokenizer]) {
+    throw new AnalyzerError(`Unknown tokenizer '${tokenizer}' (expected ${Object.keys(TOKENIZERS).join(', ')})`);
+  }
+  return TOKENIZERS[tokenizer];
+}
+
+function resolveFilter(filter) {
+  if (typeof filter === 'function') {
+    return filter;
+  }
+
+  const { type, ...options } = typeof filter === 'string' ? { type: filter } : filter || {};
+  if (!FILTERS[type]) {
+    throw new AnalyzerError(`Unknown token filter '${type}' (expected ${Object.keys(FILTERS).join(', ')})`);
+  }
+  return FILTERS[type](options);
+}
+
+export default Analyzer;
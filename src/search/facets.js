@@ -0,0 +1,119 @@
+/**
+ * Facet counts for BigBaseAlpha's combined search
+ *
+ * ```
+ * facets: {
+ *   category: 'terms',                                  // top 10 values
+ *   tags: { type: 'terms', size: 5 },                   // array fields count each element
+ *   price: { type: 'range', ranges: [{ to: 50 }, { from: 50, to: 100 }, { from: 100 }] }
+ * }
+ * ```
+ *
+ * Ranges include `from` and exclude `to`; bounds and values are compared in
+ * the sort order of ../query/matcher.js, so dates (and ISO date strings) work
+ * as well as numbers, and a value only falls in ranges of its own type.
+ */
+import { getFieldValues, compareSortValues, sortTypeRank } from '../query/matcher.js';
+import { SearchQueryError } from './query.js';
+
+const DEFAULT_TERMS_SIZE = 10;
+
+/**
+ * Check facet specifications and bring them to `{ type, ... }` form
+ */
+export function normalizeFacets(facets) {
+  if (facets === null || typeof facets !== 'object' || Array.isArray(facets)) {
+    throw new SearchQueryError('facets must be an object of field -> facet', facets);
+  }
+
+  return Object.fromEntries(Object.entries(facets).map(([field, spec]) => {
+    const facet = typeof spec === 'string' || spec === true ? { type: spec === true ? 'terms' : spec } : { ...spec };
+    facet.field = facet.field || field;
+
+    if (facet.type === 'terms') {
+      facet.size = facet.size ?? DEFAULT_TERMS_SIZE;
+    } else if (facet.type === 'range') {
+      if (!Array.isArray(facet.ranges) || facet.ranges.length === 0 ||
+        !facet.ranges.every(range => range && (range.from !== undefined || range.to !== undefined))) {
+        throw new SearchQueryError(`range facet '${field}' needs ranges with a from and/or to`, facets);
+      }
+    } else {
+      throw new SearchQueryError(`facet '${field}' has unknown type '${facet.type}' (expected terms or range)`, facets);
+    }
+    return [field, facet];
+  }));
+}
+
+/**
+ * Count the facets of normalizeFacets() over a set of documents
+ * @returns {Object} field -> `{ type: 'terms', buckets: [{ value, count }], other, missing }`
+ *   or `{ type: 'range', buckets: [{ from, to, count }], missing }`
+ */
+export function computeFacets(documents, facets) {
+  const result = {};
+
+  for (const [name, facet] of Object.entries(facets)) {
+    const counts = facet.type === 'terms' ? new Map() : facet.ranges.map(() => 0);
+    let missing = 0;
+
+    for (const doc of documents) {
+      // Every value the path reaches, array elements counted one by one
+      const values = getFieldValues(doc, facet.field).flat().filter(item => item !== undefined && item !== null);
+      if (values.length === 0) {
+        missing++;
+        continue;
+      }
+
+      if (facet.type === 'terms') {
+        // Count a document once per distinct value; 1 and '1' are different values
+        for (const [key, item] of new Map(values.map(item => [termKey(item), item]))) {
+          const bucket = counts.get(key) || { value: item, count: 0 };
+          bucket.count++;
+          counts.set(key, bucket);
+        }
+      } else {
+        facet.ranges.forEach((range, i) => {
+          if (values.some(item => inRange(item, range))) {
+            counts[i]++;
+          }
+        });
+      }
+    }
+
+    if (facet.type === 'terms') {
+      const buckets = Array.from(counts.values())
+        .sort((a, b) => b.count - a.count || compareSortValues(a.value, b.value));
+      const shown = buckets.slice(0, facet.size);
+      result[name] = {
+        type: 'terms',
+        buckets: shown,
+        other: buckets.slice(facet.size).reduce((total, bucket) => total + bucket.count, 0),
+        missing
+      };
+    } else {
+      result[name] = {
+        type: 'range',
+        buckets: facet.ranges.map((range, i) => ({ from: range.from ?? null, to: range.to ?? null, count: counts[i] })),
+        missing
+      };
+    }
+  }
+
+  return result;
+}
+
+function termKey(value) {
+  return typeof value === 'object' ? `object:${JSON.stringify(value)}` : `${typeof value}:${value}`;
+}
+
+function inRange(value, { from, to }) {
+  if (from !== undefined && (sortTypeRank(value) !== sortTypeRank(from) || compareSortValues(value, from) < 0)) {
+    return false;
+  }
+  if (to !== undefined && (sortTypeRank(value) !== sortTypeRank(to) || compareSortValues(value, to) >= 0)) {
+    return false;
+  }
+  return true;
+}
+
+export default computeFacets;
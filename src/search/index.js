@@ -1,10 +1,33 @@
 /**
  * Full-Text Search Engine for BigBaseAlpha
  * Provides text search, indexing, and relevance scoring
+ *
+ * Postings are positional (term -> document -> word positions) so phrases
+ * and NEAR/n can be checked, and hits are ranked with BM25 per field,
+ * weighted by optional field boosts. Only the extracted text of each
+ * document is persisted; postings are rebuilt from it on load.
+ *
+ * The text is checkpointed to `search_indexes.json`; each write appends the
+ * documents it changed to `search_changes.log`, which is replayed on load
+ * and folded into a new checkpoint once it passes `checkpointSize` bytes.
+ * The log is not fsynced: a checkpoint records whether the engine was closed
+ * cleanly, and after a crash `uncleanShutdown` tells the database to check
+ * the index against its documents.
+ *
+ * Text is split into terms by analyzers (./analyzers.js), chosen per
+ * collection and field. Queries are analysed with the analyzer of each field
+ * they search.
  */
 import { promises as fs } from 'fs';
 import { join } from 'path';
 import { existsSync, mkdirSync } from 'fs';
+import { parseSearchQuery } from './query.js';
+import { Analyzer, AnalyzerError, BUILT_IN_ANALYZERS, isSerializableDefinition } from './analyzers.js';
+
+const INDEX_FORMAT_VERSION = 2;
+const INDEX_FILE = 'search_indexes.json';
+const LOG_FILE = 'search_changes.log';
+const FUZZY_WEIGHT = 0.7;
 
 export class SearchEngine {
   constructor(config = {}) {
@@ -24,11 +47,28 @@ export class SearchEngine {
       stemming: config.stemming !== false,
       stopWords: config.stopWords || this._getDefaultStopWords(),
       fuzzyThreshold: config.fuzzyThreshold || 0.7,
-      ...config
+      checkpointSize: 4 * 1024 * 1024, // 4MB of change log
+      ...config,
+      bm25: { k1: 1.2, b: 0.75, ...config.bm25 }
     };
     
-    this.indexes = new Map(); // collection -> field -> word -> documents
+    this.indexes = new Map(); // collection -> field -> word -> docId -> positions
+    this.fieldLengths = new Map(); // collection -> field -> docId -> number of words
     this.documentFields = new Map(); // collection -> docId -> extracted text
+
+    // Named analyzers; `config.analyzers` adds to or overrides the built-in ones
+    this.analyzerDefinitions = new Map(Object.entries({ ...BUILT_IN_ANALYZERS, ...config.analyzers }));
+    this.defaultAnalyzer = config.analyzer
+      ? this._createAnalyzer(config.analyzer)
+      : new Analyzer(this._getLegacyAnalyzerDefinition());
+    this.collectionAnalyzers = new Map(); // collection -> { settings, default, fields: field -> analyzer }
+    this.saving = Promise.resolve();
+    this.saveQueued = false;
+    this.pendingLog = []; // Change log lines waiting for the next save
+    this.logSize = 0;
+    this.generation = 0; // Of the current checkpoint; the log's header must match it
+    this.checkpointNeeded = false;
+    this.uncleanShutdown = false;
     this.isInitialized = false;
   }
 
@@ -39,8 +79,9 @@ export class SearchEngine {
         mkdirSync(this.config.path, { recursive: true });
       }
 
-      // Load existing indexes
+      // Load existing indexes, then start a fresh log that marks the index open
       await this._loadIndexes();
+      await this._writeIndexFile();
       
       this.isInitialized = true;
       this.logger.success('Search Engine initialized');
@@ -57,36 +98,10 @@ export class SearchEngine {
       throw new Error('Search Engine not initialized');
     }
 
-    const docId = document._id;
-    if (!docId) {
-      throw new Error('Document must have an _id field');
-    }
-
-    // Determine which fields to index
-    const fieldsToIndex = searchableFields || this._getTextFields(document);
-    
-    // Extract and process text from specified fields
-    const extractedText = this._extractText(document, fieldsToIndex);
-    
-    // Store document field data
-    if (!this.documentFields.has(collectionName)) {
-      this.documentFields.set(collectionName, new Map());
-    }
-    this.documentFields.get(collectionName).set(docId, {
-      text: extractedText,
-      fields: fieldsToIndex,
-      indexed: new Date()
-    });
-
-    // Process each field separately for targeted search
-    for (const field of fieldsToIndex) {
-      if (document[field]) {
-        await this._indexField(collectionName, field, docId, document[field]);
-      }
-    }
+    this._indexDocument(collectionName, document, searchableFields);
 
     // Save indexes to disk
-    await this._saveIndexes(collectionName);
+    await this._logChanges([{ collection: collectionName, id: document._id }]);
   }
 
   /**
@@ -95,32 +110,61 @@ export class SearchEngine {
   async removeDocument(collectionName, docId) {
     if (!this.isInitialized) return;
 
-    // Remove from document fields
-    if (this.documentFields.has(collectionName)) {
-      this.documentFields.get(collectionName).delete(docId);
+    this._removeDocument(collectionName, docId);
+    await this._logChanges([{ collection: collectionName, id: docId }]);
+  }
+
+  /**
+   * Index and remove several documents, saving the index once
+   * @param {Array} changes - `{ collection, id, document }`; a null document
+   *   removes `id`
+   */
+  async applyChanges(changes) {
+    if (!this.isInitialized) {
+      throw new Error('Search Engine not initialized');
     }
 
-    // Remove from word indexes
-    if (this.indexes.has(collectionName)) {
-      const collectionIndex = this.indexes.get(collectionName);
-      for (const [field, fieldIndex] of collectionIndex) {
-        for (const [word, docs] of fieldIndex) {
-          if (docs.has(docId)) {
-            docs.delete(docId);
-            // Remove empty word entries
-            if (docs.size === 0) {
-              fieldIndex.delete(word);
-            }
-          }
-        }
+    for (const { collection, id, document } of changes) {
+      if (document) {
+        this._indexDocument(collection, document);
+      } else {
+        this._removeDocument(collection, id);
       }
     }
 
-    await this._saveIndexes(collectionName);
+    await this._logChanges(changes.map(({ collection, id, document }) => ({ collection, id: document ? document._id : id })));
   }
 
   /**
-   * Search for documents using full-text search
+   * IDs of a collection's indexed documents
+   */
+  getIndexedIds(collectionName) {
+    return Array.from(this.documentFields.get(collectionName)?.keys() || []);
+  }
+
+  /**
+   * Whether a document's indexed text is what it would be indexed with now:
+   * 'current', 'outdated' or 'missing'
+   */
+  compareDocument(collectionName, document, searchableFields = null) {
+    const docData = this.documentFields.get(collectionName)?.get(document._id);
+    if (!docData) {
+      return 'missing';
+    }
+
+    const fields = searchableFields || this._getTextFields(document);
+    const text = this._extractText(document, fields);
+    const same = fields.length === docData.fields.length &&
+      fields.every(field => docData.fields.includes(field) && docData.text[field] === text[field]);
+    return same ? 'current' : 'outdated';
+  }
+
+  /**
+   * Search for documents using full-text search. The query syntax (phrases,
+   * `field:` prefixes, `+`/`-`, AND/OR/NOT, NEAR/n) is described in ./query.js.
+   * @param {Object} options - `fields` (default fields, null = all indexed),
+   *   `boosts` (`{ field: weight }`), `fuzzy`, `limit`, `offset`, `highlight`, `minScore`
+   * @returns {Promise<Array>} `{ docId, score, matches }` by descending BM25 score
    */
   async search(collectionName, query, options = {}) {
     if (!this.isInitialized) {
@@ -129,25 +173,33 @@ export class SearchEngine {
 
     const {
       fields = null, // Specific fields to search, null = all indexed fields
+      boosts = {},
       fuzzy = false,
       limit = 50,
       offset = 0,
       highlight = false,
-      minScore = 0.1
+      minScore = 0
     } = options;
 
     // Parse and process search query
-    const searchTerms = this._parseQuery(query);
-    if (searchTerms.length === 0) {
+    const tree = parseSearchQuery(query);
+    if (!this.indexes.has(collectionName)) {
       return [];
     }
 
     // Get search results with relevance scores
-    const results = await this._executeSearch(collectionName, searchTerms, {
-      fields,
+    const collectionIndex = this.indexes.get(collectionName);
+    const hits = this._evaluate(tree, {
+      collectionName,
+      collectionIndex,
+      fields: fields || Array.from(collectionIndex.keys()),
+      boosts,
       fuzzy,
-      minScore
-    });
+      averageLengths: new Map() // field -> average words per document, for BM25
+    }) || new Map();
+
+    const results = Array.from(hits, ([docId, hit]) => ({ docId, score: hit.score, matches: Array.from(hit.matches) }))
+      .filter(result => result.score >= minScore);
 
     // Sort by relevance score (descending)
     results.sort((a, b) => b.score - a.score);
@@ -161,7 +213,7 @@ export class SearchEngine {
         result.highlights = await this._generateHighlights(
           collectionName, 
           result.docId, 
-          searchTerms
+          result.matches
         );
       }
     }
@@ -169,6 +221,14 @@ export class SearchEngine {
     return paginatedResults;
   }
 
+  /**
+   * Mark the words of a document that match a hit's `matches`
+   * @returns {Promise<Object>} field -> text with `<mark>` tags
+   */
+  async highlight(collectionName, docId, matches) {
+    return this._generateHighlights(collectionName, docId, matches);
+  }
+
   /**
    * Get search suggestions/autocomplete
    */
@@ -227,145 +287,415 @@ export class SearchEngine {
     };
   }
 
+  /**
+   * Register a named analyzer. Definitions may use functions for the
+   * tokenizer or filters; collections refer to them by name.
+   */
+  defineAnalyzer(name, definition) {
+    new Analyzer(definition); // Fail early on unknown parts
+    this.analyzerDefinitions.set(name, definition);
+    for (const [collectionName, entry] of this.collectionAnalyzers) {
+      const { default: defaultAnalyzer, fields = {} } = entry.settings;
+      if (defaultAnalyzer === name || Object.values(fields).includes(name)) {
+        this._applyAnalyzers(collectionName, entry.settings);
+        this._rebuildCollection(collectionName);
+      }
+    }
+  }
+
+  /**
+   * Choose the analyzers of a collection and re-index its documents with them
+   * @param {Object|null} settings - `{ default, fields: { field: analyzer } }`,
+   *   where an analyzer is a name or a definition without functions; null
+   *   goes back to the engine's default analyzer
+   */
+  async setAnalyzers(collectionName, settings) {
+    if (!this.isInitialized) {
+      throw new Error('Search Engine not initialized');
+    }
+
+    const analyzers = [settings?.default, ...Object.values(settings?.fields || {})].filter(Boolean);
+    if (!analyzers.every(isSerializableDefinition)) {
+      throw new AnalyzerError('Collection analyzers are saved with the index; register analyzers that use functions with defineAnalyzer() and refer to them by name');
+    }
+
+    if (settings) {
+      this._applyAnalyzers(collectionName, settings);
+    } else {
+      this.collectionAnalyzers.delete(collectionName);
+    }
+    this._rebuildCollection(collectionName);
+    this.checkpointNeeded = true;
+    await this._saveIndexes();
+  }
+
+  /**
+   * The analyzer settings of a collection, or null when it uses the default
+   */
+  getAnalyzers(collectionName) {
+    return this.collectionAnalyzers.get(collectionName)?.settings || null;
+  }
+
+  /**
+   * Run text through an analyzer, to see the terms it is indexed or searched by
+   * @param {Object} options - `analyzer` (name or definition), or `collection`
+   *   and `field` to use the analyzer chosen for them; `query` to analyse as a query
+   */
+  analyze(text, options = {}) {
+    const analyzer = options.analyzer
+      ? this._createAnalyzer(options.analyzer)
+      : this._getAnalyzer(options.collection, options.field);
+    return analyzer.analyze(text, { query: options.query === true });
+  }
+
   // Private methods
-  async _indexField(collectionName, fieldName, docId, text) {
-    const words = this._processText(text);
+  _indexDocument(collectionName, document, searchableFields = null) {
+    const docId = document._id;
+    if (!docId) {
+      throw new Error('Document must have an _id field');
+    }
+
+    // Determine which fields to index
+    const fieldsToIndex = searchableFields || this._getTextFields(document);
+    
+    // Extract and process text from specified fields
+    const extractedText = this._extractText(document, fieldsToIndex);
+
+    // Re-indexing replaces what the document had before
+    this._removePostings(collectionName, docId);
+    
+    // Store document field data
+    if (!this.documentFields.has(collectionName)) {
+      this.documentFields.set(collectionName, new Map());
+    }
+    this.documentFields.get(collectionName).set(docId, {
+      text: extractedText,
+      fields: fieldsToIndex,
+      indexed: new Date()
+    });
+
+    // Process each field separately for targeted search
+    for (const field of fieldsToIndex) {
+      if (extractedText[field]) {
+        this._indexField(collectionName, field, docId, extractedText[field]);
+      }
+    }
+  }
+
+  _removeDocument(collectionName, docId) {
+    this._removePostings(collectionName, docId);
+    if (this.documentFields.has(collectionName)) {
+      this.documentFields.get(collectionName).delete(docId);
+    }
+  }
+
+  _indexField(collectionName, fieldName, docId, text) {
+    const tokens = this._analyze(collectionName, fieldName, text);
     
     // Initialize nested maps if needed
     if (!this.indexes.has(collectionName)) {
       this.indexes.set(collectionName, new Map());
+      this.fieldLengths.set(collectionName, new Map());
     }
     const collectionIndex = this.indexes.get(collectionName);
+    const collectionLengths = this.fieldLengths.get(collectionName);
     
     if (!collectionIndex.has(fieldName)) {
       collectionIndex.set(fieldName, new Map());
+      collectionLengths.set(fieldName, new Map());
     }
     const fieldIndex = collectionIndex.get(fieldName);
 
-    // Index each word
-    for (const word of words) {
-      if (!fieldIndex.has(word)) {
-        fieldIndex.set(word, new Map());
+    // Index each word with its position
+    for (const { term, position } of tokens) {
+      if (!fieldIndex.has(term)) {
+        fieldIndex.set(term, new Map());
       }
       
-      const wordDocs = fieldIndex.get(word);
+      const wordDocs = fieldIndex.get(term);
       if (!wordDocs.has(docId)) {
-        wordDocs.set(docId, 0);
+        wordDocs.set(docId, []);
       }
-      wordDocs.set(docId, wordDocs.get(docId) + 1); // Term frequency
+      wordDocs.get(docId).push(position);
     }
+    // Synonyms share a position and don't make the field longer
+    collectionLengths.get(fieldName).set(docId, new Set(tokens.map(token => token.position)).size);
   }
 
-  _processText(text) {
-    if (typeof text !== 'string') {
-      text = String(text);
+  _removePostings(collectionName, docId) {
+    const docData = this.documentFields.get(collectionName)?.get(docId);
+    const collectionIndex = this.indexes.get(collectionName);
+    if (!docData || !collectionIndex) {
+      return;
+    }
+
+    // The stored text gives back exactly the words the document was indexed under
+    for (const field of docData.fields) {
+      const fieldIndex = collectionIndex.get(field);
+      if (!fieldIndex) continue;
+
+      for (const term of new Set(this._analyze(collectionName, field, docData.text[field] || '').map(token => token.term))) {
+        const docs = fieldIndex.get(term);
+        if (docs) {
+          docs.delete(docId);
+          // Remove empty word entries
+          if (docs.size === 0) {
+            fieldIndex.delete(term);
+          }
+        }
+      }
+      this.fieldLengths.get(collectionName).get(field)?.delete(docId);
     }
+  }
+
+  /**
+   * Tokens of a field's text (or of query text, with `query: true`) as the
+   * field's analyzer produces them
+   */
+  _analyze(collectionName, field, text, options = {}) {
+    return this._getAnalyzer(collectionName, field).analyze(text, options);
+  }
 
-    // Convert to lowercase and extract words
-    const words = text
-      .toLowerCase()
-      .replace(/[^\w\s]/g, ' ') // Remove punctuation
-      .split(/\s+/)
-      .filter(word => 
-        word.length >= this.config.minWordLength && 
-        word.length <= this.config.maxWordLength &&
-        !this.config.stopWords.includes(word)
-      );
+  _getAnalyzer(collectionName, field) {
+    const entry = this.collectionAnalyzers.get(collectionName);
+    return entry?.fields.get(field) || entry?.default || this.defaultAnalyzer;
+  }
 
-    // Apply stemming if enabled
-    if (this.config.stemming) {
-      return words.map(word => this._stem(word));
+  _createAnalyzer(analyzer) {
+    if (typeof analyzer !== 'string') {
+      return new Analyzer(analyzer);
     }
+    if (!this.analyzerDefinitions.has(analyzer)) {
+      throw new AnalyzerError(`Unknown analyzer '${analyzer}' (known: ${Array.from(this.analyzerDefinitions.keys()).join(', ')})`);
+    }
+    return new Analyzer(this.analyzerDefinitions.get(analyzer));
+  }
 
-    return words;
+  _applyAnalyzers(collectionName, settings) {
+    this.collectionAnalyzers.set(collectionName, {
+      settings,
+      default: settings.default ? this._createAnalyzer(settings.default) : null,
+      fields: new Map(Object.entries(settings.fields || {}).map(([field, analyzer]) => [field, this._createAnalyzer(analyzer)]))
+    });
   }
 
-  _parseQuery(query) {
-    // Handle quoted phrases
-    const phrases = [];
-    const quotedPhrases = query.match(/"([^"]+)"/g);
-    if (quotedPhrases) {
-      for (const phrase of quotedPhrases) {
-        phrases.push(phrase.slice(1, -1)); // Remove quotes
-        query = query.replace(phrase, '');
+  /**
+   * Rebuild a collection's postings from the stored text
+   */
+  _rebuildCollection(collectionName) {
+    this.indexes.delete(collectionName);
+    this.fieldLengths.delete(collectionName);
+
+    for (const [docId, docData] of this.documentFields.get(collectionName) || []) {
+      for (const field of docData.fields) {
+        if (docData.text[field]) {
+          this._indexField(collectionName, field, docId, docData.text[field]);
+        }
       }
     }
-
-    // Process remaining words
-    const words = this._processText(query);
-    
-    return [...phrases, ...words];
   }
 
-  async _executeSearch(collectionName, searchTerms, options) {
-    if (!this.indexes.has(collectionName)) {
-      return [];
+  /**
+   * Evaluate a parsed query node to `docId -> { score, matches }`, or null
+   * for a node with nothing searchable in it (only stop words)
+   */
+  _evaluate(node, context) {
+    if (node.type !== 'bool') {
+      return this._evaluateLeaf(node, context);
     }
 
-    const collectionIndex = this.indexes.get(collectionName);
-    const searchFields = options.fields || Array.from(collectionIndex.keys());
-    const documentScores = new Map();
+    const evaluated = node.clauses
+      .map(({ occur, node: clause }) => ({ occur, hits: this._evaluate(clause, context) }))
+      .filter(clause => clause.hits !== null);
+    if (evaluated.length === 0) {
+      return null;
+    }
 
-    // Search each term across specified fields
-    for (const term of searchTerms) {
-      for (const field of searchFields) {
-        if (!collectionIndex.has(field)) continue;
-        
-        const fieldIndex = collectionIndex.get(field);
-        const matches = this._findMatches(fieldIndex, term, options.fuzzy);
-
-        for (const [docId, termFreq] of matches) {
-          if (!documentScores.has(docId)) {
-            documentScores.set(docId, {
-              docId,
-              score: 0,
-              matches: new Set()
-            });
+    const must = evaluated.filter(clause => clause.occur === 'must');
+    const should = evaluated.filter(clause => clause.occur === 'should');
+    const mustNot = evaluated.filter(clause => clause.occur === 'mustNot');
+
+    // Without required clauses any optional one qualifies a document
+    let candidates;
+    if (must.length > 0) {
+      candidates = Array.from(must[0].hits.keys()).filter(docId => must.every(clause => clause.hits.has(docId)));
+    } else {
+      candidates = new Set(should.flatMap(clause => Array.from(clause.hits.keys())));
+    }
+
+    const results = new Map();
+    for (const docId of candidates) {
+      if (mustNot.some(clause => clause.hits.has(docId))) {
+        continue;
+      }
+
+      const result = { score: 0, matches: new Set() };
+      for (const clause of [...must, ...should]) {
+        const hit = clause.hits.get(docId);
+        if (hit) {
+          result.score += hit.score;
+          hit.matches.forEach(match => result.matches.add(match));
+        }
+      }
+      results.set(docId, result);
+    }
+
+    return results;
+  }
+
+  _evaluateLeaf(node, context) {
+    const fields = this._nodeFields(node, context);
+    const results = new Map();
+    let searchable = fields.length === 0;
+
+    for (const field of fields) {
+      // Fuzzy search adds similar words of single-term queries, at a lower weight
+      const variants = [{ node, weight: 1 }];
+      const tokens = node.type === 'term' ? this._analyze(context.collectionName, field, node.text, { query: true }) : null;
+      if (context.fuzzy && tokens?.length === 1) {
+        for (const word of context.collectionIndex.get(field)?.keys() || []) {
+          if (word !== tokens[0].term && this._similarity(tokens[0].term, word) >= this.config.fuzzyThreshold) {
+            variants.push({ node: { type: 'term', field: node.field, term: word }, weight: FUZZY_WEIGHT });
           }
+        }
+      }
+
+      for (const variant of variants) {
+        // Only stop words, as this field's analyzer sees them
+        const spans = this._spans(variant.node, context, field);
+        if (spans === null) {
+          continue;
+        }
+        searchable = true;
 
-          const docScore = documentScores.get(docId);
-          
-          // Calculate TF-IDF-like score
-          const tf = termFreq;
-          const totalDocs = this.documentFields.get(collectionName)?.size || 1;
-          const docsWithTerm = matches.size;
-          const idf = Math.log(totalDocs / (docsWithTerm + 1));
-          
-          docScore.score += tf * idf;
-          docScore.matches.add(term);
+        const boost = (context.boosts[field] ?? 1) * variant.weight;
+        for (const [docId, score] of this._bm25(context, field, spans)) {
+          if (!results.has(docId)) {
+            results.set(docId, { score: 0, matches: new Set() });
+          }
+          const result = results.get(docId);
+          result.score += boost * score;
+          result.matches.add(node.text);
         }
       }
     }
 
-    // Filter by minimum score and convert to array
-    return Array.from(documentScores.values())
-      .filter(doc => doc.score >= options.minScore)
-      .map(doc => ({
-        ...doc,
-        matches: Array.from(doc.matches)
-      }));
+    return searchable ? results : null;
   }
 
-  _findMatches(fieldIndex, term, fuzzy = false) {
-    const matches = new Map();
+  _nodeFields(node, context) {
+    const named = new Set();
+    const collect = current => {
+      if (current.type === 'near') {
+        current.operands.forEach(collect);
+      } else if (current.field) {
+        named.add(current.field);
+      }
+    };
+    collect(node);
+
+    if (named.size > 1) {
+      return []; // Operands in different fields are never near each other
+    }
+    return named.size === 1 ? Array.from(named) : context.fields;
+  }
+
+  /**
+   * Where a term, phrase or NEAR node occurs in one field:
+   * `docId -> [[first position, last position], ...]`, or null when the
+   * node has no searchable words
+   */
+  _spans(node, context, field) {
+    const fieldIndex = context.collectionIndex.get(field) || new Map();
 
-    if (fieldIndex.has(term)) {
-      // Exact match
-      for (const [docId, freq] of fieldIndex.get(term)) {
-        matches.set(docId, freq);
+    if (node.type === 'near') {
+      const [left, right] = node.operands.map(operand => this._spans(operand, context, field));
+      if (left === null || right === null) {
+        return left || right;
       }
-    } else if (fuzzy) {
-      // Fuzzy matching
-      for (const [word, docs] of fieldIndex) {
-        if (this._similarity(term, word) >= this.config.fuzzyThreshold) {
-          for (const [docId, freq] of docs) {
-            matches.set(docId, (matches.get(docId) || 0) + freq * 0.7); // Penalty for fuzzy match
+
+      const spans = new Map();
+      for (const [docId, leftSpans] of left) {
+        const rightSpans = right.get(docId);
+        if (!rightSpans) continue;
+
+        const close = [];
+        for (const [leftStart, leftEnd] of leftSpans) {
+          for (const [rightStart, rightEnd] of rightSpans) {
+            const gap = rightStart > leftEnd ? rightStart - leftEnd - 1 : (leftStart > rightEnd ? leftStart - rightEnd - 1 : 0);
+            if (gap <= node.distance) {
+              close.push([Math.min(leftStart, rightStart), Math.max(leftEnd, rightEnd)]);
+            }
           }
         }
+        if (close.length > 0) {
+          spans.set(docId, close);
+        }
       }
+      return spans;
+    }
+
+    // An already analysed fuzzy variant
+    const tokens = node.term
+      ? [{ term: node.term, position: 0 }]
+      : this._analyze(context.collectionName, field, node.text, { query: true });
+    if (tokens.length === 0) {
+      return null;
+    }
+
+    const postings = tokens.map(token => fieldIndex.get(token.term));
+    if (postings.some(docs => !docs)) {
+      return new Map();
     }
 
-    return matches;
+    // A term is a one-word phrase; longer ones check each word's offset from the first
+    const offsets = tokens.map(token => token.position - tokens[0].position);
+    const length = offsets[offsets.length - 1];
+    const rarest = postings.reduce((a, b) => (b.size < a.size ? b : a));
+    const spans = new Map();
+
+    for (const docId of rarest.keys()) {
+      const positions = postings.map(docs => docs.get(docId));
+      if (positions.some(list => !list)) continue;
+
+      const sets = positions.map(list => new Set(list));
+      const starts = positions[0].filter(start => offsets.every((offset, i) => sets[i].has(start + offset)));
+      if (starts.length > 0) {
+        spans.set(docId, starts.map(start => [start, start + length]));
+      }
+    }
+    return spans;
+  }
+
+  /**
+   * BM25 score of each document with spans in a field, counting each span
+   * as one occurrence
+   */
+  _bm25(context, field, spans) {
+    const scores = new Map();
+    const lengths = this.fieldLengths.get(context.collectionName)?.get(field);
+    if (!lengths || spans.size === 0) {
+      return scores;
+    }
+
+    const { k1, b } = this.config.bm25;
+    const documentCount = lengths.size;
+    if (!context.averageLengths.has(field)) {
+      let total = 0;
+      for (const length of lengths.values()) {
+        total += length;
+      }
+      context.averageLengths.set(field, total / documentCount || 1);
+    }
+    const averageLength = context.averageLengths.get(field);
+    const idf = Math.log(1 + (documentCount - spans.size + 0.5) / (spans.size + 0.5));
+
+    for (const [docId, docSpans] of spans) {
+      const frequency = docSpans.length;
+      const length = lengths.get(docId) || 0;
+      scores.set(docId, idf * (frequency * (k1 + 1)) / (frequency + k1 * (1 - b + b * length / averageLength)));
+    }
+    return scores;
   }
 
   _similarity(str1, str2) {
@@ -396,7 +726,7 @@ export class SearchEngine {
     return (maxLen - matrix[len1][len2]) / maxLen;
   }
 
-  async _generateHighlights(collectionName, docId, searchTerms) {
+  async _generateHighlights(collectionName, docId, matches) {
     const docData = this.documentFields.get(collectionName)?.get(docId);
     if (!docData) return {};
 
@@ -404,18 +734,20 @@ export class SearchEngine {
     
     for (const field of docData.fields) {
       const text = docData.text[field] || '';
-      let highlightedText = text;
-      
-      // Highlight each search term
-      for (const term of searchTerms) {
-        const regex = new RegExp(`\\b${term}\\b`, 'gi');
-        highlightedText = highlightedText.replace(
-          regex, 
-          `<mark>$&</mark>`
-        );
+      const terms = new Set(matches.flatMap(match =>
+        this._analyze(collectionName, field, match, { query: true }).map(token => token.term)));
+      let highlightedText = '';
+      let last = 0;
+
+      // Mark every word that analyses to a matched term (or one of its synonyms)
+      for (const token of this._analyze(collectionName, field, text)) {
+        if (terms.has(token.term) && token.start >= last) {
+          highlightedText += `${text.slice(last, token.start)}<mark>${text.slice(token.start, token.end)}</mark>`;
+          last = token.end;
+        }
       }
       
-      highlights[field] = highlightedText;
+      highlights[field] = highlightedText + text.slice(last);
     }
 
     return highlights;
@@ -475,21 +807,20 @@ export class SearchEngine {
     };
   }
 
-  _stem(word) {
-    // Simple English stemming (Porter Stemmer subset)
-    // Remove common suffixes
-    const suffixes = [
-      'ing', 'ly', 'ed', 'ies', 'ied', 'ies', 'ied', 'ies', 'ied',
-      's', 'es'
-    ];
-
-    for (const suffix of suffixes) {
-      if (word.endsWith(suffix) && word.length > suffix.length + 2) {
-        return word.slice(0, -suffix.length);
-      }
-    }
-
-    return word;
+  /**
+   * The analyzer used when none is configured, from the older
+   * minWordLength / maxWordLength / stopWords / stemming options
+   */
+  _getLegacyAnalyzerDefinition() {
+    return {
+      tokenizer: 'standard',
+      filters: [
+        'lowercase',
+        { type: 'length', min: this.config.minWordLength, max: this.config.maxWordLength },
+        { type: 'stop', words: this.config.stopWords },
+        ...(this.config.stemming ? ['porter'] : [])
+      ]
+    };
   }
 
   _getDefaultStopWords() {
@@ -502,72 +833,177 @@ export class SearchEngine {
   }
 
   async _loadIndexes() {
+    const indexPath = join(this.config.path, INDEX_FILE);
+    const logPath = join(this.config.path, LOG_FILE);
+    let parsed = null;
+
     try {
-      const indexPath = join(this.config.path, 'search_indexes.json');
       if (existsSync(indexPath)) {
-        const data = await fs.readFile(indexPath, 'utf8');
-        const parsed = JSON.parse(data);
+        parsed = JSON.parse(await fs.readFile(indexPath, 'utf8'));
+        this.generation = parsed.generation || 0;
         
-        // Reconstruct Maps from serialized data
-        for (const [collection, fields] of Object.entries(parsed.indexes || {})) {
-          const collectionMap = new Map();
-          for (const [field, words] of Object.entries(fields)) {
-            const fieldMap = new Map();
-            for (const [word, docs] of Object.entries(words)) {
-              fieldMap.set(word, new Map(Object.entries(docs)));
-            }
-            collectionMap.set(field, fieldMap);
+        for (const [collection, settings] of Object.entries(parsed.analyzers || {})) {
+          try {
+            this._applyAnalyzers(collection, settings);
+          } catch (error) {
+            // e.g. a named analyzer this process hasn't defined (yet)
+            this.logger.warn(`Search analyzers of '${collection}' not applied: ${error.message}`);
+            this.collectionAnalyzers.set(collection, { settings, default: null, fields: new Map() });
           }
-          this.indexes.set(collection, collectionMap);
         }
 
-        // Reconstruct document fields
         for (const [collection, docs] of Object.entries(parsed.documentFields || {})) {
           this.documentFields.set(collection, new Map(Object.entries(docs)));
         }
       }
+
+      const replayed = existsSync(logPath) ? this._replayLog(await fs.readFile(logPath, 'utf8')) : 0;
+      this.uncleanShutdown = Boolean(parsed || existsSync(logPath)) && (!parsed?.closed || replayed > 0);
+
+      // Postings are rebuilt from the extracted text, which also upgrades
+      // files written before positions were indexed
+      for (const collection of this.documentFields.keys()) {
+        this._rebuildCollection(collection);
+      }
     } catch (error) {
+      this.uncleanShutdown = true;
       console.warn('Could not load search indexes:', error.message);
     }
   }
 
-  async _saveIndexes(collectionName = null) {
+  /**
+   * Apply the change log written after the loaded checkpoint. Each line is
+   * `[collection, id, text]`, or `[collection, id]` for a removed document;
+   * a torn last line is skipped. Returns the number of changes applied.
+   */
+  _replayLog(content) {
+    const lines = content.split('\n').filter(Boolean);
+    const header = this._parseLine(lines.shift());
+    if (!header || header.generation !== this.generation) {
+      return 0; // Written before the checkpoint it would be replayed onto
+    }
+
+    let replayed = 0;
+    for (const line of lines) {
+      const change = this._parseLine(line);
+      if (!Array.isArray(change)) {
+        break;
+      }
+
+      const [collection, id, text] = change;
+      if (!this.documentFields.has(collection)) {
+        this.documentFields.set(collection, new Map());
+      }
+      if (text) {
+        this.documentFields.get(collection).set(id, text);
+      } else {
+        this.documentFields.get(collection).delete(id);
+      }
+      replayed++;
+    }
+    return replayed;
+  }
+
+  _parseLine(line) {
     try {
-      // Convert Maps to serializable objects
+      return line ? JSON.parse(line) : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Queue log lines with the current text of changed documents and save
+   */
+  _logChanges(changes) {
+    for (const { collection, id } of changes) {
+      const text = this.documentFields.get(collection)?.get(id);
+      this.pendingLog.push(JSON.stringify(text ? [collection, id, text] : [collection, id]) + '\n');
+    }
+    return this._saveIndexes();
+  }
+
+  /**
+   * Save the index. Saves are written one at a time, and calls made while one
+   * waits share it; each call resolves once a save that started after it is
+   * on disk. A save appends the queued log lines, or writes a checkpoint when
+   * the log is full or analyzers changed.
+   */
+  _saveIndexes() {
+    if (!this.saveQueued) {
+      this.saveQueued = true;
+      this.saving = this.saving.then(() => {
+        this.saveQueued = false;
+        return this.checkpointNeeded || this.logSize >= this.config.checkpointSize
+          ? this._writeIndexFile()
+          : this._appendLog();
+      });
+    }
+    return this.saving;
+  }
+
+  async _appendLog() {
+    const lines = this.pendingLog.join('');
+    this.pendingLog = [];
+    if (!lines) {
+      return;
+    }
+
+    try {
+      await fs.appendFile(join(this.config.path, LOG_FILE), lines);
+      this.logSize += Buffer.byteLength(lines);
+    } catch (error) {
+      this.checkpointNeeded = true; // The next save writes everything instead
+      console.error('Failed to save search indexes:', error);
+    }
+  }
+
+  /**
+   * Write a checkpoint of every collection and start an empty log for it
+   */
+  async _writeIndexFile(closed = false) {
+    try {
+      this.checkpointNeeded = false;
+      this.pendingLog = [];
+      const generation = this.generation + 1;
+
+      // Every collection goes into the one file, whichever changed
       const serializable = {
-        indexes: {},
+        version: INDEX_FORMAT_VERSION,
+        generation,
+        closed,
         documentFields: {},
+        analyzers: {},
         lastUpdated: new Date().toISOString()
       };
 
-      for (const [collection, fields] of this.indexes) {
-        if (collectionName && collection !== collectionName) continue;
-        
-        serializable.indexes[collection] = {};
-        for (const [field, words] of fields) {
-          serializable.indexes[collection][field] = {};
-          for (const [word, docs] of words) {
-            serializable.indexes[collection][field][word] = Object.fromEntries(docs);
-          }
-        }
-      }
-
       for (const [collection, docs] of this.documentFields) {
-        if (collectionName && collection !== collectionName) continue;
         serializable.documentFields[collection] = Object.fromEntries(docs);
       }
+      for (const [collection, { settings }] of this.collectionAnalyzers) {
+        serializable.analyzers[collection] = settings;
+      }
+
+      // Written aside and renamed, so a crash never leaves a half-written index
+      const indexPath = join(this.config.path, INDEX_FILE);
+      await fs.writeFile(`${indexPath}.tmp`, JSON.stringify(serializable));
+      await fs.rename(`${indexPath}.tmp`, indexPath);
 
-      const indexPath = join(this.config.path, 'search_indexes.json');
-      await fs.writeFile(indexPath, JSON.stringify(serializable, null, 2));
+      const header = JSON.stringify({ generation }) + '\n';
+      await fs.writeFile(join(this.config.path, LOG_FILE), header);
+      this.generation = generation;
+      this.logSize = Buffer.byteLength(header);
     } catch (error) {
+      this.checkpointNeeded = true;
       console.error('Failed to save search indexes:', error);
     }
   }
 
   async close() {
     if (this.isInitialized) {
-      await this._saveIndexes();
       this.isInitialized = false;
+      await this.saving;
+      await this._writeIndexFile(true);
     }
   }
 }
@@ -0,0 +1,188 @@
+import { EventEmitter } from 'events';
+
+/**
+ * Search Index Manager for BigBaseAlpha
+ * Rebuilds a collection's full-text index from its stored documents and
+ * checks the index against them.
+ *
+ * Writes keep the index in sync as they happen; these jobs are for
+ * repairing an index that drifted (an index file older than the data after
+ * a crash, documents written before search indexing covered every write
+ * path) and for re-indexing after analyzer changes. Both work through the
+ * collection in batches under its write lock, so writes go on between
+ * batches and every document is compared with its latest version.
+ */
+export class SearchIndexManager extends EventEmitter {
+  constructor(database, options = {}) {
+    super();
+    this.database = database;
+    this.batchSize = options.batchSize || 100;
+    this.jobs = new Map(); // collection -> running reindex or verification
+  }
+
+  /**
+   * Re-index every document of a collection and drop entries of documents
+   * that no longer exist. Search keeps answering from the current index
+   * while this runs.
+   * @param {Object} options - `batchSize`, `onProgress(progress)`
+   * @returns {Promise<Object>} `{ collection, action, status, processed, indexed, removed, total, percent, duration }`
+   */
+  async reindex(collectionName, options = {}) {
+    return this._run(collectionName, 'reindex', options, async (ids, job) => {
+      const changes = [];
+      for (const [id, stored] of ids) {
+        if (stored) {
+          changes.push({ collection: collectionName, id, document: stored });
+          job.indexed++;
+        }
+      }
+      await this.database.searchEngine.applyChanges(changes);
+    }, async (stale, job) => {
+      await this.database.searchEngine.applyChanges(stale.map(id => ({ collection: collectionName, id, document: null })));
+      job.removed = stale.length;
+    });
+  }
+
+  /**
+   * Compare a collection's search index with its stored documents
+   * @param {Object} options - `batchSize`, `onProgress(progress)`
+   * @returns {Promise<Object>} the job's progress plus `consistent` and the
+   *   IDs of `missing` (stored, not indexed), `outdated` (indexed with other
+   *   text) and `stale` (indexed, not stored) documents
+   */
+  async verify(collectionName, options = {}) {
+    const report = { missing: [], outdated: [], stale: [] };
+    const result = await this._run(collectionName, 'verify', options, async (ids) => {
+      for (const [id, stored] of ids) {
+        const state = stored ? this.database.searchEngine.compareDocument(collectionName, stored) : 'current';
+        if (state !== 'current') {
+          report[state].push(id);
+        }
+      }
+    }, async (stale) => {
+      report.stale = stale;
+    });
+
+    return {
+      ...result,
+      consistent: report.missing.length === 0 && report.outdated.length === 0 && report.stale.length === 0,
+      ...report
+    };
+  }
+
+  /**
+   * Running reindex or verification of a collection, or null
+   */
+  getStatus(collectionName) {
+    const job = this.jobs.get(collectionName);
+    return job ? this._progress(job) : null;
+  }
+
+  /**
+   * Stop running jobs after their current batch
+   */
+  async close() {
+    for (const job of this.jobs.values()) {
+      job.cancelled = true;
+    }
+  }
+
+  // Private methods
+
+  async _run(collectionName, action, options, processBatch, processStale) {
+    if (this.jobs.has(collectionName)) {
+      throw new Error(`A search index ${this.jobs.get(collectionName).action} of '${collectionName}' is already running`);
+    }
+
+    const job = {
+      collection: collectionName,
+      action,
+      status: 'running',
+      processed: 0,
+      indexed: 0,
+      removed: 0,
+      total: 0,
+      startedAt: new Date(),
+      cancelled: false
+    };
+
+    this.jobs.set(collectionName, job);
+    this.emit('reindexStarted', this._progress(job));
+    try {
+      await this._walkCollection(collectionName, job, options, processBatch, processStale);
+    } catch (error) {
+      job.status = 'failed';
+      this.emit('reindexFailed', { ...this._progress(job), error });
+      throw error;
+    } finally {
+      this.jobs.delete(collectionName);
+    }
+
+    job.status = job.cancelled ? 'cancelled' : 'completed';
+    const result = this._progress(job);
+    this.emit('reindexCompleted', result);
+    return result;
+  }
+
+  async _walkCollection(collectionName, job, options, processBatch, processStale) {
+    const db = this.database;
+    const batchSize = options.batchSize || this.batchSize;
+    const onProgress = options.onProgress || null;
+
+    // Collect the ids first; writes may replace documents between batches
+    const ids = [];
+    for await (const document of db._scanDocuments(collectionName)) {
+      ids.push(document._id);
+    }
+    job.total = ids.length;
+
+    for (let start = 0; start < ids.length && !job.cancelled; start += batchSize) {
+      await db._withLock(`write:${collectionName}`, async () => {
+        const batch = [];
+        for (const id of ids.slice(start, start + batchSize)) {
+          // Indexed as stored, like the write paths index them
+          batch.push([id, await db._getDocument(collectionName, id)]);
+          job.processed++;
+        }
+        await processBatch(batch, job);
+      });
+
+      const progress = this._progress(job);
+      this.emit('reindexProgress', progress);
+      if (onProgress) {
+        onProgress(progress);
+      }
+    }
+
+    if (job.cancelled) {
+      return;
+    }
+
+    // Entries of documents that are gone, including ones deleted while the job ran
+    await db._withLock(`write:${collectionName}`, async () => {
+      const stale = [];
+      for (const id of db.searchEngine.getIndexedIds(collectionName)) {
+        if (!await db._getDocument(collectionName, id)) {
+          stale.push(id);
+        }
+      }
+      await processStale(stale, job);
+    });
+  }
+
+  _progress(job) {
+    return {
+      collection: job.collection,
+      action: job.action,
+      status: job.status,
+      processed: job.processed,
+      indexed: job.indexed,
+      removed: job.removed,
+      total: job.total,
+      percent: job.total > 0 ? Math.floor(job.processed / job.total * 100) : 100,
+      duration: Date.now() - job.startedAt.getTime()
+    };
+  }
+}
+
+export default SearchIndexManager;
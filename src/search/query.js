@@ -0,0 +1,154 @@
+/**
+ * Full-text query parser for BigBaseAlpha's SearchEngine
+ *
+ * Syntax:
+ *   word                 term; adjacent clauses are optional (OR-like) and rank by score
+ *   "exact phrase"       words in this order, stop words keeping their place
+ *   field:word           term or phrase restricted to one field (`title:"big deal"`)
+ *   +word, -word         required / excluded clause
+ *   a AND b, a OR b      both required / either
+ *   NOT word             excluded clause
+ *   a NEAR/3 b           terms or phrases at most 3 words apart, in either order
+ *   ( ... )              group
+ *
+ * Operators are upper case; anything else is searched as text.
+ */
+
+const TOKEN_PATTERN = /\s*(?:(\()|(\))|([+-])?(?:([\p{L}\p{N}_.]+):)?(?:"([^"]*)("?)|([^\s()"]+)))/uy;
+const NEAR_PATTERN = /^NEAR\/(\d+)$/;
+
+/**
+ * Raised for a query that cannot be parsed (unbalanced parentheses,
+ * an operator without operands, ...)
+ */
+export class SearchQueryError extends Error {
+  constructor(message, query) {
+    super(`Invalid search query ${JSON.stringify(query)}: ${message}`);
+    this.name = 'SearchQueryError';
+    this.code = 'INVALID_SEARCH_QUERY';
+    this.query = query;
+  }
+}
+
+/**
+ * Parse a query string into a tree of nodes:
+ * `{ type: 'term' | 'phrase', field, text }`,
+ * `{ type: 'near', distance, operands: [node, node] }` and
+ * `{ type: 'bool', clauses: [{ occur: 'should' | 'must' | 'mustNot', node }] }`
+ */
+export function parseSearchQuery(query) {
+  const tokens = tokenize(query);
+  const state = { tokens, position: 0, query };
+  const node = parseGroup(state);
+
+  if (state.position < tokens.length) {
+    throw new SearchQueryError('unexpected \')\'', query);
+  }
+  return node;
+}
+
+function tokenize(query) {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+
+  while (TOKEN_PATTERN.lastIndex < query.length) {
+    const start = TOKEN_PATTERN.lastIndex;
+    const match = TOKEN_PATTERN.exec(query);
+    if (!match) {
+      // Only whitespace (or a lone quote) is left
+      if (query.slice(start).replace(/"/g, '').trim()) {
+        throw new SearchQueryError(`cannot read ${JSON.stringify(query.slice(start))}`, query);
+      }
+      break;
+    }
+
+    const [, open, close, sign, field, phrase, , word] = match;
+    if (open) {
+      tokens.push({ type: '(' });
+    } else if (close) {
+      tokens.push({ type: ')' });
+    } else if (phrase !== undefined) {
+      tokens.push({ type: 'text', sign, field, phrase: true, text: phrase });
+    } else if (!sign && !field && (word === 'AND' || word === 'OR' || word === 'NOT' || NEAR_PATTERN.test(word))) {
+      tokens.push({ type: 'operator', operator: word });
+    } else {
+      tokens.push({ type: 'text', sign, field, phrase: false, text: word });
+    }
+  }
+
+  return tokens;
+}
+
+function parseGroup(state) {
+  const clauses = [];
+  let operator = null; // AND, OR or NEAR/n waiting for its right-hand clause
+  let negate = false;
+
+  while (state.position < state.tokens.length && state.tokens[state.position].type !== ')') {
+    const token = state.tokens[state.position++];
+
+    if (token.type === 'operator') {
+      if (token.operator === 'NOT') {
+        negate = true;
+        continue;
+      }
+      if (clauses.length === 0 || operator || negate) {
+        throw new SearchQueryError(`${token.operator} needs a clause on its left`, state.query);
+      }
+      operator = token.operator;
+      continue;
+    }
+
+    let node;
+    if (token.type === '(') {
+      node = parseGroup(state);
+      if (state.tokens[state.position]?.type !== ')') {
+        throw new SearchQueryError('missing \')\'', state.query);
+      }
+      state.position++;
+    } else {
+      node = { type: token.phrase ? 'phrase' : 'term', field: token.field || null, text: token.text };
+    }
+
+    let occur = 'should';
+    if (negate || token.sign === '-') {
+      occur = 'mustNot';
+    } else if (token.sign === '+') {
+      occur = 'must';
+    }
+    negate = false;
+
+    const near = operator && NEAR_PATTERN.exec(operator);
+    if (near) {
+      const left = clauses[clauses.length - 1];
+      if (!isProximityOperand(left.node) || !isProximityOperand(node)) {
+        throw new SearchQueryError(`${operator} joins terms or phrases`, state.query);
+      }
+      left.node = { type: 'near', distance: Number(near[1]), operands: [left.node, node] };
+    } else {
+      if (operator === 'AND') {
+        const left = clauses[clauses.length - 1];
+        if (left.occur === 'should') {
+          left.occur = 'must';
+        }
+        if (occur === 'should') {
+          occur = 'must';
+        }
+      }
+      clauses.push({ occur, node });
+    }
+    operator = null;
+  }
+
+  if (operator || negate) {
+    throw new SearchQueryError(`${operator || 'NOT'} needs a clause on its right`, state.query);
+  }
+
+  return { type: 'bool', clauses };
+}
+
+function isProximityOperand(node) {
+  return node && (node.type === 'term' || node.type === 'phrase' || node.type === 'near');
+}
+
+export default parseSearchQuery;
@@ -0,0 +1,163 @@
+/**
+ * Stemmers for BigBaseAlpha's search analyzers. Each takes a lower-case
+ * word and returns its stem.
+ */
+
+// Porter (1980), following the reference implementation
+const CONSONANT = '[^aeiou]';
+const VOWEL = '[aeiouy]';
+const CONSONANTS = `${CONSONANT}[^aeiouy]*`;
+const VOWELS = `${VOWEL}[aeiou]*`;
+const M_GT_0 = new RegExp(`^(${CONSONANTS})?${VOWELS}${CONSONANTS}`); // [C]VC...
+const M_EQ_1 = new RegExp(`^(${CONSONANTS})?${VOWELS}${CONSONANTS}(${VOWELS})?$`); // [C]VC[V]
+const M_GT_1 = new RegExp(`^(${CONSONANTS})?${VOWELS}${CONSONANTS}${VOWELS}${CONSONANTS}`); // [C]VCVC...
+const HAS_VOWEL = new RegExp(`^(${CONSONANTS})?${VOWEL}`);
+const ENDS_CVC = new RegExp(`^${CONSONANTS}${VOWEL}[^aeiouwxy]$`);
+const DOUBLE_CONSONANT = /([^aeiouylsz])\1$/;
+
+const STEP2 = {
+  ational: 'ate', tional: 'tion', enci: 'ence', anci: 'ance', izer: 'ize', bli: 'ble',
+  alli: 'al', entli: 'ent', eli: 'e', ousli: 'ous', ization: 'ize', ation: 'ate',
+  ator: 'ate', alism: 'al', iveness: 'ive', fulness: 'ful', ousness: 'ous', aliti: 'al',
+  iviti: 'ive', biliti: 'ble', logi: 'log'
+};
+const STEP3 = { icate: 'ic', ative: '', alize: 'al', iciti: 'ic', ical: 'ic', ful: '', ness: '' };
+const STEP2_PATTERN = new RegExp(`^(.+?)(${Object.keys(STEP2).join('|')})$`);
+const STEP3_PATTERN = new RegExp(`^(.+?)(${Object.keys(STEP3).join('|')})$`);
+const STEP4_PATTERN = /^(.+?)(al|ance|ence|er|ic|able|ible|ant|ement|ment|ent|ou|ism|ate|iti|ous|ive|ize)$/;
+
+/**
+ * Porter stemmer for English. Words with letters outside a-z are kept as they are.
+ */
+export function porterStem(word) {
+  if (word.length < 3 || !/^[a-z]+$/.test(word)) {
+    return word;
+  }
+
+  // An initial y is a consonant
+  const initialY = word[0] === 'y';
+  let w = initialY ? `Y${word.slice(1)}` : word;
+  let match;
+
+  // Step 1a: plurals
+  if ((match = /^(.+?)(ss|i)es$/.exec(w))) {
+    w = match[1] + match[2];
+  } else if ((match = /^(.+?)([^s])s$/.exec(w))) {
+    w = match[1] + match[2];
+  }
+
+  // Step 1b: -eed, -ed, -ing
+  if ((match = /^(.+?)eed$/.exec(w))) {
+    if (M_GT_0.test(match[1])) {
+      w = w.slice(0, -1);
+    }
+  } else if ((match = /^(.+?)(ed|ing)$/.exec(w)) && HAS_VOWEL.test(match[1])) {
+    w = match[1];
+    if (/(at|bl|iz)$/.test(w)) {
+      w += 'e';
+    } else if (DOUBLE_CONSONANT.test(w)) {
+      w = w.slice(0, -1);
+    } else if (ENDS_CVC.test(w)) {
+      w += 'e';
+    }
+  }
+
+  // Step 1c: y -> i after a vowel
+  if ((match = /^(.+?)y$/.exec(w)) && HAS_VOWEL.test(match[1])) {
+    w = `${match[1]}i`;
+  }
+
+  // Steps 2 and 3: double and single suffixes
+  if ((match = STEP2_PATTERN.exec(w)) && M_GT_0.test(match[1])) {
+    w = match[1] + STEP2[match[2]];
+  }
+  if ((match = STEP3_PATTERN.exec(w)) && M_GT_0.test(match[1])) {
+    w = match[1] + STEP3[match[2]];
+  }
+
+  // Step 4: remaining suffixes
+  if ((match = STEP4_PATTERN.exec(w))) {
+    if (M_GT_1.test(match[1])) {
+      w = match[1];
+    }
+  } else if ((match = /^(.+?)(s|t)(ion)$/.exec(w))) {
+    if (M_GT_1.test(match[1] + match[2])) {
+      w = match[1] + match[2];
+    }
+  }
+
+  // Step 5: final -e and -ll
+  if ((match = /^(.+?)e$/.exec(w))) {
+    const stem = match[1];
+    if (M_GT_1.test(stem) || (M_EQ_1.test(stem) && !ENDS_CVC.test(stem))) {
+      w = stem;
+    }
+  }
+  if (/ll$/.test(w) && M_GT_1.test(w)) {
+    w = w.slice(0, -1);
+  }
+
+  return initialY ? `y${w.slice(1)}` : w;
+}
+
+const GERMAN_VOWEL_MAP = { ä: 'a', à: 'a', á: 'a', â: 'a', ö: 'o', ò: 'o', ó: 'o', ô: 'o', ï: 'i', ì: 'i', í: 'i', î: 'i', ü: 'u', ù: 'u', ú: 'u', û: 'u', ß: 'ss' };
+const GERMAN_ST_ENDING = new Set('bdfghklmnt');
+
+/**
+ * Light German stemmer (Savoy): folds umlauts and strips inflectional
+ * endings, leaving derivations alone
+ */
+export function germanStem(word) {
+  let w = word.replace(/[äàáâöòóôïìíîüùúûß]/g, letter => GERMAN_VOWEL_MAP[letter]);
+
+  // Step 1
+  if (w.length > 5 && w.endsWith('ern')) {
+    w = w.slice(0, -3);
+  } else if (w.length > 4 && /(em|en|er|es)$/.test(w)) {
+    w = w.slice(0, -2);
+  } else if (w.length > 3 && w.endsWith('e')) {
+    w = w.slice(0, -1);
+  } else if (w.length > 3 && w.endsWith('s') && GERMAN_ST_ENDING.has(w[w.length - 2])) {
+    w = w.slice(0, -1);
+  }
+
+  // Step 2
+  if (w.length > 5 && w.endsWith('est')) {
+    w = w.slice(0, -3);
+  } else if (w.length > 4 && /(er|en)$/.test(w)) {
+    w = w.slice(0, -2);
+  } else if (w.length > 4 && w.endsWith('st') && GERMAN_ST_ENDING.has(w[w.length - 3])) {
+    w = w.slice(0, -2);
+  }
+
+  return w;
+}
+
+// Case, possessive and plural endings, longest first within each group
+const TURKISH_SUFFIX_GROUPS = [
+  ['ndan', 'nden', 'dan', 'den', 'tan', 'ten', 'nda', 'nde', 'yla', 'yle', 'nın', 'nin', 'nun', 'nün', 'da', 'de', 'ta', 'te', 'la', 'le', 'ya', 'ye', 'yı', 'yi', 'yu', 'yü', 'na', 'ne', 'nı', 'ni', 'nu', 'nü'],
+  ['ımız', 'imiz', 'umuz', 'ümüz', 'ınız', 'iniz', 'unuz', 'ünüz', 'ları', 'leri', 'sı', 'si', 'su', 'sü', 'ım', 'im', 'um', 'üm', 'ın', 'in', 'un', 'ün'],
+  ['lar', 'ler']
+];
+const TURKISH_VOWEL = /[aeıioöuü]/;
+
+/**
+ * Light Turkish stemmer: strips one case ending, one possessive ending and
+ * the plural, outermost first, as long as a stem of two letters with a
+ * vowel remains
+ */
+export function turkishStem(word) {
+  let w = word;
+  for (const suffixes of TURKISH_SUFFIX_GROUPS) {
+    const suffix = suffixes.find(candidate => w.endsWith(candidate) && w.length - candidate.length >= 2);
+    if (suffix) {
+      const stem = w.slice(0, -suffix.length);
+      if (TURKISH_VOWEL.test(stem)) {
+        w = stem;
+      }
+    }
+  }
+  return w;
+}
+
+export default { porterStem, germanStem, turkishStem };
@@ -13,6 +13,8 @@ import path from 'path';
 import os from 'os';
 import { EventEmitter } from 'events';
 
+const FINGERPRINT_VERSION = 'v2:';
+
 /**
  * Offline HSM Implementation for BigBaseAlpha
  * Provides hardware-level security simulation with software-based protection
@@ -50,7 +52,7 @@ class OfflineHSM extends EventEmitter {
         this.isInitialized = false;
         this.lastHealthCheck = null;
         
-        this._initializeSecureStorage();
+        this.ready = this._initializeSecureStorage();
     }
 
     /**
@@ -93,7 +95,11 @@ class OfflineHSM extends EventEmitter {
         
         if (fs.existsSync(tamperFile)) {
             const storedFingerprint = fs.readFileSync(tamperFile, 'utf8');
-            if (storedFingerprint !== systemFingerprint) {
+            if (!storedFingerprint.startsWith(FINGERPRINT_VERSION)) {
+                // Older fingerprints included the process id and never matched
+                // after a restart; replace them rather than flag tampering
+                fs.writeFileSync(tamperFile, systemFingerprint, { mode: 0o600 });
+            } else if (storedFingerprint !== systemFingerprint) {
                 this.tamperFlags.add('system_modified');
                 this.emit('hsm:tamper_detected', 'System fingerprint mismatch');
             }
@@ -111,11 +117,10 @@ class OfflineHSM extends EventEmitter {
             arch: os.arch(),
             hostname: os.hostname(),
             cpus: os.cpus().length,
-            totalmem: os.totalmem(),
-            process_pid: process.pid
+            totalmem: os.totalmem()
         };
         
-        return crypto.createHash('sha256')
+        return FINGERPRINT_VERSION + crypto.createHash('sha256')
             .update(JSON.stringify(fingerprint))
             .digest('hex');
     }
@@ -274,6 +279,36 @@ class OfflineHSM extends EventEmitter {
         return decrypted;
     }
 
+    /**
+     * Derive a key for one purpose from a stored symmetric key (HKDF), so
+     * callers never hold the stored key itself
+     */
+    async deriveKey(keyId, purpose, length = 32) {
+        this._validateInitialized();
+        this._logAccess('deriveKey', keyId);
+
+        const keyEntry = this.keyStore.get(keyId);
+        if (!keyEntry) {
+            throw new Error(`Key not found: ${keyId}`);
+        }
+        if (keyEntry.type !== 'symmetric') {
+            throw new Error(`Key derivation not supported for key type: ${keyEntry.type}`);
+        }
+
+        // Update key usage
+        keyEntry.lastUsed = Date.now();
+        keyEntry.usageCount++;
+
+        return Buffer.from(crypto.hkdfSync('sha256', keyEntry.data, Buffer.alloc(0), purpose, length));
+    }
+
+    /**
+     * Whether a key exists
+     */
+    hasKey(keyId) {
+        return this.keyStore.has(keyId);
+    }
+
     /**
      * Sign data using HSM
      */
@@ -394,7 +429,7 @@ class OfflineHSM extends EventEmitter {
         
         // Encrypt key data
         const iv = crypto.randomBytes(this.config.ivSize);
-        const cipher = crypto.createCipherGCM(this.config.algorithm, masterKey, iv);
+        const cipher = crypto.createCipheriv(this.config.algorithm, masterKey, iv);
         
         const encrypted = Buffer.concat([
             cipher.update(JSON.stringify(keyEntry)),
@@ -452,7 +487,7 @@ class OfflineHSM extends EventEmitter {
         const tag = Buffer.from(keyFileData.tag, 'base64');
         const encrypted = Buffer.from(keyFileData.encrypted, 'base64');
         
-        const decipher = crypto.createDecipherGCM(this.config.algorithm, masterKey, iv);
+        const decipher = crypto.createDecipheriv(this.config.algorithm, masterKey, iv);
         decipher.setAuthTag(tag);
         
         const decrypted = Buffer.concat([
@@ -460,7 +495,11 @@ class OfflineHSM extends EventEmitter {
             decipher.final()
         ]);
         
-        return JSON.parse(decrypted.toString());
+        const keyEntry = JSON.parse(decrypted.toString());
+        if (keyEntry.type === 'symmetric') {
+            keyEntry.data = Buffer.from(keyEntry.data.data); // Serialized as { type: 'Buffer', data }
+        }
+        return keyEntry;
     }
 
     /**
@@ -1,9 +1,41 @@
-import { createCipheriv, createDecipheriv, randomBytes, createHash, pbkdf2Sync } from 'crypto';
+import { createCipheriv, createDecipheriv, createHmac, randomBytes, createHash, pbkdf2Sync } from 'crypto';
 import bcrypt from 'bcrypt';
 
+const FIELD_ALGORITHM = 'aes-256-gcm';
+const FIELD_MODES = ['deterministic', 'randomized'];
+export const BLIND_SUFFIX = '.__blind';
+
+/**
+ * Raised when a query asks an encrypted field for something its ciphertext
+ * cannot answer (anything but equality on a deterministic field)
+ */
+export class EncryptedFieldQueryError extends Error {
+  constructor(collectionName, field, operator) {
+    super(operator
+      ? `Operator ${operator} cannot be used on encrypted field '${field}' of '${collectionName}'`
+      : `Encrypted field '${field}' of '${collectionName}' is randomized and cannot be queried by value`);
+    this.name = 'EncryptedFieldQueryError';
+    this.code = 'ENCRYPTED_FIELD_QUERY';
+    this.collection = collectionName;
+    this.field = field;
+  }
+}
+
 /**
  * Security Manager for BigBaseAlpha
  * Handles encryption, hashing, and security operations
+ *
+ * Collections without an encryption policy have the fields that look
+ * sensitive encrypted with the master key. A policy lists the field paths to
+ * encrypt instead, each `deterministic` (equal values give equal ciphertext)
+ * or `randomized`, under a per-collection key held by the key provider
+ * (OfflineHSM). Every ciphertext names its key, so documents written under
+ * an earlier key stay readable while a rotation rewrites them.
+ *
+ * Deterministic fields also carry a blind index (`__blind`): an HMAC of the
+ * value under a collection key that survives rotations. Equality, `$in`,
+ * `$nin` and `$ne` queries on them are rewritten to compare blind indexes,
+ * and indexes on them index `<field>.__blind`.
  */
 export class SecurityManager {
   constructor(config) {
@@ -27,6 +59,10 @@ export class SecurityManager {
     this.encryptionKey = null;
     this.initialized = false;
     this.bcryptAvailable = false;
+    this.policies = new Map(); // collection -> { fields, keyId, keyVersion, ... }
+    this.keyProvider = null;
+    this.fieldKeys = new Map(); // keyId -> derived { encryption, iv } keys
+    this.blindKeys = new Map(); // keyId -> derived blind index key
   }
 
   async _testBcrypt() {
@@ -71,13 +107,19 @@ export class SecurityManager {
   }
 
   /**
-   * Encrypt a document
+   * Encrypt a document: the fields of the collection's policy, or the fields
+   * that look sensitive when it has none
    */
-  async encryptDocument(document) {
+  async encryptDocument(document, collectionName = null) {
     if (!this.enabled || !this.initialized) {
       return document;
     }
 
+    const policy = collectionName ? this.policies.get(collectionName) : null;
+    if (policy) {
+      return this._encryptWithPolicy(document, policy);
+    }
+
     const encryptedDoc = { ...document };
     
     // Encrypt sensitive fields
@@ -107,22 +149,119 @@ export class SecurityManager {
     // Remove encryption metadata
     delete decryptedDoc._encrypted;
     delete decryptedDoc._encryptionVersion;
+    delete decryptedDoc._encryptionKey;
     
-    // Decrypt sensitive fields
-    for (const [key, value] of Object.entries(document)) {
-      if (this._isEncryptedField(value)) {
-        try {
-          decryptedDoc[key] = await this.decrypt(value);
-        } catch (error) {
-          console.error(`Failed to decrypt field ${key}:`, error.message);
-          decryptedDoc[key] = '[DECRYPTION_FAILED]';
-        }
-      }
-    }
+    await this._decryptFields(decryptedDoc);
     
     return decryptedDoc;
   }
 
+  /**
+   * Give the key provider (OfflineHSM) that holds field encryption keys
+   */
+  setKeyProvider(provider) {
+    this.keyProvider = provider;
+  }
+
+  /**
+   * Validate an encryption policy: `{ fields: { 'path.to.field': 'deterministic' | 'randomized' } }`
+   * @returns {Object} The normalized `{ fields }`
+   */
+  normalizePolicy(policy) {
+    const fields = policy?.fields;
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields) || Object.keys(fields).length === 0) {
+      throw new Error('An encryption policy needs a `fields` object mapping field paths to a mode');
+    }
+
+    for (const [path, mode] of Object.entries(fields)) {
+      if (!FIELD_MODES.includes(mode)) {
+        throw new Error(`Unknown encryption mode '${mode}' for field '${path}' (expected ${FIELD_MODES.join(' or ')})`);
+      }
+      if (path.startsWith('_') || path.split('.').some(part => part === '')) {
+        throw new Error(`Field '${path}' cannot be encrypted`);
+      }
+    }
+
+    return { fields: { ...fields } };
+  }
+
+  /**
+   * Restore a collection's encryption policy from its storage metadata
+   */
+  loadPolicy(collectionName, metadata) {
+    if (metadata?.encryptionPolicy) {
+      this.policies.set(collectionName, metadata.encryptionPolicy);
+    } else {
+      this.policies.delete(collectionName);
+    }
+  }
+
+  getPolicy(collectionName) {
+    const policy = this.policies.get(collectionName);
+    return policy ? structuredClone(policy) : null;
+  }
+
+  /**
+   * Make sure the key provider holds a field key (or with `version` null,
+   * the collection's blind index key), creating it if needed
+   * @returns {Promise<string>} The key id
+   */
+  async createFieldKey(collectionName, version) {
+    const provider = this._requireKeyProvider();
+    const keyId = version === null ? `blind_${collectionName}` : `field_${collectionName}_v${version}`;
+
+    await provider.ready;
+    if (!provider.hasKey(keyId)) {
+      await provider.generateKey(keyId, 'symmetric', 256);
+    }
+    return keyId;
+  }
+
+  /**
+   * Rewrite a where clause so conditions on encrypted fields compare stored
+   * ciphertext: equality, `$in`, `$nin` and `$ne` on deterministic fields
+   * become conditions on their blind index. Other conditions on encrypted
+   * fields raise EncryptedFieldQueryError (`$exists` is kept as is).
+   */
+  async rewriteQuery(collectionName, where) {
+    const policy = this.policies.get(collectionName);
+    if (!policy || !where || typeof where !== 'object') {
+      return where;
+    }
+    return this._rewriteClause(collectionName, where, policy);
+  }
+
+  /**
+   * The path an index on a field covers in stored documents
+   */
+  indexField(collectionName, field) {
+    const policy = this.policies.get(collectionName);
+    return policy?.fields[field] === 'deterministic' ? field + BLIND_SUFFIX : field;
+  }
+
+  /**
+   * Whether a stored document is encrypted the way its collection's policy
+   * asks now (so a rotation or policy change can skip it)
+   */
+  isCurrent(collectionName, stored) {
+    const policy = this.policies.get(collectionName);
+    return policy ? stored._encryptionKey === policy.keyId : !stored._encryptionKey;
+  }
+
+  /**
+   * Throw if a field of the collection's policy would be stored in plaintext
+   */
+  assertEncrypted(collectionName, stored) {
+    const policy = this.policies.get(collectionName);
+
+    for (const path of Object.keys(policy?.fields || {})) {
+      const { parent, field } = fieldParent(stored, path);
+      if (isPlainObject(parent) && parent[field] !== undefined && parent[field] !== null && !this._isEncryptedField(parent[field])) {
+        throw new Error(`Field '${path}' of collection '${collectionName}' must be encrypted before it is stored`);
+      }
+    }
+  }
+
   /**
    * Encrypt data using AES-GCM
    */
@@ -168,6 +307,10 @@ export class SecurityManager {
       return encryptedData;
     }
 
+    if (encryptedData.__key) {
+      return this._decryptField(encryptedData);
+    }
+
     try {
       const { __iv, __authTag, __data, __algorithm } = encryptedData;
       
@@ -395,6 +538,182 @@ export class SecurityManager {
     }
   }
 
+  async _encryptWithPolicy(document, policy) {
+    const encryptedDoc = structuredClone(document);
+
+    for (const [path, mode] of Object.entries(policy.fields)) {
+      const { parent, field } = fieldParent(encryptedDoc, path);
+      if (!isPlainObject(parent) || parent[field] === undefined || parent[field] === null || this._isEncryptedField(parent[field])) {
+        continue;
+      }
+      parent[field] = await this._encryptField(parent[field], path, mode, policy);
+    }
+
+    encryptedDoc._encrypted = true;
+    encryptedDoc._encryptionVersion = '2.0';
+    encryptedDoc._encryptionKey = policy.keyId;
+
+    return encryptedDoc;
+  }
+
+  /**
+   * Decrypt every encrypted value in an object, nested ones included
+   */
+  async _decryptFields(object) {
+    for (const [key, value] of Object.entries(object)) {
+      if (this._isEncryptedField(value)) {
+        try {
+          object[key] = await this.decrypt(value);
+        } catch (error) {
+          console.error(`Failed to decrypt field ${key}:`, error.message);
+          object[key] = '[DECRYPTION_FAILED]';
+        }
+      } else if (isPlainObject(value)) {
+        object[key] = { ...value };
+        await this._decryptFields(object[key]);
+      }
+    }
+  }
+
+  /**
+   * AES-GCM under a field key. Deterministic mode takes the IV from an HMAC
+   * of the field path and value, so equal values give equal ciphertext
+   * within a field but not across fields.
+   */
+  async _encryptField(value, path, mode, { keyId, blindKeyId }) {
+    const keys = await this._fieldKeys(keyId);
+    const plaintext = JSON.stringify(value);
+    const iv = mode === 'deterministic'
+      ? createHmac('sha256', keys.iv).update(`${path}\0${plaintext}`).digest().subarray(0, 12)
+      : randomBytes(12);
+
+    const cipher = createCipheriv(FIELD_ALGORITHM, keys.encryption, iv);
+    const encrypted = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+    const encryptedField = {
+      __encrypted: true,
+      __algorithm: FIELD_ALGORITHM,
+      __mode: mode,
+      __key: keyId,
+      __iv: iv.toString('hex'),
+      __authTag: cipher.getAuthTag().toString('hex'),
+      __data: encrypted.toString('hex')
+    };
+    if (mode === 'deterministic' && blindKeyId) {
+      encryptedField.__blind = await this._blindIndex(blindKeyId, path, value);
+    }
+    return encryptedField;
+  }
+
+  /**
+   * HMAC of a field value; Dates hash like the ISO strings they decrypt to
+   */
+  async _blindIndex(blindKeyId, path, value) {
+    if (!this.blindKeys.has(blindKeyId)) {
+      const provider = this._requireKeyProvider();
+      await provider.ready;
+      this.blindKeys.set(blindKeyId, await provider.deriveKey(blindKeyId, 'bigbase:blind-index'));
+    }
+
+    const normalized = value instanceof Date ? value.toISOString() : value;
+    return createHmac('sha256', this.blindKeys.get(blindKeyId))
+      .update(`${path}\0${JSON.stringify(normalized)}`)
+      .digest('hex')
+      .slice(0, 32);
+  }
+
+  async _rewriteClause(collectionName, clause, policy) {
+    const rewritten = {};
+
+    for (const [key, condition] of Object.entries(clause)) {
+      if ((key === '$and' || key === '$or' || key === '$nor') && Array.isArray(condition)) {
+        rewritten[key] = await Promise.all(condition.map(part => this._rewriteClause(collectionName, part, policy)));
+      } else if (Object.hasOwn(policy.fields, key)) {
+        Object.assign(rewritten, await this._rewritePredicate(collectionName, key, condition, policy));
+      } else {
+        rewritten[key] = condition;
+      }
+    }
+
+    return rewritten;
+  }
+
+  async _rewritePredicate(collectionName, field, condition, policy) {
+    const deterministic = policy.fields[field] === 'deterministic';
+    const blind = value => this._blindIndex(policy.blindKeyId, field, value);
+    const isOperators = isPlainObject(condition) && Object.keys(condition).length > 0 &&
+      Object.keys(condition).every(key => key.startsWith('$'));
+
+    if (!isOperators) {
+      if (!deterministic) {
+        throw new EncryptedFieldQueryError(collectionName, field);
+      }
+      if (condition instanceof RegExp) {
+        throw new EncryptedFieldQueryError(collectionName, field, '$regex');
+      }
+      return { [field + BLIND_SUFFIX]: await blind(condition) };
+    }
+
+    const kept = {};
+    const blindConditions = {};
+    for (const [operator, operand] of Object.entries(condition)) {
+      if (operator === '$exists') {
+        kept[operator] = operand;
+      } else if (!deterministic) {
+        throw new EncryptedFieldQueryError(collectionName, field);
+      } else if (operator === '$eq' || operator === '$ne') {
+        blindConditions[operator] = await blind(operand);
+      } else if ((operator === '$in' || operator === '$nin') && Array.isArray(operand)) {
+        blindConditions[operator] = await Promise.all(operand.map(blind));
+      } else {
+        throw new EncryptedFieldQueryError(collectionName, field, operator);
+      }
+    }
+
+    const rewritten = {};
+    if (Object.keys(kept).length > 0) {
+      rewritten[field] = kept;
+    }
+    if (Object.keys(blindConditions).length > 0) {
+      rewritten[field + BLIND_SUFFIX] = blindConditions;
+    }
+    return rewritten;
+  }
+
+  async _decryptField(encryptedData) {
+    const { __key, __iv, __authTag, __data } = encryptedData;
+
+    try {
+      const keys = await this._fieldKeys(__key);
+      const decipher = createDecipheriv(FIELD_ALGORITHM, keys.encryption, Buffer.from(__iv, 'hex'));
+      decipher.setAuthTag(Buffer.from(__authTag, 'hex'));
+
+      const decrypted = Buffer.concat([decipher.update(Buffer.from(__data, 'hex')), decipher.final()]);
+      return JSON.parse(decrypted.toString('utf8'));
+    } catch (error) {
+      throw new Error(`Decryption failed: ${error.message}`);
+    }
+  }
+
+  async _fieldKeys(keyId) {
+    if (!this.fieldKeys.has(keyId)) {
+      const provider = this._requireKeyProvider();
+      await provider.ready;
+      this.fieldKeys.set(keyId, {
+        encryption: await provider.deriveKey(keyId, 'bigbase:field-encryption'),
+        iv: await provider.deriveKey(keyId, 'bigbase:field-iv')
+      });
+    }
+    return this.fieldKeys.get(keyId);
+  }
+
+  _requireKeyProvider() {
+    if (!this.keyProvider) {
+      throw new Error('Field encryption policies need a key provider (OfflineHSM)');
+    }
+    return this.keyProvider;
+  }
+
   _deriveKey(masterKey, purpose, length = 32) {
     const salt = Buffer.from(purpose, 'utf8');
     return pbkdf2Sync(masterKey, salt, 100000, length, 'sha512');
@@ -458,4 +777,20 @@ export class SecurityManager {
   }
 }
 
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+}
+
+/**
+ * The object holding a dotted path's last field (undefined if the path is
+ * missing), and that field's name
+ */
+function fieldParent(document, path) {
+  const parts = path.split('.');
+  return {
+    parent: parts.slice(0, -1).reduce((node, part) => (isPlainObject(node) ? node[part] : undefined), document),
+    field: parts[parts.length - 1]
+  };
+}
+
 export default SecurityManager;
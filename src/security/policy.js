@@ -0,0 +1,226 @@
+import { EventEmitter } from 'events';
+import { BLIND_SUFFIX } from './index.js';
+
+/**
+ * Encryption Policy Manager for BigBaseAlpha
+ * Declares which fields of a collection are encrypted and rotates their keys.
+ *
+ * A collection's policy (fields and current key) and the history of its
+ * changes and rotations are kept in its storage metadata. Every policy
+ * change and every rotation moves the collection to a new key version in
+ * the key provider; the policy is recorded first, so new writes use the new
+ * key at once, and a job then
+ * re-encrypts the stored documents in batches, releasing the write lock
+ * between batches. Reads keep working throughout because each ciphertext
+ * names the key it was written with, and earlier keys are never deleted.
+ *
+ * The blind index key of a collection is created with its first policy and
+ * kept across rotations, so queries and indexes on deterministic fields keep
+ * their values. Indexes move between a field and its blind index whenever a
+ * policy change makes the field (non-)deterministic.
+ */
+export class EncryptionPolicyManager extends EventEmitter {
+  constructor(database, options = {}) {
+    super();
+    this.database = database;
+    this.batchSize = options.batchSize || 100;
+    this.jobs = new Map(); // collection -> running re-encryption
+  }
+
+  /**
+   * Set (or with `null`, remove) a collection's encryption policy and
+   * re-encrypt its documents to match
+   * @param {Object} options - `batchSize`, `onProgress(progress)`
+   */
+  async setPolicy(collectionName, policy, options = {}) {
+    this._assertIdle(collectionName);
+    const security = this.database.security;
+    const current = security.getPolicy(collectionName);
+
+    if (policy === null) {
+      if (current) {
+        await this._recordPolicy(collectionName, null, { action: 'remove', keyId: current.keyId });
+      }
+      return this._run(collectionName, 'remove', null, options);
+    }
+
+    const { fields } = security.normalizePolicy(policy);
+    const keyVersion = (current?.keyVersion || 0) + 1;
+    const keyId = await security.createFieldKey(collectionName, keyVersion);
+    const blindKeyId = current?.blindKeyId || await security.createFieldKey(collectionName, null);
+
+    await this._recordPolicy(collectionName, { fields, keyId, keyVersion, blindKeyId }, { action: current ? 'change' : 'create', keyId });
+
+    return this._run(collectionName, current ? 'change' : 'create', keyId, options);
+  }
+
+  /**
+   * Move a collection to a new key version and re-encrypt its documents
+   * @param {Object} options - `batchSize`, `onProgress(progress)`
+   */
+  async rotate(collectionName, options = {}) {
+    this._assertIdle(collectionName);
+    const security = this.database.security;
+    const current = security.getPolicy(collectionName);
+    if (!current) {
+      throw new Error(`Collection '${collectionName}' has no encryption policy to rotate`);
+    }
+
+    const keyVersion = current.keyVersion + 1;
+    const keyId = await security.createFieldKey(collectionName, keyVersion);
+    const blindKeyId = current.blindKeyId || await security.createFieldKey(collectionName, null);
+
+    await this._recordPolicy(collectionName, { ...current, keyId, keyVersion, blindKeyId }, { action: 'rotate', keyId });
+    return this._run(collectionName, 'rotate', keyId, options);
+  }
+
+  /**
+   * Policy and running re-encryption of a collection
+   */
+  getStatus(collectionName) {
+    const job = this.jobs.get(collectionName);
+    return {
+      collection: collectionName,
+      policy: this.database.security.getPolicy(collectionName),
+      job: job ? this._progress(job) : null
+    };
+  }
+
+  /**
+   * Stop running re-encryptions; documents they did not reach are still
+   * readable and are rewritten by the next rotation or on their next write
+   */
+  async close() {
+    for (const job of this.jobs.values()) {
+      job.cancelled = true;
+    }
+  }
+
+  // Private methods
+
+  _assertIdle(collectionName) {
+    if (this.jobs.has(collectionName)) {
+      throw new Error(`A re-encryption of '${collectionName}' is already running`);
+    }
+  }
+
+  async _run(collectionName, action, keyId, options) {
+    const job = {
+      collection: collectionName,
+      action,
+      keyId,
+      status: 'running',
+      processed: 0,
+      reencrypted: 0,
+      total: 0,
+      startedAt: new Date(),
+      cancelled: false
+    };
+
+    this.jobs.set(collectionName, job);
+    this.emit('reencryptionStarted', this._progress(job));
+    try {
+      await this._rewriteCollection(collectionName, job, options.batchSize || this.batchSize, options.onProgress || null);
+    } catch (error) {
+      job.status = 'failed';
+      this.emit('reencryptionFailed', { ...this._progress(job), error });
+      throw error;
+    } finally {
+      this.jobs.delete(collectionName);
+    }
+
+    job.status = job.cancelled ? 'cancelled' : 'completed';
+    const result = this._progress(job);
+    this.emit('reencryptionCompleted', result);
+    return result;
+  }
+
+  async _rewriteCollection(collectionName, job, batchSize, onProgress) {
+    const db = this.database;
+
+    // Collect the ids first; the batches below replace documents as they go
+    const ids = [];
+    for await (const document of db._scanDocuments(collectionName)) {
+      ids.push(document._id);
+    }
+    job.total = ids.length;
+
+    for (let start = 0; start < ids.length && !job.cancelled; start += batchSize) {
+      await db._withLock(`write:${collectionName}`, async () => {
+        for (const id of ids.slice(start, start + batchSize)) {
+          const stored = await db._getDocument(collectionName, id);
+          if (stored && !db.security.isCurrent(collectionName, stored)) {
+            await db._writeMigratedDocument(collectionName, stored);
+            job.reencrypted++;
+          }
+          job.processed++;
+        }
+      });
+
+      const progress = this._progress(job);
+      this.emit('reencryptionProgress', progress);
+      if (onProgress) {
+        onProgress(progress);
+      }
+    }
+  }
+
+  async _recordPolicy(collectionName, policy, { action, keyId }) {
+    const db = this.database;
+    const metadata = await db.storage.getMetadata(collectionName) || {};
+
+    await db.storage._updateCollectionMetadata(collectionName, {
+      encryptionPolicy: policy,
+      encryptionHistory: [...(metadata.encryptionHistory || []), { action, keyId, at: new Date() }]
+    });
+    db.security.loadPolicy(collectionName, { encryptionPolicy: policy });
+    await this._moveIndexes(collectionName);
+
+    db.audit.log('collection', 'encryption_policy', {
+      name: collectionName,
+      action,
+      keyId,
+      fields: policy ? Object.keys(policy.fields) : []
+    });
+  }
+
+  async _moveIndexes(collectionName) {
+    const db = this.database;
+    if (!db.config.indexing) {
+      return;
+    }
+
+    // Documents the re-encryption has not reached yet lack the blind index
+    // and stay out of moved indexes until they are rewritten
+    await db._withLock(`write:${collectionName}`, async () => {
+      for (const { fields, options } of Object.values(db.indexing.getIndexStats(collectionName))) {
+        const target = fields.map(({ field, direction }) => {
+          const base = field.endsWith(BLIND_SUFFIX) ? field.slice(0, -BLIND_SUFFIX.length) : field;
+          return { field: db.security.indexField(collectionName, base), direction };
+        });
+        if (target.every(({ field }, i) => field === fields[i].field)) {
+          continue;
+        }
+
+        const spec = entries => Object.fromEntries(entries.map(({ field, direction }) => [field, direction]));
+        await db.indexing.dropIndex(collectionName, spec(fields));
+        await db.indexing.createCustomIndex(collectionName, spec(target), options, db._scanDocuments(collectionName));
+      }
+    });
+  }
+
+  _progress(job) {
+    return {
+      collection: job.collection,
+      action: job.action,
+      keyId: job.keyId,
+      status: job.status,
+      processed: job.processed,
+      reencrypted: job.reencrypted,
+      total: job.total,
+      duration: Date.now() - job.startedAt.getTime()
+    };
+  }
+}
+
+export default EncryptionPolicyManager;
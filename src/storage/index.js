@@ -19,6 +19,11 @@ import { join, dirname } from 'path';
 import { createHash } from 'crypto';
 import { pipeline } from 'stream/promises';
 import { createGzip, createGunzip } from 'zlib';
+import { WriteAheadLog } from './wal.js';
+import { SegmentStore } from './segments.js';
+
+// Suffix of _writeFileAtomic()'s temp files
+let tempFileCounter = 0;
 
 /**
  * Storage Engine for BigBaseAlpha
@@ -30,6 +35,14 @@ export class StorageEngine {
     this.basePath = config.path;
     this.format = config.format || 'json';
     this.compression = config.compression || false;
+    this.wal = new WriteAheadLog(config);
+    this.segments = this.format === 'segment'
+      ? new SegmentStore(join(this.basePath, 'collections'), {
+        fsync: this.wal.enabled ? this.wal.fsync : 'off',
+        ...config.segments
+      })
+      : null;
+    this.lastRecovery = null;
     this.stats = {
       totalReads: 0,
       totalWrites: 0,
@@ -52,6 +65,10 @@ export class StorageEngine {
 
     // Initialize format-specific settings
     await this._initFormat();
+
+    // Replay anything that was logged but never applied, then start logging
+    this.lastRecovery = await this._recover();
+    await this.wal.open();
   }
 
   async createCollection(name) {
@@ -73,20 +90,23 @@ export class StorageEngine {
   }
 
   async insert(collectionName, document) {
-    const filePath = this._getDocumentPath(collectionName, document._id);
-    const data = await this._serializeDocument(document);
-    
-    await this._ensureDirectory(dirname(filePath));
-    await this._writeFile(filePath, data);
-    
-    // Update collection metadata
-    await this._updateCollectionMetadata(collectionName, { documentCount: '+1' });
+    const lsn = await this.wal.append('insert', collectionName, document._id, document);
+    await this._applyInsert(collectionName, document);
+    await this._commitAll([lsn], [collectionName]);
     
     this.stats.totalWrites++;
     return document;
   }
 
   async findById(collectionName, id) {
+    if (this.segments) {
+      const document = await this.segments.get(collectionName, id);
+      if (document) {
+        this.stats.totalReads++;
+      }
+      return document;
+    }
+
     const filePath = this._getDocumentPath(collectionName, id);
     
     if (!existsSync(filePath)) {
@@ -105,26 +125,78 @@ export class StorageEngine {
   }
 
   async update(collectionName, id, document) {
-    const filePath = this._getDocumentPath(collectionName, id);
-    const data = await this._serializeDocument(document);
+    const lsn = await this.wal.append('update', collectionName, id, document);
+    await this._applyUpdate(collectionName, id, document);
+    await this._commitAll([lsn], [collectionName]);
     
-    await this._writeFile(filePath, data);
     this.stats.totalWrites++;
     return document;
   }
 
   async delete(collectionName, id) {
-    const filePath = this._getDocumentPath(collectionName, id);
-    
-    if (existsSync(filePath)) {
-      await fs.unlink(filePath);
-      
-      // Update collection metadata
-      await this._updateCollectionMetadata(collectionName, { documentCount: '-1' });
-      return true;
+    if (!await this._documentExists(collectionName, id)) {
+      return false;
     }
     
-    return false;
+    const lsn = await this.wal.append('delete', collectionName, id);
+    await this._applyDelete(collectionName, id);
+    await this._commitAll([lsn], [collectionName]);
+    return true;
+  }
+
+  /**
+   * Apply several insert/update/delete operations as one unit.
+   * The whole group is logged before any of it is applied, so after a
+   * crash either every operation is replayed or none is. If applying fails
+   * part way, the operations already applied are undone and the error is
+   * rethrown.
+   */
+  async commitBatch(operations) {
+    const collections = new Set(operations.map(({ collection }) => collection));
+    const unsupported = operations.find(({ op }) => !['insert', 'update', 'delete'].includes(op));
+    if (unsupported) {
+      throw new Error(`Unsupported batch operation: ${unsupported.op}`);
+    }
+
+    // The documents as they are now, to restore if the batch fails
+    const previous = [];
+    for (const { collection, id, document } of operations) {
+      previous.push(await this.findById(collection, id ?? document._id));
+    }
+
+    const lsns = await this.wal.appendBatch(operations);
+    let applied = 0;
+
+    try {
+      for (const { op, collection, id, document } of operations) {
+        if (op === 'insert') {
+          await this._applyInsert(collection, document);
+        } else if (op === 'update') {
+          await this._applyUpdate(collection, id, document);
+        } else {
+          await this._applyDelete(collection, id);
+        }
+        applied++;
+      }
+    } catch (error) {
+      for (let i = applied - 1; i >= 0; i--) {
+        const { collection, id, document } = operations[i];
+        if (previous[i]) {
+          await this._applyInsert(collection, previous[i]);
+        } else {
+          await this._applyDelete(collection, id ?? document._id);
+        }
+      }
+      // Undone: the log must not replay the batch either.
+      // (If undoing failed, the batch stays logged and is replayed whole on restart.)
+      await this._commitAll(lsns, collections);
+      throw error;
+    }
+
+    // Committed only once all of it is applied, so a crash never replays part of the batch
+    await this._commitAll(lsns, collections);
+    this.stats.totalWrites += operations.length;
+    return operations.length;
   }
 
   async listCollections() {
@@ -147,6 +219,12 @@ export class StorageEngine {
       return [];
     }
 
+    if (this.segments) {
+      const documents = await this.segments.list(collectionName, limit, offset);
+      this.stats.totalReads += documents.length;
+      return documents;
+    }
+
     const files = await fs.readdir(collectionPath);
     const documentFiles = files.filter(file => this._isDocumentFile(file));
     
@@ -172,6 +250,98 @@ export class StorageEngine {
     return documents;
   }
 
+  /**
+   * Iterate the documents of a collection without loading them all at once
+   */
+  async *streamDocuments(collectionName) {
+    const collectionPath = this._getCollectionPath(collectionName);
+    
+    if (!existsSync(collectionPath)) {
+      return;
+    }
+
+    if (this.segments) {
+      for await (const document of this.segments.stream(collectionName)) {
+        this.stats.totalReads++;
+        yield document;
+      }
+      return;
+    }
+
+    const files = await fs.readdir(collectionPath);
+    for (const file of files) {
+      if (!this._isDocumentFile(file)) continue;
+
+      try {
+        const data = await this._readFile(join(collectionPath, file));
+        this.stats.totalReads++;
+        yield await this._deserializeDocument(data);
+      } catch (error) {
+        // Deleted since the directory was listed, or unreadable
+        if (error.code !== 'ENOENT') {
+          console.error(`Error reading document from ${file}:`, error);
+        }
+      }
+    }
+  }
+
+  /**
+   * Save a vector index snapshot (`vectors/<collection>/<index>.vec`) and
+   * discard the change log it supersedes
+   */
+  async saveVectorIndex(collectionName, indexName, snapshot) {
+    await this._ensureDirectory(this._getVectorPath(collectionName));
+    await this._writeFileAtomic(this._getVectorFile(collectionName, indexName, 'vec'), snapshot);
+    await fs.rm(this._getVectorFile(collectionName, indexName, 'vlog'), { force: true });
+    this.stats.totalBytes += snapshot.length;
+  }
+
+  /**
+   * Append to a vector index's change log (`<index>.vlog`)
+   */
+  async appendVectorLog(collectionName, indexName, data) {
+    await this._ensureDirectory(this._getVectorPath(collectionName));
+    const handle = await fs.open(this._getVectorFile(collectionName, indexName, 'vlog'), 'a');
+    
+    try {
+      await handle.writeFile(data);
+      if (this.wal.enabled && this.wal.fsync === 'always') {
+        await handle.sync();
+      }
+    } finally {
+      await handle.close();
+    }
+    
+    this.stats.totalBytes += Buffer.byteLength(data);
+  }
+
+  /**
+   * Read a vector index's snapshot and change log
+   * @returns {Promise<Object|null>} `{ snapshot, log }` buffers (log may be null), or null without a snapshot
+   */
+  async loadVectorIndex(collectionName, indexName) {
+    const snapshotPath = this._getVectorFile(collectionName, indexName, 'vec');
+    if (!existsSync(snapshotPath)) {
+      return null;
+    }
+
+    const logPath = this._getVectorFile(collectionName, indexName, 'vlog');
+    const snapshot = await fs.readFile(snapshotPath);
+    const log = existsSync(logPath) ? await fs.readFile(logPath) : null;
+    this.stats.totalBytes += snapshot.length + (log ? log.length : 0);
+    
+    return { snapshot, log };
+  }
+
+  async removeVectorIndex(collectionName, indexName) {
+    await fs.rm(this._getVectorFile(collectionName, indexName, 'vec'), { force: true });
+    await fs.rm(this._getVectorFile(collectionName, indexName, 'vlog'), { force: true });
+  }
+
+  async getMetadata(collectionName) {
+    return this._readMetadata(collectionName);
+  }
+
   async backup(backupPath) {
     const backupDir = dirname(backupPath);
     await this._ensureDirectory(backupDir);
@@ -205,13 +375,21 @@ export class StorageEngine {
   }
 
   getStats() {
-    return { ...this.stats };
+    return {
+      ...this.stats,
+      wal: this.wal.getStats(),
+      ...(this.segments && { segments: this.segments.getStats() })
+    };
   }
 
   async dropCollection(name) {
     const collectionPath = this._getCollectionPath(name);
     const metadataPath = this._getMetadataPath(name);
     
+    if (this.segments) {
+      await this.segments.drop(name);
+    }
+    
     // Remove collection directory
     if (existsSync(collectionPath)) {
       await fs.rm(collectionPath, { recursive: true, force: true });
@@ -221,6 +399,9 @@ export class StorageEngine {
     if (existsSync(metadataPath)) {
       await fs.unlink(metadataPath);
     }
+    
+    // Remove vector index files
+    await fs.rm(this._getVectorPath(name), { recursive: true, force: true });
   }
 
   async getCollectionStats(name) {
@@ -238,7 +419,7 @@ export class StorageEngine {
       const files = await fs.readdir(collectionPath);
       
       for (const file of files) {
-        if (this._isDocumentFile(file)) {
+        if (this._isDocumentFile(file) || (this.segments && file.endsWith('.seg'))) {
           const filePath = join(collectionPath, file);
           const stats = await fs.stat(filePath);
           totalSize += stats.size;
@@ -246,6 +427,10 @@ export class StorageEngine {
         }
       }
       
+      if (this.segments) {
+        fileCount = await this.segments.count(name);
+      }
+      
       // Add metadata file size
       if (existsSync(metadataPath)) {
         const metaStats = await fs.stat(metadataPath);
@@ -264,6 +449,12 @@ export class StorageEngine {
   }
 
   async close() {
+    // Flush and checkpoint the write-ahead log
+    await this.wal.close();
+    if (this.segments) {
+      await this.segments.close();
+    }
+
     // Cleanup any open resources
     this.stats = {
       totalReads: 0,
@@ -274,6 +465,85 @@ export class StorageEngine {
 
   // Private methods
 
+  async _commitAll(lsns, collections) {
+    // A commit marker lets the log forget the record, so the applied data
+    // has to be on disk first
+    if (this.segments && this.wal.enabled) {
+      for (const collectionName of collections) {
+        await this.segments.sync(collectionName);
+      }
+    }
+
+    for (const lsn of lsns) {
+      await this.wal.commit(lsn);
+    }
+  }
+
+  async _applyInsert(collectionName, document) {
+    if (this.segments) {
+      const existed = await this.segments.has(collectionName, document._id);
+      await this.segments.put(collectionName, document);
+      if (!existed) {
+        await this._updateCollectionMetadata(collectionName, { documentCount: '+1' });
+      }
+      return;
+    }
+
+    const filePath = this._getDocumentPath(collectionName, document._id);
+    const data = await this._serializeDocument(document);
+    const existed = existsSync(filePath);
+    
+    await this._ensureDirectory(dirname(filePath));
+    await this._writeFile(filePath, data);
+    
+    // Update collection metadata (re-inserting an existing id is an overwrite)
+    if (!existed) {
+      await this._updateCollectionMetadata(collectionName, { documentCount: '+1' });
+    }
+  }
+
+  async _applyUpdate(collectionName, id, document) {
+    if (this.segments) {
+      await this.segments.put(collectionName, document);
+      return;
+    }
+
+    const filePath = this._getDocumentPath(collectionName, id);
+    const data = await this._serializeDocument(document);
+    
+    await this._writeFile(filePath, data);
+  }
+
+  async _applyDelete(collectionName, id) {
+    const filePath = this._getDocumentPath(collectionName, id);
+    
+    if (this.segments) {
+      if (await this.segments.remove(collectionName, id)) {
+        await this._updateCollectionMetadata(collectionName, { documentCount: '-1' });
+      }
+    } else if (existsSync(filePath)) {
+      await fs.unlink(filePath);
+      
+      // Update collection metadata
+      await this._updateCollectionMetadata(collectionName, { documentCount: '-1' });
+    }
+  }
+
+  async _documentExists(collectionName, id) {
+    if (this.segments) {
+      return this.segments.has(collectionName, id);
+    }
+    return existsSync(this._getDocumentPath(collectionName, id));
+  }
+
+  async _countDocuments(collectionName) {
+    if (this.segments) {
+      return this.segments.count(collectionName);
+    }
+    const files = await fs.readdir(this._getCollectionPath(collectionName));
+    return files.filter(file => this._isDocumentFile(file)).length;
+  }
+
   async _initFormat() {
     switch (this.format) {
       case 'json':
@@ -285,6 +555,10 @@ export class StorageEngine {
       case 'db':
         // No special initialization needed for these formats
         break;
+      case 'segment':
+        // Documents live in append-only segment files; start background compaction
+        this.segments.open();
+        break;
       default:
         throw new Error(`Unsupported storage format: ${this.format}`);
     }
@@ -303,6 +577,14 @@ export class StorageEngine {
     return join(this.basePath, 'metadata', `${collectionName}.meta.json`);
   }
 
+  _getVectorPath(collectionName) {
+    return join(this.basePath, 'vectors', collectionName);
+  }
+
+  _getVectorFile(collectionName, indexName, extension) {
+    return join(this._getVectorPath(collectionName), `${indexName}.${extension}`);
+  }
+
   _getFileExtension() {
     switch (this.format) {
       case 'json':
@@ -608,10 +890,28 @@ export class StorageEngine {
     } else {
       buffer = Buffer.isBuffer(data) ? data : Buffer.from(data, 'utf8');
     }
-    await fs.writeFile(filePath, buffer);
+    await this._writeFileAtomic(filePath, buffer);
     this.stats.totalBytes += buffer.length;
   }
 
+  async _writeFileAtomic(filePath, buffer) {
+    // Write to a sibling temp file and rename, so readers never see a partial document.
+    // Each write gets its own temp file, so concurrent writes of one file never share one.
+    const tempPath = `${filePath}.${process.pid}.${++tempFileCounter}.tmp`;
+    const handle = await fs.open(tempPath, 'w');
+    
+    try {
+      await handle.writeFile(buffer);
+      if (this.wal.enabled && this.wal.fsync === 'always') {
+        await handle.sync();
+      }
+    } finally {
+      await handle.close();
+    }
+    
+    await fs.rename(tempPath, filePath);
+  }
+
   async _readCompressedFile(filePath) {
     const chunks = [];
     const readStream = createReadStream(filePath);
@@ -651,7 +951,8 @@ export class StorageEngine {
 
   async _writeMetadata(collectionName, metadata) {
     const metadataPath = this._getMetadataPath(collectionName);
-    await fs.writeFile(metadataPath, JSON.stringify(metadata, null, 2));
+    await this._ensureDirectory(dirname(metadataPath));
+    await this._writeFileAtomic(metadataPath, Buffer.from(JSON.stringify(metadata, null, 2), 'utf8'));
   }
 
   async _readMetadata(collectionName) {
@@ -682,6 +983,43 @@ export class StorageEngine {
     await this._writeMetadata(collectionName, metadata);
   }
 
+  async _recover() {
+    const records = await this.wal.readUncommitted();
+    const touched = new Set();
+
+    for (const record of records) {
+      if (record.op === 'delete') {
+        await this._applyDelete(record.collection, record.id);
+      } else {
+        // Inserts and updates carry the full document, so replay is idempotent
+        await this._applyInsert(record.collection, record.document);
+      }
+
+      touched.add(record.collection);
+      this.wal.stats.replayed++;
+    }
+
+    // Counters may have been bumped (or not) before the crash: recount from disk
+    for (const collectionName of touched) {
+      if (!existsSync(this._getCollectionPath(collectionName))) continue;
+
+      const documentCount = await this._countDocuments(collectionName);
+      await this._updateCollectionMetadata(collectionName, { documentCount });
+    }
+
+    if (records.length > 0 || this.wal.stats.discarded > 0) {
+      // Nothing in the log is needed anymore
+      await this.segments?.sync();
+      await fs.truncate(this.wal.logPath, 0);
+    }
+
+    return {
+      replayed: records.length,
+      discarded: this.wal.stats.discarded,
+      collections: Array.from(touched)
+    };
+  }
+
   async _createArchiveBackup(backupPath, metadata) {
     // Create a simple archive format
     const archive = {
@@ -0,0 +1,183 @@
+/*
+ * Copyright 2025 BigBaseAlpha Team
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Document Pager for BigBaseAlpha
+ * Keeps the resident set of documents for lazily loaded collections
+ * under one memory budget, evicting the least recently used documents
+ * across all collections. Evicted documents are simply read back from
+ * the StorageEngine on the next access.
+ */
+export class DocumentPager {
+  constructor(maxBytes) {
+    this.maxBytes = maxBytes;
+    this.bytes = 0;
+    this.entries = new Map(); // key -> { collection, id, document, size }, oldest first
+    this.views = new Map(); // collection -> PagedCollection
+    this.stats = {
+      hits: 0,
+      misses: 0,
+      evictions: 0
+    };
+  }
+
+  /**
+   * Map-like view over the resident documents of one collection
+   */
+  view(collectionName) {
+    if (!this.views.has(collectionName)) {
+      this.views.set(collectionName, new PagedCollection(this, collectionName));
+    }
+    return this.views.get(collectionName);
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      residentDocuments: this.entries.size,
+      residentBytes: this.bytes,
+      maxBytes: this.maxBytes
+    };
+  }
+
+  // Internal methods used by PagedCollection
+
+  _key(collectionName, id) {
+    return `${collectionName}\u0000${id}`;
+  }
+
+  _get(collectionName, id) {
+    const key = this._key(collectionName, id);
+    const entry = this.entries.get(key);
+    if (!entry) {
+      this.stats.misses++;
+      return undefined;
+    }
+
+    // Re-insert to mark as most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.stats.hits++;
+    return entry.document;
+  }
+
+  _set(collectionName, id, document) {
+    this._delete(collectionName, id);
+
+    const size = this._calculateSize(document);
+    this.entries.set(this._key(collectionName, id), { collection: collectionName, id, document, size });
+    this.bytes += size;
+    this.view(collectionName).count++;
+
+    this._evict();
+  }
+
+  _delete(collectionName, id) {
+    const key = this._key(collectionName, id);
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return false;
+    }
+
+    this.entries.delete(key);
+    this.bytes -= entry.size;
+    this.view(collectionName).count--;
+    return true;
+  }
+
+  _evict() {
+    // Always keep the document that was just added
+    while (this.bytes > this.maxBytes && this.entries.size > 1) {
+      const [key, entry] = this.entries.entries().next().value;
+      this.entries.delete(key);
+      this.bytes -= entry.size;
+      this.view(entry.collection).count--;
+      this.stats.evictions++;
+    }
+  }
+
+  _calculateSize(document) {
+    try {
+      return JSON.stringify(document).length * 2; // UTF-16 characters
+    } catch {
+      return 1024;
+    }
+  }
+}
+
+/**
+ * Drop-in replacement for the per-collection `documents` Map
+ */
+class PagedCollection {
+  constructor(pager, collectionName) {
+    this.pager = pager;
+    this.collectionName = collectionName;
+    this.count = 0;
+  }
+
+  get size() {
+    return this.count;
+  }
+
+  has(id) {
+    return this.pager.entries.has(this.pager._key(this.collectionName, id));
+  }
+
+  get(id) {
+    return this.pager._get(this.collectionName, id);
+  }
+
+  set(id, document) {
+    this.pager._set(this.collectionName, id, document);
+    return this;
+  }
+
+  delete(id) {
+    return this.pager._delete(this.collectionName, id);
+  }
+
+  clear() {
+    for (const id of Array.from(this.keys())) {
+      this.delete(id);
+    }
+  }
+
+  *entries() {
+    for (const entry of this.pager.entries.values()) {
+      if (entry.collection === this.collectionName) {
+        yield [entry.id, entry.document];
+      }
+    }
+  }
+
+  *keys() {
+    for (const [id] of this.entries()) {
+      yield id;
+    }
+  }
+
+  *values() {
+    for (const [, document] of this.entries()) {
+      yield document;
+    }
+  }
+
+  [Symbol.iterator]() {
+    return this.entries();
+  }
+}
+
+export default DocumentPager;
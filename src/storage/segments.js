@@ -0,0 +1,470 @@
+/*
+ * Copyright 2025 BigBaseAlpha Team
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { promises as fs, existsSync } from 'fs';
+import { join } from 'path';
+import { createHash } from 'crypto';
+
+const HEADER_SIZE = 8; // [uint32 length][4 byte checksum]
+const INDEX_FILE = 'segments.idx';
+
+/**
+ * Segment Store for BigBaseAlpha
+ * Packs the documents of a collection into append-only segment files
+ * instead of one file per document.
+ *
+ * Every write appends a record (a full document or a tombstone) to the
+ * active segment; an in-memory offset index maps ids to their latest
+ * record. The index is checkpointed to disk and rebuilt from the segment
+ * tails on open, so losing it costs a scan, never data.
+ *
+ * Appends are synced as they happen under the 'always' fsync policy;
+ * otherwise sync() makes them durable before the caller depends on it.
+ */
+export class SegmentStore {
+  constructor(basePath, options = {}) {
+    this.basePath = basePath;
+    this.segmentSize = options.segmentSize || 16 * 1024 * 1024; // 16MB
+    this.compactionThreshold = options.compactionThreshold || 0.5;
+    this.compactionInterval = options.compactionInterval || 60000;
+    this.fsync = options.fsync || 'off'; // 'always' syncs every append
+    this.collections = new Map(); // name -> collection state
+    this.loading = new Map(); // name -> pending load
+    this.stats = {
+      appends: 0,
+      reads: 0,
+      compactions: 0,
+      reclaimedBytes: 0
+    };
+  }
+
+  open() {
+    if (this.compactionInterval > 0) {
+      this.compactionTimer = setInterval(() => {
+        this.compactAll().catch(error => {
+          console.error('Segment compaction failed:', error);
+        });
+      }, this.compactionInterval);
+      this.compactionTimer.unref?.();
+    }
+  }
+
+  async get(collectionName, id) {
+    const state = await this._state(collectionName);
+    return this._enqueue(state, async () => {
+      const entry = state.index.get(id);
+      if (!entry) {
+        return null;
+      }
+
+      this.stats.reads++;
+      return (await this._readRecord(state, entry)).document;
+    });
+  }
+
+  async has(collectionName, id) {
+    const state = await this._state(collectionName);
+    return state.index.has(id);
+  }
+
+  async put(collectionName, document) {
+    const state = await this._state(collectionName);
+    return this._enqueue(state, async () => {
+      const entry = await this._append(state, { id: document._id, document });
+      this._release(state, state.index.get(document._id));
+      state.index.set(document._id, entry);
+      return document;
+    });
+  }
+
+  async remove(collectionName, id) {
+    const state = await this._state(collectionName);
+    return this._enqueue(state, async () => {
+      const existing = state.index.get(id);
+      if (!existing) {
+        return false;
+      }
+
+      const tombstone = await this._append(state, { id, deleted: true });
+      this._release(state, existing);
+      this._release(state, tombstone); // Tombstones are garbage from the start
+      state.index.delete(id);
+      return true;
+    });
+  }
+
+  async list(collectionName, limit = null, offset = 0) {
+    const state = await this._state(collectionName);
+    return this._enqueue(state, async () => {
+      let entries = Array.from(state.index.values()).slice(offset);
+      if (limit !== null) {
+        entries = entries.slice(0, limit);
+      }
+
+      const documents = [];
+      for (const entry of entries) {
+        documents.push((await this._readRecord(state, entry)).document);
+      }
+
+      this.stats.reads += documents.length;
+      return documents;
+    });
+  }
+
+  /**
+   * Iterate the live documents of a collection one at a time
+   */
+  async *stream(collectionName) {
+    const state = await this._state(collectionName);
+    const ids = Array.from(state.index.keys());
+
+    for (const id of ids) {
+      const document = await this.get(collectionName, id);
+      if (document) {
+        yield document;
+      }
+    }
+  }
+
+  async count(collectionName) {
+    const state = await this._state(collectionName);
+    return state.index.size;
+  }
+
+  /**
+   * Rewrite the live documents of a collection into fresh segments when
+   * enough of the existing bytes are garbage
+   */
+  async compact(collectionName, force = false) {
+    const state = await this._state(collectionName);
+    return this._enqueue(state, async () => {
+      const totalBytes = state.segments.reduce((sum, segment) => sum + segment.size, 0);
+      const deadBytes = state.segments.reduce((sum, segment) => sum + segment.size - segment.live, 0);
+
+      if (totalBytes === 0 || (!force && deadBytes / totalBytes < this.compactionThreshold)) {
+        return false;
+      }
+
+      const oldSegments = state.segments;
+      const records = [];
+      for (const [id, entry] of state.index) {
+        records.push({ id, document: (await this._readRecord(state, entry)).document });
+      }
+
+      // New segments get higher numbers, so a crash mid-compaction is harmless:
+      // on rescan the copies simply win over the originals
+      await this._closeActive(state);
+      state.segments = [];
+      state.index = new Map();
+      await this._roll(state);
+
+      for (const record of records) {
+        state.index.set(record.id, await this._append(state, record, false));
+      }
+
+      // The copies must be on disk before the originals go
+      await this._syncActive(state);
+      await this._saveIndex(state);
+      for (const segment of oldSegments) {
+        await fs.rm(join(state.path, segment.file), { force: true });
+      }
+
+      this.stats.compactions++;
+      this.stats.reclaimedBytes += deadBytes;
+      return true;
+    });
+  }
+
+  async compactAll() {
+    for (const collectionName of this.collections.keys()) {
+      await this.compact(collectionName);
+      await this.flush(collectionName);
+    }
+  }
+
+  /**
+   * Persist offset indexes so the next open only scans segment tails
+   */
+  async flush(collectionName = null) {
+    const names = collectionName ? [collectionName] : Array.from(this.collections.keys());
+    for (const name of names) {
+      const state = this.collections.get(name);
+      if (state) {
+        await this._enqueue(state, () => this._saveIndex(state));
+      }
+    }
+  }
+
+  /**
+   * Make every append so far durable
+   */
+  async sync(collectionName = null) {
+    const names = collectionName ? [collectionName] : Array.from(this.collections.keys());
+    for (const name of names) {
+      const state = this.collections.get(name);
+      if (state) {
+        await this._enqueue(state, () => this._syncActive(state));
+      }
+    }
+  }
+
+  /**
+   * Forget a collection whose directory has been removed
+   */
+  async drop(collectionName) {
+    const state = this.collections.get(collectionName);
+    if (state) {
+      await this._enqueue(state, () => this._closeActive(state));
+      this.collections.delete(collectionName);
+    }
+  }
+
+  getStats() {
+    const collections = {};
+    for (const [name, state] of this.collections) {
+      collections[name] = {
+        documents: state.index.size,
+        segments: state.segments.length,
+        bytes: state.segments.reduce((sum, segment) => sum + segment.size, 0),
+        liveBytes: state.segments.reduce((sum, segment) => sum + segment.live, 0)
+      };
+    }
+    return { ...this.stats, collections };
+  }
+
+  async close() {
+    if (this.compactionTimer) {
+      clearInterval(this.compactionTimer);
+      this.compactionTimer = null;
+    }
+
+    await this.flush();
+    for (const state of this.collections.values()) {
+      await this._enqueue(state, () => this._closeActive(state));
+    }
+    this.collections.clear();
+  }
+
+  // Private methods
+
+  async _state(collectionName) {
+    if (this.collections.has(collectionName)) {
+      return this.collections.get(collectionName);
+    }
+
+    // Concurrent first calls share one load
+    if (!this.loading.has(collectionName)) {
+      this.loading.set(collectionName, this._load(collectionName).finally(() => {
+        this.loading.delete(collectionName);
+      }));
+    }
+    return this.loading.get(collectionName);
+  }
+
+  async _load(collectionName) {
+    const path = join(this.basePath, collectionName);
+    if (!existsSync(path)) {
+      await fs.mkdir(path, { recursive: true });
+    }
+
+    const state = {
+      name: collectionName,
+      path,
+      segments: [],
+      index: new Map(),
+      active: null,
+      unsynced: false,
+      lastNumber: 0,
+      queue: Promise.resolve()
+    };
+
+    // Start from the last checkpoint, if any
+    let checkpoint = { segments: {}, entries: [] };
+    const indexPath = join(path, INDEX_FILE);
+    if (existsSync(indexPath)) {
+      try {
+        checkpoint = JSON.parse(await fs.readFile(indexPath, 'utf8'));
+      } catch {
+        checkpoint = { segments: {}, entries: [] }; // Corrupt checkpoint: rescan everything
+      }
+    }
+
+    const files = (await fs.readdir(path))
+      .filter(file => /^seg-\d+\.seg$/.test(file))
+      .sort();
+
+    for (const file of files) {
+      const { size } = await fs.stat(join(path, file));
+      state.segments.push({ file, size, live: 0 });
+      state.lastNumber = Math.max(state.lastNumber, this._segmentNumber(file));
+    }
+
+    // Only trust checkpoint entries whose segments still exist
+    const known = new Set(files);
+    for (const [id, file, offset, length] of checkpoint.entries) {
+      if (known.has(file) && checkpoint.segments[file] !== undefined) {
+        state.index.set(id, { file, offset, length });
+      }
+    }
+
+    for (const segment of state.segments) {
+      const scannedUpTo = checkpoint.segments[segment.file] ?? 0;
+      if (scannedUpTo < segment.size) {
+        await this._scan(state, segment, scannedUpTo);
+      }
+    }
+
+    for (const entry of state.index.values()) {
+      this._segment(state, entry.file).live += entry.length + HEADER_SIZE;
+    }
+
+    this.collections.set(collectionName, state);
+    return state;
+  }
+
+  async _scan(state, segment, from) {
+    const buffer = await fs.readFile(join(state.path, segment.file));
+    let offset = from;
+
+    while (offset + HEADER_SIZE <= buffer.length) {
+      const length = buffer.readUInt32BE(offset);
+      const checksum = buffer.subarray(offset + 4, offset + HEADER_SIZE);
+      const payload = buffer.subarray(offset + HEADER_SIZE, offset + HEADER_SIZE + length);
+
+      if (payload.length < length || !checksum.equals(this._checksum(payload))) {
+        break; // Torn tail from an interrupted append
+      }
+
+      const record = JSON.parse(payload.toString('utf8'));
+      if (record.deleted) {
+        state.index.delete(record.id);
+      } else {
+        state.index.set(record.id, { file: segment.file, offset, length });
+      }
+      offset += HEADER_SIZE + length;
+    }
+
+    if (offset < buffer.length) {
+      await fs.truncate(join(state.path, segment.file), offset);
+      segment.size = offset;
+    }
+  }
+
+  async _append(state, record, sync = this.fsync === 'always') {
+    if (!state.active || this._segment(state, state.active.file).size >= this.segmentSize) {
+      await this._roll(state);
+    }
+
+    const payload = Buffer.from(JSON.stringify(record), 'utf8');
+    const header = Buffer.alloc(HEADER_SIZE);
+    header.writeUInt32BE(payload.length, 0);
+    this._checksum(payload).copy(header, 4);
+
+    const segment = this._segment(state, state.active.file);
+    const offset = segment.size;
+    await state.active.handle.write(Buffer.concat([header, payload]));
+    state.unsynced = true;
+    if (sync) {
+      await this._syncActive(state);
+    }
+
+    segment.size += HEADER_SIZE + payload.length;
+    segment.live += HEADER_SIZE + payload.length;
+    this.stats.appends++;
+
+    return { file: segment.file, offset, length: payload.length };
+  }
+
+  async _roll(state) {
+    await this._closeActive(state);
+
+    // Reopen the newest segment while it has room, otherwise start the next one
+    let segment = state.segments[state.segments.length - 1];
+    if (!segment || segment.size >= this.segmentSize) {
+      const number = ++state.lastNumber;
+      segment = { file: `seg-${String(number).padStart(6, '0')}.seg`, size: 0, live: 0 };
+      state.segments.push(segment);
+    }
+
+    state.active = {
+      file: segment.file,
+      handle: await fs.open(join(state.path, segment.file), 'a')
+    };
+  }
+
+  async _syncActive(state) {
+    if (state.active && state.unsynced) {
+      await state.active.handle.sync();
+    }
+    state.unsynced = false;
+  }
+
+  async _closeActive(state) {
+    if (state.active) {
+      await this._syncActive(state);
+      await state.active.handle.close();
+      state.active = null;
+    }
+  }
+
+  async _readRecord(state, entry) {
+    const handle = await fs.open(join(state.path, entry.file), 'r');
+    try {
+      const buffer = Buffer.alloc(entry.length);
+      await handle.read(buffer, 0, entry.length, entry.offset + HEADER_SIZE);
+      return JSON.parse(buffer.toString('utf8'));
+    } finally {
+      await handle.close();
+    }
+  }
+
+  _segmentNumber(file) {
+    return parseInt(file.slice(4, -4), 10);
+  }
+
+  _release(state, entry) {
+    if (entry) {
+      this._segment(state, entry.file).live -= entry.length + HEADER_SIZE;
+    }
+  }
+
+  _segment(state, file) {
+    return state.segments.find(segment => segment.file === file);
+  }
+
+  async _saveIndex(state) {
+    const checkpoint = {
+      segments: Object.fromEntries(state.segments.map(segment => [segment.file, segment.size])),
+      entries: Array.from(state.index.entries()).map(([id, entry]) => [id, entry.file, entry.offset, entry.length])
+    };
+
+    const indexPath = join(state.path, INDEX_FILE);
+    await fs.writeFile(`${indexPath}.tmp`, JSON.stringify(checkpoint));
+    await fs.rename(`${indexPath}.tmp`, indexPath);
+  }
+
+  _enqueue(state, task) {
+    const run = state.queue.then(task);
+    state.queue = run.catch(() => {});
+    return run;
+  }
+
+  _checksum(payload) {
+    return createHash('sha256').update(payload).digest().subarray(0, 4);
+  }
+}
+
+export default SegmentStore;
@@ -0,0 +1,306 @@
+/*
+ * Copyright 2025 BigBaseAlpha Team
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { promises as fs, existsSync } from 'fs';
+import { join } from 'path';
+import { createHash } from 'crypto';
+
+const FSYNC_POLICIES = ['always', 'interval', 'off'];
+
+/**
+ * Write-Ahead Log for BigBaseAlpha
+ * Records every storage mutation before it is applied so that an
+ * interrupted write can be replayed on the next startup.
+ *
+ * Each line is `<checksum> <json>`; a record is either a mutation
+ * (`insert`, `update`, `delete`) or a `commit` marker for an earlier LSN.
+ */
+export class WriteAheadLog {
+  constructor(config = {}) {
+    const walConfig = config.wal || {};
+
+    this.enabled = walConfig.enabled !== false;
+    this.walPath = walConfig.path || join(config.path, 'wal');
+    this.logPath = join(this.walPath, 'wal.log');
+    this.fsync = walConfig.fsync || 'always';
+    this.fsyncInterval = walConfig.fsyncInterval || 1000;
+    this.checkpointSize = walConfig.checkpointSize || 4 * 1024 * 1024; // 4MB
+
+    if (!FSYNC_POLICIES.includes(this.fsync)) {
+      throw new Error(`Unsupported WAL fsync policy: ${this.fsync}`);
+    }
+
+    this.handle = null;
+    this.lsn = 0;
+    this.size = 0;
+    this.pending = new Set(); // LSNs appended but not yet committed
+    this.dirty = false;
+    this.queue = Promise.resolve();
+
+    this.stats = {
+      appended: 0,
+      committed: 0,
+      syncs: 0,
+      checkpoints: 0,
+      replayed: 0,
+      discarded: 0
+    };
+  }
+
+  async open() {
+    if (!this.enabled) {
+      return;
+    }
+
+    if (!existsSync(this.walPath)) {
+      await fs.mkdir(this.walPath, { recursive: true });
+    }
+
+    this.handle = await fs.open(this.logPath, 'a');
+    this.size = (await this.handle.stat()).size;
+
+    if (this.fsync === 'interval') {
+      this.syncTimer = setInterval(() => {
+        this._sync().catch(() => {});
+      }, this.fsyncInterval);
+      this.syncTimer.unref?.();
+    }
+  }
+
+  /**
+   * Read the log and return the mutations that were never committed,
+   * in the order they were written. A torn or corrupt tail is discarded.
+   */
+  async readUncommitted() {
+    if (!this.enabled || !existsSync(this.logPath)) {
+      return [];
+    }
+
+    const content = await fs.readFile(this.logPath, 'utf8');
+    const records = new Map();
+    const prepared = new Set(); // transactions whose records are all on disk
+
+    for (const line of content.split('\n')) {
+      if (!line) continue;
+
+      const record = this._decode(line);
+      if (!record) {
+        // Anything after a bad record was written after the crash point
+        this.stats.discarded++;
+        break;
+      }
+
+      this.lsn = Math.max(this.lsn, record.lsn);
+
+      if (record.op === 'commit') {
+        records.delete(record.ref);
+      } else if (record.op === 'txn') {
+        prepared.add(record.ref);
+      } else {
+        records.set(record.lsn, record);
+      }
+    }
+
+    // A transaction without its marker never started applying: drop it whole
+    return Array.from(records.values())
+      .filter(record => record.txn === undefined || prepared.has(record.txn))
+      .sort((a, b) => a.lsn - b.lsn);
+  }
+
+  /**
+   * Append a mutation record; resolves once it is durable per the fsync policy.
+   * Writes issued before open() (i.e. before StorageEngine.init) are not logged.
+   */
+  async append(op, collection, id, document = null) {
+    if (!this.enabled || !this.handle) {
+      return null;
+    }
+
+    const lsn = ++this.lsn;
+    this.pending.add(lsn);
+
+    await this._write({
+      lsn,
+      op,
+      collection,
+      id,
+      document,
+      timestamp: Date.now()
+    }, this.fsync === 'always');
+
+    this.stats.appended++;
+    return lsn;
+  }
+
+  /**
+   * Append a group of mutations that must be replayed all-or-nothing.
+   * Returns one LSN per operation, to be committed individually once applied.
+   */
+  async appendBatch(operations) {
+    if (!this.enabled || !this.handle) {
+      return operations.map(() => null);
+    }
+
+    const txn = this.lsn + 1;
+    const timestamp = Date.now();
+    const records = operations.map(({ op, collection, id, document = null }) => (
+      { lsn: ++this.lsn, op, collection, id, document, txn, timestamp }
+    ));
+    const lsns = records.map(record => record.lsn);
+    records.push({ lsn: ++this.lsn, op: 'txn', ref: txn });
+
+    // One write: the marker can only reach the log after every record of the group
+    lsns.forEach(lsn => this.pending.add(lsn));
+    try {
+      await this._write(records, this.fsync === 'always');
+    } catch (error) {
+      lsns.forEach(lsn => this.pending.delete(lsn));
+      throw error;
+    }
+
+    this.stats.appended += operations.length;
+    return lsns;
+  }
+
+  /**
+   * Mark a previously appended mutation as applied
+   */
+  async commit(lsn) {
+    if (!this.enabled || lsn === null) {
+      return;
+    }
+
+    await this._write({ lsn: ++this.lsn, op: 'commit', ref: lsn }, false);
+    this.pending.delete(lsn);
+    this.stats.committed++;
+
+    if (this.size >= this.checkpointSize && this.pending.size === 0) {
+      await this.checkpoint();
+    }
+  }
+
+  /**
+   * Truncate the log once every appended mutation has been applied
+   */
+  async checkpoint() {
+    if (!this.enabled || !this.handle) {
+      return;
+    }
+
+    return this._enqueue(async () => {
+      if (this.pending.size > 0) {
+        return;
+      }
+
+      await this.handle.truncate(0);
+      await this.handle.sync();
+      this.size = 0;
+      this.dirty = false;
+      this.stats.checkpoints++;
+    });
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      enabled: this.enabled,
+      fsync: this.fsync,
+      lsn: this.lsn,
+      size: this.size,
+      pending: this.pending.size
+    };
+  }
+
+  async close() {
+    if (this.syncTimer) {
+      clearInterval(this.syncTimer);
+      this.syncTimer = null;
+    }
+
+    if (!this.handle) {
+      return;
+    }
+
+    await this.checkpoint();
+    await this._sync();
+    await this.handle.close();
+    this.handle = null;
+  }
+
+  // Private methods
+
+  _write(records, sync) {
+    const line = [].concat(records).map(record => this._encode(record)).join('');
+
+    return this._enqueue(async () => {
+      await this.handle.write(line);
+      this.size += Buffer.byteLength(line);
+      this.dirty = true;
+
+      if (sync) {
+        await this._sync();
+      }
+    });
+  }
+
+  _enqueue(task) {
+    // Keep file order equal to LSN order; a failed write must not wedge the queue
+    const run = this.queue.then(task);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async _sync() {
+    if (!this.handle || !this.dirty) {
+      return;
+    }
+
+    this.dirty = false;
+    await this.handle.sync();
+    this.stats.syncs++;
+  }
+
+  _encode(record) {
+    const json = JSON.stringify(record);
+    return `${this._checksum(json)} ${json}\n`;
+  }
+
+  _decode(line) {
+    const separator = line.indexOf(' ');
+    if (separator === -1) {
+      return null;
+    }
+
+    const checksum = line.slice(0, separator);
+    const json = line.slice(separator + 1);
+
+    if (checksum !== this._checksum(json)) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(json);
+    } catch {
+      return null;
+    }
+  }
+
+  _checksum(json) {
+    return createHash('sha256').update(json).digest('hex').slice(0, 16);
+  }
+}
+
+export default WriteAheadLog;
@@ -0,0 +1,435 @@
+/*
+ * Copyright 2025 ByAlphas
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { applyUpdate } from '../query/update.js';
+import { applyDefaults } from '../schema/index.js';
+
+/**
+ * Raised at commit time when a document the transaction wrote was
+ * changed by another writer after the transaction first read it.
+ */
+export class TransactionConflictError extends Error {
+  constructor(collectionName, id) {
+    super(`Transaction conflict on document '${id}' in collection '${collectionName}'`);
+    this.name = 'TransactionConflictError';
+    this.code = 'TRANSACTION_CONFLICT';
+    this.collection = collectionName;
+    this.documentId = id;
+  }
+}
+
+/**
+ * Raised by a conditional update (`ifVersion`) when the stored document
+ * has moved on to a different `_version` than the caller last saw.
+ */
+export class VersionConflictError extends Error {
+  constructor(collectionName, id, expectedVersion, currentVersion) {
+    super(`Version conflict on document '${id}' in collection '${collectionName}': expected version ${expectedVersion}, found ${currentVersion}`);
+    this.name = 'VersionConflictError';
+    this.code = 'VERSION_CONFLICT';
+    this.collection = collectionName;
+    this.documentId = id;
+    this.expectedVersion = expectedVersion;
+    this.currentVersion = currentVersion;
+  }
+}
+
+/**
+ * Multi-document transaction for BigBaseAlpha
+ * Writes are staged in memory and applied all-or-nothing on commit.
+ *
+ * Reads see the transaction's own writes on top of a snapshot of each
+ * collection, taken the first time the transaction touches it. For lazily
+ * loaded collections only resident documents are captured up front; other
+ * documents join the snapshot the first time they are read.
+ *
+ * Snapshots of different collections are taken at different moments, so
+ * this is not snapshot isolation: a commit that lands between the first
+ * reads of two collections is seen in the second one only. Commit checks
+ * the documents the transaction writes, not the ones it only read.
+ */
+export class Transaction {
+  constructor(database) {
+    this.database = database;
+    this.id = database._generateId();
+    this.state = 'active';
+    this.started = new Date();
+
+    this.snapshots = new Map(); // collection -> Map(id -> stored document)
+    this.writes = new Map(); // collection -> Map(id -> { base, document })
+  }
+
+  /**
+   * Stage a document insert
+   */
+  async insert(collectionName, data) {
+    this._ensureActive();
+    const snapshot = this._snapshot(collectionName);
+
+    const document = { ...data };
+    if (!document._id) {
+      document._id = this.database._generateId();
+    }
+
+    if (await this._read(collectionName, document._id)) {
+      throw new Error(`Document with id '${document._id}' already exists in collection '${collectionName}'`);
+    }
+
+    document._created = new Date();
+    document._modified = new Date();
+    document._version = 1;
+    if (this.database.migrations.getVersion(collectionName) > 0) {
+      document._schemaVersion = this.database.migrations.getVersion(collectionName);
+    }
+
+    if (this.database.schemas.has(collectionName)) {
+      applyDefaults(this.database.schemas.get(collectionName), document);
+      this.database._validateSchema(document, this.database.schemas.get(collectionName), collectionName);
+    }
+
+    this._stage(collectionName, document._id, snapshot, document);
+    return { ...document };
+  }
+
+  /**
+   * Stage a document update (plain fields or update operators, like BigBaseAlpha.updateById).
+   * `options.ifVersion` is checked against the version this transaction sees.
+   */
+  async update(collectionName, id, updateData, options = {}) {
+    this._ensureActive();
+    const snapshot = this._snapshot(collectionName);
+
+    const existingDoc = await this._read(collectionName, id);
+    if (!existingDoc) {
+      throw new Error(`Document with id '${id}' not found in collection '${collectionName}'`);
+    }
+
+    const version = existingDoc._version || 0;
+    if (options.ifVersion !== undefined && options.ifVersion !== version) {
+      throw new VersionConflictError(collectionName, id, options.ifVersion, version);
+    }
+
+    const updatedDoc = {
+      ...applyUpdate(existingDoc, updateData, options),
+      _id: id,
+      _created: existingDoc._created,
+      _modified: new Date(),
+      _version: version + 1
+    };
+
+    if (this.database.schemas.has(collectionName)) {
+      this.database._validateSchema(updatedDoc, this.database.schemas.get(collectionName), collectionName);
+    }
+
+    this._stage(collectionName, id, snapshot, updatedDoc);
+    return { ...updatedDoc };
+  }
+
+  /**
+   * Stage a document delete
+   */
+  async delete(collectionName, id) {
+    this._ensureActive();
+    const snapshot = this._snapshot(collectionName);
+
+    if (!await this._read(collectionName, id)) {
+      return false;
+    }
+
+    this._stage(collectionName, id, snapshot, null);
+    return true;
+  }
+
+  /**
+   * Read a document as seen by this transaction
+   */
+  async findById(collectionName, id) {
+    this._ensureActive();
+    const document = await this._read(collectionName, id);
+    return document ? { ...document } : null;
+  }
+
+  /**
+   * Find documents as seen by this transaction
+   */
+  async find(collectionName, query = {}) {
+    this._ensureActive();
+    const snapshot = this._snapshot(collectionName);
+    const staged = this.writes.get(collectionName) || new Map();
+    const ids = new Set([...snapshot.keys(), ...staged.keys()]);
+
+    if (this.database.config.lazyLoad) {
+      for await (const document of this.database._scanDocuments(collectionName)) {
+        ids.add(document._id);
+      }
+    }
+
+    const results = [];
+    for (const id of ids) {
+      const document = await this._read(collectionName, id);
+      if (document && this.database._matchesQuery(document, query)) {
+        results.push({ ...document });
+      }
+    }
+
+    return results;
+  }
+
+  async findOne(collectionName, query = {}) {
+    const results = await this.find(collectionName, query);
+    return results.length > 0 ? results[0] : null;
+  }
+
+  /**
+   * Apply every staged write through StorageEngine, IndexManager and CacheManager
+   */
+  async commit() {
+    this._ensureActive();
+    const db = this.database;
+    const collectionNames = Array.from(this.writes.keys()).sort();
+
+    // Lock in a stable order so concurrent commits cannot deadlock
+    const releases = [];
+    for (const collectionName of collectionNames) {
+      releases.push(await db._acquireLock(`write:${collectionName}`));
+    }
+
+    try {
+      const changes = await this._collectChanges();
+      const undo = [];
+
+      try {
+        // Indexes hold stored documents, like the ones queries match
+        if (db.config.indexing) {
+          for (const change of changes) {
+            if (change.base) {
+              await db.indexing.removeFromIndex(change.collection, change.base);
+              undo.push(() => db.indexing.addToIndex(change.collection, change.base));
+            }
+            if (change.stored) {
+              undo.push(() => db.indexing.removeFromIndex(change.collection, change.stored));
+              await db.indexing.addToIndex(change.collection, change.stored);
+            }
+          }
+        }
+
+        await db.storage.commitBatch(changes.map(change => ({
+          op: change.op,
+          collection: change.collection,
+          id: change.id,
+          document: change.stored
+        })));
+      } catch (error) {
+        for (const revert of undo.reverse()) {
+          await revert();
+        }
+        throw error;
+      }
+
+      for (const change of changes) {
+        this._applyInMemory(change);
+      }
+
+      // Durable from here on: nothing below may turn the commit into an error
+      this.state = 'committed';
+      db.stats.totalOperations += changes.length;
+
+      try {
+        await db.searchEngine.applyChanges(changes.map(change => ({
+          collection: change.collection,
+          id: change.id,
+          document: change.stored
+        })));
+      } catch (error) {
+        db.logger.warn(`Search index missed transaction ${this.id}; reindex ${collectionNames.join(', ')} to catch up:`, error.message);
+      }
+
+      try {
+        // Appended together, so the changes get consecutive tokens and one group commit
+        await Promise.all(changes.map(change => db.changeStreams.record(change.collection, change.op, change.id, {
+          document: change.stored,
+          before: change.previous,
+          after: change.document,
+          txn: this.id
+        })));
+      } catch (error) {
+        db.logger.warn(`Change stream missed transaction ${this.id}:`, error.message);
+      }
+
+      db.audit.log('transaction', 'commit', {
+        id: this.id,
+        collections: collectionNames,
+        operations: changes.length
+      });
+      db.emit('transaction:committed', { id: this.id, operations: changes.length });
+
+      return { id: this.id, operations: changes.length };
+    } finally {
+      for (const release of releases.reverse()) {
+        release();
+      }
+    }
+  }
+
+  /**
+   * Discard every staged write
+   */
+  rollback() {
+    if (this.state !== 'active') {
+      return;
+    }
+
+    this.writes.clear();
+    this.snapshots.clear();
+    this.state = 'rolledBack';
+    this.database.emit('transaction:rolledBack', { id: this.id });
+  }
+
+  // Private methods
+
+  _ensureActive() {
+    if (this.state !== 'active') {
+      throw new Error(`Transaction ${this.id} is already ${this.state}`);
+    }
+  }
+
+  _snapshot(collectionName) {
+    if (!this.snapshots.has(collectionName)) {
+      this.database._ensureCollection(collectionName);
+      // Stored documents are replaced, never mutated, so copying the Map is enough
+      const collection = this.database.collections.get(collectionName);
+      this.snapshots.set(collectionName, new Map(collection.documents));
+    }
+    return this.snapshots.get(collectionName);
+  }
+
+  _stage(collectionName, id, snapshot, document) {
+    if (!this.writes.has(collectionName)) {
+      this.writes.set(collectionName, new Map());
+    }
+
+    const staged = this.writes.get(collectionName);
+    const base = staged.has(id) ? staged.get(id).base : snapshot.get(id);
+    staged.set(id, { base, document });
+  }
+
+  async _read(collectionName, id) {
+    const staged = this.writes.get(collectionName);
+    if (staged && staged.has(id)) {
+      return staged.get(id).document;
+    }
+
+    const snapshot = this._snapshot(collectionName);
+    if (!snapshot.has(id) && this.database.config.lazyLoad) {
+      const paged = await this.database._getDocument(collectionName, id);
+      if (paged) {
+        snapshot.set(id, paged);
+      }
+    }
+
+    // Documents still at an older schema version are read migrated; committing
+    // a write stores them at the current version
+    const stored = snapshot.get(id);
+    return stored
+      ? this.database.migrations.migrateDocument(collectionName, await this.database._decryptDocument(stored))
+      : null;
+  }
+
+  _isUnchanged(current, base) {
+    if (current === base) {
+      return true;
+    }
+    // A paged-in copy is a new object; compare content instead
+    return Boolean(current && base) && JSON.stringify(current) === JSON.stringify(base);
+  }
+
+  async _collectChanges() {
+    const db = this.database;
+    const changes = [];
+
+    for (const [collectionName, staged] of this.writes) {
+      const collection = db.collections.get(collectionName);
+
+      for (const [id, { base, document }] of staged) {
+        const current = db.config.lazyLoad
+          ? await db._getDocument(collectionName, id)
+          : collection.documents.get(id);
+
+        // First committer wins: the document must still be what we read
+        if (!this._isUnchanged(current || undefined, base)) {
+          throw new TransactionConflictError(collectionName, id);
+        }
+
+        if (!base && !document) {
+          continue; // Inserted and deleted within the transaction
+        }
+
+        const op = !base ? 'insert' : (document ? 'update' : 'delete');
+        const stored = document && await db._encryptForStorage(collectionName, document);
+
+        changes.push({
+          op,
+          collection: collectionName,
+          id,
+          document,
+          stored,
+          base: base || null,
+          previous: base ? await db._decryptDocument(base) : null
+        });
+      }
+    }
+
+    return changes;
+  }
+
+  _applyInMemory(change) {
+    const db = this.database;
+    const collection = db.collections.get(change.collection);
+    const before = collection.documents.get(change.id);
+
+    if (change.op === 'delete') {
+      collection.documents.delete(change.id);
+      collection.metadata.totalDocuments--;
+    } else {
+      collection.documents.set(change.id, change.stored);
+      if (change.op === 'insert') {
+        collection.metadata.totalDocuments++;
+      }
+    }
+    collection.metadata.lastModified = new Date();
+
+    if (db.config.caching) {
+      db.cache.invalidate(change.collection, change.id, before, change.base, change.stored);
+    }
+
+    switch (change.op) {
+      case 'insert':
+        db.stats.totalInserts++;
+        db.emit('document:inserted', { collectionName: change.collection, document: change.document });
+        break;
+      case 'update':
+        db.stats.totalUpdates++;
+        db.emit('documentUpdated', { collection: change.collection, id: change.id, document: change.document });
+        break;
+      case 'delete':
+        db.stats.totalDeletes++;
+        db.emit('documentDeleted', { collection: change.collection, id: change.id });
+        break;
+    }
+  }
+}
+
+export default Transaction;